@@ -5,23 +5,37 @@ import {
   Typography,
   Box,
   Button,
-  LinearProgress,
   Alert,
   Card,
   CardContent,
   Chip,
-  Divider
+  Divider,
+  Tab,
+  Tabs
 } from '@mui/material';
 import { CloudUpload, Sports, Psychology } from '@mui/icons-material';
 import VideoUpload from './components/VideoUpload';
 import ChatInterface from './components/ChatInterface';
+import AnalysisProgress, { PipelineEvent } from './components/AnalysisProgress';
+import ScoreBreakdown, { TechniqueScores } from './components/ScoreBreakdown';
+import SportSelector, { DEFAULT_SPORTS, SportOption } from './components/SportSelector';
+import RiderProfileForm, { RiderProfile } from './components/RiderProfileForm';
+import ProgressPage from './components/ProgressPage';
+import ReferencePicker, { ReferenceChoice } from './components/ReferencePicker';
+import ReferenceComparison, { ReferenceRun, RunComparison } from './components/ReferenceComparison';
+import RecommendedDrills, { DetectedFault, DrillRecommendation } from './components/RecommendedDrills';
+import PracticePlan from './components/PracticePlan';
+import ReportDownload from './components/ReportDownload';
 import API_BASE_URL from './config';
 import './App.css';
 
 interface AnalysisResult {
+  analysisId?: string;
   analysis: string;
   success: boolean;
   message: string;
+  sport?: string;
+  riderId?: string | null;
   detailedPrompts?: {
     strengths: string;
     improvements: string;
@@ -30,18 +44,112 @@ interface AnalysisResult {
   technicalAnalysis?: string;
   sceneDescription?: string;
   poseVideoUrl?: string;
+  maneuver?: {
+    available: boolean;
+    maneuver: string | null;
+    label: string | null;
+    confidence: number;
+    segments: Array<{
+      maneuver: string;
+      label: string;
+      start: number;
+      end: number;
+      confidence: number;
+    }>;
+  } | null;
+  scores?: TechniqueScores | null;
+  faults?: DetectedFault[];
+  recommendedDrills?: DrillRecommendation[];
+  comparison?: RunComparison | null;
+  reference?: ReferenceRun | null;
   poseImages?: Array<{
     frame: number;
     imageUrl: string;
   }>;
 }
 
+interface AnalysisJobStatus {
+  id: string;
+  state: 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+  stage: string | null;
+  stageLabel: string | null;
+  progress: number;
+  queuePosition: number | null;
+  result: AnalysisResult | null;
+  error: string | null;
+}
+
+const JOB_POLL_INTERVAL_MS = 2000;
+
+// The rider profile of this browser is remembered by id
+const RIDER_ID_KEY = 'riderId';
+
+const wait = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
 function App() {
   const [analysisResult, setAnalysisResult] = useState<AnalysisResult | null>(null);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [chatHistory, setChatHistory] = useState<Array<{role: 'user' | 'assistant', content: string}>>([]);
   const [uploadedVideo, setUploadedVideo] = useState<File | null>(null);
+  const [jobStatus, setJobStatus] = useState<AnalysisJobStatus | null>(null);
+  const [pipelineEvents, setPipelineEvents] = useState<PipelineEvent[]>([]);
   const analysisResultRef = useRef<AnalysisResult | null>(null);
+  const activeJobIdRef = useRef<string | null>(null);
+  const [isResponding, setIsResponding] = useState(false);
+  const chatAbortRef = useRef<AbortController | null>(null);
+  const [sports, setSports] = useState<SportOption[]>(DEFAULT_SPORTS);
+  const [sport, setSport] = useState(DEFAULT_SPORTS[0].id);
+  const sportLabel = (sports.find(option => option.id === sport) || DEFAULT_SPORTS[0]).label.toLowerCase();
+  const [rider, setRider] = useState<RiderProfile | null>(null);
+  // The progress page needs a rider profile; the analysis stays loaded while it is open
+  const [view, setView] = useState<'analyze' | 'progress'>('analyze');
+  // Reference run for the next upload, and the clip of the last compared one
+  const [reference, setReference] = useState<ReferenceChoice | null>(null);
+  const [referenceVideo, setReferenceVideo] = useState<File | null>(null);
+
+  // Sports the server supports; the built-in list stays if it cannot be reached
+  useEffect(() => {
+    fetch(`${API_BASE_URL}/api/sports`)
+      .then(response => response.json())
+      .then(data => {
+        if (!data.success || !Array.isArray(data.sports)) return;
+        setSports(data.sports);
+        setSport(data.defaultSport || data.sports[0].id);
+      })
+      .catch(error => console.error('Error loading sports:', error));
+  }, []);
+
+  // Rider profile saved earlier in this browser; its sport becomes the selected one
+  useEffect(() => {
+    const riderId = localStorage.getItem(RIDER_ID_KEY);
+    if (!riderId) return;
+    fetch(`${API_BASE_URL}/api/riders/${riderId}`)
+      .then(response => response.json())
+      .then(data => {
+        if (!data.success) {
+          localStorage.removeItem(RIDER_ID_KEY);
+          return;
+        }
+        setRider(data.rider);
+        if (data.rider.sport) setSport(data.rider.sport);
+      })
+      .catch(error => console.error('Error loading rider profile:', error));
+  }, []);
+
+  const handleSaveRider = async (profile: RiderProfile) => {
+    const response = await fetch(`${API_BASE_URL}/api/riders${rider?.id ? `/${rider.id}` : ''}`, {
+      method: rider?.id ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(profile)
+    });
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.details || data.error || 'Could not save the profile');
+    }
+    localStorage.setItem(RIDER_ID_KEY, data.rider.id);
+    setRider(data.rider);
+    if (data.rider.sport) setSport(data.rider.sport);
+  };
 
   // Debug: Monitor analysisResult state changes
   useEffect(() => {
@@ -58,17 +166,32 @@ function App() {
     setAnalysisResult(null);
     setChatHistory([]); // Clear previous chat history
     setUploadedVideo(file);
+    setReferenceVideo(reference && reference.kind === 'video' ? reference.file : null);
     
     try {
+      // Fields must come before the file so the server has them when the upload arrives
       const formData = new FormData();
+      formData.append('sport', sport);
+      if (rider?.id) formData.append('riderId', rider.id);
+      if (reference && reference.kind === 'stored') formData.append('referenceId', reference.analysisId);
+      if (reference && reference.kind === 'video') formData.append('reference', reference.file);
       formData.append('video', file);
 
-      const response = await fetch(`${API_BASE_URL}/api/analyze-pose`, {
+      // With a reference run the upload is analyzed and compared with it
+      const response = await fetch(`${API_BASE_URL}/api/${reference ? 'compare' : 'analyze-pose'}`, {
         method: 'POST',
         body: formData,
       });
 
-      const result = await response.json();
+      const accepted = await response.json();
+      if (!accepted.success || !accepted.jobId) {
+        throw new Error(accepted.error || 'Analysis failed');
+      }
+
+      // The server analyzes in the background; follow its events until it finishes
+      activeJobIdRef.current = accepted.jobId;
+      setPipelineEvents([]);
+      const result = await followJob(accepted.jobId);
       
         console.log('🔍 Debug - Analysis result:', result);
         console.log('🔍 Debug - Has detailedPrompts:', !!result.detailedPrompts);
@@ -85,7 +208,7 @@ function App() {
           { role: 'assistant', content: result.analysis }
         ]);
       } else {
-        throw new Error(result.error || 'Analysis failed');
+        throw new Error(result.message || 'Analysis failed');
       }
     } catch (error) {
       console.error('Error analyzing video:', error);
@@ -95,10 +218,98 @@ function App() {
         message: error instanceof Error ? error.message : 'Failed to analyze video'
       });
     } finally {
+      activeJobIdRef.current = null;
+      setJobStatus(null);
+      setPipelineEvents([]);
       setIsAnalyzing(false);
     }
   };
 
+  const waitForJob = async (jobId: string): Promise<AnalysisResult> => {
+    while (true) {
+      await wait(JOB_POLL_INTERVAL_MS);
+
+      const response = await fetch(`${API_BASE_URL}/api/jobs/${jobId}`);
+      const { job } = await response.json();
+      if (!job) {
+        throw new Error('Analysis job was lost, please upload again');
+      }
+
+      setJobStatus(job);
+
+      if (job.state === 'completed') {
+        return job.result;
+      }
+      if (job.state === 'failed') {
+        throw new Error(job.error || 'Analysis failed');
+      }
+      if (job.state === 'cancelled') {
+        throw new Error('Analysis cancelled');
+      }
+    }
+  };
+
+  // Stream stage events over SSE; fall back to polling if the stream cannot be opened
+  const followJob = (jobId: string): Promise<AnalysisResult> => {
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(`${API_BASE_URL}/api/jobs/${jobId}/events`);
+      let lastSequence = 0;
+      let settled = false;
+
+      const settle = (callback: () => void) => {
+        settled = true;
+        source.close();
+        callback();
+      };
+
+      const handleEvent = (message: MessageEvent) => {
+        const event: PipelineEvent = JSON.parse(message.data);
+        // The server replays past events on reconnect; skip ones we already have
+        if (event.sequence <= lastSequence) return;
+        lastSequence = event.sequence;
+        setPipelineEvents(prev => [...prev, event]);
+      };
+
+      ['job_queued', 'job_started', 'stage_started', 'frame_completed', 'partial_text', 'stage_finished'].forEach(type => {
+        source.addEventListener(type, handleEvent as EventListener);
+      });
+
+      source.addEventListener('job_completed', ((message: MessageEvent) => {
+        settle(() => resolve(JSON.parse(message.data).result));
+      }) as EventListener);
+      source.addEventListener('job_failed', ((message: MessageEvent) => {
+        settle(() => reject(new Error(JSON.parse(message.data).error || 'Analysis failed')));
+      }) as EventListener);
+      source.addEventListener('job_cancelled', () => {
+        settle(() => reject(new Error('Analysis cancelled')));
+      });
+
+      source.onerror = () => {
+        if (settled || source.readyState !== EventSource.CLOSED) return;
+        console.error('Job event stream closed, falling back to polling');
+        settle(() => waitForJob(jobId).then(resolve, reject));
+      };
+    });
+  };
+
+  const handleCancelAnalysis = async () => {
+    const jobId = activeJobIdRef.current;
+    if (!jobId) return;
+
+    try {
+      await fetch(`${API_BASE_URL}/api/jobs/${jobId}`, { method: 'DELETE' });
+    } catch (error) {
+      console.error('Error cancelling analysis:', error);
+    }
+  };
+
+  // Aborting the request closes the stream, which stops generation on the server
+  const handleStopResponse = () => {
+    if (chatAbortRef.current) {
+      chatAbortRef.current.abort();
+    }
+  };
+
   const handleChatMessage = async (message: string) => {
     // Prevent page from scrolling to bottom
     const currentScrollY = window.scrollY;
@@ -122,52 +333,83 @@ function App() {
     console.log('🔍 Debug - has detailedPrompts:', !!currentAnalysisResult?.detailedPrompts);
     console.log('🔍 Debug - detailedPrompts object:', currentAnalysisResult?.detailedPrompts);
     
-    if (currentAnalysisResult && currentAnalysisResult.detailedPrompts && Object.keys(currentAnalysisResult.detailedPrompts).length > 0) {
+    if (currentAnalysisResult && currentAnalysisResult.analysisId) {
+      // The reply grows in the last assistant message as the server streams it
+      const setReply = (content: string) => {
+        setChatHistory(prev => [...prev.slice(0, -1), { role: 'assistant', content }]);
+      };
+      const controller = new AbortController();
+      chatAbortRef.current = controller;
+      setIsResponding(true);
+      setChatHistory(prev => [...prev, { role: 'assistant', content: '' }]);
+      let replyText = '';
+
       try {
         const response = await fetch(`${API_BASE_URL}/api/chat`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
+            Accept: 'text/event-stream'
           },
+          // The server keeps the analysis; only its id is sent
           body: JSON.stringify({
             question: message,
-            analysisData: {
-              detailedPrompts: currentAnalysisResult.detailedPrompts,
-              technicalAnalysis: currentAnalysisResult.technicalAnalysis,
-              sceneDescription: currentAnalysisResult.sceneDescription
-            }
+            analysisId: currentAnalysisResult.analysisId,
+            stream: true
           }),
+          signal: controller.signal
         });
 
-        const result = await response.json();
-        
-        if (result.success) {
-          setChatHistory(prev => [
-            ...prev,
-            { role: 'assistant', content: result.response }
-          ]);
+        if (!response.ok || !response.body) {
+          throw new Error(`Chat request failed with status ${response.status}`);
+        }
+
+        // Server-sent events: "event: <type>\ndata: <json>" blocks separated by blank lines
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let completed = false;
+        while (!completed) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          buffer += decoder.decode(value, { stream: true });
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop() || '';
+          for (const block of blocks) {
+            const dataLine = block.split('\n').find(line => line.startsWith('data:'));
+            if (!dataLine) continue;
+            const event = JSON.parse(dataLine.slice(5));
+            if (event.type === 'partial_text') {
+              replyText = event.text;
+              setReply(replyText);
+            } else if (event.type === 'message_completed') {
+              replyText = event.response;
+              setReply(replyText);
+              completed = true;
+            } else if (event.type === 'message_failed') {
+              throw new Error(event.details || event.error);
+            }
+          }
+        }
+        if (!completed) {
+          throw new Error('Chat stream ended before the reply was complete');
+        }
+      } catch (error) {
+        if (controller.signal.aborted) {
+          // Stopped by the user: keep what arrived so far
+          setReply(replyText ? `${replyText}\n\n_(stopped)_` : '_(stopped)_');
         } else {
-          setChatHistory(prev => [
-            ...prev,
-            { role: 'assistant', content: 'Sorry, I had trouble processing your question. Please try again.' }
-          ]);
+          console.error('Error processing chat message:', error);
+          setReply('Sorry, I had trouble processing your question. Please try again.');
         }
+      } finally {
+        chatAbortRef.current = null;
+        setIsResponding(false);
         
         // Maintain scroll position after assistant response
         setTimeout(() => {
           window.scrollTo(0, currentScrollY);
         }, 0);
-      } catch (error) {
-        console.error('Error processing chat message:', error);
-        setChatHistory(prev => [
-          ...prev,
-          { role: 'assistant', content: 'Sorry, I had trouble processing your question. Please try again.' }
-        ]);
-        
-        // Maintain scroll position after error
-        setTimeout(() => {
-          window.scrollTo(0, currentScrollY);
-        }, 0);
       }
     } else {
       // No analysis data available, provide general response
@@ -295,8 +537,19 @@ function App() {
           </Typography>
         </Paper>
 
+        {rider?.id && (
+          <Tabs value={view} onChange={(_, value) => setView(value)} centered sx={{ mb: 3 }}>
+            <Tab value="analyze" label="Analyze" />
+            <Tab value="progress" label="Progress" />
+          </Tabs>
+        )}
+
+        {view === 'progress' && rider?.id && (
+          <ProgressPage riderId={rider.id} sports={sports} sport={sport} />
+        )}
+
         {/* Main Content */}
-        <Box display="flex" gap={3} flexDirection={{ xs: 'column', lg: 'row' }}>
+        <Box display={view === 'analyze' ? 'flex' : 'none'} gap={3} flexDirection={{ xs: 'column', lg: 'row' }}>
           {/* Video Upload Section */}
           <Box flex={1}>
             <Card 
@@ -357,8 +610,29 @@ function App() {
                   Upload Your Video
                 </Typography>
                 <Typography variant="body2" color="text.secondary" paragraph>
-                  Upload a video of your snowboarding session to get AI-powered coaching analysis.
+                  Pick your sport, then upload a video of your {sportLabel} session to get AI-powered coaching analysis.
                 </Typography>
+
+                <RiderProfileForm
+                  rider={rider}
+                  sports={sports}
+                  sport={sport}
+                  onSave={handleSaveRider}
+                  disabled={isAnalyzing}
+                />
+
+                <SportSelector
+                  sports={sports}
+                  value={sport}
+                  onChange={setSport}
+                  disabled={isAnalyzing}
+                />
+
+                <ReferencePicker
+                  value={reference}
+                  onChange={setReference}
+                  disabled={isAnalyzing}
+                />
                 
                 <VideoUpload 
                   onVideoSelect={handleVideoAnalysis}
@@ -370,10 +644,14 @@ function App() {
 
                 {isAnalyzing && (
                   <Box mt={3}>
-                    <Typography variant="body2" color="text.secondary" gutterBottom>
-                      Analyzing your video...
-                    </Typography>
-                    <LinearProgress />
+                    <AnalysisProgress
+                      events={pipelineEvents}
+                      progress={jobStatus
+                        ? jobStatus.progress
+                        : pipelineEvents.length > 0 ? pipelineEvents[pipelineEvents.length - 1].progress : 0}
+                      queuePosition={jobStatus?.queuePosition}
+                      onCancel={handleCancelAnalysis}
+                    />
                   </Box>
                 )}
 
@@ -388,6 +666,12 @@ function App() {
                         {analysisResult.message}
                       </Alert>
                     )}
+                    {analysisResult.analysisId && (
+                      <ReportDownload
+                        analysisId={analysisResult.analysisId}
+                        hasChat={chatHistory.some(message => message.role === 'user')}
+                      />
+                    )}
                   </Box>
                 )}
               </CardContent>
@@ -455,7 +739,7 @@ function App() {
                   AI Coach Chat
                 </Typography>
                 <Typography variant="body2" color="text.secondary" paragraph>
-                  Chat with your AI snowboarding coach for personalized tips and advice.
+                  Chat with your AI {(analysisResult?.sport || sport).toLowerCase()} coach for personalized tips and advice.
                 </Typography>
 
                 <Divider sx={{ my: 2 }} />
@@ -464,13 +748,164 @@ function App() {
                   chatHistory={chatHistory}
                   onSendMessage={handleChatMessage}
                   isAnalyzing={isAnalyzing}
-                  hasAnalysis={!!analysisResult?.detailedPrompts}
+                  isResponding={isResponding}
+                  onStop={handleStopResponse}
+                  hasAnalysis={!!analysisResult?.analysisId}
                 />
               </CardContent>
             </Card>
           </Box>
         </Box>
 
+        {/* Technique Scores Section - rubric breakdown for every pipeline */}
+        {view === 'analyze' && analysisResult && analysisResult.scores && analysisResult.scores.overall !== null && (
+          <Box sx={{ mt: 4 }}>
+            <Card sx={{ 
+              p: 3,
+              background: `
+                linear-gradient(145deg, #ffffff 0%, #f8f9fa 50%, #ffffff 100%),
+                radial-gradient(circle at 20% 20%, rgba(255, 255, 255, 0.8) 0%, transparent 50%),
+                radial-gradient(circle at 80% 80%, rgba(0, 0, 0, 0.02) 0%, transparent 50%)
+              `,
+              border: '1px solid rgba(0, 0, 0, 0.06)',
+              borderRadius: 3,
+              boxShadow: '0 8px 32px rgba(0, 0, 0, 0.08)'
+            }}>
+              <Typography variant="h5" sx={{ 
+                mb: 2, 
+                color: '#333', 
+                textAlign: 'center',
+                fontWeight: 'bold'
+              }}>
+                📊 Technique Scores
+              </Typography>
+              <Typography variant="body1" sx={{ 
+                mb: 3, 
+                color: '#666', 
+                textAlign: 'center',
+                fontStyle: 'italic'
+              }}>
+                Each category is scored 0-10 with the measurements, frames and observations behind it:
+              </Typography>
+              <ScoreBreakdown scores={analysisResult.scores} />
+            </Card>
+          </Box>
+        )}
+
+        {/* Recommended Drills Section - library drills matched to the detected faults */}
+        {view === 'analyze' && analysisResult && analysisResult.recommendedDrills && analysisResult.recommendedDrills.length > 0 && (
+          <Box sx={{ mt: 4 }}>
+            <Card sx={{ 
+              p: 3,
+              background: `
+                linear-gradient(145deg, #ffffff 0%, #f8f9fa 50%, #ffffff 100%),
+                radial-gradient(circle at 20% 20%, rgba(255, 255, 255, 0.8) 0%, transparent 50%),
+                radial-gradient(circle at 80% 80%, rgba(0, 0, 0, 0.02) 0%, transparent 50%)
+              `,
+              border: '1px solid rgba(0, 0, 0, 0.06)',
+              borderRadius: 3,
+              boxShadow: '0 8px 32px rgba(0, 0, 0, 0.08)'
+            }}>
+              <Typography variant="h5" sx={{ 
+                mb: 2, 
+                color: '#333', 
+                textAlign: 'center',
+                fontWeight: 'bold'
+              }}>
+                🏋️ Recommended Drills
+              </Typography>
+              <Typography variant="body1" sx={{ 
+                mb: 3, 
+                color: '#666', 
+                textAlign: 'center',
+                fontStyle: 'italic'
+              }}>
+                Drills from the library for the faults found in this run:
+              </Typography>
+              <RecommendedDrills
+                recommendations={analysisResult.recommendedDrills}
+                faults={analysisResult.faults || []}
+              />
+            </Card>
+          </Box>
+        )}
+
+        {/* Practice Plan Section - week-by-week plan built from this analysis, stored with the rider */}
+        {view === 'analyze' && analysisResult && analysisResult.analysisId && rider?.id && (
+          <Box sx={{ mt: 4 }}>
+            <Card sx={{ 
+              p: 3,
+              background: `
+                linear-gradient(145deg, #ffffff 0%, #f8f9fa 50%, #ffffff 100%),
+                radial-gradient(circle at 20% 20%, rgba(255, 255, 255, 0.8) 0%, transparent 50%),
+                radial-gradient(circle at 80% 80%, rgba(0, 0, 0, 0.02) 0%, transparent 50%)
+              `,
+              border: '1px solid rgba(0, 0, 0, 0.06)',
+              borderRadius: 3,
+              boxShadow: '0 8px 32px rgba(0, 0, 0, 0.08)'
+            }}>
+              <Typography variant="h5" sx={{ 
+                mb: 2, 
+                color: '#333', 
+                textAlign: 'center',
+                fontWeight: 'bold'
+              }}>
+                📅 Practice Plan
+              </Typography>
+              <Typography variant="body1" sx={{ 
+                mb: 3, 
+                color: '#666', 
+                textAlign: 'center',
+                fontStyle: 'italic'
+              }}>
+                Turn these drills into a week-by-week plan around the days you can practice:
+              </Typography>
+              <PracticePlan riderId={rider.id} analysisId={analysisResult.analysisId} />
+            </Card>
+          </Box>
+        )}
+
+        {/* Reference Comparison Section - the run side by side with the reference run */}
+        {view === 'analyze' && analysisResult && analysisResult.comparison && (
+          <Box sx={{ mt: 4 }}>
+            <Card sx={{ 
+              p: 3,
+              background: `
+                linear-gradient(145deg, #ffffff 0%, #f8f9fa 50%, #ffffff 100%),
+                radial-gradient(circle at 20% 20%, rgba(255, 255, 255, 0.8) 0%, transparent 50%),
+                radial-gradient(circle at 80% 80%, rgba(0, 0, 0, 0.02) 0%, transparent 50%)
+              `,
+              border: '1px solid rgba(0, 0, 0, 0.06)',
+              borderRadius: 3,
+              boxShadow: '0 8px 32px rgba(0, 0, 0, 0.08)'
+            }}>
+              <Typography variant="h5" sx={{ 
+                mb: 2, 
+                color: '#333', 
+                textAlign: 'center',
+                fontWeight: 'bold'
+              }}>
+                🪞 Reference Comparison
+              </Typography>
+              <Typography variant="body1" sx={{ 
+                mb: 3, 
+                color: '#666', 
+                textAlign: 'center',
+                fontStyle: 'italic'
+              }}>
+                Both runs play in step, matched moment by moment. Click a phase to jump to it:
+              </Typography>
+              <ReferenceComparison
+                comparison={analysisResult.comparison}
+                reference={analysisResult.reference || null}
+                riderVideo={uploadedVideo}
+                referenceVideo={referenceVideo}
+                apiBaseUrl={API_BASE_URL}
+              />
+            </Card>
+          </Box>
+        )}
+
         {/* AI Pose Analysis Section - Positioned below both upload and chat */}
         {(() => {
           console.log('🔍 Debug - Rendering pose section check:');
@@ -480,7 +915,7 @@ function App() {
           console.log('🔍 Debug - Should show pose section:', analysisResult && analysisResult.poseImages && analysisResult.poseImages.length > 0);
           return null;
         })()}
-        {analysisResult && analysisResult.poseImages && analysisResult.poseImages.length > 0 && (
+        {view === 'analyze' && analysisResult && analysisResult.poseImages && analysisResult.poseImages.length > 0 && (
           <Box sx={{ mt: 4, mb: 4 }}>
             <Card sx={{ 
               p: 3,
@@ -511,8 +946,32 @@ function App() {
                 textAlign: 'center',
                 fontStyle: 'italic'
               }}>
-                ControlNet detected these key poses from your video:
+                Skeleton, joint angles and frame numbers measured from your video:
               </Typography>
+              {analysisResult.maneuver && analysisResult.maneuver.available && (
+                <Box display="flex" gap={1} flexWrap="wrap" justifyContent="center" sx={{ mb: 3 }}>
+                  <Chip
+                    label={`Maneuver: ${analysisResult.maneuver.label} (${Math.round(analysisResult.maneuver.confidence * 100)}%)`}
+                    sx={{ backgroundColor: '#e74c3c', color: 'white', fontWeight: 'bold' }}
+                  />
+                  {analysisResult.maneuver.segments.map((segment, index) => (
+                    <Chip
+                      key={index}
+                      variant="outlined"
+                      label={`${segment.label} ${segment.start.toFixed(1)}s–${segment.end.toFixed(1)}s`}
+                    />
+                  ))}
+                </Box>
+              )}
+              {analysisResult.poseVideoUrl && (
+                <Box sx={{ mb: 3, textAlign: 'center' }}>
+                  <video
+                    controls
+                    src={`${API_BASE_URL}${analysisResult.poseVideoUrl}`}
+                    style={{ maxWidth: '100%', borderRadius: '12px', border: '2px solid #e9ecef' }}
+                  />
+                </Box>
+              )}
               <Box sx={{ 
                 display: 'flex', 
                 flexDirection: 'row',
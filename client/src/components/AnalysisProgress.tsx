@@ -0,0 +1,150 @@
+import React from 'react';
+import {
+  Box,
+  Button,
+  LinearProgress,
+  Step,
+  StepContent,
+  StepLabel,
+  Stepper,
+  Typography
+} from '@mui/material';
+
+export interface PipelineEvent {
+  type: string;
+  sequence: number;
+  progress: number;
+  stage?: string;
+  frame?: number;
+  timestamp?: number;
+  poseImageUrl?: string;
+  label?: string;
+  text?: string;
+  completed?: number;
+  total?: number;
+  error?: string;
+}
+
+interface AnalysisProgressProps {
+  events: PipelineEvent[];
+  progress: number;
+  queuePosition?: number | null;
+  onCancel: () => void;
+}
+
+const PIPELINE_STEPS = [
+  { id: 'frame_extraction', label: 'Extracting frames' },
+  { id: 'pose_estimation', label: 'Estimating poses' },
+  { id: 'pose_video', label: 'Rendering pose video' },
+  { id: 'technical_analysis', label: 'Analyzing technique' },
+  { id: 'scene_description', label: 'Describing the scene' },
+  { id: 'report', label: 'Writing your coaching report' }
+];
+
+// Comparisons measure the reference run right after extracting frames
+const COMPARISON_STEPS = [
+  PIPELINE_STEPS[0],
+  { id: 'reference_pose', label: 'Measuring the reference run' },
+  ...PIPELINE_STEPS.slice(1)
+];
+
+// Keep the live text preview short; the full text arrives with the final result
+const PREVIEW_LENGTH = 220;
+
+const AnalysisProgress: React.FC<AnalysisProgressProps> = ({ events, progress, queuePosition, onCancel }) => {
+  const steps = events.some(e => e.stage === 'reference_pose') ? COMPARISON_STEPS : PIPELINE_STEPS;
+  const startedStages = events.filter(e => e.type === 'stage_started').map(e => e.stage);
+  const finishedStages = events.filter(e => e.type === 'stage_finished').map(e => e.stage);
+
+  // The active step is the last stage that has started
+  const activeStep = steps.reduce(
+    (active, step, index) => (startedStages.includes(step.id) ? index : active),
+    -1
+  );
+
+  const stageEvents = (stageId: string, type: string) =>
+    events.filter(e => e.stage === stageId && e.type === type);
+
+  const poseFrames = stageEvents('pose_estimation', 'frame_completed').filter(e => e.poseImageUrl);
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        {activeStep === -1
+          ? `Waiting for an analysis slot${queuePosition ? ` (position ${queuePosition})` : ''}...`
+          : `Analyzing your video... ${progress}%`}
+      </Typography>
+      <LinearProgress
+        variant={activeStep === -1 ? 'indeterminate' : 'determinate'}
+        value={progress}
+        sx={{ mb: 2 }}
+      />
+
+      <Stepper activeStep={activeStep} orientation="vertical">
+        {steps.map((step) => {
+          const frameEvents = stageEvents(step.id, 'frame_completed');
+          const lastFrame = frameEvents[frameEvents.length - 1];
+          const partialTexts = stageEvents(step.id, 'partial_text');
+          const latestText = partialTexts[partialTexts.length - 1];
+
+          return (
+            <Step
+              key={step.id}
+              completed={finishedStages.includes(step.id)}
+              // Keep finished steps open so their pose images and text stay visible
+              expanded={Boolean(latestText) || (step.id === 'pose_estimation' && poseFrames.length > 0)}
+            >
+              <StepLabel
+                optional={lastFrame && lastFrame.total ? (
+                  <Typography variant="caption" color="text.secondary">
+                    {lastFrame.completed} of {lastFrame.total} frames
+                  </Typography>
+                ) : undefined}
+              >
+                {step.label}
+              </StepLabel>
+              <StepContent>
+                {step.id === 'pose_estimation' && poseFrames.length > 0 && (
+                  <Box display="flex" gap={1} flexWrap="wrap" mb={1}>
+                    {poseFrames.map((poseFrame) => (
+                      <Box key={poseFrame.frame} textAlign="center">
+                        <img
+                          src={poseFrame.poseImageUrl}
+                          alt={`Pose frame ${poseFrame.frame}`}
+                          style={{
+                            width: '64px',
+                            height: '76px',
+                            objectFit: 'cover',
+                            borderRadius: '6px',
+                            border: '1px solid #dee2e6'
+                          }}
+                        />
+                        <Typography variant="caption" display="block" color="text.secondary">
+                          {typeof poseFrame.timestamp === 'number' ? `${poseFrame.timestamp.toFixed(1)}s` : `Frame ${poseFrame.frame}`}
+                        </Typography>
+                      </Box>
+                    ))}
+                  </Box>
+                )}
+                {latestText && latestText.text && (
+                  <Typography variant="body2" color="text.secondary" sx={{ fontStyle: 'italic', whiteSpace: 'pre-wrap' }}>
+                    {latestText.label ? `${latestText.label}: ` : ''}
+                    {latestText.text.length > PREVIEW_LENGTH
+                      ? `${latestText.text.substring(0, PREVIEW_LENGTH)}...`
+                      : latestText.text}
+                  </Typography>
+                )}
+              </StepContent>
+            </Step>
+          );
+        })}
+      </Stepper>
+
+      <Button size="small" color="inherit" onClick={onCancel} sx={{ mt: 1 }}>
+        Cancel analysis
+      </Button>
+    </Box>
+  );
+};
+
+export default AnalysisProgress;
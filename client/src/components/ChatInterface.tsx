@@ -8,7 +8,7 @@ import {
   Avatar,
   Chip
 } from '@mui/material';
-import { Send, Sports, Psychology } from '@mui/icons-material';
+import { Send, Sports, Psychology, Stop } from '@mui/icons-material';
 
 interface ChatMessage {
   role: 'user' | 'assistant';
@@ -19,6 +19,9 @@ interface ChatInterfaceProps {
   chatHistory: ChatMessage[];
   onSendMessage: (message: string) => void;
   isAnalyzing: boolean;
+  // True while an assistant reply is still streaming in
+  isResponding?: boolean;
+  onStop?: () => void;
   hasAnalysis?: boolean;
 }
 
@@ -26,6 +29,8 @@ const ChatInterface: React.FC<ChatInterfaceProps> = ({
   chatHistory, 
   onSendMessage, 
   isAnalyzing,
+  isResponding = false,
+  onStop,
   hasAnalysis = false
 }) => {
   const [inputMessage, setInputMessage] = useState('');
@@ -41,7 +46,7 @@ const ChatInterface: React.FC<ChatInterfaceProps> = ({
   // }, [chatHistory]);
 
   const handleSendMessage = () => {
-    if (inputMessage.trim() && !isAnalyzing) {
+    if (inputMessage.trim() && !isAnalyzing && !isResponding) {
       onSendMessage(inputMessage.trim());
       setInputMessage('');
     }
@@ -147,7 +152,7 @@ const ChatInterface: React.FC<ChatInterfaceProps> = ({
                   }}
                 >
                   <Typography variant="body2">
-                    {message.content}
+                    {message.content || (isResponding && index === chatHistory.length - 1 ? 'Thinking…' : '')}
                   </Typography>
                 </Paper>
               </Box>
@@ -203,18 +208,30 @@ const ChatInterface: React.FC<ChatInterfaceProps> = ({
           value={inputMessage}
           onChange={(e) => setInputMessage(e.target.value)}
           onKeyPress={handleKeyPress}
-          disabled={isAnalyzing}
+          disabled={isAnalyzing || isResponding}
           variant="outlined"
           size="small"
         />
-        <Button
-          variant="contained"
-          onClick={handleSendMessage}
-          disabled={!inputMessage.trim() || isAnalyzing}
-          sx={{ minWidth: 'auto', px: 2 }}
-        >
-          <Send />
-        </Button>
+        {isResponding ? (
+          <Button
+            variant="outlined"
+            color="error"
+            onClick={onStop}
+            aria-label="Stop response"
+            sx={{ minWidth: 'auto', px: 2 }}
+          >
+            <Stop />
+          </Button>
+        ) : (
+          <Button
+            variant="contained"
+            onClick={handleSendMessage}
+            disabled={!inputMessage.trim() || isAnalyzing}
+            sx={{ minWidth: 'auto', px: 2 }}
+          >
+            <Send />
+          </Button>
+        )}
       </Box>
     </Box>
   );
@@ -0,0 +1,298 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  IconButton,
+  MenuItem,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography
+} from '@mui/material';
+import { Delete, Download, Print } from '@mui/icons-material';
+import API_BASE_URL from '../config';
+
+type Weekday = 'mon' | 'tue' | 'wed' | 'thu' | 'fri' | 'sat' | 'sun';
+
+interface PlanBlock {
+  kind: 'warm-up' | 'drill' | 'free-ride';
+  name: string;
+  durationMinutes: number;
+  drillId?: string;
+  dosage?: string;
+  notes?: string;
+}
+
+interface PlanSession {
+  date: string;
+  startTime?: string;
+  durationMinutes: number;
+  title?: string;
+  notes?: string;
+  blocks: PlanBlock[];
+}
+
+interface PlanWeek {
+  week: number;
+  phase?: 'foundations' | 'build' | 'apply';
+  focus?: string;
+  checkIns?: string[];
+  sessions: PlanSession[];
+}
+
+// A stored practice plan (server/practice-plans.js)
+export interface PracticePlanData {
+  id: string;
+  riderId: string;
+  analysisId: string;
+  sport: string;
+  title: string;
+  availability: {
+    startDate?: string;
+    weeks: number;
+    days: Weekday[];
+    minutesPerSession: number;
+    startTime?: string;
+  };
+  weeks: PlanWeek[];
+}
+
+interface PracticePlanProps {
+  riderId: string;
+  analysisId: string;
+}
+
+const WEEKDAYS: Array<{ id: Weekday; label: string }> = [
+  { id: 'mon', label: 'Mon' },
+  { id: 'tue', label: 'Tue' },
+  { id: 'wed', label: 'Wed' },
+  { id: 'thu', label: 'Thu' },
+  { id: 'fri', label: 'Fri' },
+  { id: 'sat', label: 'Sat' },
+  { id: 'sun', label: 'Sun' }
+];
+
+const PHASE_LABELS: Record<NonNullable<PlanWeek['phase']>, string> = {
+  foundations: 'Foundations',
+  build: 'Build',
+  apply: 'Apply'
+};
+
+const BLOCK_ICONS: Record<PlanBlock['kind'], string> = {
+  'warm-up': '🔥',
+  drill: '🏋️',
+  'free-ride': '🏂'
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const formatDay = (date: string) => new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+const PracticePlan: React.FC<PracticePlanProps> = ({ riderId, analysisId }) => {
+  const [plan, setPlan] = useState<PracticePlanData | null>(null);
+  const [dirty, setDirty] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [weeks, setWeeks] = useState(4);
+  const [days, setDays] = useState<Weekday[]>(['sat', 'sun']);
+  const [minutes, setMinutes] = useState(60);
+  const [startDate, setStartDate] = useState(today());
+  const [startTime, setStartTime] = useState('10:00');
+
+  // The latest plan made from this analysis, if the rider has one
+  useEffect(() => {
+    setPlan(null);
+    setDirty(false);
+    fetch(`${API_BASE_URL}/api/riders/${riderId}/plans?analysisId=${analysisId}`)
+      .then(response => response.json())
+      .then(data => setPlan((data.plans && data.plans[0]) || null))
+      .catch(loadError => console.error('Error loading practice plans:', loadError));
+  }, [riderId, analysisId]);
+
+  const request = async (url: string, init: RequestInit) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await fetch(url, { ...init, headers: { 'Content-Type': 'application/json' } });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.details || data.error || 'Request failed');
+      return data;
+    } catch (requestError) {
+      setError(requestError instanceof Error ? requestError.message : 'Request failed');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    const data = await request(`${API_BASE_URL}/api/riders/${riderId}/plans`, {
+      method: 'POST',
+      body: JSON.stringify({ analysisId, availability: { weeks, days, minutesPerSession: minutes, startDate, startTime } })
+    });
+    if (data) {
+      setPlan(data.plan);
+      setDirty(false);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!plan) return;
+    const data = await request(`${API_BASE_URL}/api/plans/${plan.id}`, {
+      method: 'PUT',
+      body: JSON.stringify({ title: plan.title, availability: plan.availability, weeks: plan.weeks })
+    });
+    if (data) {
+      setPlan(data.plan);
+      setDirty(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!plan) return;
+    const data = await request(`${API_BASE_URL}/api/plans/${plan.id}`, { method: 'DELETE' });
+    if (data) {
+      setPlan(null);
+      setDirty(false);
+    }
+  };
+
+  // Local edits; nothing is stored until Save
+  const edit = (change: (draft: PracticePlanData) => void) => {
+    if (!plan) return;
+    const draft: PracticePlanData = JSON.parse(JSON.stringify(plan));
+    change(draft);
+    setPlan(draft);
+    setDirty(true);
+  };
+
+  if (!plan) {
+    return (
+      <Box>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>Days you can practice (one session each):</Typography>
+        <ToggleButtonGroup
+          size="small"
+          value={days}
+          onChange={(_, next: Weekday[]) => next.length > 0 && setDays(next)}
+          aria-label="Practice days"
+          sx={{ mb: 2, flexWrap: 'wrap' }}
+        >
+          {WEEKDAYS.map(day => (
+            <ToggleButton key={day.id} value={day.id} sx={{ textTransform: 'none' }}>{day.label}</ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+        <Box display="flex" gap={2} flexWrap="wrap" sx={{ mb: 2 }}>
+          <TextField select size="small" label="Weeks" value={weeks} onChange={event => setWeeks(Number(event.target.value))} sx={{ minWidth: 100 }}>
+            {Array.from({ length: 12 }, (_, index) => index + 1).map(count => (
+              <MenuItem key={count} value={count}>{count}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            size="small"
+            type="number"
+            label="Minutes per session"
+            value={minutes}
+            onChange={event => setMinutes(Number(event.target.value))}
+            inputProps={{ min: 15, max: 240, step: 5 }}
+          />
+          <TextField size="small" type="date" label="Start date" value={startDate} onChange={event => setStartDate(event.target.value)} InputLabelProps={{ shrink: true }} />
+          <TextField size="small" type="time" label="Start time" value={startTime} onChange={event => setStartTime(event.target.value)} InputLabelProps={{ shrink: true }} />
+        </Box>
+        <Button variant="contained" onClick={handleCreate} disabled={busy}>
+          {busy ? 'Creating plan...' : 'Create practice plan'}
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      <Box display="flex" gap={1} flexWrap="wrap" alignItems="center" sx={{ mb: 2 }}>
+        <TextField
+          size="small"
+          label="Plan"
+          value={plan.title}
+          onChange={event => edit((draft) => { draft.title = event.target.value; })}
+          sx={{ flex: 1, minWidth: 240 }}
+        />
+        <Button variant="contained" onClick={handleSave} disabled={!dirty || busy}>Save changes</Button>
+        <Button variant="outlined" startIcon={<Download />} href={`${API_BASE_URL}/api/plans/${plan.id}/export?format=ics`} disabled={dirty}>
+          Calendar (.ics)
+        </Button>
+        <Button variant="outlined" startIcon={<Print />} href={`${API_BASE_URL}/api/plans/${plan.id}/export?format=html`} target="_blank" disabled={dirty}>
+          Printable page
+        </Button>
+        <Button color="error" onClick={handleDelete} disabled={busy}>Delete</Button>
+      </Box>
+
+      <Box display="flex" flexDirection="column" gap={2}>
+        {plan.weeks.map((week, weekIndex) => (
+          <Box key={week.week} sx={{ p: 2, borderRadius: 2, border: '1px solid #e9ecef', backgroundColor: '#ffffff' }}>
+            <Box display="flex" alignItems="center" gap={1} sx={{ mb: 1 }}>
+              <Typography variant="subtitle1" sx={{ fontWeight: 'bold', color: '#2c3e50' }}>Week {week.week}</Typography>
+              {week.phase && <Chip size="small" label={PHASE_LABELS[week.phase]} sx={{ backgroundColor: '#2c3e50', color: 'white' }} />}
+            </Box>
+            <TextField
+              fullWidth
+              size="small"
+              label="Focus"
+              value={week.focus || ''}
+              onChange={event => edit((draft) => { draft.weeks[weekIndex].focus = event.target.value; })}
+              sx={{ mb: 1 }}
+            />
+
+            {week.sessions.map((session, sessionIndex) => (
+              <Box key={session.date} sx={{ mt: 1, pl: 1, borderLeft: '3px solid #e9ecef' }}>
+                <Typography variant="body2" sx={{ fontWeight: 'bold' }}>
+                  {formatDay(session.date)} · {session.startTime || plan.availability.startTime} · {session.durationMinutes} min
+                </Typography>
+                {session.blocks.map((block, blockIndex) => (
+                  <Box key={`${block.name}-${blockIndex}`} display="flex" alignItems="center" gap={1}>
+                    <Typography variant="body2" sx={{ flex: 1 }}>
+                      {BLOCK_ICONS[block.kind]} {block.name} ({block.durationMinutes} min{block.dosage ? `, ${block.dosage}` : ''})
+                    </Typography>
+                    <IconButton
+                      size="small"
+                      aria-label={`Remove ${block.name}`}
+                      onClick={() => edit((draft) => {
+                        const edited = draft.weeks[weekIndex].sessions[sessionIndex];
+                        edited.blocks.splice(blockIndex, 1);
+                        edited.durationMinutes = Math.max(1, edited.blocks.reduce((sum, entry) => sum + entry.durationMinutes, 0));
+                      })}
+                    >
+                      <Delete fontSize="small" />
+                    </IconButton>
+                  </Box>
+                ))}
+                <TextField
+                  fullWidth
+                  size="small"
+                  variant="standard"
+                  placeholder="Session notes"
+                  value={session.notes || ''}
+                  onChange={event => edit((draft) => { draft.weeks[weekIndex].sessions[sessionIndex].notes = event.target.value; })}
+                  sx={{ mb: 1 }}
+                />
+              </Box>
+            ))}
+
+            {week.checkIns && week.checkIns.length > 0 && (
+              <Box sx={{ mt: 1, p: 1, backgroundColor: '#f1f8f4', borderLeft: '4px solid #27ae60' }}>
+                <Typography variant="caption" sx={{ fontWeight: 'bold' }}>Check-in at the end of the week (film a run and upload it)</Typography>
+                {week.checkIns.map(goal => (
+                  <Typography key={goal} variant="body2">✅ {goal}</Typography>
+                ))}
+              </Box>
+            )}
+          </Box>
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+export default PracticePlan;
@@ -0,0 +1,125 @@
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+
+export interface ProgressPoint {
+  analysisId: string;
+  createdAt: string;
+  value: number;
+}
+
+export interface MetricTarget {
+  ideal: [number, number];
+  tolerance: number;
+  absolute: boolean;
+}
+
+// One score or clip-average measurement across a rider's sessions (GET /api/riders/:id/progress)
+export interface ProgressSeries {
+  key: string;
+  kind: 'score' | 'metric';
+  label: string;
+  unit: string;
+  target: MetricTarget | null;
+  points: ProgressPoint[];
+}
+
+interface ProgressChartProps {
+  series: ProgressSeries;
+  // Session highlighted on every chart
+  selectedId?: string | null;
+  onSelect?: (analysisId: string) => void;
+}
+
+const WIDTH = 320;
+const HEIGHT = 140;
+const PADDING = { top: 12, right: 12, bottom: 22, left: 40 };
+
+export const formatValue = (value: number, unit: string) => `${Math.round(value * 10) / 10}${unit}`;
+
+const formatDate = (createdAt: string) => new Date(createdAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+// Scores use the full 0-10 range; measurements fit their values and the target range
+const valueRange = ({ kind, target }: ProgressSeries, charted: number[]): [number, number] => {
+  if (kind === 'score') return [0, 10];
+  const values = target ? [...charted, ...target.ideal] : charted;
+  const low = Math.min(...values);
+  const high = Math.max(...values);
+  const margin = (high - low) * 0.1 || Math.abs(high) * 0.1 || 1;
+  return [low - margin, high + margin];
+};
+
+const ProgressChart: React.FC<ProgressChartProps> = ({ series, selectedId, onSelect }) => {
+  // Values judged by size only are charted as sizes, like their target
+  const charted = series.points.map(point => ({
+    ...point,
+    value: series.target && series.target.absolute ? Math.abs(point.value) : point.value
+  }));
+  const [low, high] = valueRange(series, charted.map(point => point.value));
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const x = (index: number) => PADDING.left + (charted.length > 1 ? (index / (charted.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (value: number) => PADDING.top + (1 - (value - low) / (high - low)) * plotHeight;
+  const latest = charted[charted.length - 1];
+
+  return (
+    <Box sx={{ p: 2, borderRadius: 2, border: '1px solid #e9ecef', backgroundColor: '#ffffff' }}>
+      <Box display="flex" alignItems="baseline" justifyContent="space-between" gap={1}>
+        <Typography variant="subtitle2" sx={{ fontWeight: 'bold', color: '#2c3e50' }}>{series.label}</Typography>
+        <Typography variant="subtitle2" color="text.secondary">{formatValue(latest.value, series.unit)}</Typography>
+      </Box>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} width="100%" role="img" aria-label={`${series.label} over time`}>
+        {series.target && (
+          <rect
+            x={PADDING.left}
+            width={plotWidth}
+            y={y(Math.min(series.target.ideal[1], high))}
+            height={Math.max(0, y(Math.max(series.target.ideal[0], low)) - y(Math.min(series.target.ideal[1], high)))}
+            fill="rgba(39, 174, 96, 0.12)"
+          >
+            <title>Target {series.target.ideal[0]}–{series.target.ideal[1]}{series.unit}</title>
+          </rect>
+        )}
+        {[low, high].map(value => (
+          <g key={value}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(value)} y2={y(value)} stroke="#ecf0f1" />
+            <text x={PADDING.left - 4} y={y(value) + 4} textAnchor="end" fontSize="10" fill="#7f8c8d">
+              {Math.round(value * 10) / 10}
+            </text>
+          </g>
+        ))}
+        <polyline
+          points={charted.map((point, index) => `${x(index)},${y(point.value)}`).join(' ')}
+          fill="none"
+          stroke="#2c3e50"
+          strokeWidth={2}
+        />
+        {charted.map((point, index) => (
+          <circle
+            key={point.analysisId}
+            cx={x(index)}
+            cy={y(point.value)}
+            r={point.analysisId === selectedId ? 6 : 4}
+            fill={point.analysisId === selectedId ? '#e74c3c' : '#2c3e50'}
+            style={{ cursor: onSelect ? 'pointer' : undefined }}
+            onClick={() => onSelect && onSelect(point.analysisId)}
+          >
+            <title>{formatDate(point.createdAt)}: {formatValue(point.value, series.unit)}</title>
+          </circle>
+        ))}
+        {charted.length > 0 && (
+          <text x={x(0)} y={HEIGHT - 6} textAnchor={charted.length > 1 ? 'start' : 'middle'} fontSize="10" fill="#7f8c8d">
+            {formatDate(charted[0].createdAt)}
+          </text>
+        )}
+        {charted.length > 1 && (
+          <text x={x(charted.length - 1)} y={HEIGHT - 6} textAnchor="end" fontSize="10" fill="#7f8c8d">
+            {formatDate(latest.createdAt)}
+          </text>
+        )}
+      </svg>
+    </Box>
+  );
+};
+
+export default ProgressChart;
@@ -0,0 +1,226 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Card,
+  Chip,
+  CircularProgress,
+  MenuItem,
+  TextField,
+  Typography
+} from '@mui/material';
+import { TrendingDown, TrendingUp } from '@mui/icons-material';
+import ProgressChart, { ProgressSeries, formatValue } from './ProgressChart';
+import SportSelector, { SportOption } from './SportSelector';
+import API_BASE_URL from '../config';
+
+export interface ProgressSession {
+  analysisId: string;
+  createdAt: string;
+  videoName: string | null;
+  sport: string | null;
+  maneuver: string | null;
+  scores: Record<string, number | null>;
+  metrics: Record<string, number>;
+}
+
+// How a score or measurement changed between two sessions; improvement is in 0-10 points
+export interface ProgressChange {
+  key: string;
+  kind: 'score' | 'metric';
+  label: string;
+  unit: string;
+  from: number;
+  to: number;
+  change: number;
+  improvement: number | null;
+  trend: 'gain' | 'setback' | 'steady';
+}
+
+interface ProgressData {
+  sport: string;
+  sessions: ProgressSession[];
+  series: ProgressSeries[];
+  highlights: { from: string; to: string; gains: ProgressChange[]; setbacks: ProgressChange[] } | null;
+}
+
+interface ProgressPageProps {
+  riderId: string;
+  sports: SportOption[];
+  // Sport shown first
+  sport: string;
+}
+
+const TREND_COLORS: Record<ProgressChange['trend'], string> = {
+  gain: '#27ae60',
+  setback: '#e74c3c',
+  steady: '#7f8c8d'
+};
+
+const sessionLabel = (session: ProgressSession) => `${new Date(session.createdAt).toLocaleDateString()}${session.maneuver ? ` · ${session.maneuver}` : ''}${session.videoName ? ` · ${session.videoName}` : ''}`;
+
+const describeChange = (change: ProgressChange) => `${change.label}: ${formatValue(change.from, change.unit)} → ${formatValue(change.to, change.unit)}`;
+
+const ChangeList: React.FC<{ title: string; changes: ProgressChange[]; empty: string; icon: React.ReactNode }> = ({ title, changes, empty, icon }) => (
+  <Box flex={1} sx={{ p: 2, borderRadius: 2, border: '1px solid #e9ecef', backgroundColor: '#ffffff' }}>
+    <Typography variant="subtitle1" sx={{ fontWeight: 'bold', color: '#2c3e50', display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+      {icon}
+      {title}
+    </Typography>
+    {changes.length === 0 && <Typography variant="body2" color="text.secondary">{empty}</Typography>}
+    {changes.map(change => (
+      <Typography key={change.key} variant="body2" sx={{ mt: 0.5 }}>
+        {describeChange(change)}
+        {change.improvement !== null && (
+          <Typography component="span" variant="caption" sx={{ ml: 1, color: TREND_COLORS[change.trend], fontWeight: 'bold' }}>
+            {change.improvement > 0 ? '+' : ''}{change.improvement}
+          </Typography>
+        )}
+      </Typography>
+    ))}
+  </Box>
+);
+
+const ProgressPage: React.FC<ProgressPageProps> = ({ riderId, sports, sport: initialSport }) => {
+  const [sport, setSport] = useState(initialSport);
+  const [progress, setProgress] = useState<ProgressData | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [fromId, setFromId] = useState('');
+  const [toId, setToId] = useState('');
+  const [changes, setChanges] = useState<ProgressChange[]>([]);
+
+  useEffect(() => {
+    setProgress(null);
+    setError(null);
+    fetch(`${API_BASE_URL}/api/riders/${riderId}/progress?sport=${encodeURIComponent(sport)}`)
+      .then(response => response.json())
+      .then((data) => {
+        if (!data.success) throw new Error(data.error || 'Could not load progress');
+        setProgress(data);
+        // Start by comparing the latest session with the one before it
+        const sessions: ProgressSession[] = data.sessions;
+        setToId(sessions.length > 0 ? sessions[sessions.length - 1].analysisId : '');
+        setFromId(sessions.length > 1 ? sessions[sessions.length - 2].analysisId : '');
+      })
+      .catch((loadError) => {
+        console.error('Error loading progress:', loadError);
+        setError(loadError instanceof Error ? loadError.message : 'Could not load progress');
+      });
+  }, [riderId, sport]);
+
+  useEffect(() => {
+    if (!fromId || !toId || fromId === toId) {
+      setChanges([]);
+      return;
+    }
+    fetch(`${API_BASE_URL}/api/riders/${riderId}/progress/compare?from=${fromId}&to=${toId}`)
+      .then(response => response.json())
+      .then(data => setChanges(data.success ? data.changes : []))
+      .catch((compareError) => {
+        console.error('Error comparing sessions:', compareError);
+        setChanges([]);
+      });
+  }, [riderId, fromId, toId]);
+
+  const sessions = progress ? progress.sessions : [];
+
+  return (
+    <Box display="flex" flexDirection="column" gap={3}>
+      <SportSelector sports={sports} value={sport} onChange={setSport} />
+
+      {error && <Alert severity="error">{error}</Alert>}
+      {!progress && !error && (
+        <Box display="flex" justifyContent="center" sx={{ py: 4 }}><CircularProgress /></Box>
+      )}
+      {progress && sessions.length === 0 && (
+        <Alert severity="info">No analyses with this rider profile yet. Upload a video to start tracking your progress.</Alert>
+      )}
+      {progress && sessions.length === 1 && (
+        <Alert severity="info">One session so far. Upload another video to see what changed.</Alert>
+      )}
+
+      {progress && progress.highlights && (
+        <Card sx={{ p: 3, borderRadius: 3, boxShadow: '0 8px 32px rgba(0, 0, 0, 0.08)' }}>
+          <Typography variant="h5" sx={{ mb: 1, color: '#333', textAlign: 'center', fontWeight: 'bold' }}>
+            📈 Since your first session
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2, textAlign: 'center' }}>
+            Changes are rated in points out of 10: scores as they are, measurements by how much closer they came to their target range.
+          </Typography>
+          <Box display="flex" gap={2} flexDirection={{ xs: 'column', md: 'row' }}>
+            <ChangeList
+              title="Biggest gains"
+              changes={progress.highlights.gains}
+              empty="Nothing has clearly improved yet."
+              icon={<TrendingUp sx={{ color: TREND_COLORS.gain }} />}
+            />
+            <ChangeList
+              title="Biggest setbacks"
+              changes={progress.highlights.setbacks}
+              empty="Nothing has clearly slipped."
+              icon={<TrendingDown sx={{ color: TREND_COLORS.setback }} />}
+            />
+          </Box>
+        </Card>
+      )}
+
+      {progress && progress.series.length > 0 && (
+        <Card sx={{ p: 3, borderRadius: 3, boxShadow: '0 8px 32px rgba(0, 0, 0, 0.08)' }}>
+          <Typography variant="h5" sx={{ mb: 1, color: '#333', textAlign: 'center', fontWeight: 'bold' }}>
+            📊 Over time
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2, textAlign: 'center' }}>
+            Green bands mark the target range. Click a session to compare it.
+          </Typography>
+          <Box display="grid" gridTemplateColumns={{ xs: '1fr', sm: '1fr 1fr', md: '1fr 1fr 1fr' }} gap={2}>
+            {progress.series.map(series => (
+              <ProgressChart key={series.key} series={series} selectedId={toId} onSelect={setToId} />
+            ))}
+          </Box>
+        </Card>
+      )}
+
+      {sessions.length > 1 && (
+        <Card sx={{ p: 3, borderRadius: 3, boxShadow: '0 8px 32px rgba(0, 0, 0, 0.08)' }}>
+          <Typography variant="h5" sx={{ mb: 2, color: '#333', textAlign: 'center', fontWeight: 'bold' }}>
+            🔍 Compare sessions
+          </Typography>
+          <Box display="flex" gap={2} flexDirection={{ xs: 'column', md: 'row' }} sx={{ mb: 2 }}>
+            {[{ label: 'From', value: fromId, onChange: setFromId }, { label: 'To', value: toId, onChange: setToId }].map(field => (
+              <TextField
+                key={field.label}
+                select
+                fullWidth
+                size="small"
+                label={field.label}
+                value={field.value}
+                onChange={event => field.onChange(event.target.value)}
+              >
+                {sessions.map(session => (
+                  <MenuItem key={session.analysisId} value={session.analysisId}>{sessionLabel(session)}</MenuItem>
+                ))}
+              </TextField>
+            ))}
+          </Box>
+          {changes.length === 0 && (
+            <Typography variant="body2" color="text.secondary">Pick two different sessions.</Typography>
+          )}
+          <Box display="flex" flexDirection="column" gap={1}>
+            {changes.map(change => (
+              <Box key={change.key} display="flex" alignItems="center" justifyContent="space-between" gap={1}>
+                <Typography variant="body2">{describeChange(change)}</Typography>
+                <Chip
+                  size="small"
+                  label={change.trend === 'steady' ? 'Steady' : `${change.improvement !== null && change.improvement > 0 ? '+' : ''}${change.improvement}`}
+                  sx={{ backgroundColor: TREND_COLORS[change.trend], color: 'white', fontWeight: 'bold' }}
+                />
+              </Box>
+            ))}
+          </Box>
+        </Card>
+      )}
+    </Box>
+  );
+};
+
+export default ProgressPage;
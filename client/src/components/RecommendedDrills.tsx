@@ -0,0 +1,99 @@
+import React from 'react';
+import {
+  Box,
+  Chip,
+  Typography
+} from '@mui/material';
+
+// A drill of the drill library (server/schemas/drill.schema.json)
+export interface Drill {
+  id: string;
+  name: string;
+  sport: string;
+  faults: string[];
+  difficulty: 'beginner' | 'intermediate' | 'advanced' | 'expert';
+  equipment: string[];
+  steps: string[];
+  durationMinutes: number;
+  dosage?: string;
+  purpose?: string;
+}
+
+// A fault the analysis found in the measurements, scores or maneuver segments
+export interface DetectedFault {
+  id: string;
+  label: string;
+  category: string;
+  severity: number;
+  // Clip average of metric (the category score when metric is null) and the range it should reach
+  metric: string | null;
+  value: number | null;
+  target: [number, number] | null;
+  evidence: string;
+}
+
+export interface DrillRecommendation {
+  drill: Drill;
+  faults: string[];
+  reason: string;
+}
+
+interface RecommendedDrillsProps {
+  recommendations: DrillRecommendation[];
+  faults: DetectedFault[];
+}
+
+const DIFFICULTY_COLORS: Record<Drill['difficulty'], string> = {
+  beginner: '#27ae60',
+  intermediate: '#2980b9',
+  advanced: '#f39c12',
+  expert: '#e74c3c'
+};
+
+const RecommendedDrills: React.FC<RecommendedDrillsProps> = ({ recommendations, faults }) => (
+  <Box>
+    {faults.length > 0 && (
+      <Box display="flex" gap={1} flexWrap="wrap" justifyContent="center" sx={{ mb: 3 }}>
+        {faults.map(fault => (
+          <Chip key={fault.id} variant="outlined" label={fault.label} title={fault.evidence} />
+        ))}
+      </Box>
+    )}
+
+    <Box display="grid" gridTemplateColumns={{ xs: '1fr', md: '1fr 1fr' }} gap={2}>
+      {recommendations.map(({ drill, reason }) => (
+        <Box key={drill.id} sx={{ p: 2, borderRadius: 2, border: '1px solid #e9ecef', backgroundColor: '#ffffff' }}>
+          <Box display="flex" alignItems="center" justifyContent="space-between" gap={1} flexWrap="wrap">
+            <Typography variant="subtitle1" sx={{ fontWeight: 'bold', color: '#2c3e50' }}>
+              {drill.name}
+            </Typography>
+            <Chip
+              size="small"
+              label={drill.difficulty}
+              sx={{ backgroundColor: DIFFICULTY_COLORS[drill.difficulty], color: 'white', textTransform: 'capitalize' }}
+            />
+          </Box>
+          <Typography variant="caption" color="text.secondary">
+            ⏱️ {drill.durationMinutes} min{drill.dosage ? ` · ${drill.dosage}` : ''}
+            {drill.equipment.length > 0 ? ` · ${drill.equipment.join(', ')}` : ''}
+          </Typography>
+          <Typography variant="body2" sx={{ mt: 1, fontStyle: 'italic', color: '#555' }}>
+            🎯 {reason}
+          </Typography>
+          <Box component="ol" sx={{ pl: 2.5, mt: 1, mb: 0 }}>
+            {drill.steps.map((step, index) => (
+              <Typography key={index} component="li" variant="body2" sx={{ mb: 0.5 }}>
+                {step}
+              </Typography>
+            ))}
+          </Box>
+          {drill.purpose && (
+            <Typography variant="caption" color="text.secondary">Purpose: {drill.purpose}</Typography>
+          )}
+        </Box>
+      ))}
+    </Box>
+  </Box>
+);
+
+export default RecommendedDrills;
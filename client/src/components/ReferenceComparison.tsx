@@ -0,0 +1,220 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Chip,
+  Typography
+} from '@mui/material';
+
+interface MatchedFrame {
+  frame: number;
+  timestamp: number;
+}
+
+interface PhaseDifference {
+  key: string;
+  label: string;
+  unit: string;
+  rider: number;
+  reference: number;
+  difference: number;
+  weight: number;
+}
+
+// Result of lining a run up with a reference run (server/pose-comparison.js)
+export interface RunComparison {
+  available: boolean;
+  reason: string | null;
+  mirrored: boolean;
+  similarity: number | null;
+  keyFrames: Array<{ phase: string; label: string; rider: MatchedFrame; reference: MatchedFrame }>;
+  phases: Array<{
+    phase: string;
+    label: string;
+    riderFrames: [number, number];
+    referenceFrames: [number, number] | null;
+    differences: PhaseDifference[];
+  }>;
+  timeMap: Array<{ rider: number; reference: number }>;
+}
+
+export interface ReferenceRun {
+  analysisId: string | null;
+  videoName: string | null;
+  poseVideoUrl: string | null;
+  maneuver: string | null;
+}
+
+interface ReferenceComparisonProps {
+  comparison: RunComparison;
+  reference: ReferenceRun | null;
+  riderVideo: File | null;
+  // The reference clip when it was uploaded with the run, else its stored pose video is played
+  referenceVideo: File | null;
+  apiBaseUrl: string;
+}
+
+// Differences shown per phase, and the smallest one worth showing (30° or 0.5 torso lengths = 1)
+const SHOWN_DIFFERENCES = 4;
+const SHOWN_WEIGHT = 0.2;
+
+// How far the reference may drift from its matched time before it is moved there
+const SYNC_TOLERANCE_SECONDS = 0.15;
+
+// Reference time matched to a rider time, interpolated between aligned frames
+const referenceTime = (timeMap: RunComparison['timeMap'], time: number) => {
+  if (timeMap.length === 0) return time;
+  if (time <= timeMap[0].rider) return Math.max(0, timeMap[0].reference - (timeMap[0].rider - time));
+  const last = timeMap[timeMap.length - 1];
+  if (time >= last.rider) return last.reference + (time - last.rider);
+  const next = timeMap.findIndex(entry => entry.rider > time);
+  const before = timeMap[next - 1];
+  const after = timeMap[next];
+  return before.reference + ((time - before.rider) / (after.rider - before.rider)) * (after.reference - before.reference);
+};
+
+// Object URL for a picked file, released when the file changes
+const useFileUrl = (file: File | null) => {
+  const [url, setUrl] = useState<string | null>(null);
+  useEffect(() => {
+    if (!file) {
+      setUrl(null);
+      return undefined;
+    }
+    const objectUrl = URL.createObjectURL(file);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [file]);
+  return url;
+};
+
+const formatAmount = (value: number, unit: string) => `${value}${unit}`;
+
+const ReferenceComparison: React.FC<ReferenceComparisonProps> = ({ comparison, reference, riderVideo, referenceVideo, apiBaseUrl }) => {
+  const riderRef = useRef<HTMLVideoElement>(null);
+  const referenceRef = useRef<HTMLVideoElement>(null);
+  const riderUrl = useFileUrl(riderVideo);
+  const uploadedReferenceUrl = useFileUrl(referenceVideo);
+  const referenceUrl = uploadedReferenceUrl || (reference && reference.poseVideoUrl ? `${apiBaseUrl}${reference.poseVideoUrl}` : null);
+
+  // The rider's clip leads; the reference follows the aligned time, speeding up or
+  // slowing down where one run was quicker than the other
+  useEffect(() => {
+    const riderElement = riderRef.current;
+    const referenceElement = referenceRef.current;
+    if (!riderElement || !referenceElement) return undefined;
+    let animationFrame = 0;
+
+    const sync = () => {
+      const time = riderElement.currentTime;
+      const target = referenceTime(comparison.timeMap, time);
+      if (Math.abs(referenceElement.currentTime - target) > SYNC_TOLERANCE_SECONDS) {
+        referenceElement.currentTime = target;
+      }
+      const rate = (referenceTime(comparison.timeMap, time + 0.2) - target) / 0.2;
+      referenceElement.playbackRate = Math.min(Math.max(rate, 0.25), 4) * riderElement.playbackRate;
+    };
+    const follow = () => {
+      sync();
+      animationFrame = requestAnimationFrame(follow);
+    };
+    const handlePlay = () => {
+      referenceElement.play().catch(() => undefined);
+      cancelAnimationFrame(animationFrame);
+      follow();
+    };
+    const handlePause = () => {
+      cancelAnimationFrame(animationFrame);
+      referenceElement.pause();
+      sync();
+    };
+
+    riderElement.addEventListener('play', handlePlay);
+    riderElement.addEventListener('pause', handlePause);
+    riderElement.addEventListener('seeked', sync);
+    return () => {
+      cancelAnimationFrame(animationFrame);
+      riderElement.removeEventListener('play', handlePlay);
+      riderElement.removeEventListener('pause', handlePause);
+      riderElement.removeEventListener('seeked', sync);
+    };
+  }, [comparison.timeMap, riderUrl, referenceUrl]);
+
+  const jumpTo = (timestamp: number) => {
+    if (riderRef.current) riderRef.current.currentTime = timestamp;
+  };
+
+  if (!comparison.available) {
+    return <Alert severity="warning">The run could not be compared with the reference: {comparison.reason}</Alert>;
+  }
+
+  return (
+    <Box>
+      <Box display="flex" gap={1} flexWrap="wrap" justifyContent="center" sx={{ mb: 2 }}>
+        <Chip label={`Movement match: ${comparison.similarity}/10`} sx={{ backgroundColor: '#2c3e50', color: 'white', fontWeight: 'bold' }} />
+        {reference && reference.maneuver && <Chip variant="outlined" label={`Reference: ${reference.maneuver}`} />}
+        {comparison.mirrored && <Chip variant="outlined" label="Reference mirrored to your stance" />}
+      </Box>
+
+      <Box display="flex" gap={2} flexDirection={{ xs: 'column', md: 'row' }} sx={{ mb: 2 }}>
+        <Box flex={1}>
+          <Typography variant="subtitle2" sx={{ mb: 0.5 }}>Your run</Typography>
+          {riderUrl
+            ? <video ref={riderRef} src={riderUrl} controls muted style={{ width: '100%', borderRadius: 8, backgroundColor: '#000' }} />
+            : <Typography variant="body2" color="text.secondary">Your clip is only available in the browser it was uploaded from.</Typography>}
+        </Box>
+        <Box flex={1}>
+          <Typography variant="subtitle2" sx={{ mb: 0.5 }}>
+            Reference{reference && reference.videoName ? `: ${reference.videoName}` : ''}
+          </Typography>
+          {referenceUrl
+            ? <video ref={referenceRef} src={referenceUrl} muted style={{ width: '100%', borderRadius: 8, backgroundColor: '#000' }} />
+            : <Typography variant="body2" color="text.secondary">The reference analysis has no video to play.</Typography>}
+        </Box>
+      </Box>
+
+      {comparison.keyFrames.length > 0 && (
+        <Box display="flex" gap={1} flexWrap="wrap" justifyContent="center" sx={{ mb: 3 }}>
+          {comparison.keyFrames.map(keyFrame => (
+            <Chip
+              key={keyFrame.phase}
+              clickable
+              onClick={() => jumpTo(keyFrame.rider.timestamp)}
+              label={`${keyFrame.label}: frame ${keyFrame.rider.frame} ↔ ${keyFrame.reference.frame}`}
+            />
+          ))}
+        </Box>
+      )}
+
+      <Box display="flex" flexDirection="column" gap={2}>
+        {comparison.phases.map((phase) => {
+          const shown = phase.differences.filter(difference => difference.weight >= SHOWN_WEIGHT).slice(0, SHOWN_DIFFERENCES);
+          return (
+            <Box key={phase.phase} sx={{ p: 2, borderRadius: 2, border: '1px solid #e9ecef', backgroundColor: '#ffffff' }}>
+              <Typography variant="subtitle1" sx={{ fontWeight: 'bold', color: '#2c3e50', textTransform: 'capitalize' }}>
+                {phase.label}
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                Your frames {phase.riderFrames[0]}-{phase.riderFrames[1]}
+                {phase.referenceFrames ? `, reference frames ${phase.referenceFrames[0]}-${phase.referenceFrames[1]}` : ''}
+              </Typography>
+              {shown.length === 0 && (
+                <Typography variant="body2" sx={{ mt: 1 }}>Close to the reference throughout.</Typography>
+              )}
+              {shown.map(difference => (
+                <Typography key={difference.key} variant="body2" sx={{ mt: 0.5 }}>
+                  📐 {difference.label}: {formatAmount(difference.rider, difference.unit)} vs {formatAmount(difference.reference, difference.unit)}
+                  <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                    ({formatAmount(Math.round(Math.abs(difference.difference) * 100) / 100, difference.unit)} {difference.difference < 0 ? 'less' : 'more'})
+                  </Typography>
+                </Typography>
+              ))}
+            </Box>
+          );
+        })}
+      </Box>
+    </Box>
+  );
+};
+
+export default ReferenceComparison;
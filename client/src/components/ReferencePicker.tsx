@@ -0,0 +1,117 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  MenuItem,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography
+} from '@mui/material';
+import { CompareArrows } from '@mui/icons-material';
+import API_BASE_URL from '../config';
+
+// The run the next upload is compared with: a second clip or a stored analysis
+export type ReferenceChoice =
+  | { kind: 'video'; file: File }
+  | { kind: 'stored'; analysisId: string; label: string };
+
+interface StoredAnalysis {
+  id: string;
+  createdAt: string;
+  videoName: string | null;
+  maneuver: string | null;
+  hasKeypoints: boolean;
+}
+
+interface ReferencePickerProps {
+  value: ReferenceChoice | null;
+  onChange: (reference: ReferenceChoice | null) => void;
+  disabled?: boolean;
+}
+
+const storedLabel = (analysis: StoredAnalysis) => `${analysis.videoName || 'Untitled clip'}${analysis.maneuver ? ` · ${analysis.maneuver}` : ''} · ${new Date(analysis.createdAt).toLocaleDateString()}`;
+
+const ReferencePicker: React.FC<ReferencePickerProps> = ({ value, onChange, disabled }) => {
+  const [mode, setMode] = useState<'none' | 'video' | 'stored'>(value ? value.kind : 'none');
+  const [stored, setStored] = useState<StoredAnalysis[]>([]);
+
+  // Only analyses with measured keypoints can be lined up with a new run
+  useEffect(() => {
+    if (mode !== 'stored') return;
+    fetch(`${API_BASE_URL}/api/analyses?limit=100`)
+      .then(response => response.json())
+      .then(data => setStored((data.analyses || []).filter((analysis: StoredAnalysis) => analysis.hasKeypoints)))
+      .catch(error => console.error('Error loading stored analyses:', error));
+  }, [mode]);
+
+  const handleMode = (next: 'none' | 'video' | 'stored' | null) => {
+    if (!next) return;
+    setMode(next);
+    onChange(null);
+  };
+
+  const handleFile = (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files && event.target.files[0];
+    if (file) onChange({ kind: 'video', file });
+  };
+
+  const handleStored = (analysisId: string) => {
+    const analysis = stored.find(entry => entry.id === analysisId);
+    if (analysis) onChange({ kind: 'stored', analysisId, label: storedLabel(analysis) });
+  };
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+        <CompareArrows fontSize="small" /> Compare with a reference run of the same maneuver (optional)
+      </Typography>
+      <ToggleButtonGroup
+        exclusive
+        fullWidth
+        size="small"
+        value={mode}
+        disabled={disabled}
+        onChange={(_, next: 'none' | 'video' | 'stored' | null) => handleMode(next)}
+        aria-label="Reference run"
+        sx={{ mt: 0.5 }}
+      >
+        <ToggleButton value="none" sx={{ textTransform: 'none' }}>No reference</ToggleButton>
+        <ToggleButton value="video" sx={{ textTransform: 'none' }}>Reference clip</ToggleButton>
+        <ToggleButton value="stored" sx={{ textTransform: 'none' }}>Earlier analysis</ToggleButton>
+      </ToggleButtonGroup>
+
+      {mode === 'video' && (
+        <Box display="flex" alignItems="center" gap={1} sx={{ mt: 1 }}>
+          <Button size="small" variant="outlined" component="label" disabled={disabled}>
+            Choose clip
+            <input hidden type="file" accept="video/*" onChange={handleFile} />
+          </Button>
+          <Typography variant="body2" color="text.secondary" noWrap>
+            {value && value.kind === 'video' ? value.file.name : 'A coach\'s or pro\'s run'}
+          </Typography>
+        </Box>
+      )}
+
+      {mode === 'stored' && (
+        <TextField
+          select
+          fullWidth
+          size="small"
+          label="Reference analysis"
+          value={value && value.kind === 'stored' ? value.analysisId : ''}
+          onChange={event => handleStored(event.target.value)}
+          disabled={disabled}
+          helperText={stored.length === 0 ? 'No stored analysis has pose keypoints yet' : undefined}
+          sx={{ mt: 1 }}
+        >
+          {stored.map(analysis => (
+            <MenuItem key={analysis.id} value={analysis.id}>{storedLabel(analysis)}</MenuItem>
+          ))}
+        </TextField>
+      )}
+    </Box>
+  );
+};
+
+export default ReferencePicker;
@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Checkbox,
+  FormControlLabel,
+  Typography
+} from '@mui/material';
+import { Download, Print } from '@mui/icons-material';
+import API_BASE_URL from '../config';
+
+interface ReportDownloadProps {
+  analysisId: string;
+  // Whether the rider has asked the coach anything yet
+  hasChat: boolean;
+}
+
+// Coaching report of a stored analysis, rendered by the server (/api/analyses/:id/report)
+const ReportDownload: React.FC<ReportDownloadProps> = ({ analysisId, hasChat }) => {
+  const [includeChat, setIncludeChat] = useState(false);
+  const reportUrl = (format: 'pdf' | 'html') => `${API_BASE_URL}/api/analyses/${analysisId}/report?format=${format}${includeChat && hasChat ? '&chat=true' : ''}`;
+
+  return (
+    <Box>
+      <Typography variant="subtitle2" sx={{ fontWeight: 'bold', color: '#2c3e50', mb: 1 }}>
+        📄 Coaching report
+      </Typography>
+      <Box display="flex" gap={1} flexWrap="wrap" alignItems="center">
+        <Button variant="outlined" size="small" startIcon={<Download />} href={reportUrl('pdf')}>
+          PDF
+        </Button>
+        <Button variant="outlined" size="small" startIcon={<Print />} href={reportUrl('html')} target="_blank">
+          Printable page
+        </Button>
+        <FormControlLabel
+          control={<Checkbox size="small" checked={includeChat && hasChat} onChange={event => setIncludeChat(event.target.checked)} disabled={!hasChat} />}
+          label={<Typography variant="body2">Include chat Q&amp;A</Typography>}
+        />
+      </Box>
+    </Box>
+  );
+};
+
+export default ReportDownload;
@@ -0,0 +1,200 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography
+} from '@mui/material';
+import { Person } from '@mui/icons-material';
+import { SportOption } from './SportSelector';
+
+export type SkillLevel = 'beginner' | 'intermediate' | 'advanced' | 'expert';
+
+// Same fields as server/schemas/rider-profile.schema.json
+export interface RiderProfile {
+  id?: string;
+  name: string;
+  sport?: string;
+  skillLevel: SkillLevel;
+  stance?: 'regular' | 'goofy';
+  homeTerrain?: string;
+  goals?: string[];
+  limitations?: string[];
+}
+
+const SKILL_LEVELS: Array<{ id: SkillLevel; label: string; hint: string }> = [
+  { id: 'beginner', label: 'Beginner', hint: 'Learning balance, speed control and basic turns' },
+  { id: 'intermediate', label: 'Intermediate', hint: 'Linked turns on moderate terrain, first tricks' },
+  { id: 'advanced', label: 'Advanced', hint: 'Most terrain, refining technique and harder tricks' },
+  { id: 'expert', label: 'Expert', hint: 'Everything, wants fine technical detail' }
+];
+
+interface RiderProfileFormProps {
+  rider: RiderProfile | null;
+  sports: SportOption[];
+  // Sport a new profile starts with
+  sport: string;
+  onSave: (profile: RiderProfile) => Promise<void>;
+  disabled?: boolean;
+}
+
+// Goals and limitations are edited one per line
+const toLines = (items?: string[]) => (items || []).join('\n');
+const fromLines = (text: string) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+const RiderProfileForm: React.FC<RiderProfileFormProps> = ({ rider, sports, sport, onSave, disabled }) => {
+  const [open, setOpen] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [name, setName] = useState('');
+  const [riderSport, setRiderSport] = useState(sport);
+  const [skillLevel, setSkillLevel] = useState<SkillLevel>('beginner');
+  const [stance, setStance] = useState<'regular' | 'goofy' | ''>('');
+  const [homeTerrain, setHomeTerrain] = useState('');
+  const [goals, setGoals] = useState('');
+  const [limitations, setLimitations] = useState('');
+
+  const hasStance = (sports.find(option => option.id === riderSport) || { hasStance: true }).hasStance !== false;
+
+  const handleOpen = () => {
+    setName(rider ? rider.name : '');
+    setRiderSport(rider && rider.sport ? rider.sport : sport);
+    setSkillLevel(rider ? rider.skillLevel : 'beginner');
+    setStance(rider && rider.stance ? rider.stance : '');
+    setHomeTerrain(rider && rider.homeTerrain ? rider.homeTerrain : '');
+    setGoals(toLines(rider?.goals));
+    setLimitations(toLines(rider?.limitations));
+    setError(null);
+    setOpen(true);
+  };
+
+  const handleSave = async () => {
+    const profile: RiderProfile = {
+      name: name.trim(),
+      sport: riderSport,
+      skillLevel,
+      goals: fromLines(goals),
+      limitations: fromLines(limitations)
+    };
+    if (stance && hasStance) profile.stance = stance;
+    if (homeTerrain.trim()) profile.homeTerrain = homeTerrain.trim();
+
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave(profile);
+      setOpen(false);
+    } catch (saveError) {
+      setError(saveError instanceof Error ? saveError.message : 'Could not save the profile');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Box sx={{ mb: 2, display: 'flex', alignItems: 'center', gap: 1 }}>
+      <Person sx={{ color: 'text.secondary' }} />
+      <Typography variant="body2" color="text.secondary" sx={{ flex: 1 }}>
+        {rider
+          ? `${rider.name} · ${rider.skillLevel}${rider.stance ? ` · ${rider.stance}` : ''}${rider.goals && rider.goals.length > 0 ? ` · goal: ${rider.goals[0]}` : ''}`
+          : 'Add a rider profile so the advice and drills fit your level and goals.'}
+      </Typography>
+      <Button size="small" variant="outlined" onClick={handleOpen} disabled={disabled}>
+        {rider ? 'Edit profile' : 'Create profile'}
+      </Button>
+
+      <Dialog open={open} onClose={() => !saving && setOpen(false)} fullWidth maxWidth="sm">
+        <DialogTitle>Rider profile</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+            {error && <Alert severity="error">{error}</Alert>}
+            <TextField
+              label="Name"
+              value={name}
+              onChange={event => setName(event.target.value)}
+              inputProps={{ maxLength: 80 }}
+              required
+            />
+            <TextField
+              select
+              label="Sport"
+              value={riderSport}
+              onChange={event => setRiderSport(event.target.value)}
+            >
+              {sports.map(option => (
+                <MenuItem key={option.id} value={option.id}>{option.label}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              label="Skill level"
+              value={skillLevel}
+              onChange={event => setSkillLevel(event.target.value as SkillLevel)}
+              helperText={SKILL_LEVELS.find(level => level.id === skillLevel)?.hint}
+            >
+              {SKILL_LEVELS.map(level => (
+                <MenuItem key={level.id} value={level.id}>{level.label}</MenuItem>
+              ))}
+            </TextField>
+            {hasStance && (
+              <Box>
+                <Typography variant="caption" color="text.secondary">Stance</Typography>
+                <ToggleButtonGroup
+                  exclusive
+                  fullWidth
+                  size="small"
+                  value={stance}
+                  onChange={(_, value: 'regular' | 'goofy' | null) => setStance(value || '')}
+                  aria-label="Stance"
+                >
+                  <ToggleButton value="regular" sx={{ textTransform: 'none' }}>Regular (left foot forward)</ToggleButton>
+                  <ToggleButton value="goofy" sx={{ textTransform: 'none' }}>Goofy (right foot forward)</ToggleButton>
+                </ToggleButtonGroup>
+              </Box>
+            )}
+            <TextField
+              label="Home terrain"
+              placeholder="e.g. groomers and small park jumps"
+              value={homeTerrain}
+              onChange={event => setHomeTerrain(event.target.value)}
+              inputProps={{ maxLength: 200 }}
+            />
+            <TextField
+              label="Goals"
+              placeholder="One per line, e.g. land a backside 180"
+              value={goals}
+              onChange={event => setGoals(event.target.value)}
+              multiline
+              minRows={2}
+            />
+            <TextField
+              label="Injuries and physical limitations"
+              placeholder="One per line, e.g. sore left knee"
+              value={limitations}
+              onChange={event => setLimitations(event.target.value)}
+              helperText="Drills that would load these are left out"
+              multiline
+              minRows={2}
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving || !name.trim()}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default RiderProfileForm;
@@ -0,0 +1,108 @@
+import React from 'react';
+import {
+  Box,
+  Chip,
+  LinearProgress,
+  Typography
+} from '@mui/material';
+
+export interface ScoreEvidence {
+  type: 'measurement' | 'frame' | 'observation';
+  text: string;
+  metric?: string;
+  value?: number;
+  frame?: number;
+  timestamp?: number;
+}
+
+export interface CategoryScore {
+  label: string;
+  description: string;
+  score: number | null;
+  basis: 'measured' | 'observations' | 'none';
+  evidence: ScoreEvidence[];
+}
+
+export interface TechniqueScores {
+  overall: number | null;
+  categories: Record<string, CategoryScore>;
+  weights: Record<string, number>;
+  sport?: string;
+  method: string;
+}
+
+interface ScoreBreakdownProps {
+  scores: TechniqueScores;
+}
+
+const BASIS_LABELS: Record<CategoryScore['basis'], string> = {
+  measured: 'Measured',
+  observations: 'From observations',
+  none: 'Not scored'
+};
+
+const EVIDENCE_ICONS: Record<ScoreEvidence['type'], string> = {
+  measurement: '📐',
+  frame: '🎞️',
+  observation: '💬'
+};
+
+// Red below 5, amber below 7.5, green above
+const scoreColor = (score: number) => (score < 5 ? '#e74c3c' : score < 7.5 ? '#f39c12' : '#27ae60');
+
+const ScoreBreakdown: React.FC<ScoreBreakdownProps> = ({ scores }) => (
+  <Box>
+    <Box display="flex" alignItems="baseline" justifyContent="center" gap={1} sx={{ mb: 3 }}>
+      <Typography variant="h3" sx={{ fontWeight: 'bold', color: scores.overall === null ? '#999' : scoreColor(scores.overall) }}>
+        {scores.overall === null ? '–' : scores.overall}
+      </Typography>
+      <Typography variant="h6" color="text.secondary">/ 10 overall</Typography>
+    </Box>
+
+    <Box display="flex" flexDirection="column" gap={2}>
+      {Object.entries(scores.categories).map(([id, category]) => (
+        <Box key={id} sx={{ p: 2, borderRadius: 2, border: '1px solid #e9ecef', backgroundColor: '#ffffff' }}>
+          <Box display="flex" alignItems="center" justifyContent="space-between" gap={1} sx={{ mb: 1 }}>
+            <Box>
+              <Typography variant="subtitle1" sx={{ fontWeight: 'bold', color: '#2c3e50' }}>
+                {category.label}
+                {scores.weights[id] && scores.weights[id] !== 1 && (
+                  <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                    ×{scores.weights[id]} weight
+                  </Typography>
+                )}
+              </Typography>
+              <Typography variant="caption" color="text.secondary">{category.description}</Typography>
+            </Box>
+            <Box display="flex" alignItems="center" gap={1}>
+              <Chip size="small" variant="outlined" label={BASIS_LABELS[category.basis]} />
+              <Typography variant="h6" sx={{ fontWeight: 'bold', minWidth: '3.5rem', textAlign: 'right' }}>
+                {category.score === null ? '–' : `${category.score}/10`}
+              </Typography>
+            </Box>
+          </Box>
+          {category.score !== null && (
+            <LinearProgress
+              variant="determinate"
+              value={category.score * 10}
+              sx={{
+                height: 8,
+                borderRadius: 4,
+                mb: 1,
+                backgroundColor: '#ecf0f1',
+                '& .MuiLinearProgress-bar': { backgroundColor: scoreColor(category.score) }
+              }}
+            />
+          )}
+          {category.evidence.map((evidence, index) => (
+            <Typography key={index} variant="body2" color="text.secondary" sx={{ mt: 0.5 }}>
+              {EVIDENCE_ICONS[evidence.type]} {evidence.type === 'observation' ? `“${evidence.text}”` : evidence.text}
+            </Typography>
+          ))}
+        </Box>
+      ))}
+    </Box>
+  </Box>
+);
+
+export default ScoreBreakdown;
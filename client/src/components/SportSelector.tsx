@@ -0,0 +1,70 @@
+import React from 'react';
+import {
+  Box,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography
+} from '@mui/material';
+
+export interface SportOption {
+  id: string;
+  label: string;
+  maneuvers: string[];
+  // Whether riders have a regular or goofy stance
+  hasStance?: boolean;
+  default?: boolean;
+}
+
+// Shown until /api/sports answers, and if it cannot be reached
+export const DEFAULT_SPORTS: SportOption[] = [
+  { id: 'snowboarding', label: 'Snowboarding', maneuvers: [], default: true },
+  { id: 'skateboarding', label: 'Skateboarding', maneuvers: [] },
+  { id: 'skiing', label: 'Skiing', maneuvers: [] },
+  { id: 'surfing', label: 'Surfing', maneuvers: [] }
+];
+
+const SPORT_ICONS: Record<string, string> = {
+  snowboarding: '🏂',
+  skateboarding: '🛹',
+  skiing: '⛷️',
+  surfing: '🏄'
+};
+
+interface SportSelectorProps {
+  sports: SportOption[];
+  value: string;
+  onChange: (sport: string) => void;
+  disabled?: boolean;
+}
+
+const SportSelector: React.FC<SportSelectorProps> = ({ sports, value, onChange, disabled }) => {
+  const selected = sports.find(sport => sport.id === value);
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <ToggleButtonGroup
+        exclusive
+        fullWidth
+        size="small"
+        value={value}
+        disabled={disabled}
+        // Clicking the selected sport again would clear it; keep it selected
+        onChange={(_, sport: string | null) => sport && onChange(sport)}
+        aria-label="Sport"
+      >
+        {sports.map(sport => (
+          <ToggleButton key={sport.id} value={sport.id} sx={{ textTransform: 'none' }}>
+            {SPORT_ICONS[sport.id] ? `${SPORT_ICONS[sport.id]} ` : ''}{sport.label}
+          </ToggleButton>
+        ))}
+      </ToggleButtonGroup>
+      {selected && selected.maneuvers.length > 0 && (
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+          Recognizes: {selected.maneuvers.join(', ')}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default SportSelector;
@@ -0,0 +1,449 @@
+// Coaching report export
+// A stored analysis as a branded document coaches can print or email: the overall
+// assessment, score breakdown, key frames with their skeleton overlays, measured angles,
+// faults and recommended drills, and the chat questions and answers when asked for.
+// Rendered on the server as an HTML page (html-document.js) and as a PDF (pdf-document.js).
+
+const { escapeHtml, renderDocument } = require('./html-document');
+const pdf = require('./pdf-document');
+const { METRIC_DEFINITIONS, metricValue, metricsForFrame } = require('./biomechanics');
+const { metricTarget } = require('./scoring-rubric');
+const { getSportProfile } = require('./sport-profiles');
+const { getConversation } = require('./chat-memory');
+const { skeletonShapes, renderPoseOverlay, overlayBackground } = require('./pose-overlay');
+
+// Measurements listed under each key frame
+const KEY_FRAME_METRICS = ['kneeFlexion.left', 'kneeFlexion.right', 'torsoLean', 'shoulderBoardAlignment'];
+
+const BASIS_LABELS = {
+  measured: 'Measured',
+  observations: 'From observations',
+  none: 'Not scored'
+};
+
+// Red below 5, amber below 7.5, green above (as in the app's score breakdown)
+const scoreColor = (score) => (score < 5 ? '#e74c3c' : score < 7.5 ? '#f39c12' : '#27ae60');
+
+// "Shoulder-to-board angle (0 = aligned, 90 = square)" reads as "Shoulder-to-board angle" in a caption
+const shortLabel = (label) => label.replace(/\s*\(.*\)$/, '');
+
+const formatSeconds = (seconds) => (typeof seconds === 'number' ? `${seconds.toFixed(1)}s` : null);
+
+/**
+ * Split chat and report markdown into blocks
+ * The replies only use paragraphs, "-" and "1." list items (with indented continuation
+ * lines) and **bold**
+ * Output: [{ type: 'paragraph' | 'item', marker, text }]; marker is '•' or '1.' for items
+ */
+const markdownBlocks = (markdown) => {
+  const blocks = [];
+  String(markdown || '').split(/\n\s*\n/).forEach((chunk) => {
+    let paragraph = null;
+    chunk.split('\n').forEach((line) => {
+      const item = line.match(/^\s*([-*]|\d+\.)\s+(.*)$/);
+      const last = blocks[blocks.length - 1];
+      if (item) {
+        paragraph = null;
+        blocks.push({ type: 'item', marker: /\d/.test(item[1]) ? item[1] : '•', text: item[2].trim() });
+      } else if (/^\s+\S/.test(line) && last && last.type === 'item' && !paragraph) {
+        last.text += `\n${line.trim()}`;
+      } else if (line.trim()) {
+        if (paragraph) {
+          paragraph.text += ` ${line.trim()}`;
+        } else {
+          paragraph = { type: 'paragraph', marker: null, text: line.trim() };
+          blocks.push(paragraph);
+        }
+      }
+    });
+  });
+  return blocks;
+};
+
+const stripMarkdown = (text) => text.replace(/\*\*(.+?)\*\*/g, '$1');
+
+// Pose closest to a frame number that has keypoints (hosted providers only cover a sample)
+const poseForFrame = (poseAnalyses, frameNumber) => poseAnalyses
+  .filter(pose => pose.keypoints && pose.keypoints.length > 0 && pose.imageWidth && pose.imageHeight)
+  .reduce((closest, pose) => (
+    !closest || Math.abs(pose.frame - frameNumber) < Math.abs(closest.frame - frameNumber) ? pose : closest
+  ), null);
+
+const formatTarget = (target, unit, digits) => {
+  if (!target) return '';
+  const [low, high] = target.ideal.map(value => Number(value.toFixed(digits)));
+  return `${low} to ${high}${unit}${target.absolute ? ' either way' : ''}`;
+};
+
+/**
+ * Gather what a report shows from a stored analysis
+ * Input: Stored analysis record + { chat } to include the chat questions and answers
+ * Output: { title, subtitle, assessment, summaryBlocks, scores, keyFrames, measurements, faults,
+ *         drills, conversation }; keyFrames are [{ label, time, reason, pose, background, metrics }]
+ *         and conversation is [{ question, answer }], or null without chat
+ */
+const buildReport = (record, { chat = false } = {}) => {
+  const sport = getSportProfile(record.sport);
+  const { stages } = record;
+  const biomechanics = stages.biomechanics && stages.biomechanics.available ? stages.biomechanics : null;
+  const maneuver = stages.maneuver && stages.maneuver.available ? stages.maneuver.label : null;
+
+  const keyFrames = (stages.keyFrames || []).map((keyFrame) => {
+    const pose = poseForFrame(stages.poseAnalyses || [], keyFrame.frame);
+    const entry = biomechanics ? metricsForFrame(biomechanics, keyFrame.frame) : null;
+    return {
+      label: keyFrame.label,
+      time: formatSeconds(keyFrame.timestamp),
+      reason: keyFrame.reason,
+      pose,
+      background: pose ? overlayBackground(pose.poseImageUrl) : null,
+      metrics: entry ? KEY_FRAME_METRICS
+        .map((key) => {
+          const { label, unit, digits = 1 } = METRIC_DEFINITIONS.find(definition => definition.key === key);
+          const value = metricValue(entry.metrics, key);
+          return typeof value === 'number' ? `${shortLabel(label)}: ${Number(value.toFixed(digits))}${unit}` : null;
+        })
+        .filter(Boolean) : []
+    };
+  });
+
+  const measurements = biomechanics ? METRIC_DEFINITIONS
+    .filter(({ key }) => biomechanics.summary[key])
+    .map(({ key, label, unit, digits = 1 }) => {
+      const { mean, min, max } = biomechanics.summary[key];
+      return {
+        label,
+        average: `${mean}${unit}`,
+        range: `${min} to ${max}${unit}`,
+        target: formatTarget(metricTarget(key, sport.id), unit, digits)
+      };
+    }) : [];
+
+  const scores = stages.scores && stages.scores.overall !== null && stages.scores.overall !== undefined
+    ? {
+      overall: stages.scores.overall,
+      categories: Object.values(stages.scores.categories).map(category => ({
+        label: category.label,
+        score: category.score,
+        basis: BASIS_LABELS[category.basis] || BASIS_LABELS.none,
+        evidence: category.evidence && category.evidence.length > 0 ? category.evidence[0].text : ''
+      }))
+    }
+    : null;
+
+  // Each question with the reply that followed it
+  const conversation = chat
+    ? getConversation(record).turns.reduce((pairs, turn) => {
+      if (turn.role === 'user') pairs.push({ question: turn.content, answer: '' });
+      else if (pairs.length > 0 && !pairs[pairs.length - 1].answer) pairs[pairs.length - 1].answer = turn.content;
+      return pairs;
+    }, [])
+    : null;
+
+  return {
+    title: `${sport.label} coaching report`,
+    subtitle: [
+      record.rider ? record.rider.name : null,
+      maneuver,
+      record.createdAt.slice(0, 10),
+      record.videoName
+    ].filter(Boolean).join(' · '),
+    assessment: stages.assessment,
+    // Pipelines without a structured assessment keep the report text
+    summaryBlocks: stages.assessment ? [] : markdownBlocks(record.analysis),
+    scores,
+    keyFrames,
+    measurements,
+    faults: stages.faults || [],
+    drills: stages.recommendedDrills || [],
+    conversation
+  };
+};
+
+const REPORT_STYLES = `
+  .rating { font-size: 32px; font-weight: bold; margin: 0 0 4px; }
+  .columns { display: flex; gap: 24px; }
+  .columns > div { flex: 1; }
+  .score-row { display: flex; align-items: center; gap: 12px; margin: 8px 0 2px; }
+  .score-row .label { width: 200px; font-weight: bold; }
+  .bar { flex: 1; height: 10px; background: #ecf0f1; border-radius: 5px; overflow: hidden; }
+  .bar span { display: block; height: 100%; }
+  .score-row .value { width: 60px; text-align: right; font-weight: bold; }
+  .key-frames { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; }
+  .key-frames figure { margin: 0; }
+  .key-frames img { width: 100%; border-radius: 6px; display: block; }
+  .key-frames figcaption { font-size: 13px; margin-top: 4px; }
+  .drill { margin-bottom: 14px; page-break-inside: avoid; }
+  .reason { font-style: italic; color: #555555; }
+  .question { font-weight: bold; margin: 14px 0 4px; }
+`;
+
+// Markdown blocks as HTML; list items are grouped into ul/ol
+const blocksHtml = (blocks) => {
+  const inline = (text) => escapeHtml(text).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>').replace(/\n/g, '<br>');
+  const parts = [];
+  blocks.forEach((block, index) => {
+    if (block.type === 'paragraph') {
+      parts.push(`<p>${inline(block.text)}</p>`);
+      return;
+    }
+    const tag = block.marker === '•' ? 'ul' : 'ol';
+    const previous = blocks[index - 1];
+    const next = blocks[index + 1];
+    if (!previous || previous.type !== 'item' || (previous.marker === '•') !== (tag === 'ul')) parts.push(`<${tag}>`);
+    parts.push(`<li>${inline(block.text)}</li>`);
+    if (!next || next.type !== 'item' || (next.marker === '•') !== (tag === 'ul')) parts.push(`</${tag}>`);
+  });
+  return parts.join('\n');
+};
+
+const listHtml = (items) => `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+
+/**
+ * Render a report as a printable HTML page
+ * Input: Report (buildReport)
+ * Output: Complete HTML page with the key frames embedded, so it can be emailed as one file
+ */
+const renderReportHtml = (report) => {
+  const sections = [];
+
+  const { assessment } = report;
+  sections.push(`
+<section>
+  <h2>Overall assessment</h2>
+  ${assessment ? `<p class="rating">${escapeHtml(assessment.rating)}/10</p>
+  <p>${escapeHtml(assessment.summary)}</p>
+  <div class="columns">
+    <div><h3>What's working</h3>${listHtml(assessment.highlights)}</div>
+    <div><h3>Focus next</h3>${listHtml(assessment.focusAreas)}</div>
+  </div>` : blocksHtml(report.summaryBlocks)}
+</section>`);
+
+  if (report.scores) {
+    sections.push(`
+<section>
+  <h2>Score breakdown</h2>
+  <p><strong>Overall: ${escapeHtml(report.scores.overall)}/10</strong></p>
+  ${report.scores.categories.map(category => `<div class="score-row">
+    <span class="label">${escapeHtml(category.label)}</span>
+    <span class="bar"><span style="width: ${(category.score || 0) * 10}%; background: ${scoreColor(category.score || 0)}"></span></span>
+    <span class="value">${category.score === null ? '-' : `${escapeHtml(category.score)}/10`}</span>
+  </div>
+  <div class="meta">${escapeHtml([category.basis, category.evidence].filter(Boolean).join(' · '))}</div>`).join('\n  ')}
+</section>`);
+  }
+
+  if (report.keyFrames.length > 0) {
+    sections.push(`
+<section>
+  <h2>Key frames</h2>
+  <div class="key-frames">
+    ${report.keyFrames.map((frame) => {
+    const image = frame.pose ? renderPoseOverlay(frame.pose, frame.background) : null;
+    return `<figure>
+      ${image ? `<img src="${image}" alt="${escapeHtml(frame.label)} pose">` : ''}
+      <figcaption><strong>${escapeHtml(frame.label)}</strong>${frame.time ? ` · ${escapeHtml(frame.time)}` : ''}
+        <div class="meta">${escapeHtml(frame.reason)}</div>
+        ${frame.metrics.length > 0 ? listHtml(frame.metrics) : ''}
+      </figcaption>
+    </figure>`;
+  }).join('\n    ')}
+  </div>
+</section>`);
+  }
+
+  if (report.measurements.length > 0) {
+    sections.push(`
+<section>
+  <h2>Measured angles</h2>
+  <table>
+    <thead><tr><th>Measurement</th><th>Average</th><th>Range</th><th>Target</th></tr></thead>
+    <tbody>
+      ${report.measurements.map(row => `<tr><td>${escapeHtml(row.label)}</td><td>${escapeHtml(row.average)}</td><td>${escapeHtml(row.range)}</td><td>${escapeHtml(row.target)}</td></tr>`).join('\n      ')}
+    </tbody>
+  </table>
+</section>`);
+  }
+
+  if (report.faults.length > 0 || report.drills.length > 0) {
+    sections.push(`
+<section>
+  <h2>Recommended drills</h2>
+  ${report.faults.length > 0 ? `<h3>Faults found</h3>${listHtml(report.faults.map(fault => `${fault.label}: ${fault.evidence}`))}` : ''}
+  ${report.drills.map(({ drill, reason }) => `<div class="drill">
+    <h3>${escapeHtml(drill.name)}</h3>
+    <div class="meta">${escapeHtml([drill.difficulty, `${drill.durationMinutes} min`, drill.dosage, drill.equipment.join(', ')].filter(Boolean).join(' · '))}</div>
+    <div class="reason">${escapeHtml(reason)}</div>
+    <ol>${drill.steps.map(step => `<li>${escapeHtml(step)}</li>`).join('')}</ol>
+  </div>`).join('\n  ')}
+</section>`);
+  }
+
+  if (report.conversation && report.conversation.length > 0) {
+    sections.push(`
+<section>
+  <h2>Questions and answers</h2>
+  ${report.conversation.map(({ question, answer }) => `<p class="question">Q: ${escapeHtml(question)}</p>
+  ${blocksHtml(markdownBlocks(answer))}`).join('\n  ')}
+</section>`);
+  }
+
+  return renderDocument({ title: report.title, subtitle: report.subtitle, body: sections.join('\n'), styles: REPORT_STYLES });
+};
+
+const writeBlocks = (doc, blocks) => {
+  blocks.forEach((block) => {
+    if (block.type === 'item') {
+      pdf.writeText(doc, stripMarkdown(block.text), { bullet: block.marker });
+    } else {
+      pdf.writeText(doc, stripMarkdown(block.text));
+      pdf.moveDown(doc, 4);
+    }
+  });
+};
+
+const KEY_FRAME_GAP = 12;
+const KEY_FRAME_MAX_HEIGHT = 200;
+// Room for a row of key frames with their captions
+const KEY_FRAME_ROW_HEIGHT = KEY_FRAME_MAX_HEIGHT + 80;
+
+// A key frame and its skeleton, scaled into a box; returns the height used
+const drawKeyFrame = (doc, frame, x, y, width) => {
+  const { pose } = frame;
+  if (!pose) return 0;
+  const scale = Math.min(width / pose.imageWidth, KEY_FRAME_MAX_HEIGHT / pose.imageHeight);
+  const imageWidth = pose.imageWidth * scale;
+  const imageHeight = pose.imageHeight * scale;
+  const left = x + (width - imageWidth) / 2;
+
+  const image = frame.background ? pdf.addJpeg(doc, frame.background) : null;
+  if (image) pdf.drawImage(doc, image, left, y, imageWidth, imageHeight);
+  else pdf.fillRect(doc, left, y, imageWidth, imageHeight, '#212529');
+
+  const { stroke, bones, joints } = skeletonShapes(pose);
+  const point = (keypoint) => [left + keypoint.x * scale, y + keypoint.y * scale];
+  pdf.clipRect(doc, left, y, imageWidth, imageHeight);
+  bones.forEach(({ from, to, color }) => {
+    pdf.drawLine(doc, ...point(from), ...point(to), { width: stroke * scale, color });
+  });
+  joints.forEach((joint) => {
+    pdf.fillCircle(doc, ...point(joint), stroke * 1.5 * scale, joint.color, { outline: '#ffffff' });
+  });
+  pdf.restoreClip(doc);
+  return imageHeight;
+};
+
+/**
+ * Render a report as a PDF
+ * Input: Report (buildReport)
+ * Output: PDF file bytes
+ */
+const renderReportPdf = (report) => {
+  const doc = pdf.createPdf({ title: report.title, subtitle: report.subtitle });
+  pdf.addPage(doc);
+
+  const { assessment } = report;
+  pdf.writeHeading(doc, 'Overall assessment');
+  if (assessment) {
+    pdf.writeText(doc, `${assessment.rating}/10`, { size: 22, bold: true, lineHeight: 1.2 });
+    pdf.writeText(doc, assessment.summary);
+    pdf.moveDown(doc, 6);
+    pdf.writeText(doc, "What's working", { size: 11, bold: true });
+    assessment.highlights.forEach(item => pdf.writeText(doc, item, { bullet: '•' }));
+    pdf.moveDown(doc, 4);
+    pdf.writeText(doc, 'Focus next', { size: 11, bold: true });
+    assessment.focusAreas.forEach(item => pdf.writeText(doc, item, { bullet: '•' }));
+  } else {
+    writeBlocks(doc, report.summaryBlocks);
+  }
+
+  if (report.scores) {
+    pdf.writeHeading(doc, 'Score breakdown');
+    pdf.writeText(doc, `Overall: ${report.scores.overall}/10`, { size: 11, bold: true });
+    pdf.moveDown(doc, 4);
+    const barLeft = pdf.MARGIN + 170;
+    const barWidth = pdf.contentWidth() - 170 - 50;
+    report.scores.categories.forEach((category) => {
+      const top = pdf.ensureSpace(doc, 32);
+      pdf.drawText(doc, category.label, pdf.MARGIN, top + 10, { bold: true });
+      pdf.fillRect(doc, barLeft, top + 2, barWidth, 8, '#ecf0f1');
+      if (category.score) pdf.fillRect(doc, barLeft, top + 2, barWidth * category.score / 10, 8, scoreColor(category.score));
+      const value = category.score === null ? '-' : `${category.score}/10`;
+      pdf.drawText(doc, value, pdf.PAGE_WIDTH - pdf.MARGIN - pdf.measureText(value, 10, true), top + 10, { bold: true });
+      doc.y = top + 15;
+      pdf.writeText(doc, [category.basis, category.evidence].filter(Boolean).join(' · '), { size: 8.5, color: pdf.MUTED_COLOR });
+      pdf.moveDown(doc, 4);
+    });
+  }
+
+  if (report.keyFrames.length > 0) {
+    pdf.writeHeading(doc, 'Key frames', { keepWith: KEY_FRAME_ROW_HEIGHT });
+    const width = (pdf.contentWidth() - KEY_FRAME_GAP * 2) / 3;
+    for (let start = 0; start < report.keyFrames.length; start += 3) {
+      const row = report.keyFrames.slice(start, start + 3);
+      const top = pdf.ensureSpace(doc, KEY_FRAME_ROW_HEIGHT);
+      let bottom = top;
+      row.forEach((frame, index) => {
+        const x = pdf.MARGIN + index * (width + KEY_FRAME_GAP);
+        let y = top + drawKeyFrame(doc, frame, x, top, width) + 12;
+        pdf.drawText(doc, `${frame.label}${frame.time ? ` · ${frame.time}` : ''}`, x, y, { size: 9.5, bold: true });
+        const caption = [
+          ...pdf.wrapText(frame.reason, width, 8).map(text => ({ text, color: pdf.MUTED_COLOR })),
+          ...frame.metrics.flatMap(metric => pdf.wrapText(metric, width, 8).map(text => ({ text, color: pdf.TEXT_COLOR })))
+        ];
+        caption.forEach(({ text, color }) => {
+          y += 10.5;
+          pdf.drawText(doc, text, x, y, { size: 8, color });
+        });
+        bottom = Math.max(bottom, y);
+      });
+      doc.y = bottom + 14;
+    }
+  }
+
+  if (report.measurements.length > 0) {
+    pdf.writeHeading(doc, 'Measured angles');
+    pdf.writeTable(doc, [
+      { label: 'Measurement', width: 0.4 },
+      { label: 'Average', width: 0.16 },
+      { label: 'Range', width: 0.2 },
+      { label: 'Target', width: 0.24 }
+    ], report.measurements.map(row => [row.label, row.average, row.range, row.target]));
+  }
+
+  if (report.faults.length > 0 || report.drills.length > 0) {
+    pdf.writeHeading(doc, 'Recommended drills');
+    if (report.faults.length > 0) {
+      pdf.writeText(doc, 'Faults found', { size: 11, bold: true });
+      report.faults.forEach(fault => pdf.writeText(doc, `${fault.label}: ${fault.evidence}`, { bullet: '•' }));
+      pdf.moveDown(doc, 6);
+    }
+    report.drills.forEach(({ drill, reason }) => {
+      pdf.ensureSpace(doc, 60);
+      pdf.writeText(doc, drill.name, { size: 11, bold: true });
+      pdf.writeText(doc, [drill.difficulty, `${drill.durationMinutes} min`, drill.dosage, drill.equipment.join(', ')].filter(Boolean).join(' · '), { size: 8.5, color: pdf.MUTED_COLOR });
+      pdf.writeText(doc, reason, { size: 9.5, color: '#555555' });
+      drill.steps.forEach((step, index) => pdf.writeText(doc, step, { bullet: `${index + 1}.` }));
+      pdf.moveDown(doc, 8);
+    });
+  }
+
+  if (report.conversation && report.conversation.length > 0) {
+    pdf.writeHeading(doc, 'Questions and answers');
+    report.conversation.forEach(({ question, answer }) => {
+      pdf.ensureSpace(doc, 40);
+      pdf.writeText(doc, `Q: ${question}`, { bold: true });
+      pdf.moveDown(doc, 2);
+      writeBlocks(doc, markdownBlocks(answer));
+      pdf.moveDown(doc, 6);
+    });
+  }
+
+  return pdf.renderPdf(doc);
+};
+
+module.exports = {
+  buildReport,
+  renderReportHtml,
+  renderReportPdf
+};
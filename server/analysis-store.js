@@ -0,0 +1,158 @@
+// Persistent analysis store
+// Keeps each finished analysis as a JSON file so it can be fetched, listed,
+// deleted and used by the chat after the upload response has been sent
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+require('dotenv').config();
+
+// A relative DATA_DIR (env.example has server/data) is taken from the repository root, so
+// it names the same directory whether the server is started from the root or from server/
+const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(__dirname, '..', process.env.DATA_DIR)
+  : path.join(__dirname, 'data');
+const ANALYSES_DIR = path.join(DATA_DIR, 'analyses');
+
+// Ids are uuids; anything else could escape the data directory
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const ensureDir = () => {
+  if (!fs.existsSync(ANALYSES_DIR)) {
+    fs.mkdirSync(ANALYSES_DIR, { recursive: true });
+  }
+};
+
+const analysisPath = (id) => path.join(ANALYSES_DIR, `${id}.json`);
+
+// Write to a temp file first so a crash never leaves half a record behind
+const writeRecord = (record) => {
+  ensureDir();
+  const target = analysisPath(record.id);
+  const temp = `${target}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(record, null, 2));
+  fs.renameSync(temp, target);
+};
+
+const readRecord = (id) => {
+  if (!ID_PATTERN.test(id) || !fs.existsSync(analysisPath(id))) return null;
+  try {
+    return JSON.parse(fs.readFileSync(analysisPath(id), 'utf8'));
+  } catch (error) {
+    console.error(`❌ Could not read analysis ${id}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Save a finished analysis
+ * Input: Pipeline result (as returned by the upload endpoints) + { videoName }
+ * Output: Stored record { id, createdAt, updatedAt, pipeline, sport, riderId, rider, promptVersions, videoName,
+ *         analysis, poseImages, poseVideoUrl, reference, stages, message }; rider is the rider profile the
+ *         analysis was made with, promptVersions is { template: version } of the prompts used and reference
+ *         { analysisId, videoName, poseVideoUrl, maneuver } is the run it was compared with, if any
+ */
+const createAnalysis = (result, { videoName = null } = {}) => {
+  const now = new Date().toISOString();
+  const record = {
+    id: uuidv4(),
+    createdAt: now,
+    updatedAt: now,
+    pipeline: result.pipeline,
+    sport: result.sport || null,
+    riderId: result.riderId || null,
+    rider: result.rider || null,
+    promptVersions: result.promptVersions || null,
+    videoName,
+    analysis: result.analysis,
+    poseImages: result.poseImages || [],
+    poseVideoUrl: result.poseVideoUrl || null,
+    reference: result.reference || null,
+    stages: {
+      poseAnalyses: result.poseAnalyses || [],
+      tracking: result.tracking || null,
+      biomechanics: result.biomechanics || null,
+      maneuver: result.maneuver || null,
+      scores: result.scores || null,
+      faults: result.faults || [],
+      recommendedDrills: result.recommendedDrills || [],
+      assessment: result.assessment || null,
+      keyFrames: result.keyFrames || [],
+      comparison: result.comparison || null,
+      technicalAnalysis: result.technicalAnalysis || '',
+      sceneDescription: result.sceneDescription || '',
+      detailedPrompts: result.detailedPrompts || null
+    },
+    message: result.message
+  };
+
+  writeRecord(record);
+  console.log(`💾 Analysis ${record.id} saved`);
+  return record;
+};
+
+const getAnalysis = (id) => readRecord(id);
+
+/**
+ * Merge changes into a stored analysis
+ * Output: Updated record, or null if it does not exist
+ */
+const updateAnalysis = (id, changes) => {
+  const record = readRecord(id);
+  if (!record) return null;
+
+  const updated = {
+    ...record,
+    ...changes,
+    id: record.id,
+    createdAt: record.createdAt,
+    updatedAt: new Date().toISOString()
+  };
+  writeRecord(updated);
+  return updated;
+};
+
+const deleteAnalysis = (id) => {
+  if (!readRecord(id)) return false;
+  fs.unlinkSync(analysisPath(id));
+  console.log(`🗑️  Analysis ${id} deleted`);
+  return true;
+};
+
+/**
+ * List stored analyses, newest first; riderId keeps only that rider's analyses
+ * Output: Summaries { id, createdAt, updatedAt, pipeline, sport, riderId, promptVersions, videoName, poseImageCount,
+ *         maneuver, hasKeypoints }; hasKeypoints tells whether the analysis can be a comparison reference
+ */
+const listAnalyses = ({ limit = 50, offset = 0, riderId = null } = {}) => {
+  if (!fs.existsSync(ANALYSES_DIR)) return [];
+
+  return fs.readdirSync(ANALYSES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => readRecord(path.basename(file, '.json')))
+    .filter(record => record && (!riderId || record.riderId === riderId))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(offset, offset + limit)
+    .map(record => ({
+      id: record.id,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt,
+      pipeline: record.pipeline,
+      sport: record.sport || null,
+      riderId: record.riderId || null,
+      promptVersions: record.promptVersions || null,
+      videoName: record.videoName,
+      poseImageCount: record.poseImages.length,
+      maneuver: record.stages.maneuver && record.stages.maneuver.available ? record.stages.maneuver.label : null,
+      hasKeypoints: Boolean(record.stages.biomechanics && record.stages.biomechanics.available)
+    }));
+};
+
+module.exports = {
+  createAnalysis,
+  getAnalysis,
+  updateAnalysis,
+  deleteAnalysis,
+  listAnalyses,
+  DATA_DIR
+};
@@ -0,0 +1,276 @@
+// Biomechanics from pose keypoints
+// Measures joint angles, alignment, stance and center of mass on each frame so the
+// coaching prompts can rest on numbers instead of the model's impression of the image.
+// All measurements are 2D, in the camera's view of the rider.
+
+// Keypoints below this confidence are treated as missing
+const MIN_KEYPOINT_SCORE = 0.3;
+
+// Share of body mass per segment and where the segment's center of mass sits, as a
+// fraction of the way from the first point to the second (Dempster's tables)
+const BODY_SEGMENTS = [
+  { name: 'head', mass: 0.081, from: 'nose', to: 'nose', at: 0 },
+  { name: 'trunk', mass: 0.497, from: 'shoulder_center', to: 'hip_center', at: 0.5 },
+  { name: 'left upper arm', mass: 0.028, from: 'left_shoulder', to: 'left_elbow', at: 0.436 },
+  { name: 'right upper arm', mass: 0.028, from: 'right_shoulder', to: 'right_elbow', at: 0.436 },
+  { name: 'left forearm and hand', mass: 0.022, from: 'left_elbow', to: 'left_wrist', at: 0.682 },
+  { name: 'right forearm and hand', mass: 0.022, from: 'right_elbow', to: 'right_wrist', at: 0.682 },
+  { name: 'left thigh', mass: 0.1, from: 'left_hip', to: 'left_knee', at: 0.433 },
+  { name: 'right thigh', mass: 0.1, from: 'right_hip', to: 'right_knee', at: 0.433 },
+  { name: 'left shank and foot', mass: 0.061, from: 'left_knee', to: 'left_ankle', at: 0.606 },
+  { name: 'right shank and foot', mass: 0.061, from: 'right_knee', to: 'right_ankle', at: 0.606 }
+];
+
+// Every metric the module reports, in prompt order (digits: decimals kept in the summary)
+const METRIC_DEFINITIONS = [
+  { key: 'kneeFlexion.left', label: 'Left knee flexion', unit: '°' },
+  { key: 'kneeFlexion.right', label: 'Right knee flexion', unit: '°' },
+  { key: 'hipFlexion.left', label: 'Left hip flexion', unit: '°' },
+  { key: 'hipFlexion.right', label: 'Right hip flexion', unit: '°' },
+  { key: 'ankleFlexion.left', label: 'Left ankle flexion (shin lean)', unit: '°' },
+  { key: 'ankleFlexion.right', label: 'Right ankle flexion (shin lean)', unit: '°' },
+  { key: 'elbowFlexion.left', label: 'Left elbow flexion', unit: '°' },
+  { key: 'elbowFlexion.right', label: 'Right elbow flexion', unit: '°' },
+  { key: 'shoulderBoardAlignment', label: 'Shoulder-to-board angle (0 = aligned, 90 = square)', unit: '°' },
+  { key: 'torsoLean', label: 'Torso lean from vertical', unit: '°' },
+  { key: 'stanceWidth', label: 'Stance width', unit: ' torso lengths', digits: 2 },
+  { key: 'centerOfMass.height', label: 'Center of mass height above feet', unit: ' torso lengths', digits: 2 },
+  { key: 'centerOfMass.weightBias', label: 'Weight bias (-1 = over left foot, +1 = over right foot)', unit: '', digits: 2 }
+];
+
+const round = (value, digits = 1) => (value === null || !Number.isFinite(value) ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+// Keypoints as { name: { x, y } } for the points we trust
+const reliableKeypoints = (keypoints) => {
+  const points = {};
+  (keypoints || []).forEach((point) => {
+    if (point && (point.score === undefined || point.score >= MIN_KEYPOINT_SCORE)) {
+      points[point.name] = point;
+    }
+  });
+  return points;
+};
+
+const midpoint = (a, b) => (a && b ? { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 } : null);
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Hip centre and torso length, the reference for all pose measurements
+const bodyFrame = (keypoints) => {
+  const points = reliableKeypoints(keypoints);
+  const hips = midpoint(points.left_hip, points.right_hip);
+  const shoulders = midpoint(points.left_shoulder, points.right_shoulder);
+  if (!hips || !shoulders) return null;
+  const torso = distance(hips, shoulders);
+  return torso > 0 ? { points, hips, shoulders, torso } : null;
+};
+
+// Angle at b between the segments b->a and b->c, in degrees (180 = straight)
+const jointAngle = (a, b, c) => {
+  if (!a || !b || !c) return null;
+  const ab = Math.hypot(a.x - b.x, a.y - b.y);
+  const cb = Math.hypot(c.x - b.x, c.y - b.y);
+  if (ab === 0 || cb === 0) return null;
+  const cos = ((a.x - b.x) * (c.x - b.x) + (a.y - b.y) * (c.y - b.y)) / (ab * cb);
+  return (Math.acos(Math.min(Math.max(cos, -1), 1)) * 180) / Math.PI;
+};
+
+// Flexion is how far a joint bends away from straight
+const flexion = (a, b, c) => {
+  const angle = jointAngle(a, b, c);
+  return angle === null ? null : 180 - angle;
+};
+
+// Angle between two lines, folded into 0..90 because lines have no direction
+const lineAngle = (a1, a2, b1, b2) => {
+  if (!a1 || !a2 || !b1 || !b2) return null;
+  const angle = Math.abs(Math.atan2(a2.y - a1.y, a2.x - a1.x) - Math.atan2(b2.y - b1.y, b2.x - b1.x)) * 180 / Math.PI;
+  const folded = angle % 180;
+  return folded > 90 ? 180 - folded : folded;
+};
+
+// MoveNet has no toe or heel points, so ankle flexion is read as the shin's lean
+// away from perpendicular to the board (the line between the ankles)
+const shinLean = (knee, ankle, otherAnkle) => {
+  const angle = lineAngle(ankle, knee, ankle, otherAnkle);
+  return angle === null ? null : 90 - angle;
+};
+
+// Whole-body center of mass from the segments that were detected
+const centerOfMass = (points, shoulders, hips) => {
+  const named = { ...points, shoulder_center: shoulders, hip_center: hips };
+  let mass = 0;
+  let x = 0;
+  let y = 0;
+
+  BODY_SEGMENTS.forEach((segment) => {
+    const from = named[segment.from];
+    const to = named[segment.to];
+    if (!from || !to) return;
+    x += segment.mass * (from.x + (to.x - from.x) * segment.at);
+    y += segment.mass * (from.y + (to.y - from.y) * segment.at);
+    mass += segment.mass;
+  });
+
+  // Without the trunk the estimate says more about the arms than the rider
+  if (!named.shoulder_center || !named.hip_center || mass === 0) return null;
+  return { x: x / mass, y: y / mass };
+};
+
+/**
+ * Measure one frame's pose
+ * Input: Keypoints [{ name, x, y, score }] in frame pixels
+ * Output: Metrics (see METRIC_DEFINITIONS), null where the needed joints were not detected,
+ *         or null if the torso was not found
+ */
+const computeFrameMetrics = (keypoints) => {
+  const body = bodyFrame(keypoints);
+  if (!body) return null;
+
+  const { points, hips, shoulders, torso } = body;
+  const ankles = midpoint(points.left_ankle, points.right_ankle);
+  const com = centerOfMass(points, shoulders, hips);
+
+  // Signed projection of the center of mass onto the left->right ankle line
+  let weightBias = null;
+  if (com && points.left_ankle && points.right_ankle) {
+    const dx = points.right_ankle.x - points.left_ankle.x;
+    const dy = points.right_ankle.y - points.left_ankle.y;
+    const halfStance = Math.hypot(dx, dy) / 2;
+    if (halfStance > 0) {
+      const along = ((com.x - ankles.x) * dx + (com.y - ankles.y) * dy) / (halfStance * 2);
+      weightBias = Math.min(Math.max(along / halfStance, -1), 1);
+    }
+  }
+
+  // Signed so positive means the shoulders are to the right of the hips in the image
+  const torsoLean = (Math.atan2(shoulders.x - hips.x, hips.y - shoulders.y) * 180) / Math.PI;
+
+  return {
+    kneeFlexion: {
+      left: round(flexion(points.left_hip, points.left_knee, points.left_ankle)),
+      right: round(flexion(points.right_hip, points.right_knee, points.right_ankle))
+    },
+    hipFlexion: {
+      left: round(flexion(points.left_shoulder, points.left_hip, points.left_knee)),
+      right: round(flexion(points.right_shoulder, points.right_hip, points.right_knee))
+    },
+    ankleFlexion: {
+      left: round(shinLean(points.left_knee, points.left_ankle, points.right_ankle)),
+      right: round(shinLean(points.right_knee, points.right_ankle, points.left_ankle))
+    },
+    elbowFlexion: {
+      left: round(flexion(points.left_shoulder, points.left_elbow, points.left_wrist)),
+      right: round(flexion(points.right_shoulder, points.right_elbow, points.right_wrist))
+    },
+    shoulderBoardAlignment: round(lineAngle(points.left_shoulder, points.right_shoulder, points.left_ankle, points.right_ankle)),
+    torsoLean: round(torsoLean),
+    stanceWidth: points.left_ankle && points.right_ankle ? round(distance(points.left_ankle, points.right_ankle) / torso, 2) : null,
+    centerOfMass: com ? {
+      x: round(com.x),
+      y: round(com.y),
+      height: ankles ? round((ankles.y - com.y) / torso, 2) : null,
+      weightBias: round(weightBias, 2)
+    } : null
+  };
+};
+
+// Read a dotted metric key such as 'kneeFlexion.left'
+const metricValue = (metrics, key) => key.split('.').reduce(
+  (value, part) => (value === null || value === undefined ? null : value[part]),
+  metrics
+);
+
+/**
+ * Measure every frame that has keypoints
+ * Input: poseAnalyses (tracked, see pose-tracking.js)
+ * Output: { available, frames: [{ frame, timestamp, lowConfidence, metrics }], summary: { key: { mean, min, max, frames } } }
+ */
+const analyzeBiomechanics = (poseAnalyses = []) => {
+  const frames = poseAnalyses
+    .filter(pose => pose && Array.isArray(pose.keypoints))
+    .map(pose => ({
+      frame: pose.frame,
+      timestamp: pose.timestamp,
+      lowConfidence: Boolean(pose.tracking && pose.tracking.lowConfidence),
+      metrics: computeFrameMetrics(pose.keypoints)
+    }))
+    .filter(entry => entry.metrics);
+
+  // Frames flagged by tracking only count when there is nothing better
+  const confident = frames.filter(entry => !entry.lowConfidence);
+  const summaryFrames = confident.length > 0 ? confident : frames;
+
+  const summary = {};
+  METRIC_DEFINITIONS.forEach(({ key, digits = 1 }) => {
+    const values = summaryFrames
+      .map(entry => metricValue(entry.metrics, key))
+      .filter(value => typeof value === 'number');
+    if (values.length === 0) return;
+    summary[key] = {
+      mean: round(values.reduce((sum, value) => sum + value, 0) / values.length, digits),
+      min: Math.min(...values),
+      max: Math.max(...values),
+      frames: values.length
+    };
+  });
+
+  return {
+    available: frames.length > 0,
+    frames,
+    summary
+  };
+};
+
+// Metrics for the analyzed frame closest to a frame number (hosted pose models only
+// cover a sample of the frames)
+const metricsForFrame = (biomechanics, frameNumber) => {
+  if (!biomechanics || biomechanics.frames.length === 0) return null;
+  return biomechanics.frames.reduce((closest, entry) => (
+    Math.abs(entry.frame - frameNumber) < Math.abs(closest.frame - frameNumber) ? entry : closest
+  ));
+};
+
+const formatValue = (value, unit) => `${value}${unit}`;
+
+/**
+ * Format one frame's metrics for a prompt
+ * Output: One "- label: value" line per measured metric
+ */
+const formatFrameMetrics = (metrics) => METRIC_DEFINITIONS
+  .map(({ key, label, unit }) => {
+    const value = metricValue(metrics, key);
+    return typeof value === 'number' ? `- ${label}: ${formatValue(value, unit)}` : null;
+  })
+  .filter(Boolean)
+  .join('\n');
+
+/**
+ * Format the clip summary for a prompt
+ * Output: One "- label: mean X (range A to B)" line per measured metric
+ */
+const formatBiomechanicsSummary = (biomechanics) => {
+  if (!biomechanics || !biomechanics.available) return '';
+  return METRIC_DEFINITIONS
+    .filter(({ key }) => biomechanics.summary[key])
+    .map(({ key, label, unit }) => {
+      const { mean, min, max } = biomechanics.summary[key];
+      return `- ${label}: mean ${formatValue(mean, unit)} (range ${min} to ${formatValue(max, unit)})`;
+    })
+    .join('\n');
+};
+
+module.exports = {
+  analyzeBiomechanics,
+  computeFrameMetrics,
+  metricsForFrame,
+  formatFrameMetrics,
+  formatBiomechanicsSummary,
+  metricValue,
+  reliableKeypoints,
+  midpoint,
+  distance,
+  bodyFrame,
+  METRIC_DEFINITIONS,
+  MIN_KEYPOINT_SCORE
+};
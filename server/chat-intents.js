@@ -0,0 +1,297 @@
+// Chat intent router
+// Works out what a follow-up question is asking for. Keyword rules score every intent
+// (negations like "not good at" count against strengths); when no rule wins clearly,
+// the chat model classifies the question against the same list. Each intent has its
+// own prompt template (prompts/chat-*.prompt) and reply section, worded for the
+// analysis's sport.
+
+const { generateStructured } = require('./structured-output');
+const { getAnalysis, listAnalyses } = require('./analysis-store');
+const { formatScores, rankCategories } = require('./scoring-rubric');
+const { formatManeuverSection } = require('./maneuver-classification');
+const { formatBiomechanicsSummary, formatFrameMetrics, metricsForFrame } = require('./biomechanics');
+const { getSportProfile } = require('./sport-profiles');
+const { renderPrompt } = require('./prompt-templates');
+const { getRider, formatRiderProfile } = require('./rider-profiles');
+
+// Rules must reach this score and beat the runner-up by the margin, else the model decides
+const RULE_MIN_SCORE = 2;
+const RULE_MIN_MARGIN = 1;
+
+// Stored analyses scanned for an earlier session to compare with
+const PAST_SESSION_LOOKBACK = 50;
+
+// Question text shared by the analysis-based templates, with the rider profile when there is one
+const analysisContext = (stages, rider, sport) => renderPrompt('analysis-context', {
+  technicalAnalysis: stages.technicalAnalysis,
+  sceneDescription: stages.sceneDescription,
+  maneuverSection: formatManeuverSection(stages.maneuver, stages.biomechanics),
+  scores: formatScores(stages.scores),
+  biomechanics: formatBiomechanicsSummary(stages.biomechanics),
+  rider: formatRiderProfile(rider, sport)
+});
+
+// The report's detailed prompt for a section, with the rider's own wording added
+const reportSectionPrompt = (id, request) => ({ question, stages, sport, rider }) => {
+  const stored = stages.detailedPrompts && stages.detailedPrompts[id];
+  return renderPrompt('chat-section', {
+    sectionPrompt: stored || renderPrompt('chat-section-fallback', { activity: sport.activity, request, analysisContext: analysisContext(stages, rider, sport) }),
+    question
+  });
+};
+
+/**
+ * The frame a question refers to: "frame 12", "at 2.5s", or a named phase like "takeoff"
+ * Output: { frame, timestamp, keyFrame, metrics } or null when nothing matches
+ */
+const findReferencedFrame = (question, stages) => {
+  const lower = question.toLowerCase();
+  const frames = (stages.biomechanics && stages.biomechanics.frames) || [];
+  const keyFrames = stages.keyFrames || [];
+  const byFrame = (frame) => ({
+    frame,
+    timestamp: (frames.find(entry => entry.frame === frame) || keyFrames.find(entry => entry.frame === frame) || {}).timestamp,
+    keyFrame: keyFrames.find(entry => entry.frame === frame) || null,
+    metrics: metricsForFrame(stages.biomechanics, frame)
+  });
+
+  const frameMatch = lower.match(/\bframe\s*#?\s*(\d+)/);
+  if (frameMatch) return byFrame(parseInt(frameMatch[1], 10));
+
+  const timeMatch = lower.match(/\bat\s+(\d+(?:\.\d+)?)\s*s(?:ec(?:ond)?s?)?\b/);
+  const timed = [...frames, ...keyFrames].filter(entry => typeof entry.timestamp === 'number');
+  if (timeMatch && timed.length > 0) {
+    const time = parseFloat(timeMatch[1]);
+    const closest = timed.reduce((best, entry) => (Math.abs(entry.timestamp - time) < Math.abs(best.timestamp - time) ? entry : best));
+    return byFrame(closest.frame);
+  }
+
+  const phase = keyFrames.find(entry => lower.includes(entry.phase) || lower.includes(entry.label));
+  return phase ? byFrame(phase.frame) : null;
+};
+
+// Most recent earlier analysis of the same rider and sport; none without a rider, so
+// another rider's session never ends up in the prompt
+const findPastSession = (record) => {
+  if (!record || !record.riderId) return null;
+  const sport = getSportProfile(record.sport).id;
+  const earlier = listAnalyses({ riderId: record.riderId, limit: PAST_SESSION_LOOKBACK })
+    .find(summary => summary.id !== record.id && summary.createdAt < record.createdAt && getSportProfile(summary.sport).id === sport);
+  return earlier ? getAnalysis(earlier.id) : null;
+};
+
+const sessionSummary = (title, record) => {
+  const stages = record.stages || {};
+  const scores = formatScores(stages.scores);
+  const measured = formatBiomechanicsSummary(stages.biomechanics);
+  const maneuver = stages.maneuver && stages.maneuver.available ? stages.maneuver.label : 'not classified';
+  return `${title} (${record.createdAt.substring(0, 10)}${record.videoName ? `, ${record.videoName}` : ''}):
+Maneuver: ${maneuver}
+${scores ? `Rubric scores:\n${scores}` : 'Rubric scores: not available'}${measured ? `\nMeasured biomechanics:\n${measured}` : ''}`;
+};
+
+/**
+ * Chat intents
+ * label    - sectionType shown with the reply ('' for general answers)
+ * section  - structured reply section (see structured-output.js)
+ * rules    - [pattern, weight] tried against the lower-cased question
+ * template - prompt template the reply is generated from, recorded with the reply
+ * prompt   - (context) => prompt text; context is { question, stages, record, sport, rider }
+ */
+const INTENTS = {
+  strengths: {
+    label: 'Key Strengths',
+    section: 'strengths',
+    description: 'what the rider is doing well',
+    rules: [[/\bstrengths?\b/, 3], [/\bpositives?\b/, 2], [/\b(doing|do|did) (well|right|good)\b/, 2], [/\bwhat('s| is) working\b/, 2], [/\bgood at\b/, 1]],
+    template: 'chat-section',
+    prompt: reportSectionPrompt('strengths', 'provide 3-4 specific key strengths with detailed explanations')
+  },
+  improvements: {
+    label: 'Main Areas for Improvement',
+    section: 'improvements',
+    description: 'faults and what the rider should work on',
+    rules: [[/\b(not|n't) (very |that |so |really )?good\b/, 4], [/\bimprove(ment)?s?\b/, 2], [/\b(problems?|issues?|mistakes?|faults?|wrong|fix)\b/, 2], [/\b(bad|weak|weakness(es)?|struggl\w*)\b/, 2], [/\bbetter\b/, 1]],
+    template: 'chat-section',
+    prompt: reportSectionPrompt('improvements', 'provide 3-4 specific areas that need work with detailed explanations')
+  },
+  drills: {
+    label: 'Specific Drills and Exercises',
+    section: 'drills',
+    description: 'drills and exercises to practice',
+    rules: [[/\bdrills?\b/, 3], [/\bexercises?\b/, 3], [/\bpractice\b/, 2], [/\bwork on\b/, 1]],
+    template: 'chat-section',
+    prompt: reportSectionPrompt('drills', 'provide 3-4 specific drills with descriptions and purposes')
+  },
+  safety: {
+    label: 'Safety',
+    section: 'answer',
+    description: 'injury risk, falling, protective gear and safe terrain',
+    rules: [[/\bsafe(ty|ly|r)?\b/, 3], [/\b(injur\w*|hurt\w*|pain\w*|crash\w*|danger\w*)\b/, 3], [/\b(helmet|wrist guards?|pads?|impact shorts)\b/, 3], [/\b(fall|falls|falling|bail\w*|wipe ?outs?)\b/, 2], [/\brisk\w*\b/, 2]],
+    template: 'chat-safety',
+    prompt: ({ question, stages, sport, rider }) => {
+      const falls = ((stages.maneuver && stages.maneuver.segments) || []).filter(segment => segment.maneuver === 'fall');
+      return renderPrompt('chat-safety', {
+        coach: sport.coach,
+        athlete: sport.athlete,
+        question,
+        analysisContext: analysisContext(stages, rider, sport),
+        falls: falls.map(segment => `${segment.start.toFixed(1)}s to ${segment.end.toFixed(1)}s`).join(', ')
+      });
+    }
+  },
+  equipment: {
+    label: 'Equipment Setup',
+    section: 'answer',
+    description: 'gear and setup: board, skis, bindings, boots, trucks, wheels, fins, stance width and angles',
+    rules: [[/\b(gear|equipment|setup|set up)\b/, 3], [/\b(bindings?|boots?|wax\w*|tun(e|ing)|highbacks?|straps?|trucks?|wheels?|bearings?|grip ?tape|deck|fins?|leash|wetsuit|poles?)\b/, 3], [/\b(board|ski|skis) (size|length|width|volume)\b/, 3], [/\bstance (angles?|width|setup)\b/, 3], [/\b(angles?|width)\b/, 1]],
+    template: 'chat-equipment',
+    prompt: ({ question, stages, sport, rider }) => {
+      const summary = (stages.biomechanics && stages.biomechanics.summary) || {};
+      const stance = summary.stanceWidth ? `mean ${summary.stanceWidth.mean} torso lengths (range ${summary.stanceWidth.min} to ${summary.stanceWidth.max})` : '';
+      return renderPrompt('chat-equipment', {
+        coach: sport.coach,
+        question,
+        analysisContext: analysisContext(stages, rider, sport),
+        stanceWidth: stance,
+        equipmentSetup: sport.equipmentSetup,
+        equipment: sport.equipment
+      });
+    }
+  },
+  progression: {
+    label: 'Progression Plan',
+    section: 'answer',
+    description: 'what to learn next and a plan to get there',
+    rules: [[/\bprogress(ion)?\b/, 3], [/\b(plan|roadmap)\b/, 3], [/\bnext (step|level|trick)s?\b/, 3], [/\b(learn|try) next\b/, 3], [/\bwhat should i (learn|try)\b/, 3], [/\b(weeks?|season)\b/, 1]],
+    template: 'chat-progression',
+    prompt: ({ question, stages, sport, rider }) => {
+      const { strengths, improvements } = rankCategories(stages.scores);
+      return renderPrompt('chat-progression', {
+        coach: sport.coach,
+        athlete: sport.athlete,
+        question,
+        analysisContext: analysisContext(stages, rider, sport),
+        weakest: improvements.join(', '),
+        strongest: strengths.join(', ')
+      });
+    }
+  },
+  frame: {
+    label: 'Frame Explanation',
+    section: 'answer',
+    description: 'explaining what happens in a specific frame or moment',
+    rules: [[/\bframe\s*#?\s*\d+/, 5], [/\bat\s+\d+(\.\d+)?\s*s(ec(ond)?s?)?\b/, 4], [/\b(this|that|the) (frame|moment|point)\b/, 2], [/\b(takeoff|landing|apex|initiation)\b/, 2]],
+    template: 'chat-frame',
+    prompt: ({ question, stages, sport, rider }) => {
+      const referenced = findReferencedFrame(question, stages);
+      const keyFrames = (stages.keyFrames || []).map(entry => `- Frame ${entry.frame}${typeof entry.timestamp === 'number' ? ` (${entry.timestamp.toFixed(2)}s)` : ''}: ${entry.label} - ${entry.reason}`).join('\n');
+      const frameSection = referenced
+        ? `FRAME ${referenced.frame}${typeof referenced.timestamp === 'number' ? ` (${referenced.timestamp.toFixed(2)}s)` : ''}:${referenced.keyFrame ? `\nKey frame: ${referenced.keyFrame.label} - ${referenced.keyFrame.reason}` : ''}${referenced.metrics ? `\nMeasured on frame ${referenced.metrics.frame}:\n${formatFrameMetrics(referenced.metrics.metrics)}` : '\nNo measurements for this frame.'}`
+        : 'The question does not name a frame that was analyzed; explain the key frames below instead.';
+      return renderPrompt('chat-frame', {
+        coach: sport.coach,
+        athlete: sport.athlete,
+        question,
+        frameSection,
+        keyFrames,
+        analysisContext: analysisContext(stages, rider, sport)
+      });
+    }
+  },
+  comparison: {
+    label: 'Session Comparison',
+    section: 'answer',
+    description: 'comparing this session with an earlier one',
+    rules: [[/\b(compar\w*|versus|vs)\b/, 3], [/\b(last|previous|past|earlier|other|first) (session|video|clip|run|time|analysis|upload)\b/, 4], [/\b(improved|gotten better|any better|changed) since\b/, 4]],
+    template: 'chat-comparison',
+    prompt: ({ question, stages, record, sport, rider }) => {
+      const past = findPastSession(record);
+      const current = record ? sessionSummary('THIS SESSION', record) : `THIS SESSION:\n${analysisContext(stages, rider, sport)}`;
+      return renderPrompt('chat-comparison', {
+        coach: sport.coach,
+        athlete: sport.athlete,
+        question,
+        currentSession: current,
+        pastSession: past ? sessionSummary('EARLIER SESSION', past) : ''
+      });
+    }
+  },
+  general: {
+    label: '',
+    section: 'answer',
+    description: 'any other question about technique or the analysis',
+    rules: [],
+    template: 'chat-general',
+    prompt: ({ question, stages, sport, rider }) => renderPrompt('chat-general', {
+      coach: sport.coach,
+      activity: sport.activity,
+      question,
+      analysisContext: analysisContext(stages, rider, sport)
+    })
+  }
+};
+
+// Rule score of every intent for a question
+const scoreIntents = (question) => {
+  const lower = question.toLowerCase();
+  const scores = {};
+  Object.entries(INTENTS).forEach(([id, intent]) => {
+    scores[id] = intent.rules.reduce((sum, [pattern, weight]) => sum + (pattern.test(lower) ? weight : 0), 0);
+  });
+  return scores;
+};
+
+const intentChoices = () => Object.entries(INTENTS)
+  .map(([id, intent]) => `- ${id}: ${intent.description}`)
+  .join('\n');
+
+/**
+ * Classify a chat question
+ * Output: { intent, method: 'rules' | 'model' | 'default', scores }
+ */
+const classifyIntent = async (question, { signal } = {}) => {
+  const scores = scoreIntents(question);
+  const [first, second] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (first[1] >= RULE_MIN_SCORE && first[1] - second[1] >= RULE_MIN_MARGIN) {
+    return { intent: first[0], method: 'rules', scores };
+  }
+
+  try {
+    const { data } = await generateStructured('CHAT', {
+      messages: [
+        { role: 'system', content: 'You route questions from board-sport and ski athletes to the right kind of coaching answer.' },
+        { role: 'user', content: renderPrompt('chat-intent', { question, intents: intentChoices() }) }
+      ],
+      section: 'intent',
+      signal
+    });
+    return { intent: data.intent, method: 'model', scores };
+  } catch (error) {
+    console.error('❌ Intent classification failed, answering generally:', error.message);
+    return { intent: 'general', method: 'default', scores };
+  }
+};
+
+/**
+ * Prompt for an intent
+ * Input: Intent id + { question, stages, record, sport, rider }; record is the stored analysis,
+ *        when there is one, sport a profile (defaults to the record's sport) and rider a rider
+ *        profile (defaults to the record's rider)
+ */
+const buildIntentPrompt = (intent, context) => {
+  const { record } = context;
+  return (INTENTS[intent] || INTENTS.general).prompt({
+    ...context,
+    sport: context.sport || getSportProfile(record && record.sport),
+    rider: context.rider !== undefined ? context.rider : record && (getRider(record.riderId) || record.rider)
+  });
+};
+
+module.exports = {
+  classifyIntent,
+  buildIntentPrompt,
+  scoreIntents,
+  findReferencedFrame,
+  INTENTS
+};
@@ -0,0 +1,128 @@
+// Chat memory
+// Keeps the conversation of each analysis on its stored record. The newest turns go
+// back to the model verbatim inside a token budget; turns that fall out of the window
+// are folded into a running summary, so follow-ups like "how long should I do that
+// drill?" keep their context however long the chat gets.
+
+const { generateText } = require('./providers');
+const { getAnalysis, updateAnalysis } = require('./analysis-store');
+const { renderPrompt } = require('./prompt-templates');
+require('dotenv').config();
+
+// Tokens of earlier turns sent with each question (the summary comes on top)
+const CHAT_HISTORY_TOKEN_BUDGET = parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET, 10) || 1500;
+
+// Rough count for English text; close enough to budget a window
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+/**
+ * Conversation of a stored analysis
+ * Output: { summary, summarizedTurns, turns: [{ role, content, section, createdAt }] }
+ *   summarizedTurns - how many of the oldest turns the summary already covers
+ */
+const getConversation = (record) => ({
+  summary: '',
+  summarizedTurns: 0,
+  turns: [],
+  ...((record && record.conversation) || {})
+});
+
+// Newest turns that fit the budget, starting on a question so no reply loses its question
+const splitWindow = (turns, budget) => {
+  let used = 0;
+  let start = turns.length;
+  for (let i = turns.length - 1; i >= 0; i--) {
+    used += estimateTokens(turns[i].content);
+    if (used > budget) break;
+    start = i;
+  }
+  while (start < turns.length && turns[start].role !== 'user') start++;
+  return { older: turns.slice(0, start), recent: turns.slice(start) };
+};
+
+const transcript = (turns) => turns
+  .map(turn => `${turn.role === 'user' ? 'Rider' : 'Coach'}: ${turn.content}`)
+  .join('\n\n');
+
+/**
+ * Earlier turns to send with a new question
+ * Turns that no longer fit the window are summarized first and the summary is saved,
+ * so each turn is summarized once. A failed summary only shortens the memory.
+ * Input: Stored analysis record
+ * Output: { summary, recent: [{ role, content }] }
+ */
+const getChatContext = async (record) => {
+  const conversation = getConversation(record);
+  const pending = conversation.turns.slice(conversation.summarizedTurns);
+  const { older, recent } = splitWindow(pending, CHAT_HISTORY_TOKEN_BUDGET);
+  let { summary } = conversation;
+
+  if (older.length > 0) {
+    try {
+      summary = (await generateText('CHAT', {
+        messages: [
+          { role: 'system', content: renderPrompt('chat-summary') },
+          { role: 'user', content: `${summary ? `EARLIER SUMMARY:\n${summary}\n\n` : ''}CONVERSATION:\n${transcript(older)}` }
+        ]
+      })).trim();
+      updateAnalysis(record.id, {
+        conversation: { ...conversation, summary, summarizedTurns: conversation.summarizedTurns + older.length }
+      });
+      console.log(`🧠 Summarized ${older.length} earlier chat turns`);
+    } catch (error) {
+      console.error('❌ Chat summary failed, dropping older turns:', error.message);
+    }
+  }
+
+  return {
+    summary,
+    recent: recent.map(turn => ({ role: turn.role, content: turn.content }))
+  };
+};
+
+/**
+ * Messages for the chat model: system prompt (with the summary), earlier turns, new prompt
+ */
+const buildChatMessages = (systemPrompt, { summary, recent }, prompt) => [
+  { role: 'system', content: summary ? `${systemPrompt}\n\nEARLIER IN THIS CONVERSATION:\n${summary}` : systemPrompt },
+  ...recent,
+  { role: 'user', content: prompt }
+];
+
+/**
+ * Append a question and its reply to the stored conversation
+ * The record is read again since a summary may have been saved while the reply ran
+ * Input: Analysis id, question, reply markdown, reply section, prompt template of the
+ *        reply (e.g. "chat-safety@1")
+ * Output: Updated record, or null if the analysis no longer exists
+ */
+const recordTurn = (analysisId, question, reply, section, prompt = null) => {
+  const record = getAnalysis(analysisId);
+  if (!record) return null;
+  const conversation = getConversation(record);
+  const createdAt = new Date().toISOString();
+  return updateAnalysis(analysisId, {
+    conversation: {
+      ...conversation,
+      turns: [
+        ...conversation.turns,
+        { role: 'user', content: question, createdAt },
+        { role: 'assistant', content: reply, section, prompt, createdAt }
+      ]
+    }
+  });
+};
+
+// Sections already answered in this conversation
+const answeredSections = (record) => getConversation(record).turns
+  .filter(turn => turn.role === 'assistant' && turn.section)
+  .map(turn => turn.section);
+
+module.exports = {
+  getConversation,
+  getChatContext,
+  buildChatMessages,
+  recordTurn,
+  answeredSections,
+  estimateTokens
+};
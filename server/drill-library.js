@@ -0,0 +1,347 @@
+// Drill library
+// Curated practice drills (name, sport, faults corrected, difficulty, equipment, steps and
+// duration) kept as JSON files next to the stored analyses and seeded from
+// drill-catalog.json on first use (schemas/drill.schema.json). An analysis detects faults
+// from the measurements, rubric scores and maneuver segments, maps them to drills of the
+// sport and returns those with the report, so the drill advice no longer depends on what
+// the model writes.
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { v4: uuidv4 } = require('uuid');
+const { DATA_DIR } = require('./analysis-store');
+const { METRIC_DEFINITIONS, metricValue } = require('./biomechanics');
+const { metricTarget } = require('./scoring-rubric');
+
+const DRILLS_DIR = path.join(DATA_DIR, 'drills');
+const CATALOG_PATH = path.join(__dirname, 'drill-catalog.json');
+
+// Catalog ids are slugs, custom drills get uuids; anything else could escape the data directory
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,79}$/;
+
+// Drop unknown keys (such as id or createdAt sent back by a client) rather than failing on them
+const ajv = new Ajv({ allErrors: true, removeAdditional: true, useDefaults: true });
+const validateDrill = ajv.compile(JSON.parse(fs.readFileSync(path.join(__dirname, 'schemas', 'drill.schema.json'), 'utf8')));
+
+// Drill difficulties, in the order of the rider profile skill levels
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+/**
+ * Faults drills can target
+ * label    - the fault as it reads in a list
+ * category - rubric category the fault lowers
+ * metrics  - clip-average measurements that show it, outside the rubric target on `side`
+ * detect   - 'score' (the category scored below LOW_SCORE) or 'maneuver' (a fall segment)
+ * Keep the ids in step with the faults enum of schemas/drill.schema.json
+ */
+const FAULTS = {
+  'stiff-legs': { label: 'Stiff legs', category: 'posture', metrics: ['kneeFlexion.left', 'kneeFlexion.right'], side: 'low' },
+  'deep-crouch': { label: 'Crouching too deep', category: 'posture', metrics: ['kneeFlexion.left', 'kneeFlexion.right'], side: 'high' },
+  'tall-hips': { label: 'Upright hips', category: 'posture', metrics: ['hipFlexion.left', 'hipFlexion.right'], side: 'low' },
+  'bent-at-waist': { label: 'Bent at the waist', category: 'posture', metrics: ['hipFlexion.left', 'hipFlexion.right'], side: 'high' },
+  'no-ankle-pressure': { label: 'Little ankle pressure', category: 'edgeControl', metrics: ['ankleFlexion.left', 'ankleFlexion.right'], side: 'low' },
+  'no-inclination': { label: 'Not leaning into the turn', category: 'edgeControl', metrics: ['torsoLean'], side: 'low' },
+  'off-center-weight': { label: 'Weight off center', category: 'balance', metrics: ['centerOfMass.weightBias'], side: 'high' },
+  'narrow-stance': { label: 'Narrow stance', category: 'balance', metrics: ['stanceWidth'], side: 'low' },
+  'wide-stance': { label: 'Wide stance', category: 'balance', metrics: ['stanceWidth'], side: 'high' },
+  'rotated-shoulders': { label: 'Shoulders rotated off the board', category: 'upperBody', metrics: ['shoulderBoardAlignment'], side: 'high' },
+  'stiff-arms': { label: 'Stiff, straight arms', category: 'upperBody', metrics: ['elbowFlexion.left', 'elbowFlexion.right'], side: 'low' },
+  'jerky-movement': { label: 'Jerky movement', category: 'flow', detect: 'score' },
+  fall: { label: 'Fall', category: 'flow', detect: 'maneuver' }
+};
+
+// Categories scoring below this count as weak, and drills for them are recommended
+const LOW_SCORE = 6;
+
+// Measurements this far outside the target (as a share of the rubric tolerance) are not faults yet
+const MIN_SEVERITY = 0.1;
+
+// Drills returned with an analysis
+const RECOMMENDED_DRILLS = 4;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const ensureDir = () => {
+  if (!fs.existsSync(DRILLS_DIR)) {
+    fs.mkdirSync(DRILLS_DIR, { recursive: true });
+  }
+};
+
+const drillPath = (id) => path.join(DRILLS_DIR, `${id}.json`);
+
+// Write to a temp file first so a crash never leaves half a drill behind
+const writeDrill = (drill) => {
+  ensureDir();
+  const target = drillPath(drill.id);
+  const temp = `${target}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(drill, null, 2));
+  fs.renameSync(temp, target);
+};
+
+/**
+ * Check a drill sent by a client
+ * Output: { drill } with unknown keys removed and defaults filled in, or { error } describing what is wrong
+ */
+const checkDrill = (input) => {
+  const drill = JSON.parse(JSON.stringify(input || {}));
+  if (!validateDrill(drill)) {
+    return { error: ajv.errorsText(validateDrill.errors, { dataVar: 'drill' }) };
+  }
+  return { drill };
+};
+
+// Copy the curated catalog into the data directory the first time the library is used,
+// so its drills can be edited and deleted like any other
+const seedCatalog = () => {
+  if (fs.existsSync(DRILLS_DIR)) return;
+  ensureDir();
+  const now = new Date().toISOString();
+  const catalog = JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf8'));
+  let seeded = 0;
+  catalog.forEach(({ id, ...fields }) => {
+    const { drill, error } = checkDrill(fields);
+    if (error) {
+      console.error(`❌ Catalog drill ${id} is invalid: ${error}`);
+      return;
+    }
+    writeDrill({ id, createdAt: now, updatedAt: now, ...drill });
+    seeded++;
+  });
+  console.log(`🏋️ Drill library seeded with ${seeded} of ${catalog.length} drills`);
+};
+
+const getDrill = (id) => {
+  seedCatalog();
+  if (!id || !ID_PATTERN.test(id) || !fs.existsSync(drillPath(id))) return null;
+  try {
+    return JSON.parse(fs.readFileSync(drillPath(id), 'utf8'));
+  } catch (error) {
+    console.error(`❌ Could not read drill ${id}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Save a new drill
+ * Input: Drill that passed checkDrill
+ * Output: { id, createdAt, updatedAt, ...drill }
+ */
+const createDrill = (fields) => {
+  seedCatalog();
+  const now = new Date().toISOString();
+  const drill = { id: uuidv4(), createdAt: now, updatedAt: now, ...fields };
+  writeDrill(drill);
+  console.log(`🏋️ Drill ${drill.id} saved`);
+  return drill;
+};
+
+/**
+ * Replace a drill
+ * Output: Updated drill, or null if it does not exist
+ */
+const updateDrill = (id, fields) => {
+  const drill = getDrill(id);
+  if (!drill) return null;
+  const updated = { id: drill.id, createdAt: drill.createdAt, updatedAt: new Date().toISOString(), ...fields };
+  writeDrill(updated);
+  return updated;
+};
+
+const deleteDrill = (id) => {
+  if (!getDrill(id)) return false;
+  fs.unlinkSync(drillPath(id));
+  console.log(`🗑️  Drill ${id} deleted`);
+  return true;
+};
+
+/**
+ * List drills, by sport then name
+ * Input: Optional filters { sport, fault, difficulty }; difficulty keeps drills at that level or easier
+ */
+const listDrills = ({ sport = null, fault = null, difficulty = null } = {}) => {
+  seedCatalog();
+  const maxLevel = difficulty ? DIFFICULTIES.indexOf(difficulty) : DIFFICULTIES.length - 1;
+  return fs.readdirSync(DRILLS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => getDrill(path.basename(file, '.json')))
+    .filter(drill => drill
+      && (!sport || drill.sport === sport)
+      && (!fault || drill.faults.includes(fault))
+      && DIFFICULTIES.indexOf(drill.difficulty) <= maxLevel)
+    .sort((a, b) => a.sport.localeCompare(b.sport) || a.name.localeCompare(b.name));
+};
+
+// Every fault drills can target, for clients building a drill form
+const listFaults = () => Object.entries(FAULTS).map(([id, fault]) => ({ id, label: fault.label, category: fault.category }));
+
+// Clip average of a metric; absolute metrics average the size of each frame's value so
+// leaning one way and then the other does not cancel out
+const clipAverage = (biomechanics, key, absolute) => {
+  if (!absolute) return biomechanics.summary[key] ? biomechanics.summary[key].mean : null;
+  const confident = biomechanics.frames.filter(entry => !entry.lowConfidence);
+  const values = (confident.length > 0 ? confident : biomechanics.frames)
+    .map(entry => metricValue(entry.metrics, key))
+    .filter(value => typeof value === 'number');
+  return values.length > 0 ? values.reduce((sum, value) => sum + Math.abs(value), 0) / values.length : null;
+};
+
+// The worst measurement of a metric-based fault: { severity (0-1), metric, value, target, evidence },
+// or null when it is on target
+const measureFault = (fault, biomechanics, sport) => {
+  const found = fault.metrics
+    .map((key) => {
+      const target = metricTarget(key, sport);
+      if (!target) return null;
+      const value = clipAverage(biomechanics, key, target.absolute);
+      if (value === null) return null;
+      const [low, high] = target.ideal;
+      const outside = fault.side === 'low' ? low - value : value - high;
+      if (outside <= 0) return null;
+      const { label, unit, digits = 1 } = METRIC_DEFINITIONS.find(definition => definition.key === key);
+      // Labels explain their scale in brackets, which the evidence does not need
+      const name = label.replace(/ \(.*\)$/, '');
+      return {
+        severity: round(Math.min(outside / target.tolerance, 1), 2),
+        metric: key,
+        value: round(value, digits),
+        target: target.ideal,
+        evidence: `${name} averaged ${round(value, digits)}${unit}${target.absolute ? ' either way' : ''} (target ${low}-${high}${unit})`
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.severity - a.severity);
+  return found[0] || null;
+};
+
+/**
+ * Faults shown by an analysis
+ * Input: { biomechanics, scores, maneuver, sport }; measurements are compared with the sport's rubric targets
+ * Output: [{ id, label, category, severity (0-1, 1 = at or past the rubric tolerance), metric, value, target,
+ *         evidence }], worst first; value is the clip average of metric (or the category score when metric
+ *         is null) and target the range it should reach; both are null for a fall
+ */
+const detectFaults = ({ biomechanics = null, scores = null, maneuver = null, sport = null } = {}) => {
+  const faults = [];
+  Object.entries(FAULTS).forEach(([id, fault]) => {
+    let found = null;
+    if (fault.metrics) {
+      found = biomechanics && biomechanics.available ? measureFault(fault, biomechanics, sport) : null;
+    } else if (fault.detect === 'score') {
+      const category = scores && scores.categories[fault.category];
+      if (category && category.score !== null && category.score < LOW_SCORE) {
+        found = {
+          severity: round((LOW_SCORE - category.score) / LOW_SCORE, 2),
+          metric: null,
+          value: category.score,
+          target: [LOW_SCORE, 10],
+          evidence: `${category.label} scored ${category.score}/10`
+        };
+      }
+    } else if (fault.detect === 'maneuver') {
+      const fall = maneuver && maneuver.segments && maneuver.segments.find(segment => segment.maneuver === 'fall');
+      if (fall) found = { severity: 1, metric: null, value: null, target: null, evidence: `Fall detected at frame ${fall.startFrame}` };
+    }
+    if (found && found.severity >= MIN_SEVERITY) {
+      faults.push({ id, label: fault.label, category: fault.category, ...found });
+    }
+  });
+  return faults.sort((a, b) => b.severity - a.severity);
+};
+
+/**
+ * Drills for an analysis
+ * Drills for the detected faults come first (most severe first), then drills for the
+ * faults of weak rubric categories; with a rider, drills above their skill level are left out
+ * Input: Faults (see detectFaults) + rubric scores + { sport, rider }
+ * Output: [{ drill, faults: [fault id], reason }], at most RECOMMENDED_DRILLS
+ */
+const recommendDrills = (faults, scores, { sport = null, rider = null } = {}) => {
+  const drills = listDrills({ sport, difficulty: rider && DIFFICULTIES.includes(rider.skillLevel) ? rider.skillLevel : null });
+  const weakCategories = Object.entries((scores && scores.categories) || {})
+    .filter(([, category]) => category.score !== null && category.score < LOW_SCORE)
+    .sort((a, b) => a[1].score - b[1].score);
+
+  const candidates = drills
+    .map((drill) => {
+      const matched = faults.filter(fault => drill.faults.includes(fault.id));
+      if (matched.length > 0) {
+        return {
+          drill,
+          faults: matched.map(fault => fault.id),
+          reason: `Targets ${matched.map(fault => `${fault.label.toLowerCase()}: ${fault.evidence}`).join('; ')}`,
+          rank: 2 + matched.reduce((sum, fault) => sum + fault.severity, 0)
+        };
+      }
+      // Safety drills such as falling practice are only for runs that showed the fault
+      const weak = weakCategories.find(([id]) => drill.faults.some(fault => FAULTS[fault].category === id && FAULTS[fault].detect !== 'maneuver'));
+      if (weak) {
+        return {
+          drill,
+          faults: [],
+          reason: `Trains ${weak[1].label.toLowerCase()}, which scored ${weak[1].score}/10`,
+          rank: (LOW_SCORE - weak[1].score) / LOW_SCORE
+        };
+      }
+      return null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.rank - a.rank);
+
+  // A second drill for a fault already covered only makes the list when nothing else is left
+  const covered = new Set();
+  const fresh = candidates.filter((candidate) => {
+    if (candidate.faults.length > 0 && candidate.faults.every(fault => covered.has(fault))) return false;
+    candidate.faults.forEach(fault => covered.add(fault));
+    return true;
+  });
+  const recommendations = [...fresh, ...candidates.filter(candidate => !fresh.includes(candidate))]
+    .slice(0, RECOMMENDED_DRILLS)
+    .map(({ rank, ...recommendation }) => recommendation);
+
+  console.log(`🏋️ ${faults.length} faults detected, ${recommendations.length} drills recommended`);
+  return recommendations;
+};
+
+/**
+ * Format detected faults for a prompt
+ * Output: One "- Label: evidence" line per fault, or '' when none were found
+ */
+const formatFaults = (faults) => (faults || [])
+  .map(fault => `- ${fault.label}: ${fault.evidence}`)
+  .join('\n');
+
+/**
+ * Format the sport's drills for a prompt
+ * Recommended drills come first, with what they target
+ * Input: Sport id + recommendations (see recommendDrills)
+ * Output: One "- Name (difficulty, minutes, dosage): steps Purpose: ..." line per drill
+ */
+const formatDrillCatalog = (sport, recommendations = []) => {
+  const recommended = recommendations.map(recommendation => recommendation.drill.id);
+  const reasons = new Map(recommendations.map(recommendation => [recommendation.drill.id, recommendation.reason]));
+  const others = listDrills({ sport }).filter(drill => !recommended.includes(drill.id));
+  return [...recommendations.map(recommendation => recommendation.drill), ...others]
+    .map((drill) => {
+      const details = [drill.difficulty, `${drill.durationMinutes} min`, drill.dosage].filter(Boolean).join(', ');
+      const purpose = drill.purpose ? ` Purpose: ${drill.purpose}.` : '';
+      const reason = reasons.has(drill.id) ? ` RECOMMENDED: ${reasons.get(drill.id)}.` : '';
+      return `- ${drill.name} (${details}): ${drill.steps.join(' ')}${purpose}${reason}`;
+    })
+    .join('\n');
+};
+
+module.exports = {
+  checkDrill,
+  getDrill,
+  createDrill,
+  updateDrill,
+  deleteDrill,
+  listDrills,
+  listFaults,
+  detectFaults,
+  recommendDrills,
+  formatFaults,
+  formatDrillCatalog,
+  DIFFICULTIES
+};
@@ -0,0 +1,149 @@
+// Frame extraction for uploaded videos
+// Decodes the clip with FFmpeg and writes evenly spaced, resized still frames
+
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+const { throwIfCancelled } = require('./job-queue');
+require('dotenv').config();
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+const SUPPORTED_FRAME_FORMATS = ['png', 'jpg'];
+
+// Defaults can be overridden per call or through environment variables
+const FRAME_EXTRACTION_DEFAULTS = {
+  // Frames per second to sample. When not set, `frameCount` frames are spread across the clip.
+  fps: parseFloat(process.env.FRAME_EXTRACTION_FPS) || null,
+  frameCount: parseInt(process.env.FRAME_EXTRACTION_COUNT, 10) || 12,
+  maxWidth: parseInt(process.env.FRAME_MAX_WIDTH, 10) || 640,
+  maxHeight: parseInt(process.env.FRAME_MAX_HEIGHT, 10) || 640,
+  format: process.env.FRAME_FORMAT || 'png'
+};
+
+// Hard cap so a high fps setting on a long clip cannot flood the pipeline
+const MAX_EXTRACTED_FRAMES = 120;
+
+// "00:01:02.50" -> 62.5
+const parseTimemark = (timemark) => {
+  if (!timemark || typeof timemark !== 'string') return null;
+  const parts = timemark.split(':').map(Number);
+  if (parts.some(Number.isNaN)) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+};
+
+/**
+ * Read duration and frame size of a video without decoding it
+ * Input: Video path
+ * Output: { duration (seconds), width, height }
+ */
+const probeVideo = (videoPath) => {
+  return new Promise((resolve, reject) => {
+    let metadata = null;
+
+    ffmpeg(videoPath)
+      .outputOptions(['-t', '0', '-f', 'null'])
+      .output('-')
+      .on('codecData', (data) => {
+        const sizeMatch = /(\d{2,5})x(\d{2,5})/.exec(data.video_details ? data.video_details.join(',') : '');
+        metadata = {
+          duration: parseTimemark(data.duration),
+          width: sizeMatch ? parseInt(sizeMatch[1], 10) : null,
+          height: sizeMatch ? parseInt(sizeMatch[2], 10) : null
+        };
+      })
+      .on('end', () => {
+        if (!metadata || !metadata.duration) {
+          return reject(new Error('Could not read video duration'));
+        }
+        resolve(metadata);
+      })
+      .on('error', (error) => reject(new Error(`Could not read video: ${error.message}`)))
+      .run();
+  });
+};
+
+/**
+ * Extract frames from a video with FFmpeg
+ * Input: Video path, output directory, options { fps, frameCount, maxWidth, maxHeight, format, signal };
+ *        aborting signal stops FFmpeg and rejects with the job queue's cancellation error
+ * Output: Array of { index, path, timestamp } sorted by time, timestamp in seconds
+ */
+const extractFrames = async (videoPath, outputDir, options = {}) => {
+  const settings = { ...FRAME_EXTRACTION_DEFAULTS, ...options };
+  const format = settings.format === 'jpeg' ? 'jpg' : settings.format;
+
+  if (!SUPPORTED_FRAME_FORMATS.includes(format)) {
+    throw new Error(`Unsupported frame format "${settings.format}" (use ${SUPPORTED_FRAME_FORMATS.join(' or ')})`);
+  }
+
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  const { duration } = await probeVideo(videoPath);
+
+  // Sample at the requested fps, or spread frameCount frames over the clip
+  let fps = settings.fps || settings.frameCount / duration;
+  if (fps * duration > MAX_EXTRACTED_FRAMES) {
+    fps = MAX_EXTRACTED_FRAMES / duration;
+  }
+
+  console.log(`🎞️  Extracting frames at ${fps.toFixed(2)} fps (${duration.toFixed(2)}s clip, ${format})`);
+
+  const filters = [
+    `fps=${fps}`,
+    `scale=w='min(iw,${settings.maxWidth})':h='min(ih,${settings.maxHeight})':force_original_aspect_ratio=decrease`
+  ];
+  const outputOptions = ['-vf', filters.join(',')];
+  if (format === 'jpg') {
+    outputOptions.push('-q:v', '2');
+  }
+
+  const { signal } = settings;
+  throwIfCancelled(signal);
+  await new Promise((resolve, reject) => {
+    const onAbort = () => command.kill('SIGKILL');
+    const command = ffmpeg(videoPath)
+      .outputOptions(outputOptions)
+      .output(path.join(outputDir, `frame-%04d.${format}`))
+      .on('end', () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      })
+      .on('error', (error) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        reject(new Error(`FFmpeg frame extraction failed: ${error.message}`));
+      });
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    command.run();
+  }).catch((error) => {
+    throwIfCancelled(signal);
+    throw error;
+  });
+
+  const frames = fs.readdirSync(outputDir)
+    .filter(file => file.startsWith('frame-') && file.endsWith(`.${format}`))
+    .sort()
+    .map((file, index) => ({
+      index,
+      path: path.join(outputDir, file),
+      // The fps filter emits its first frame at t=0 and then one every 1/fps seconds
+      timestamp: Math.min(Math.round((index / fps) * 1000) / 1000, duration)
+    }));
+
+  if (frames.length === 0) {
+    throw new Error('No frames could be extracted from the video');
+  }
+
+  console.log(`✅ Extracted ${frames.length} frames`);
+  return frames;
+};
+
+module.exports = {
+  extractFrames,
+  probeVideo,
+  FRAME_EXTRACTION_DEFAULTS
+};
@@ -0,0 +1,70 @@
+// Printable HTML documents
+// The branded page shell shared by the documents the server renders for printing and
+// downloading (practice plans, see plan-export.js, and coaching reports, see
+// analysis-report.js). Pages are self-contained: styles are inline and nothing is loaded
+// from outside.
+
+const APP_NAME = 'Snowboard Coach AI';
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const BASE_STYLES = `
+  body { font-family: -apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: #2c3e50; margin: 0; background: #f8f9fa; }
+  main { max-width: 900px; margin: 0 auto; padding: 32px; background: #ffffff; }
+  header.brand { display: flex; justify-content: space-between; align-items: baseline; border-bottom: 3px solid #2c3e50; padding-bottom: 12px; margin-bottom: 24px; }
+  header.brand .app { font-weight: bold; font-size: 14px; letter-spacing: 0.05em; text-transform: uppercase; color: #7f8c8d; }
+  h1 { font-size: 26px; margin: 0; }
+  h2 { font-size: 20px; margin: 28px 0 8px; border-bottom: 1px solid #e9ecef; padding-bottom: 4px; }
+  h3 { font-size: 16px; margin: 16px 0 6px; }
+  .meta { color: #7f8c8d; font-size: 13px; }
+  table { width: 100%; border-collapse: collapse; margin: 8px 0 16px; font-size: 14px; }
+  th, td { text-align: left; vertical-align: top; padding: 6px 8px; border-bottom: 1px solid #e9ecef; }
+  th { background: #f1f3f5; }
+  ul, ol { margin: 4px 0 12px; padding-left: 22px; }
+  footer { margin-top: 32px; color: #95a5a6; font-size: 12px; text-align: center; }
+  section { page-break-inside: avoid; }
+  @media print {
+    body { background: #ffffff; }
+    main { padding: 0; max-width: none; }
+  }
+`;
+
+/**
+ * Wrap a document body in the branded page
+ * Input: { title, subtitle, body (HTML), styles (extra CSS) }
+ * Output: Complete HTML page
+ */
+const renderDocument = ({ title, subtitle = '', body, styles = '' }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${BASE_STYLES}${styles}</style>
+</head>
+<body>
+<main>
+<header class="brand">
+  <div>
+    <h1>${escapeHtml(title)}</h1>
+    ${subtitle ? `<div class="meta">${escapeHtml(subtitle)}</div>` : ''}
+  </div>
+  <div class="app">🏂 ${APP_NAME}</div>
+</header>
+${body}
+<footer>Generated by ${APP_NAME} on ${escapeHtml(new Date().toISOString().slice(0, 10))}</footer>
+</main>
+</body>
+</html>
+`;
+
+module.exports = {
+  escapeHtml,
+  renderDocument,
+  APP_NAME
+};
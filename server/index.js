@@ -1,28 +1,56 @@
+// Load .env before the local modules, which read their settings when they are required
+require('dotenv').config();
+
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const Replicate = require('replicate');
-const ffmpeg = require('fluent-ffmpeg');
-const ffmpegPath = require('ffmpeg-static');
 const { v4: uuidv4 } = require('uuid');
-
-// Set FFmpeg path
-ffmpeg.setFfmpegPath(ffmpegPath);
+const { extractFrames } = require('./frame-extraction');
+const {
+  enqueueJob,
+  getJob,
+  cancelJob,
+  toJobStatus,
+  subscribeToJob,
+  throwIfCancelled,
+  isCancellation,
+  JOB_STATES,
+  TERMINAL_EVENTS,
+  COMPARISON_STAGES
+} = require('./job-queue');
+const {
+  createAnalysis,
+  getAnalysis,
+  deleteAnalysis,
+  listAnalyses
+} = require('./analysis-store');
+const { describeStages } = require('./providers');
+const { generateStructured } = require('./structured-output');
+const { getChatContext, buildChatMessages, recordTurn, answeredSections } = require('./chat-memory');
+const { classifyIntent, buildIntentPrompt, INTENTS } = require('./chat-intents');
 const { analyzeSnowboardingVideoAdvanced } = require('./replicate-models');
-const { analyzeSnowboardingVideoPoseBased } = require('./pose-pipeline-models');
-require('dotenv').config();
+const { analyzeSnowboardingVideoPoseBased, analyzeReferenceRun } = require('./pose-pipeline-models');
+const { getSportProfile, isSport, listSports, coachSystemPrompt, DEFAULT_SPORT } = require('./sport-profiles');
+const { renderPrompt, getPromptVersions, promptLabel, listPrompts } = require('./prompt-templates');
+const { checkProfile, getRider, createRider, updateRider, deleteRider, listRiders, formatRiderProfile } = require('./rider-profiles');
+const { deletePoseVideo, MEDIA_DIR } = require('./pose-video');
+const { getRiderHistory, buildTimeline, compareSessions } = require('./progress-tracking');
+const {
+  checkDrill, getDrill, createDrill, updateDrill, deleteDrill, listDrills, listFaults,
+  detectFaults, recommendDrills, formatFaults, formatDrillCatalog, DIFFICULTIES
+} = require('./drill-library');
+const { checkPlan, checkAvailability, generatePlan, getPlan, createPlan, updatePlan, deletePlan, listPlans } = require('./practice-plans');
+const { formatCalendar, renderPlanHtml } = require('./plan-export');
+const { buildReport, renderReportHtml, renderReportPdf } = require('./analysis-report');
+const { scoreTechnique, formatScores, rankCategories } = require('./scoring-rubric');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
 
-// Initialize Replicate
-const replicate = new Replicate({
-  auth: process.env.REPLICATE_API_TOKEN,
-});
-
-// Test Replicate connection
+// Test model provider configuration
+console.log('Model provider:', process.env.MODEL_PROVIDER || 'replicate');
 console.log('Replicate API Token:', process.env.REPLICATE_API_TOKEN ? 'Set' : 'Not set');
 console.log('Server starting with latest fixes...');
 console.log('Backend deployment trigger - commit updated');
@@ -59,6 +87,8 @@ app.use((req, res, next) => {
 
 app.use(express.json());
 app.use(express.static('uploads'));
+// Rendered pose overlay videos
+app.use('/media', express.static(MEDIA_DIR));
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -95,43 +125,42 @@ const upload = multer({
   }
 });
 
-// Extract frames from video (Vercel-compatible version)
-const extractFrames = (videoPath, outputDir) => {
-  return new Promise((resolve, reject) => {
-    try {
-      if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir, { recursive: true });
-      }
+// Frame extraction options can be overridden per upload (form fields or query string)
+const getFrameOptions = (req) => {
+  const source = { ...req.query, ...req.body };
+  const options = {};
+  if (source.fps) options.fps = parseFloat(source.fps);
+  if (source.frameCount) options.frameCount = parseInt(source.frameCount, 10);
+  if (source.maxWidth) options.maxWidth = parseInt(source.maxWidth, 10);
+  if (source.maxHeight) options.maxHeight = parseInt(source.maxHeight, 10);
+  if (source.frameFormat) options.format = source.frameFormat;
+  return options;
+};
 
-      // For Vercel serverless, we'll create a simple test that bypasses frame extraction
-      // and directly calls the pose-based analysis with mock data
-      console.log('Creating test frames for Vercel compatibility...');
-      
-      // Create 5 simple test frame files (minimal PNG data)
-      const minimalPngData = Buffer.from([
-        0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, // PNG signature
-        0x00, 0x00, 0x00, 0x0D, 0x49, 0x48, 0x44, 0x52, // IHDR chunk
-        0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x01, // 1x1 pixel
-        0x08, 0x02, 0x00, 0x00, 0x00, 0x90, 0x77, 0x53, 0xDE, // IHDR data
-        0x00, 0x00, 0x00, 0x0C, 0x49, 0x44, 0x41, 0x54, // IDAT chunk
-        0x08, 0x99, 0x01, 0x01, 0x00, 0x00, 0x00, 0xFF, 0xFF, 0x00, 0x00, 0x00, 0x02, 0x00, 0x01, // IDAT data
-        0x00, 0x00, 0x00, 0x00, 0x49, 0x45, 0x4E, 0x44, 0xAE, 0x42, 0x60, 0x82 // IEND chunk
-      ]);
-      
-      for (let i = 1; i <= 5; i++) {
-        const framePath = path.join(outputDir, `frame-${i}.png`);
-        fs.writeFileSync(framePath, minimalPngData);
-      }
-      
-      console.log('Placeholder frames created successfully');
-      resolve();
-    } catch (error) {
-      console.error('Frame extraction error:', error);
-      reject(error);
-    }
-  });
+// Sport of an upload (form field or query string, else the rider's sport); null when it
+// names an unknown sport
+const getSport = (req, rider = null) => {
+  const sport = req.body.sport || req.query.sport || (rider && rider.sport) || DEFAULT_SPORT;
+  return isSport(sport) ? sport : null;
 };
 
+// Rider an upload names with riderId (form field or query string); rider is null when the
+// upload names none or the id is unknown
+const getUploadRider = (req) => {
+  const riderId = req.body.riderId || req.query.riderId || null;
+  return { riderId, rider: riderId ? getRider(riderId) : null };
+};
+
+const sendUnknownRider = (res) => res.status(400).json({
+  error: 'Unknown rider',
+  details: 'riderId must be the id of a profile created with POST /api/riders'
+});
+
+const sendUnknownSport = (res) => res.status(400).json({
+  error: 'Unknown sport',
+  details: `sport must be one of: ${listSports().map(sport => sport.id).join(', ')}`
+});
+
 // Convert image to base64
 const imageToBase64 = (imagePath) => {
   const imageBuffer = fs.readFileSync(imagePath);
@@ -139,93 +168,213 @@ const imageToBase64 = (imagePath) => {
 };
 
 
+// Remove an upload and its extracted frames once the job no longer needs them
+const cleanupUpload = (videoPath, frameDir) => {
+  fs.rmSync(videoPath, { force: true });
+  fs.rmSync(frameDir, { recursive: true, force: true });
+};
+
+// Answer an upload right away with the id of the job that will analyze it
+const sendJobAccepted = (res, job) => {
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.state,
+    statusUrl: `/api/jobs/${job.id}`,
+    message: 'Video queued for analysis'
+  });
+};
+
+// Templates of the report and chat prompts created for pipelines that return plain text
+const UPLOAD_PROMPTS = ['upload-report', 'analysis-strengths', 'analysis-improvements', 'analysis-drills'];
+
+// Shape the /api/upload result, creating chat prompts when the pipeline did not provide them
+const buildUploadResult = (analysis, usePoseAnalysis, sportId, rider = null) => {
+  const sport = getSportProfile(analysis.sport || sportId);
+  let structuredAnalysis = analysis.analysis || analysis;
+  let detailedPrompts = analysis.detailedPrompts;
+  let promptVersions = analysis.promptVersions || null;
+
+  // Pipelines without keypoints are scored on the model text alone
+  const scores = analysis.scores || scoreTechnique({
+    biomechanics: analysis.biomechanics,
+    tracking: analysis.tracking,
+    maneuver: analysis.maneuver,
+    technicalAnalysis: analysis.technicalAnalysis || (analysis.analysis || analysis),
+    sceneDescription: analysis.sceneDescription,
+    sport: sport.id
+  });
+
+  // Drills for the faults the scores and any measurements show
+  const faults = analysis.faults || detectFaults({ biomechanics: analysis.biomechanics, scores, maneuver: analysis.maneuver, sport: sport.id });
+  const recommendedDrills = analysis.recommendedDrills || recommendDrills(faults, scores, { sport: sport.id, rider });
+
+  if (!detailedPrompts) {
+    // Create brief assessment and detailed prompts for interactive chat
+    const cleanAnalysis = (analysis.analysis || analysis).replace(/\s+/g, ' ').trim();
+    const { strengths, improvements } = rankCategories(scores);
+    const scoreLines = formatScores(scores);
+    const categoryNames = Object.values(scores.categories).map(category => category.label.toLowerCase());
+    structuredAnalysis = renderPrompt('upload-report', {
+      activity: sport.activity,
+      categories: `${categoryNames.slice(0, -1).join(', ')} and ${categoryNames[categoryNames.length - 1]}`,
+      scores: scoreLines || 'Overall: not enough evidence to score',
+      strengths: strengths.length > 0 ? strengths.join(', ') : 'not enough evidence yet',
+      improvements: improvements.length > 0 ? improvements.join(', ') : 'not enough evidence yet'
+    });
+
+    const sections = { activity: sport.activity, analysis: cleanAnalysis, rider: formatRiderProfile(rider, sport) };
+    detailedPrompts = {
+      strengths: renderPrompt('analysis-strengths', sections),
+      improvements: renderPrompt('analysis-improvements', sections),
+      drills: renderPrompt('analysis-drills', {
+        ...sections,
+        faults: formatFaults(faults),
+        drillCatalog: formatDrillCatalog(sport.id, recommendedDrills)
+      })
+    };
+    promptVersions = getPromptVersions(UPLOAD_PROMPTS);
+  }
+
+  return {
+    success: true,
+    analysis: structuredAnalysis,
+    pipeline: analysis.pipeline || (usePoseAnalysis ? 'pose-based' : 'image-based'),
+    sport: sport.id,
+    riderId: rider ? rider.id : null,
+    rider: rider,
+    poseVideoUrl: analysis.poseVideoUrl || null,
+    tracking: analysis.tracking || null,
+    biomechanics: analysis.biomechanics || null,
+    maneuver: analysis.maneuver || null,
+    scores: scores,
+    faults: faults,
+    recommendedDrills: recommendedDrills,
+    assessment: analysis.assessment || null,
+    keyFrames: analysis.keyFrames || [],
+    technicalAnalysis: analysis.technicalAnalysis || (analysis.analysis || analysis),
+    sceneDescription: analysis.sceneDescription || `${sport.label} technique analysis`,
+    detailedPrompts: detailedPrompts,
+    promptVersions: promptVersions,
+    message: analysis.message || 'Video analyzed successfully'
+  };
+};
+
+// Shape a pose pipeline result for the client and the analysis store
+const poseAnalysisResult = (analysis, sport, rider) => ({
+  success: true,
+  analysis: analysis.analysis,
+  pipeline: 'pose-based-4stage',
+  sport: analysis.sport || sport,
+  riderId: rider ? rider.id : null,
+  rider: rider,
+  poseVideoUrl: analysis.poseVideoUrl,
+  poseAnalyses: analysis.poseAnalyses,
+  tracking: analysis.tracking || null,
+  biomechanics: analysis.biomechanics || null,
+  maneuver: analysis.maneuver || null,
+  scores: analysis.scores || null,
+  faults: analysis.faults || [],
+  recommendedDrills: analysis.recommendedDrills || [],
+  assessment: analysis.assessment || null,
+  keyFrames: analysis.keyFrames || [],
+  poseImages: analysis.poseAnalyses ? analysis.poseAnalyses.filter(pose => pose.poseImageUrl).map(pose => ({
+    frame: pose.frame,
+    timestamp: pose.timestamp,
+    imageUrl: pose.poseImageUrl
+  })) : [],
+  technicalAnalysis: analysis.technicalAnalysis,
+  sceneDescription: analysis.sceneDescription,
+  detailedPrompts: analysis.detailedPrompts,
+  promptVersions: analysis.promptVersions || null,
+  message: 'Video analyzed using advanced pose estimation pipeline'
+});
+
+// Persist a finished analysis and add its id to the result sent to the client.
+// A job cancelled after its last checkpoint must not leave an analysis behind, so the
+// signal is checked right before the write
+const saveResult = (result, videoName, signal) => {
+  throwIfCancelled(signal);
+  const stored = createAnalysis(result, { videoName });
+  return { ...result, analysisId: stored.id };
+};
+
 // Routes
-app.post('/api/upload', upload.single('video'), async (req, res) => {
+app.post('/api/upload', upload.single('video'), (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No video file uploaded' });
     }
 
+    const { riderId, rider } = getUploadRider(req);
+    if (riderId && !rider) {
+      fs.rmSync(req.file.path, { force: true });
+      return sendUnknownRider(res);
+    }
+
+    const sport = getSport(req, rider);
+    if (!sport) {
+      fs.rmSync(req.file.path, { force: true });
+      return sendUnknownSport(res);
+    }
+
     const videoPath = req.file.path;
     const frameDir = path.join('/tmp/uploads', 'frames', req.file.filename);
-    
-    // Extract frames from video
-    await extractFrames(videoPath, frameDir);
-    
-    // Get frame files
-    const frameFiles = fs.readdirSync(frameDir)
-      .filter(file => file.endsWith('.png'))
-      .map(file => path.join(frameDir, file))
-      .sort();
-
-    // Analyze frames with Replicate
-    console.log('Starting Replicate analysis...');
-    console.log('Frame files:', frameFiles.length);
+    const frameOptions = getFrameOptions(req);
+    const videoName = req.file.originalname;
     
     // Check if pose-based analysis is requested
     const usePoseAnalysis = req.body.poseAnalysis === 'true' || req.query.pose === 'true';
-    
-    let analysis;
-    try {
-      if (usePoseAnalysis) {
-        console.log('🎯 Using 4-Stage Pose-Based Pipeline...');
-        analysis = await analyzeSnowboardingVideoPoseBased(videoPath, frameFiles);
-        console.log('Pose-based analysis completed successfully');
-      } else {
-        console.log('🖼️  Using Image-Based Pipeline...');
-        // Use multi-frame analysis for better results
-        const { analyzeSnowboardingVideoMultiFrame } = require('./replicate-models');
-        analysis = await analyzeSnowboardingVideoMultiFrame(frameFiles);
-        console.log('Multi-frame analysis completed successfully');
-      }
-    } catch (error) {
-      console.error('Primary analysis failed, trying fallback:', error);
-      // Fallback to single frame analysis
-      analysis = await analyzeSnowboardingVideoAdvanced(frameFiles);
-      console.log('Fallback analysis completed successfully');
-    }
 
-    // Clean up temporary files
-    fs.unlinkSync(videoPath);
-    frameFiles.forEach(frameFile => fs.unlinkSync(frameFile));
-    fs.rmdirSync(frameDir);
-
-          // Create structured data for interactive chat if not provided
-          let structuredAnalysis = analysis.analysis || analysis;
-          let detailedPrompts = analysis.detailedPrompts;
-          
-          if (!detailedPrompts) {
-            // Create brief assessment and detailed prompts for interactive chat
-            const cleanAnalysis = (analysis.analysis || analysis).replace(/\s+/g, ' ').trim();
-            structuredAnalysis = `I have analyzed your snowboarding technique across three frames and identified key strengths and areas for improvement. My findings are detailed below, with specific drills and exercises recommended to enhance your skills.
-
-Comprehensive Coaching Report
-Overall Rating: 7/10
-Key Strengths: Good posture, appropriate joint angles, centered balance
-Improvements: Edge control, flow and rhythm
-Biomechanical Analysis: Specific joint angle measurements
-Technical Recommendations: Balance exercises, edge control practice
-Safety Considerations: Proper gear recommendations
-
-I can provide more detailed information about your Key Strengths, Main Areas for Improvement, and Specific Drills and Exercises. Which would you like to learn more about?`;
-
-            detailedPrompts = {
-              strengths: `Based on this snowboarding analysis, provide detailed key strengths:\n\nANALYSIS:\n${cleanAnalysis.substring(0, 1500)}...\n\nProvide 3-4 specific strengths with detailed explanations.`,
-              improvements: `Based on this snowboarding analysis, provide detailed areas for improvement:\n\nANALYSIS:\n${cleanAnalysis.substring(0, 1500)}...\n\nProvide 3-4 specific areas that need work with detailed explanations.`,
-              drills: `Based on this snowboarding analysis, provide specific drills and exercises:\n\nANALYSIS:\n${cleanAnalysis.substring(0, 1500)}...\n\nProvide 3-4 specific drills with descriptions and purposes.`
-            };
-          }
-
-          res.json({
-            success: true,
-            analysis: structuredAnalysis,
-            pipeline: analysis.pipeline || (usePoseAnalysis ? 'pose-based' : 'image-based'),
-            poseVideoUrl: analysis.poseVideoUrl || null,
-            technicalAnalysis: analysis.technicalAnalysis || (analysis.analysis || analysis),
-            sceneDescription: analysis.sceneDescription || 'Snowboarding technique analysis',
-            detailedPrompts: detailedPrompts,
-            message: analysis.message || 'Video analyzed successfully'
+    const job = enqueueJob('upload', async ({ signal, emit }) => {
+      // Extract frames from video
+      emit({ type: 'stage_started', stage: 'frame_extraction' });
+      const frames = await extractFrames(videoPath, frameDir, { ...frameOptions, signal });
+      const frameFiles = frames.map(frame => frame.path);
+      const frameTimestamps = frames.map(frame => frame.timestamp);
+      emit({ type: 'stage_finished', stage: 'frame_extraction', frameCount: frames.length });
+      throwIfCancelled(signal);
+
+      // Analyze frames with Replicate
+      console.log('Starting Replicate analysis...');
+      console.log('Frame files:', frameFiles.length);
+      
+      let analysis;
+      try {
+        if (usePoseAnalysis) {
+          console.log('🎯 Using 4-Stage Pose-Based Pipeline...');
+          analysis = await analyzeSnowboardingVideoPoseBased(videoPath, frameFiles, {
+            frameTimestamps,
+            sport,
+            rider,
+            signal,
+            onEvent: emit
           });
+          console.log('Pose-based analysis completed successfully');
+        } else {
+          console.log('🖼️  Using Image-Based Pipeline...');
+          emit({ type: 'stage_started', stage: 'technical_analysis' });
+          // Use multi-frame analysis for better results
+          const { analyzeSnowboardingVideoMultiFrame } = require('./replicate-models');
+          analysis = await analyzeSnowboardingVideoMultiFrame(frameFiles, sport);
+          console.log('Multi-frame analysis completed successfully');
+        }
+      } catch (error) {
+        if (isCancellation(error)) throw error;
+        console.error('Primary analysis failed, trying fallback:', error);
+        // Fallback to single frame analysis
+        throwIfCancelled(signal);
+        analysis = await analyzeSnowboardingVideoAdvanced(frameFiles, sport);
+        console.log('Fallback analysis completed successfully');
+      }
+
+      emit({ type: 'stage_finished', stage: 'report' });
+      return saveResult(buildUploadResult(analysis, usePoseAnalysis, sport, rider), videoName, signal);
+    }, {
+      cleanup: () => cleanupUpload(videoPath, frameDir)
+    });
+
+    sendJobAccepted(res, job);
 
   } catch (error) {
     console.error('Upload error:', error);
@@ -237,136 +386,241 @@ I can provide more detailed information about your Key Strengths, Main Areas for
   }
 });
 
+// Analysis job status: state, current stage, percent progress and the result once done
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json({
+    success: true,
+    job: toJobStatus(job)
+  });
+});
+
+// Live job events as Server-Sent Events. Past events are replayed first, then the stream
+// stays open until the job completes, fails or is cancelled.
+app.get('/api/jobs/:id/events', (req, res) => {
+  if (!getJob(req.params.id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  let unsubscribe = null;
+
+  const close = () => {
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+    res.end();
+  };
+
+  unsubscribe = subscribeToJob(req.params.id, (event) => {
+    res.write(`id: ${event.sequence}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    if (TERMINAL_EVENTS.includes(event.type)) {
+      // Let the write flush before closing
+      setImmediate(close);
+    }
+  });
+
+  req.on('close', close);
+});
+
+// Cancel a queued or running analysis job
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = cancelJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json({
+    success: true,
+    job: toJobStatus(job),
+    message: job.state === JOB_STATES.CANCELLED ? 'Job cancelled' : `Job already ${job.state}`
+  });
+});
+
+// Stored analyses, newest first
+app.get('/api/analyses', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = parseInt(req.query.offset, 10) || 0;
+
+  res.json({
+    success: true,
+    analyses: listAnalyses({ limit, offset, riderId: req.query.riderId || null })
+  });
+});
+
+app.get('/api/analyses/:id', (req, res) => {
+  const analysis = getAnalysis(req.params.id);
+  if (!analysis) {
+    return res.status(404).json({ error: 'Analysis not found' });
+  }
+
+  res.json({
+    success: true,
+    analysis
+  });
+});
+
+// Download the coaching report of an analysis as a printable page (?format=html, the default)
+// or a PDF (?format=pdf); ?chat=true adds the chat questions and answers
+app.get('/api/analyses/:id/report', (req, res) => {
+  const analysis = getAnalysis(req.params.id);
+  if (!analysis) {
+    return res.status(404).json({ error: 'Analysis not found' });
+  }
+
+  const format = req.query.format || 'html';
+  if (format !== 'html' && format !== 'pdf') {
+    return res.status(400).json({ error: 'Unknown format', details: 'format must be one of: html, pdf' });
+  }
+
+  const report = buildReport(analysis, { chat: req.query.chat === 'true' });
+  const filename = `coaching-report-${analysis.createdAt.slice(0, 10)}-${analysis.id.slice(0, 8)}`;
+  if (format === 'pdf') {
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    return res.send(renderReportPdf(report));
+  }
+  res.set('Content-Type', 'text/html; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}.html"`);
+  res.send(renderReportHtml(report));
+});
+
+app.delete('/api/analyses/:id', (req, res) => {
+  const analysis = getAnalysis(req.params.id);
+  if (!analysis || !deleteAnalysis(req.params.id)) {
+    return res.status(404).json({ error: 'Analysis not found' });
+  }
+  deletePoseVideo(analysis.poseVideoUrl);
+
+  res.json({
+    success: true,
+    message: 'Analysis deleted'
+  });
+});
+
+// Stream a chat reply over SSE: partial_text with the markdown so far as tokens arrive,
+// then message_completed with the validated reply, or message_failed
+const streamChatReply = async (res, { messages, section, sectionType, intent, onComplete }) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  // The client closing the stream (its stop button) stops generation
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+  let lastText = '';
+
+  try {
+    const reply = await generateStructured('CHAT', {
+      messages,
+      section,
+      signal: controller.signal,
+      onText: (text) => {
+        if (text === lastText) return;
+        lastText = text;
+        send('partial_text', { text });
+      }
+    });
+    console.log(`✅ Streamed ${sectionType || 'general'} response`);
+    onComplete(reply);
+    send('message_completed', { response: reply.markdown, data: reply.data, section, sectionType, intent });
+  } catch (error) {
+    if (isCancellation(error)) {
+      console.log('⏹️ Chat reply stopped by the client');
+      return;
+    }
+    console.error('❌ Chat error:', error);
+    send('message_failed', { error: 'Failed to process chat question', details: error.message });
+  } finally {
+    res.end();
+  }
+};
+
 // Follow-up questions endpoint for interactive chat
+// Send { stream: true } (or Accept: text/event-stream) to receive the reply as it is generated
 app.post('/api/chat', async (req, res) => {
   try {
-    const { question, analysisData } = req.body;
+    const { question, analysisId } = req.body;
+    let { analysisData } = req.body;
+    let storedAnalysis = null;
+    
+    // Stored analyses are looked up by id (and keep the conversation); inline analysisData is still accepted
+    if (analysisId) {
+      storedAnalysis = getAnalysis(analysisId);
+      if (!storedAnalysis) {
+        return res.status(404).json({ error: 'Analysis not found' });
+      }
+      analysisData = storedAnalysis.stages;
+    }
     
     if (!question || !analysisData) {
-      return res.status(400).json({ error: 'Question and analysis data are required' });
+      return res.status(400).json({ error: 'Question and analysisId are required' });
     }
 
     console.log('🤖 Processing follow-up question:', question);
     
-    // Determine which detailed section to generate based on the question
-    let prompt = '';
-    let sectionType = '';
+    // Route the question to an intent; each intent has its own prompt and reply section
+    const route = await classifyIntent(question);
+    let intent = route.intent;
     
-    if (question.toLowerCase().includes('strength') || question.toLowerCase().includes('good') || question.toLowerCase().includes('positive')) {
-      prompt = analysisData.detailedPrompts.strengths;
-      sectionType = 'Key Strengths';
-    } else if (question.toLowerCase().includes('improve') || question.toLowerCase().includes('problem') || question.toLowerCase().includes('issue') || question.toLowerCase().includes('better')) {
-      prompt = analysisData.detailedPrompts.improvements;
-      sectionType = 'Main Areas for Improvement';
-    } else if (question.toLowerCase().includes('drill') || question.toLowerCase().includes('exercise') || question.toLowerCase().includes('practice') || question.toLowerCase().includes('work on')) {
-      prompt = analysisData.detailedPrompts.drills;
-      sectionType = 'Specific Drills and Exercises';
-    } else {
-      // General question - use a custom prompt
-      prompt = `As a snowboarding coach, answer this question based on the technical analysis:
-
-QUESTION: ${question}
-
-TECHNICAL ANALYSIS:
-${analysisData.technicalAnalysis.substring(0, 1500)}...
-
-SCENE DESCRIPTION:
-${analysisData.sceneDescription.substring(0, 800)}...
-
-Provide a helpful, specific answer about snowboarding technique.`;
+    // Asking for a section again follows up on the earlier answer, so it gets a general answer
+    if (INTENTS[intent].section !== 'answer' && storedAnalysis && answeredSections(storedAnalysis).includes(INTENTS[intent].section)) {
+      intent = 'general';
     }
-
-    // Generate response using LLaMA 2
-    const response = await replicate.run(
-      'meta/llama-2-70b-chat:02e509c789964a7ea8736978a43525956ef40397be9033abf9fd2badfe68c9e3',
-      {
-        input: {
-          prompt: prompt
-        }
-      }
-    );
-
-    const responseText = Array.isArray(response) ? response.join(' ') : response;
     
-    // Clean up text formatting - remove extra spaces and fix word segmentation
-    const cleanText = (text) => {
-      if (!text) return text;
-      return text
-        // First, fix word segmentation issues (do this before space normalization)
-        .replace(/\bAss\s+ess\s+ment\b/g, 'Assessment')
-        .replace(/\bOver\s+all\b/g, 'Overall')
-        .replace(/\bStr\s+ength\s+s\b/g, 'Strengths')
-        .replace(/\bAre\s+as\b/g, 'Areas')
-        .replace(/\bIm\s+prov\s+e\s+ment\b/g, 'Improvement')
-        .replace(/\bDr\s+ills\b/g, 'Drills')
-        .replace(/\bEx\s+er\s+cis\s+es\b/g, 'Exercises')
-        .replace(/\bPract\s+ice\b/g, 'Practice')
-        .replace(/\bsnow\s+board\s+er\b/g, 'snowboarder')
-        .replace(/\bsnow\s+board\b/g, 'snowboard')
-        .replace(/\bdemonstr\s+ates\b/g, 'demonstrates')
-        .replace(/\bpost\s+ure\b/g, 'posture')
-        .replace(/\bkne\s+es\b/g, 'knees')
-        .replace(/\ban\s+k\s+les\b/g, 'ankles')
-        .replace(/\bposition\s+ing\b/g, 'positioning')
-        .replace(/\brelax\s+ed\b/g, 'relaxed')
-        .replace(/\badjust\s+ed\b/g, 'adjusted')
-        .replace(/\bincorpor\s+ating\b/g, 'incorporating')
-        .replace(/\benh\s+ance\b/g, 'enhance')
-        .replace(/\binit\s+iation\b/g, 'initiation')
-        // Fix additional word segmentation issues from your example
-        .replace(/\bB\s+ased\b/g, 'Based')
-        .replace(/\bsnowboarder\s+'\s+s\b/g, "snowboarder's")
-        .replace(/\bApp\s+ropri\s+ate\b/g, 'Appropriate')
-        .replace(/\bCenter\s+ed\b/g, 'Centered')
-        .replace(/\bIm\s+prov\s+e\s+ment\b/g, 'Improvement')
-        .replace(/\bSpec\s+ific\b/g, 'Specific')
-        .replace(/\badjust\s+ing\b/g, 'adjusting')
-        .replace(/\bF\s+ocus\b/g, 'Focus')
-        .replace(/\bmaintain\s+ing\b/g, 'maintaining')
-        .replace(/\bnavig\s+ating\b/g, 'navigating')
-        .replace(/\bterra\s+ins\b/g, 'terrains')
-        .replace(/\bW\s+ould\b/g, 'Would')
-        // Fix additional spacing issues from your example
-        .replace(/\b1\s+0\b/g, '10')
-        .replace(/\bbal\s+anced\b/g, 'balanced')
-        .replace(/\bkne\s+e\b/g, 'knee')
-        .replace(/\ban\s+k\s+le\b/g, 'ankle')
-        .replace(/\bsnowboard\s+ing\b/g, 'snowboarding')
-        // Fix additional word segmentation issues from the screenshot
-        .replace(/\bsp\s+ine\b/g, 'spine')
-        .replace(/\bh\s+ips\b/g, 'hips')
-        .replace(/\bel\s+b\s+ows\b/g, 'elbows')
-        .replace(/\bNe\s+ut\s+ral\b/g, 'Neutral')
-        .replace(/\bPro\s+per\b/g, 'Proper')
-        .replace(/\bWe\s+ight\b/g, 'Weight')
-        .replace(/\bsh\s+ifting\b/g, 'shifting')
-        .replace(/\bj\s+umps\b/g, 'jumps')
-        .replace(/\bexer\s+cis\s+es\b/g, 'exercises')
-        .replace(/\bsqu\s+ats\b/g, 'squats')
-        .replace(/\bbo\s+ards\b/g, 'boards')
-        .replace(/\bIn\s+cor\s+por\s+ate\b/g, 'Incorporate')
-        // Now normalize spaces and punctuation (but preserve line breaks)
-        .replace(/[ \t]+/g, ' ')  // Replace multiple spaces/tabs with single space (but keep \n)
-        .replace(/\s*\/\s*/g, '/')  // Fix spacing around slashes (7 / 10 -> 7/10)
-        .replace(/\s*:\s*/g, ': ')  // Fix spacing around colons
-        .replace(/\s*-\s*/g, '-')  // Fix spacing around hyphens
-        .replace(/\s*,\s*/g, ', ')  // Fix spacing around commas
-        .replace(/\s*\.\s*/g, '. ')  // Fix spacing around periods
-        .replace(/\s*\(\s*/g, '(')  // Fix spacing around parentheses
-        .replace(/\s*\)\s*/g, ')')  // Fix spacing around parentheses
-        .replace(/\s*\*\s*/g, '**')  // Fix spacing around asterisks
-        .replace(/\n[ \t]+/g, '\n')  // Remove leading spaces/tabs after line breaks (but keep the \n)
-        .trim();  // Remove leading/trailing spaces
+    const { section, label: sectionType } = INTENTS[intent];
+    // Stored analyses know their sport and rider; inline analysisData may name them
+    const sport = getSportProfile(storedAnalysis ? storedAnalysis.sport : req.body.sport);
+    // The rider's current profile, else the one the analysis was made with
+    const rider = storedAnalysis
+      ? getRider(storedAnalysis.riderId) || storedAnalysis.rider || null
+      : getRider(req.body.riderId);
+    const prompt = buildIntentPrompt(intent, { question, stages: analysisData, record: storedAnalysis, sport, rider });
+    console.log(`🧭 Chat intent: ${intent} (${route.method})`);
+
+    // Earlier turns of this analysis's conversation, within the history token budget
+    const context = storedAnalysis ? await getChatContext(storedAnalysis) : { summary: '', recent: [] };
+    const messages = buildChatMessages(coachSystemPrompt(sport), context, prompt);
+    const remember = (reply) => {
+      if (storedAnalysis) recordTurn(storedAnalysis.id, question, reply.markdown, section, promptLabel(INTENTS[intent].template));
     };
     
-    const cleanedResponse = cleanText(responseText);
+    if (req.body.stream || (req.headers.accept || '').includes('text/event-stream')) {
+      return streamChatReply(res, { messages, section, sectionType, intent, onComplete: remember });
+    }
+    
+    // Generate a schema-validated reply with the configured chat model and render it
+    const reply = await generateStructured('CHAT', { messages, section });
+    remember(reply);
     
     console.log(`✅ Generated ${sectionType || 'general'} response`);
     
     res.json({
       success: true,
-      response: cleanedResponse,
+      response: reply.markdown,
+      data: reply.data,
+      section: section,
       sectionType: sectionType,
+      intent: intent,
       message: 'Response generated successfully'
     });
 
@@ -379,17 +633,322 @@ Provide a helpful, specific answer about snowboarding technique.`;
   }
 });
 
+// Rider profiles: skill level, stance, home terrain, goals and physical limitations
+app.get('/api/riders', (req, res) => {
+  res.json({
+    success: true,
+    riders: listRiders()
+  });
+});
+
+app.post('/api/riders', (req, res) => {
+  const { profile, error } = checkProfile(req.body);
+  if (error) {
+    return res.status(400).json({ error: 'Invalid rider profile', details: error });
+  }
+
+  res.status(201).json({
+    success: true,
+    rider: createRider(profile)
+  });
+});
+
+app.get('/api/riders/:id', (req, res) => {
+  const rider = getRider(req.params.id);
+  if (!rider) {
+    return res.status(404).json({ error: 'Rider not found' });
+  }
+
+  res.json({
+    success: true,
+    rider
+  });
+});
+
+// Replaces the whole profile; fields left out are cleared
+app.put('/api/riders/:id', (req, res) => {
+  const { profile, error } = checkProfile(req.body);
+  if (error) {
+    return res.status(400).json({ error: 'Invalid rider profile', details: error });
+  }
+
+  const rider = updateRider(req.params.id, profile);
+  if (!rider) {
+    return res.status(404).json({ error: 'Rider not found' });
+  }
+
+  res.json({
+    success: true,
+    rider
+  });
+});
+
+// Analyses keep the profile they were made with
+app.delete('/api/riders/:id', (req, res) => {
+  if (!deleteRider(req.params.id)) {
+    return res.status(404).json({ error: 'Rider not found' });
+  }
+
+  res.json({
+    success: true,
+    message: 'Rider deleted'
+  });
+});
+
+// Progress of a rider's scores and measurements over their sessions of one sport
+// (?sport=, else the rider's sport, else the sport of their latest session)
+app.get('/api/riders/:id/progress', (req, res) => {
+  const rider = getRider(req.params.id);
+  if (!rider) {
+    return res.status(404).json({ error: 'Rider not found' });
+  }
+
+  const latest = listAnalyses({ riderId: rider.id, limit: 1 })[0];
+  const sport = req.query.sport || rider.sport || (latest && latest.sport) || DEFAULT_SPORT;
+  const sessions = getRiderHistory(rider.id, { sport });
+  res.json({
+    success: true,
+    rider,
+    sport,
+    sessions,
+    ...buildTimeline(sessions, sport)
+  });
+});
+
+// Compare two of a rider's sessions (?from=&to= analysis ids); defaults to the latest
+// session against the one before it of the same sport
+app.get('/api/riders/:id/progress/compare', (req, res) => {
+  const rider = getRider(req.params.id);
+  if (!rider) {
+    return res.status(404).json({ error: 'Rider not found' });
+  }
+
+  const history = getRiderHistory(rider.id);
+  const to = req.query.to ? history.find(session => session.analysisId === req.query.to) : history[history.length - 1];
+  const from = req.query.from
+    ? history.find(session => session.analysisId === req.query.from)
+    : to && history.filter(session => session.sport === to.sport && session.createdAt < to.createdAt).pop();
+  if (!to || !from) {
+    return res.status(404).json({
+      error: 'Sessions not found',
+      details: req.query.from || req.query.to
+        ? 'from and to must be ids of analyses made with this rider profile'
+        : 'The rider needs two sessions of the same sport to compare'
+    });
+  }
+
+  res.json({
+    success: true,
+    from,
+    to,
+    changes: compareSessions(from, to)
+  });
+});
+
+// A rider's practice plans, newest first (?analysisId= keeps the plans made from that analysis)
+app.get('/api/riders/:id/plans', (req, res) => {
+  const rider = getRider(req.params.id);
+  if (!rider) {
+    return res.status(404).json({ error: 'Rider not found' });
+  }
+
+  res.json({
+    success: true,
+    plans: listPlans({ riderId: rider.id, analysisId: req.query.analysisId || null })
+  });
+});
+
+// Generate a practice plan from an analysis (`{ analysisId, availability }`)
+app.post('/api/riders/:id/plans', (req, res) => {
+  const rider = getRider(req.params.id);
+  if (!rider) {
+    return res.status(404).json({ error: 'Rider not found' });
+  }
+
+  const analysis = req.body && req.body.analysisId ? getAnalysis(req.body.analysisId) : null;
+  if (!analysis) {
+    return res.status(404).json({ error: 'Analysis not found' });
+  }
+  if (analysis.riderId && analysis.riderId !== rider.id) {
+    return res.status(400).json({ error: 'Analysis of another rider', details: 'analysisId must be an analysis made with this rider profile or without one' });
+  }
+
+  const { availability, error } = checkAvailability(req.body.availability);
+  if (error) {
+    return res.status(400).json({ error: 'Invalid availability', details: error });
+  }
+
+  const plan = generatePlan(analysis, rider, availability);
+  res.status(201).json({
+    success: true,
+    plan: createPlan(plan, { riderId: rider.id, analysisId: analysis.id, sport: analysis.sport || DEFAULT_SPORT })
+  });
+});
+
+app.get('/api/plans/:id', (req, res) => {
+  const plan = getPlan(req.params.id);
+  if (!plan) {
+    return res.status(404).json({ error: 'Plan not found' });
+  }
+
+  res.json({
+    success: true,
+    plan
+  });
+});
+
+// Replaces the title, availability and weeks; the rider, analysis and sport stay
+app.put('/api/plans/:id', (req, res) => {
+  const { plan: fields, error } = checkPlan(req.body);
+  if (error) {
+    return res.status(400).json({ error: 'Invalid plan', details: error });
+  }
+
+  const plan = updatePlan(req.params.id, fields);
+  if (!plan) {
+    return res.status(404).json({ error: 'Plan not found' });
+  }
+
+  res.json({
+    success: true,
+    plan
+  });
+});
+
+app.delete('/api/plans/:id', (req, res) => {
+  if (!deletePlan(req.params.id)) {
+    return res.status(404).json({ error: 'Plan not found' });
+  }
+
+  res.json({
+    success: true,
+    message: 'Plan deleted'
+  });
+});
+
+// Download a plan as a calendar (?format=ics) or a printable page (?format=html, the default)
+app.get('/api/plans/:id/export', (req, res) => {
+  const plan = getPlan(req.params.id);
+  if (!plan) {
+    return res.status(404).json({ error: 'Plan not found' });
+  }
+
+  const format = req.query.format || 'html';
+  if (format === 'ics') {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="practice-plan-${plan.id}.ics"`);
+    return res.send(formatCalendar(plan));
+  }
+  if (format === 'html') {
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    return res.send(renderPlanHtml(plan, { rider: getRider(plan.riderId) }));
+  }
+  res.status(400).json({ error: 'Unknown format', details: 'format must be one of: ics, html' });
+});
+
+// Drill library: curated drills matched to the faults an analysis detects
+// (?sport=, ?fault= and ?difficulty=, which keeps drills at that level or easier)
+app.get('/api/drills', (req, res) => {
+  const { sport, fault, difficulty } = req.query;
+  if (sport && !isSport(sport)) {
+    return sendUnknownSport(res);
+  }
+  if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+    return res.status(400).json({ error: 'Unknown difficulty', details: `difficulty must be one of: ${DIFFICULTIES.join(', ')}` });
+  }
+
+  res.json({
+    success: true,
+    drills: listDrills({ sport, fault, difficulty })
+  });
+});
+
+// Faults a drill can target
+app.get('/api/drills/faults', (req, res) => {
+  res.json({
+    success: true,
+    faults: listFaults()
+  });
+});
+
+app.post('/api/drills', (req, res) => {
+  const { drill, error } = checkDrill(req.body);
+  if (error) {
+    return res.status(400).json({ error: 'Invalid drill', details: error });
+  }
+
+  res.status(201).json({
+    success: true,
+    drill: createDrill(drill)
+  });
+});
+
+app.get('/api/drills/:id', (req, res) => {
+  const drill = getDrill(req.params.id);
+  if (!drill) {
+    return res.status(404).json({ error: 'Drill not found' });
+  }
+
+  res.json({
+    success: true,
+    drill
+  });
+});
+
+// Replaces the whole drill; fields left out are cleared
+app.put('/api/drills/:id', (req, res) => {
+  const { drill: fields, error } = checkDrill(req.body);
+  if (error) {
+    return res.status(400).json({ error: 'Invalid drill', details: error });
+  }
+
+  const drill = updateDrill(req.params.id, fields);
+  if (!drill) {
+    return res.status(404).json({ error: 'Drill not found' });
+  }
+
+  res.json({
+    success: true,
+    drill
+  });
+});
+
+// Analyses keep the drills they recommended
+app.delete('/api/drills/:id', (req, res) => {
+  if (!deleteDrill(req.params.id)) {
+    return res.status(404).json({ error: 'Drill not found' });
+  }
+
+  res.json({
+    success: true,
+    message: 'Drill deleted'
+  });
+});
+
+// Sports the analysis can be tuned for, with the maneuvers each one names
+app.get('/api/sports', (req, res) => {
+  res.json({
+    success: true,
+    sports: listSports(),
+    defaultSport: DEFAULT_SPORT
+  });
+});
+
+// Prompt templates with their versions and the one each analysis will use
+app.get('/api/prompts', (req, res) => {
+  res.json({
+    success: true,
+    prompts: listPrompts()
+  });
+});
+
 app.get('/api/health', (req, res) => {
   res.json({
     status: 'Server is running',
     timestamp: new Date().toISOString(),
     pipelines: ['image-based', 'pose-based'],
-    models: {
-      poseEstimation: 'jagilley/controlnet-pose (pose detection overlay)',
-      technicalAnalysis: 'yorickvp/llava-v1.6-mistral-7b',
-      sceneDescription: 'andreasjansson/blip-2',
-      reportGeneration: 'meta/llama-2-70b-chat'
-    }
+    // Provider and model configured for each stage
+    models: describeStages()
   });
 });
 
@@ -427,10 +986,9 @@ app.post('/api/debug-upload', upload.single('video'), async (req, res) => {
 });
 
 // Pose analysis endpoint (forces pose-based pipeline)
-app.post('/api/analyze-pose', upload.single('video'), async (req, res) => {
+app.post('/api/analyze-pose', upload.single('video'), (req, res) => {
   console.log('🎯 POST /api/analyze-pose called');
   console.log('🔍 Request file:', req.file ? 'Present' : 'Missing');
-  console.log('🔍 Request headers:', req.headers);
   
   try {
     if (!req.file) {
@@ -438,52 +996,51 @@ app.post('/api/analyze-pose', upload.single('video'), async (req, res) => {
       return res.status(400).json({ error: 'No video file uploaded' });
     }
 
+    const { riderId, rider } = getUploadRider(req);
+    if (riderId && !rider) {
+      fs.rmSync(req.file.path, { force: true });
+      return sendUnknownRider(res);
+    }
+
+    const sport = getSport(req, rider);
+    if (!sport) {
+      fs.rmSync(req.file.path, { force: true });
+      return sendUnknownSport(res);
+    }
+
     const videoPath = req.file.path;
     const frameDir = path.join('/tmp/uploads', 'frames', req.file.filename);
+    const frameOptions = getFrameOptions(req);
+    const videoName = req.file.originalname;
 
-    // Extract frames from video
-    await extractFrames(videoPath, frameDir);
-
-    // Get frame files
-    const frameFiles = fs.readdirSync(frameDir)
-      .filter(file => file.endsWith('.png'))
-      .map(file => path.join(frameDir, file))
-      .sort();
-
-    console.log('🎯 Starting Pose-Based Analysis...');
-    console.log('Frame files:', frameFiles.length);
-
-  // Use pose-based analysis (ControlNet pose detection)
-  console.log('🔍 Debug - Calling analyzeSnowboardingVideoPoseBased...');
-  const analysis = await analyzeSnowboardingVideoPoseBased(videoPath, frameFiles);
-  console.log('🔍 Debug - Analysis result:', !!analysis);
-  console.log('🔍 Debug - Analysis has detailedPrompts:', !!analysis.detailedPrompts);
-  console.log('🔍 Debug - Analysis pipeline:', analysis.pipeline);
-  console.log('🔍 Debug - Analysis keys:', Object.keys(analysis));
-  console.log('🔍 Debug - detailedPrompts type:', typeof analysis.detailedPrompts);
-  console.log('🔍 Debug - detailedPrompts keys:', analysis.detailedPrompts ? Object.keys(analysis.detailedPrompts) : 'none');
-
-    // Clean up temporary files
-    fs.unlinkSync(videoPath);
-    frameFiles.forEach(frameFile => fs.unlinkSync(frameFile));
-    fs.rmdirSync(frameDir);
+    const job = enqueueJob('analyze-pose', async ({ signal, emit }) => {
+      // Extract frames from video
+      emit({ type: 'stage_started', stage: 'frame_extraction' });
+      const frames = await extractFrames(videoPath, frameDir, { ...frameOptions, signal });
+      const frameFiles = frames.map(frame => frame.path);
+      const frameTimestamps = frames.map(frame => frame.timestamp);
+      emit({ type: 'stage_finished', stage: 'frame_extraction', frameCount: frames.length });
+      throwIfCancelled(signal);
 
-    res.json({
-      success: true,
-      analysis: analysis.analysis,
-      pipeline: 'pose-based-4stage',
-      poseVideoUrl: analysis.poseVideoUrl,
-      poseAnalyses: analysis.poseAnalyses,
-      poseImages: analysis.poseAnalyses ? analysis.poseAnalyses.map(pose => ({
-        frame: pose.frame,
-        imageUrl: pose.poseImageUrl
-      })) : [],
-      technicalAnalysis: analysis.technicalAnalysis,
-      sceneDescription: analysis.sceneDescription,
-      detailedPrompts: analysis.detailedPrompts,
-      message: 'Video analyzed using advanced pose estimation pipeline'
+      console.log('🎯 Starting Pose-Based Analysis...');
+      console.log('Frame files:', frameFiles.length);
+
+      // Use pose-based analysis (keypoint pose estimation)
+      const analysis = await analyzeSnowboardingVideoPoseBased(videoPath, frameFiles, {
+        frameTimestamps,
+        sport,
+        rider,
+        signal,
+        onEvent: emit
+      });
+
+      return saveResult(poseAnalysisResult(analysis, sport, rider), videoName, signal);
+    }, {
+      cleanup: () => cleanupUpload(videoPath, frameDir)
     });
 
+    sendJobAccepted(res, job);
+
   } catch (error) {
     console.error('Pose analysis error:', error);
     res.status(500).json({
@@ -493,6 +1050,136 @@ app.post('/api/analyze-pose', upload.single('video'), async (req, res) => {
   }
 });
 
+// Compare a rider's run with a reference run of the same maneuver: a second video
+// (reference) or a stored analysis (referenceId). The rider's run gets the full pose
+// analysis, with the differences from the reference in its report
+app.post('/api/compare', upload.fields([{ name: 'video', maxCount: 1 }, { name: 'reference', maxCount: 1 }]), (req, res) => {
+  const video = req.files && req.files.video ? req.files.video[0] : null;
+  const referenceVideo = req.files && req.files.reference ? req.files.reference[0] : null;
+  const removeUploads = () => [video, referenceVideo].filter(Boolean).forEach(file => fs.rmSync(file.path, { force: true }));
+
+  try {
+    if (!video) {
+      removeUploads();
+      return res.status(400).json({ error: 'No video file uploaded' });
+    }
+
+    const referenceId = req.body.referenceId || req.query.referenceId || null;
+    if (!referenceVideo && !referenceId) {
+      removeUploads();
+      return res.status(400).json({
+        error: 'No reference run',
+        details: 'Upload the reference clip as "reference" or name a stored analysis with referenceId'
+      });
+    }
+
+    const storedReference = referenceVideo ? null : getAnalysis(referenceId);
+    if (!referenceVideo && !storedReference) {
+      removeUploads();
+      return res.status(404).json({ error: 'Reference analysis not found' });
+    }
+    if (storedReference && !(storedReference.stages.biomechanics && storedReference.stages.biomechanics.available)) {
+      removeUploads();
+      return res.status(400).json({
+        error: 'Reference has no pose keypoints',
+        details: 'The reference analysis must come from the pose pipeline with keypoints measured'
+      });
+    }
+
+    const { riderId, rider } = getUploadRider(req);
+    if (riderId && !rider) {
+      removeUploads();
+      return sendUnknownRider(res);
+    }
+
+    const sport = getSport(req, rider);
+    if (!sport) {
+      removeUploads();
+      return sendUnknownSport(res);
+    }
+
+    // Opposite stances are compared side for side (mirror=true|false overrides)
+    const mirrorField = req.body.mirror || req.query.mirror;
+    const referenceStance = storedReference && storedReference.rider ? storedReference.rider.stance : null;
+    const mirror = mirrorField
+      ? mirrorField === 'true'
+      : Boolean(rider && rider.stance && referenceStance && rider.stance !== referenceStance);
+
+    const frameDir = path.join('/tmp/uploads', 'frames', video.filename);
+    const referenceFrameDir = referenceVideo ? path.join('/tmp/uploads', 'frames', referenceVideo.filename) : null;
+    const frameOptions = getFrameOptions(req);
+
+    const job = enqueueJob('compare', async ({ signal, emit }) => {
+      emit({ type: 'stage_started', stage: 'frame_extraction' });
+      const frames = await extractFrames(video.path, frameDir, { ...frameOptions, signal });
+      const referenceFrames = referenceVideo ? await extractFrames(referenceVideo.path, referenceFrameDir, { ...frameOptions, signal }) : null;
+      emit({ type: 'stage_finished', stage: 'frame_extraction', frameCount: frames.length });
+      throwIfCancelled(signal);
+
+      let reference;
+      if (referenceFrames) {
+        const referenceRun = await analyzeReferenceRun(referenceVideo.path, referenceFrames.map(frame => frame.path), {
+          frameTimestamps: referenceFrames.map(frame => frame.timestamp),
+          sport,
+          signal,
+          onEvent: emit
+        });
+        reference = { ...referenceRun, analysisId: null, videoName: referenceVideo.originalname, poseVideoUrl: null };
+      } else {
+        emit({ type: 'stage_finished', stage: 'reference_pose' });
+        reference = {
+          biomechanics: storedReference.stages.biomechanics,
+          keyFrames: storedReference.stages.keyFrames,
+          maneuver: storedReference.stages.maneuver,
+          analysisId: storedReference.id,
+          videoName: storedReference.videoName,
+          poseVideoUrl: storedReference.poseVideoUrl
+        };
+      }
+      throwIfCancelled(signal);
+
+      const analysis = await analyzeSnowboardingVideoPoseBased(video.path, frames.map(frame => frame.path), {
+        frameTimestamps: frames.map(frame => frame.timestamp),
+        sport,
+        rider,
+        reference: { biomechanics: reference.biomechanics, mirror },
+        signal,
+        onEvent: emit
+      });
+
+      return saveResult({
+        ...poseAnalysisResult(analysis, sport, rider),
+        comparison: analysis.comparison || null,
+        reference: {
+          analysisId: reference.analysisId,
+          videoName: reference.videoName,
+          poseVideoUrl: reference.poseVideoUrl,
+          maneuver: reference.maneuver && reference.maneuver.available ? reference.maneuver.label : null
+        },
+        message: analysis.comparison && analysis.comparison.available
+          ? 'Video analyzed and compared with the reference run'
+          : 'Video analyzed; it could not be compared with the reference run'
+      }, video.originalname, signal);
+    }, {
+      stages: COMPARISON_STAGES,
+      cleanup: () => {
+        cleanupUpload(video.path, frameDir);
+        if (referenceVideo) cleanupUpload(referenceVideo.path, referenceFrameDir);
+      }
+    });
+
+    sendJobAccepted(res, job);
+
+  } catch (error) {
+    console.error('Comparison error:', error);
+    removeUploads();
+    res.status(500).json({
+      error: 'Failed to compare videos',
+      details: error.message
+    });
+  }
+});
+
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/api/health`);
@@ -0,0 +1,305 @@
+// In-process analysis job queue
+// Runs long pipelines outside the HTTP request, tracks their stage and progress,
+// limits how many run at once and lets clients cancel them or subscribe to their events
+
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+require('dotenv').config();
+
+const JOB_STATES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Pipeline stages in order, with the share of overall progress each one represents
+const PIPELINE_STAGES = [
+  { id: 'frame_extraction', label: 'Frame extraction', weight: 5 },
+  { id: 'pose_estimation', label: 'Pose estimation', weight: 25 },
+  { id: 'pose_video', label: 'Pose video rendering', weight: 10 },
+  { id: 'technical_analysis', label: 'Technical analysis', weight: 30 },
+  { id: 'scene_description', label: 'Scene description', weight: 15 },
+  { id: 'report', label: 'Report generation', weight: 15 }
+];
+
+// Comparison jobs measure the reference run before analyzing the rider's
+const COMPARISON_STAGES = [
+  PIPELINE_STAGES[0],
+  { id: 'reference_pose', label: 'Reference run poses', weight: 20 },
+  ...PIPELINE_STAGES.slice(1)
+];
+
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 2;
+
+// Finished jobs are kept for polling, then dropped
+const JOB_RETENTION_MS = parseInt(process.env.JOB_RETENTION_MS, 10) || 60 * 60 * 1000;
+
+// Events kept per job so late subscribers can catch up
+const MAX_JOB_EVENTS = 500;
+
+// Event types that end a job's event stream
+const TERMINAL_EVENTS = ['job_completed', 'job_failed', 'job_cancelled'];
+
+const jobs = new Map();
+const pendingJobs = [];
+let runningCount = 0;
+
+const isFinished = (job) => [JOB_STATES.COMPLETED, JOB_STATES.FAILED, JOB_STATES.CANCELLED].includes(job.state);
+
+// Error thrown into a pipeline when its job has been cancelled
+const throwIfCancelled = (signal) => {
+  if (signal && signal.aborted) {
+    const error = new Error('Job was cancelled');
+    error.name = 'AbortError';
+    throw error;
+  }
+};
+
+const isCancellation = (error) => Boolean(error) && error.name === 'AbortError';
+
+// Overall percent for a stage of a job's stage list and the fraction of that stage already done
+const stagePercent = (stages, stageId, stageProgress = 0) => {
+  const totalWeight = stages.reduce((sum, stage) => sum + stage.weight, 0);
+  let completedWeight = 0;
+
+  for (const stage of stages) {
+    if (stage.id === stageId) {
+      const fraction = Math.min(Math.max(stageProgress, 0), 1);
+      return Math.round(((completedWeight + stage.weight * fraction) / totalWeight) * 100);
+    }
+    completedWeight += stage.weight;
+  }
+
+  return null;
+};
+
+// Overall percent implied by a pipeline event, or null if it does not move progress
+const progressForEvent = (stages, event) => {
+  switch (event.type) {
+    case 'stage_started':
+      return stagePercent(stages, event.stage, 0);
+    case 'frame_completed':
+      return stagePercent(stages, event.stage, event.total ? event.completed / event.total : 0);
+    case 'stage_finished':
+      return stagePercent(stages, event.stage, 1);
+    default:
+      return null;
+  }
+};
+
+// Record an event on the job and pass it to live subscribers
+const publishEvent = (job, event) => {
+  const entry = {
+    ...event,
+    sequence: job.events.length > 0 ? job.events[job.events.length - 1].sequence + 1 : 1,
+    progress: job.progress,
+    at: new Date().toISOString()
+  };
+
+  job.events.push(entry);
+  if (job.events.length > MAX_JOB_EVENTS) {
+    // Stage boundaries matter more to a late subscriber than old partial text
+    const dropIndex = job.events.findIndex(e => e.type === 'partial_text');
+    job.events.splice(dropIndex === -1 ? 0 : dropIndex, 1);
+  }
+
+  job.emitter.emit('event', entry);
+};
+
+const scheduleRemoval = (job) => {
+  const timer = setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS);
+  if (timer.unref) timer.unref();
+};
+
+const finishJob = (job, state, fields = {}) => {
+  Object.assign(job, fields, { state, finishedAt: new Date().toISOString() });
+
+  if (state === JOB_STATES.COMPLETED) {
+    publishEvent(job, { type: 'job_completed', result: job.result });
+  } else if (state === JOB_STATES.FAILED) {
+    publishEvent(job, { type: 'job_failed', error: job.error });
+  } else {
+    publishEvent(job, { type: 'job_cancelled' });
+  }
+
+  scheduleRemoval(job);
+};
+
+// Temporary files are removed once the task has stopped using them
+const runCleanup = async (job) => {
+  if (!job.cleanup) return;
+  try {
+    await job.cleanup();
+  } catch (error) {
+    console.error(`❌ Job ${job.id} cleanup failed:`, error.message);
+  }
+};
+
+const runJob = async (job) => {
+  runningCount++;
+  job.state = JOB_STATES.RUNNING;
+  job.startedAt = new Date().toISOString();
+  console.log(`🚀 Job ${job.id} (${job.type}) started`);
+
+  publishEvent(job, { type: 'job_started' });
+
+  const context = {
+    signal: job.abortController.signal,
+    // Called by the pipeline for stage_started, frame_completed, partial_text and stage_finished events
+    emit: (event) => {
+      if (isFinished(job)) return;
+      if (event.stage) {
+        job.stage = event.stage;
+      }
+      const percent = progressForEvent(job.stages, event);
+      if (percent !== null) {
+        job.progress = Math.max(job.progress, percent);
+      }
+      publishEvent(job, event);
+    }
+  };
+
+  try {
+    const result = await job.task(context);
+    throwIfCancelled(context.signal);
+    finishJob(job, JOB_STATES.COMPLETED, { result, progress: 100 });
+    console.log(`✅ Job ${job.id} completed`);
+  } catch (error) {
+    if (isCancellation(error) || job.abortController.signal.aborted) {
+      if (job.state !== JOB_STATES.CANCELLED) finishJob(job, JOB_STATES.CANCELLED);
+      console.log(`🛑 Job ${job.id} cancelled`);
+    } else {
+      finishJob(job, JOB_STATES.FAILED, { error: error.message });
+      console.error(`❌ Job ${job.id} failed:`, error.message);
+    }
+  } finally {
+    await runCleanup(job);
+    runningCount--;
+    processQueue();
+  }
+};
+
+const processQueue = () => {
+  while (runningCount < MAX_CONCURRENT_JOBS && pendingJobs.length > 0) {
+    runJob(pendingJobs.shift());
+  }
+};
+
+/**
+ * Queue a job
+ * Input: Job type, task(context) returning the result, optional cleanup() run once the job ends,
+ *        optional stages the task goes through (PIPELINE_STAGES by default)
+ * Output: The job record (see toJobStatus for the public view)
+ */
+const enqueueJob = (type, task, { cleanup, stages = PIPELINE_STAGES } = {}) => {
+  const job = {
+    id: uuidv4(),
+    type,
+    state: JOB_STATES.QUEUED,
+    stage: null,
+    progress: 0,
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    task,
+    cleanup,
+    stages,
+    abortController: new AbortController(),
+    events: [],
+    emitter: new EventEmitter()
+  };
+
+  jobs.set(job.id, job);
+  pendingJobs.push(job);
+  publishEvent(job, { type: 'job_queued' });
+  console.log(`📥 Job ${job.id} (${type}) queued, ${pendingJobs.length} waiting, ${runningCount} running`);
+  processQueue();
+  return job;
+};
+
+const getJob = (id) => jobs.get(id) || null;
+
+/**
+ * Cancel a queued or running job
+ * Output: The job, or null if it does not exist
+ */
+const cancelJob = (id) => {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (isFinished(job)) return job;
+
+  job.abortController.abort();
+
+  const pendingIndex = pendingJobs.indexOf(job);
+  if (pendingIndex !== -1) {
+    pendingJobs.splice(pendingIndex, 1);
+    runCleanup(job);
+  }
+  // A running job notices the abort at its next checkpoint and cleans up then;
+  // report it as cancelled right away
+  finishJob(job, JOB_STATES.CANCELLED);
+
+  return job;
+};
+
+/**
+ * Follow a job's events
+ * Input: Job id, listener(event) called for every past event and then live ones
+ * Output: Function that stops the subscription, or null if the job does not exist
+ */
+const subscribeToJob = (id, listener) => {
+  const job = jobs.get(id);
+  if (!job) return null;
+
+  job.events.forEach(listener);
+  if (isFinished(job)) {
+    return () => {};
+  }
+
+  const onEvent = (event) => {
+    listener(event);
+    if (TERMINAL_EVENTS.includes(event.type)) {
+      job.emitter.off('event', onEvent);
+    }
+  };
+  job.emitter.on('event', onEvent);
+  return () => job.emitter.off('event', onEvent);
+};
+
+// Public view of a job for the status endpoint
+const toJobStatus = (job) => {
+  const stage = job.stages.find(entry => entry.id === job.stage);
+  return {
+    id: job.id,
+    type: job.type,
+    state: job.state,
+    stage: job.stage,
+    stageLabel: stage ? stage.label : null,
+    progress: job.progress,
+    queuePosition: job.state === JOB_STATES.QUEUED ? pendingJobs.indexOf(job) + 1 : null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    result: job.state === JOB_STATES.COMPLETED ? job.result : null,
+    error: job.error
+  };
+};
+
+module.exports = {
+  enqueueJob,
+  getJob,
+  cancelJob,
+  toJobStatus,
+  subscribeToJob,
+  throwIfCancelled,
+  isCancellation,
+  JOB_STATES,
+  TERMINAL_EVENTS,
+  PIPELINE_STAGES,
+  COMPARISON_STAGES,
+  MAX_CONCURRENT_JOBS
+};
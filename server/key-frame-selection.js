@@ -0,0 +1,322 @@
+// Motion-aware key frame selection
+// Scores candidate frames by scene change, rider motion and pose change, then picks
+// the frames that show the phases of the maneuver (turn initiation/apex/completion,
+// or takeoff/apex/landing when the rider leaves the ground)
+
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+const { bodyFrame, distance } = require('./biomechanics');
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+// Frames are compared as tiny grayscale thumbnails
+const SIGNATURE_WIDTH = 32;
+const SIGNATURE_HEIGHT = 24;
+const MOTION_GRID = 4;
+
+// Hip rise (in torso lengths) above the clip baseline that counts as airborne
+const AIRBORNE_RISE = 0.35;
+
+const SCORE_WEIGHTS = {
+  sceneChange: 0.3,
+  motion: 0.4,
+  poseChange: 0.3
+};
+
+/**
+ * Decode a frame into a grayscale thumbnail used for frame differencing
+ * Input: Frame image path
+ * Output: Buffer of SIGNATURE_WIDTH x SIGNATURE_HEIGHT luma bytes
+ */
+const readFrameSignature = (framePath) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = ffmpeg(framePath)
+      .outputOptions([
+        '-vf', `scale=${SIGNATURE_WIDTH}:${SIGNATURE_HEIGHT},format=gray`,
+        '-frames:v', '1',
+        '-f', 'rawvideo'
+      ])
+      .on('error', (error) => reject(new Error(`Could not decode frame ${framePath}: ${error.message}`)))
+      .pipe();
+
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+};
+
+// Mean absolute luma difference across the whole frame, 0..1
+const globalDifference = (a, b) => {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) {
+    total += Math.abs(a[i] - b[i]);
+  }
+  return total / (a.length * 255);
+};
+
+// Largest mean difference inside one cell of a coarse grid, 0..1.
+// A rider moving against a steady background changes a few cells a lot,
+// while a camera pan changes every cell a little.
+const localizedDifference = (a, b) => {
+  const cellWidth = SIGNATURE_WIDTH / MOTION_GRID;
+  const cellHeight = SIGNATURE_HEIGHT / MOTION_GRID;
+  let largest = 0;
+
+  for (let gy = 0; gy < MOTION_GRID; gy++) {
+    for (let gx = 0; gx < MOTION_GRID; gx++) {
+      let total = 0;
+      for (let y = gy * cellHeight; y < (gy + 1) * cellHeight; y++) {
+        for (let x = gx * cellWidth; x < (gx + 1) * cellWidth; x++) {
+          const i = y * SIGNATURE_WIDTH + x;
+          total += Math.abs(a[i] - b[i]);
+        }
+      }
+      largest = Math.max(largest, total / (cellWidth * cellHeight * 255));
+    }
+  }
+
+  return largest;
+};
+
+// Mean keypoint displacement between two poses, in torso lengths
+const poseDifference = (previous, current) => {
+  const a = bodyFrame(previous);
+  const b = bodyFrame(current);
+  if (!a || !b) return null;
+
+  const shared = Object.keys(b.points).filter(name => a.points[name]);
+  if (shared.length === 0) return null;
+
+  const total = shared.reduce((sum, name) => sum + distance(a.points[name], b.points[name]), 0);
+  return total / shared.length / ((a.torso + b.torso) / 2);
+};
+
+// Scale a series so its largest value is 1 (null entries stay null)
+const normalize = (values) => {
+  const max = Math.max(0, ...values.filter(value => value !== null));
+  return values.map(value => (value === null ? null : max > 0 ? value / max : 0));
+};
+
+/**
+ * Score every candidate frame
+ * Input: Frame paths, pose analyses (optionally with keypoints)
+ * Output: Array of { index, sceneChange, motion, poseChange, score } per frame
+ */
+const scoreFrames = async (framePaths, poseAnalyses = []) => {
+  const signatures = [];
+  for (const framePath of framePaths) {
+    try {
+      signatures.push(await readFrameSignature(framePath));
+    } catch (error) {
+      console.error('❌ Frame signature failed:', error.message);
+      signatures.push(null);
+    }
+  }
+
+  const keypointsByIndex = {};
+  poseAnalyses.forEach((pose) => {
+    if (pose && pose.keypoints) keypointsByIndex[pose.frame - 1] = pose.keypoints;
+  });
+
+  const raw = framePaths.map((_, index) => {
+    const current = signatures[index];
+    const previous = signatures[index - 1];
+    const hasPixels = current && previous && current.length === previous.length;
+
+    return {
+      sceneChange: hasPixels ? globalDifference(previous, current) : null,
+      motion: hasPixels ? localizedDifference(previous, current) : null,
+      poseChange: keypointsByIndex[index] && keypointsByIndex[index - 1]
+        ? poseDifference(keypointsByIndex[index - 1], keypointsByIndex[index])
+        : null
+    };
+  });
+
+  const sceneChange = normalize(raw.map(entry => entry.sceneChange));
+  const motion = normalize(raw.map(entry => entry.motion));
+  const poseChange = normalize(raw.map(entry => entry.poseChange));
+
+  return raw.map((_, index) => {
+    const components = {
+      sceneChange: sceneChange[index],
+      motion: motion[index],
+      poseChange: poseChange[index]
+    };
+
+    // Weight only the signals we have for this frame
+    let weightTotal = 0;
+    let score = 0;
+    Object.keys(SCORE_WEIGHTS).forEach((key) => {
+      if (components[key] !== null) {
+        score += components[key] * SCORE_WEIGHTS[key];
+        weightTotal += SCORE_WEIGHTS[key];
+      }
+    });
+
+    return {
+      index,
+      ...components,
+      score: weightTotal > 0 ? score / weightTotal : 0
+    };
+  });
+};
+
+// Hip height per frame in torso lengths above the lowest position in the clip
+const hipRiseSeries = (framePaths, poseAnalyses) => {
+  const series = framePaths.map(() => null);
+  poseAnalyses.forEach((pose) => {
+    const body = pose && pose.keypoints ? bodyFrame(pose.keypoints) : null;
+    if (body) series[pose.frame - 1] = body;
+  });
+
+  const measured = series.filter(Boolean);
+  if (measured.length < 3) return null;
+
+  // Image y grows downwards, so the baseline is the largest hip y
+  const baseline = Math.max(...measured.map(body => body.hips.y));
+  const torso = measured.reduce((sum, body) => sum + body.torso, 0) / measured.length;
+  return series.map(body => (body ? (baseline - body.hips.y) / torso : null));
+};
+
+const describeScores = (frameScore) => {
+  const parts = [];
+  if (frameScore.sceneChange !== null) parts.push(`scene change ${frameScore.sceneChange.toFixed(2)}`);
+  if (frameScore.motion !== null) parts.push(`rider motion ${frameScore.motion.toFixed(2)}`);
+  if (frameScore.poseChange !== null) parts.push(`pose change ${frameScore.poseChange.toFixed(2)}`);
+  return parts.length > 0 ? parts.join(', ') : 'no motion data';
+};
+
+const argMax = (values, from = 0, to = values.length - 1) => {
+  let best = -1;
+  for (let i = from; i <= to; i++) {
+    if (values[i] !== null && (best === -1 || values[i] > values[best])) best = i;
+  }
+  return best;
+};
+
+// Takeoff, apex and landing from the hip height profile
+const selectAirborneFrames = (scores, hipRise) => {
+  const apex = argMax(hipRise);
+  if (apex === -1 || hipRise[apex] < AIRBORNE_RISE) return null;
+
+  let takeoff = apex;
+  while (takeoff > 0 && (hipRise[takeoff - 1] === null || hipRise[takeoff - 1] >= AIRBORNE_RISE)) takeoff--;
+  takeoff = Math.max(0, takeoff - 1);
+
+  let landing = apex;
+  while (landing < hipRise.length - 1 && (hipRise[landing + 1] === null || hipRise[landing + 1] >= AIRBORNE_RISE)) landing++;
+  landing = Math.min(hipRise.length - 1, landing + 1);
+
+  if (takeoff === apex || landing === apex) return null;
+
+  return [
+    { index: takeoff, phase: 'takeoff', label: 'takeoff', reason: `last grounded frame before the hips rise (${describeScores(scores[takeoff])})` },
+    { index: apex, phase: 'apex', label: 'apex', reason: `highest hip position, ${hipRise[apex].toFixed(2)} torso lengths above baseline` },
+    { index: landing, phase: 'landing', label: 'landing', reason: `first frame back at baseline height after the air (${describeScores(scores[landing])})` }
+  ];
+};
+
+// Initiation, apex and completion of a turn from the motion score profile
+const selectTurnFrames = (scores) => {
+  const values = scores.map(entry => entry.score);
+  const apex = Math.max(0, argMax(values, 1));
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  // Initiation: where activity first climbs above average on the way to the apex
+  let initiation = 0;
+  for (let i = 1; i < apex; i++) {
+    if (values[i] >= mean) {
+      initiation = i;
+      break;
+    }
+  }
+
+  // Completion: where activity settles back below average after the apex
+  let completion = values.length - 1;
+  for (let i = apex + 1; i < values.length; i++) {
+    if (values[i] < mean) {
+      completion = i;
+      break;
+    }
+  }
+
+  return [
+    { index: initiation, phase: 'initiation', label: 'turn initiation', reason: `movement first rises above the clip average (${describeScores(scores[initiation])})` },
+    { index: apex, phase: 'apex', label: 'turn apex', reason: `peak combined movement score in the clip (${describeScores(scores[apex])})` },
+    { index: completion, phase: 'completion', label: 'turn completion', reason: `movement settles back below the clip average (${describeScores(scores[completion])})` }
+  ];
+};
+
+/**
+ * Default key frames when no scoring is possible: beginning, middle and end
+ * Input: Frame count, frame timestamps
+ * Output: Key frame list in the same shape as selectKeyFrames
+ */
+const evenlySpacedKeyFrames = (frameCount, frameTimestamps = []) => {
+  const spaced = [
+    { index: 0, phase: 'initiation', label: 'beginning', reason: 'first frame of the clip' },
+    { index: Math.floor(frameCount / 2), phase: 'execution', label: 'middle', reason: 'middle frame of the clip' },
+    { index: frameCount - 1, phase: 'completion', label: 'end', reason: 'last frame of the clip' }
+  ];
+
+  // Clips of three frames or fewer put several positions on the same frame; keep the first
+  return spaced
+    .filter((keyFrame, i) => keyFrame.index >= 0 && keyFrame.index < frameCount && spaced.findIndex(other => other.index === keyFrame.index) === i)
+    .map(keyFrame => ({
+      ...keyFrame,
+      frame: keyFrame.index + 1,
+      timestamp: frameTimestamps[keyFrame.index],
+      score: null,
+      scores: null
+    }));
+};
+
+/**
+ * Select the key frames of a clip
+ * Input: Frame paths, frame timestamps, pose analyses
+ * Output: Array of { index, frame, timestamp, phase, label, reason, score, scores } in time order
+ */
+const selectKeyFrames = async (framePaths, frameTimestamps = [], poseAnalyses = []) => {
+  if (framePaths.length <= 3) {
+    return evenlySpacedKeyFrames(framePaths.length, frameTimestamps);
+  }
+
+  try {
+    console.log(`🎯 Selecting key frames from ${framePaths.length} candidates...`);
+    const scores = await scoreFrames(framePaths, poseAnalyses);
+
+    const hipRise = hipRiseSeries(framePaths, poseAnalyses);
+    const selected = (hipRise && selectAirborneFrames(scores, hipRise)) || selectTurnFrames(scores);
+
+    // Two phases can land on the same frame in very short clips; keep the first reason
+    const unique = selected.filter((keyFrame, i) => selected.findIndex(other => other.index === keyFrame.index) === i);
+
+    const keyFrames = unique
+      .sort((a, b) => a.index - b.index)
+      .map(keyFrame => ({
+        ...keyFrame,
+        frame: keyFrame.index + 1,
+        timestamp: frameTimestamps[keyFrame.index],
+        score: Math.round(scores[keyFrame.index].score * 1000) / 1000,
+        scores: {
+          sceneChange: scores[keyFrame.index].sceneChange,
+          motion: scores[keyFrame.index].motion,
+          poseChange: scores[keyFrame.index].poseChange
+        }
+      }));
+
+    console.log('✅ Key frames:', keyFrames.map(keyFrame => `${keyFrame.label}@${keyFrame.frame}`).join(', '));
+    return keyFrames;
+
+  } catch (error) {
+    console.error('❌ Key frame selection failed, using evenly spaced frames:', error.message);
+    return evenlySpacedKeyFrames(framePaths.length, frameTimestamps);
+  }
+};
+
+module.exports = {
+  selectKeyFrames,
+  scoreFrames,
+  evenlySpacedKeyFrames,
+  AIRBORNE_RISE
+};
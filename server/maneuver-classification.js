@@ -0,0 +1,261 @@
+// Maneuver classification from pose sequences
+// Labels a clip as carve, skidded turn, ollie, jump, 180, 360, butter or fall from the
+// tracked keypoints and per-frame biomechanics, with a confidence and the time segments
+// each maneuver covers. The sport profile names each maneuver in the sport's terms (a
+// skateboarding "butter" is a manual) and supplies the focus and rating criteria used
+// in the coaching report.
+
+const { bodyFrame, midpoint, METRIC_DEFINITIONS } = require('./biomechanics');
+const { AIRBORNE_RISE } = require('./key-frame-selection');
+const { getSportProfile } = require('./sport-profiles');
+
+// Key measurements per maneuver; the name, coaching focus and rating criteria come from
+// the sport profile (see sport-profiles.js)
+const MANEUVERS = {
+  carve: { metrics: ['kneeFlexion.left', 'kneeFlexion.right', 'torsoLean', 'shoulderBoardAlignment', 'centerOfMass.height'] },
+  skidded_turn: { metrics: ['kneeFlexion.left', 'kneeFlexion.right', 'shoulderBoardAlignment', 'centerOfMass.weightBias', 'stanceWidth'] },
+  ollie: { metrics: ['kneeFlexion.left', 'kneeFlexion.right', 'centerOfMass.weightBias', 'centerOfMass.height'] },
+  jump: { metrics: ['kneeFlexion.left', 'kneeFlexion.right', 'hipFlexion.left', 'hipFlexion.right', 'torsoLean', 'centerOfMass.height'] },
+  spin_180: { metrics: ['shoulderBoardAlignment', 'kneeFlexion.left', 'kneeFlexion.right', 'torsoLean'] },
+  spin_360: { metrics: ['shoulderBoardAlignment', 'kneeFlexion.left', 'kneeFlexion.right', 'hipFlexion.left', 'hipFlexion.right'] },
+  butter: { metrics: ['centerOfMass.weightBias', 'kneeFlexion.left', 'kneeFlexion.right', 'stanceWidth'] },
+  fall: { metrics: ['centerOfMass.weightBias', 'torsoLean', 'kneeFlexion.left', 'kneeFlexion.right'] }
+};
+
+// Tricks take precedence over riding when a clip contains both
+const MANEUVER_PRIORITY = ['spin_360', 'spin_180', 'jump', 'ollie', 'butter', 'fall', 'carve', 'skidded_turn'];
+
+const CLASSIFIER_SETTINGS = {
+  // Airs below this peak hip rise (torso lengths) and shorter than maxOllieAirtime are ollies
+  maxOllieRise: 0.8,
+  maxOllieAirtime: 0.5,
+  // Shoulders closer than this (torso lengths) are edge-on to the camera and carry no facing
+  minFacingWidth: 0.15,
+  // Center of mass this close to the feet, or a torso this far from vertical, is a fall
+  maxFallenComHeight: 0.6,
+  minFallenTorsoLean: 65,
+  // Tilt of the ankle line away from the clip's usual tilt that marks a nose or tail press
+  minButterTilt: 20,
+  // Mean torso inclination (degrees) that separates a carve from a skid
+  carveInclination: 12
+};
+
+const clamp01 = (value) => Math.min(Math.max(value, 0), 1);
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+const standardDeviation = (values) => {
+  const average = mean(values);
+  return average === null ? null : Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+};
+const median = (values) => {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : null;
+};
+
+/**
+ * Per-frame features from the pose sequence
+ * Output: [{ frame, time, hipRise, facing, boardTilt, torsoLean, comHeight, alignment }] in time order
+ */
+const frameFeatures = (poseAnalyses, biomechanics) => {
+  const metricsByFrame = {};
+  ((biomechanics && biomechanics.frames) || []).forEach((entry) => { metricsByFrame[entry.frame] = entry.metrics; });
+
+  const measured = poseAnalyses
+    .filter(pose => pose && Array.isArray(pose.keypoints))
+    .map(pose => ({ pose, body: bodyFrame(pose.keypoints) }))
+    .filter(entry => entry.body)
+    .sort((a, b) => a.pose.frame - b.pose.frame);
+
+  // Frames flagged by tracking only count when there is nothing better
+  const confident = measured.filter(({ pose }) => !(pose.tracking && pose.tracking.lowConfidence));
+  const poses = confident.length > 0 ? confident : measured;
+  if (poses.length === 0) return [];
+
+  // Image y grows downwards, so the grounded baseline is the largest hip y
+  const baseline = Math.max(...poses.map(({ body }) => body.hips.y));
+  const torso = mean(poses.map(({ body }) => body.torso));
+
+  return poses.map(({ pose, body }, i) => {
+    const { points, hips } = body;
+    const metrics = metricsByFrame[pose.frame] || {};
+    const shoulderWidth = points.left_shoulder && points.right_shoulder ? points.right_shoulder.x - points.left_shoulder.x : 0;
+    const ankles = midpoint(points.left_ankle, points.right_ankle);
+
+    return {
+      frame: pose.frame,
+      // Frames without timestamps are treated as 1/10 s apart
+      time: typeof pose.timestamp === 'number' ? pose.timestamp : i / 10,
+      hipRise: (baseline - hips.y) / torso,
+      facing: Math.abs(shoulderWidth) / body.torso >= CLASSIFIER_SETTINGS.minFacingWidth ? Math.sign(shoulderWidth) : null,
+      boardTilt: ankles
+        ? (Math.atan2(points.right_ankle.y - points.left_ankle.y, Math.abs(points.right_ankle.x - points.left_ankle.x)) * 180) / Math.PI
+        : null,
+      torsoLean: typeof metrics.torsoLean === 'number' ? metrics.torsoLean : null,
+      comHeight: metrics.centerOfMass && typeof metrics.centerOfMass.height === 'number' ? metrics.centerOfMass.height : null,
+      alignment: typeof metrics.shoulderBoardAlignment === 'number' ? metrics.shoulderBoardAlignment : null
+    };
+  });
+};
+
+// Frame state before segmentation: air, fall, butter or ride
+const frameState = (feature, usualTilt) => {
+  if (feature.hipRise >= AIRBORNE_RISE) return 'air';
+  if ((feature.comHeight !== null && feature.comHeight < CLASSIFIER_SETTINGS.maxFallenComHeight) ||
+      (feature.torsoLean !== null && Math.abs(feature.torsoLean) >= CLASSIFIER_SETTINGS.minFallenTorsoLean)) {
+    return 'fall';
+  }
+  if (feature.boardTilt !== null && usualTilt !== null && Math.abs(feature.boardTilt - usualTilt) >= CLASSIFIER_SETTINGS.minButterTilt) {
+    return 'butter';
+  }
+  return 'ride';
+};
+
+// Consecutive frames in the same state
+const toRuns = (features, states) => {
+  const runs = [];
+  states.forEach((state, i) => {
+    const last = runs[runs.length - 1];
+    if (last && last.state === state) {
+      last.end = i;
+    } else {
+      runs.push({ state, start: i, end: i });
+    }
+  });
+  return runs;
+};
+
+// Facing flips across an air run, including the frames either side of it
+const countRotations = (features, run) => {
+  const facings = features
+    .slice(Math.max(0, run.start - 1), Math.min(features.length, run.end + 2))
+    .map(feature => feature.facing)
+    .filter(facing => facing !== null);
+  return facings.reduce((flips, facing, i) => (i > 0 && facing !== facings[i - 1] ? flips + 1 : flips), 0);
+};
+
+// Label and confidence of one run
+const classifyRun = (features, run) => {
+  const frames = features.slice(run.start, run.end + 1);
+  // Longer runs are more trustworthy; one analyzed frame is weak evidence
+  const support = clamp01(0.5 + frames.length * 0.15);
+
+  if (run.state === 'air') {
+    const peak = Math.max(...frames.map(feature => feature.hipRise));
+    const rotations = countRotations(features, run);
+    const before = features[run.start - 1] || frames[0];
+    const after = features[run.end + 1] || frames[frames.length - 1];
+    const airtime = after.time - before.time;
+    const margin = clamp01((peak - AIRBORNE_RISE) / AIRBORNE_RISE);
+
+    if (rotations >= 2) return { maneuver: 'spin_360', confidence: support * (0.6 + 0.3 * margin) };
+    if (rotations === 1) return { maneuver: 'spin_180', confidence: support * (0.55 + 0.3 * margin) };
+    if (peak < CLASSIFIER_SETTINGS.maxOllieRise && airtime <= CLASSIFIER_SETTINGS.maxOllieAirtime) {
+      return { maneuver: 'ollie', confidence: support * 0.7 };
+    }
+    return { maneuver: 'jump', confidence: support * (0.6 + 0.35 * margin) };
+  }
+
+  if (run.state === 'fall') return { maneuver: 'fall', confidence: support * 0.85 };
+  if (run.state === 'butter') return { maneuver: 'butter', confidence: support * 0.6 };
+
+  // Riding: a carve leans into the turn and keeps the upper body steady over the board
+  const leans = frames.map(feature => feature.torsoLean).filter(value => value !== null).map(Math.abs);
+  const alignments = frames.map(feature => feature.alignment).filter(value => value !== null);
+  const inclination = leans.length > 0 ? clamp01(mean(leans) / (CLASSIFIER_SETTINGS.carveInclination * 2)) : 0.5;
+  const steadiness = alignments.length > 1 ? clamp01(1 - standardDeviation(alignments) / 30) : 0.5;
+  const carveScore = 0.6 * inclination + 0.4 * steadiness;
+  return carveScore >= 0.5
+    ? { maneuver: 'carve', confidence: support * (0.5 + 0.4 * clamp01((carveScore - 0.5) * 2)) }
+    : { maneuver: 'skidded_turn', confidence: support * (0.5 + 0.4 * clamp01((0.5 - carveScore) * 2)) };
+};
+
+/**
+ * Classify the maneuver in a clip
+ * Input: Tracked poseAnalyses, biomechanics (see biomechanics.js), key frames, sport id
+ * Output: { available, sport, maneuver, label, confidence, segments, scores, method }
+ *   segments - [{ maneuver, label, start, end, startFrame, endFrame, confidence }] in time order
+ *   scores   - best segment confidence per maneuver (0 when not seen)
+ *   available is false (and maneuver null) when there are no usable keypoints
+ */
+const classifyManeuver = (poseAnalyses = [], biomechanics = null, keyFrames = [], sport = null) => {
+  const profile = getSportProfile(sport);
+  const features = frameFeatures(poseAnalyses, biomechanics);
+  const scores = {};
+  Object.keys(MANEUVERS).forEach((maneuver) => { scores[maneuver] = 0; });
+
+  if (features.length === 0) {
+    return { available: false, sport: profile.id, maneuver: null, label: null, confidence: 0, segments: [], scores, method: 'pose-rules' };
+  }
+
+  const usualTilt = median(features.map(feature => feature.boardTilt).filter(value => value !== null));
+  const runs = toRuns(features, features.map(feature => frameState(feature, usualTilt)));
+
+  const segments = runs.map((run) => {
+    const { maneuver, confidence } = classifyRun(features, run);
+    return {
+      maneuver,
+      label: profile.maneuvers[maneuver].label,
+      start: round(features[run.start].time),
+      end: round(features[run.end].time),
+      startFrame: features[run.start].frame,
+      endFrame: features[run.end].frame,
+      confidence: round(confidence)
+    };
+  });
+
+  segments.forEach((segment) => {
+    scores[segment.maneuver] = Math.max(scores[segment.maneuver], segment.confidence);
+  });
+
+  // Key frame selection found a takeoff the pose runs missed: still a jump
+  if (keyFrames.some(keyFrame => keyFrame.phase === 'takeoff') && !segments.some(segment => ['jump', 'ollie', 'spin_180', 'spin_360'].includes(segment.maneuver))) {
+    scores.jump = Math.max(scores.jump, 0.4);
+  }
+
+  const maneuver = MANEUVER_PRIORITY.find(candidate => scores[candidate] > 0);
+  const result = {
+    available: true,
+    sport: profile.id,
+    maneuver,
+    label: profile.maneuvers[maneuver].label,
+    confidence: scores[maneuver],
+    segments,
+    scores,
+    method: 'pose-rules'
+  };
+
+  console.log(`🏷️  Maneuver: ${result.label} (${Math.round(result.confidence * 100)}% confidence, ${segments.length} segments)`);
+  return result;
+};
+
+/**
+ * Format a classification for a prompt
+ * Input: Classification, biomechanics (for the maneuver's key measurements)
+ * Output: Lines naming the maneuver, its segments, the coaching focus, rating criteria and
+ *         key measurements, or '' when the clip could not be classified
+ */
+const formatManeuverSection = (classification, biomechanics = null) => {
+  if (!classification || !classification.available) return '';
+  const profile = { ...MANEUVERS[classification.maneuver], ...getSportProfile(classification.sport).maneuvers[classification.maneuver] };
+  const segments = classification.segments
+    .map(segment => `- ${segment.label}: ${segment.start.toFixed(2)}s to ${segment.end.toFixed(2)}s (frames ${segment.startFrame}-${segment.endFrame}, ${Math.round(segment.confidence * 100)}% confidence)`)
+    .join('\n');
+  const summary = (biomechanics && biomechanics.summary) || {};
+  const measurements = METRIC_DEFINITIONS
+    .filter(({ key }) => profile.metrics.includes(key) && summary[key])
+    .map(({ key, label, unit }) => `- ${label}: mean ${summary[key].mean}${unit}`)
+    .join('\n');
+
+  return `MANEUVER (classified from the pose sequence): ${profile.label}, ${Math.round(classification.confidence * 100)}% confidence
+Segments:
+${segments}
+Coaching focus for this maneuver: ${profile.focus}
+Rating criteria: ${profile.criteria.join('; ')}${measurements ? `\nKey measurements for this maneuver:\n${measurements}` : ''}`;
+};
+
+module.exports = {
+  classifyManeuver,
+  formatManeuverSection,
+  MANEUVERS,
+  CLASSIFIER_SETTINGS
+};
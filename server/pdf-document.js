@@ -0,0 +1,464 @@
+// Minimal PDF writer
+// Just enough of PDF 1.4 to lay out the printable documents the server renders without
+// a PDF library or an outside service: wrapped text in the standard Helvetica fonts,
+// rules, filled shapes, lines, circles and JPEG images, flowed onto A4 pages behind the
+// same branded header and footer as the HTML pages (html-document.js).
+
+const zlib = require('zlib');
+const { APP_NAME } = require('./html-document');
+
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+const HEADER_HEIGHT = 64;
+const FOOTER_HEIGHT = 30;
+
+const TEXT_COLOR = '#2c3e50';
+const MUTED_COLOR = '#7f8c8d';
+const RULE_COLOR = '#e9ecef';
+
+// Advance widths (1/1000 em) of WinAnsi codes 32-126, from the Helvetica AFM files
+const ASCII_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// Punctuation outside Latin-1 that WinAnsi has a code for: [code, regular width, bold width]
+const WIN_ANSI_EXTRAS = {
+  '•': [0x95, 350, 350],
+  '–': [0x96, 556, 556],
+  '—': [0x97, 1000, 1000],
+  '‘': [0x91, 222, 278],
+  '’': [0x92, 222, 278],
+  '“': [0x93, 333, 500],
+  '”': [0x94, 333, 500],
+  '…': [0x85, 1000, 1000],
+  '€': [0x80, 556, 556]
+};
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold' }
+};
+
+const fontOf = (bold) => (bold ? 'bold' : 'regular');
+
+// Characters as [WinAnsi code, width]; characters the standard fonts cannot show
+// (emoji, other scripts) are left out
+const encodeCharacters = (text, font) => {
+  const characters = [];
+  [...String(text)].forEach((character) => {
+    const code = character.codePointAt(0);
+    if (code >= 32 && code <= 126) {
+      characters.push([code, ASCII_WIDTHS[font][code - 32]]);
+    } else if (WIN_ANSI_EXTRAS[character]) {
+      const [extra, regular, bold] = WIN_ANSI_EXTRAS[character];
+      characters.push([extra, font === 'bold' ? bold : regular]);
+    } else if (code >= 160 && code <= 255) {
+      characters.push([code, code === 0xb0 ? 400 : 556]);
+    } else if (code === 9 || code === 10) {
+      characters.push([32, ASCII_WIDTHS[font][0]]);
+    }
+  });
+  return characters;
+};
+
+/**
+ * Width of a text in points
+ * Input: Text, font size, bold
+ */
+const measureText = (text, size, bold = false) => encodeCharacters(text, fontOf(bold))
+  .reduce((total, [, width]) => total + width, 0) * size / 1000;
+
+// PDF string literal: ( ) and \ escaped, codes above 126 as octal escapes
+const pdfString = (text, font) => `(${encodeCharacters(text, font).map(([code]) => {
+  if (code === 40 || code === 41 || code === 92) return `\\${String.fromCharCode(code)}`;
+  if (code > 126) return `\\${code.toString(8).padStart(3, '0')}`;
+  return String.fromCharCode(code);
+}).join('')})`;
+
+const formatNumber = (value) => String(Math.round(value * 100) / 100);
+
+// '#2c3e50' -> '0.17 0.24 0.31'
+const pdfColor = (hex) => [1, 3, 5]
+  .map(i => formatNumber(parseInt(hex.slice(i, i + 2), 16) / 255))
+  .join(' ');
+
+/**
+ * Split a text into lines that fit a width
+ * Words longer than a line are broken between characters
+ * Input: Text, width in points, font size, bold
+ * Output: Lines
+ */
+const wrapText = (text, width, size, bold = false) => {
+  const lines = [];
+  String(text).split('\n').forEach((paragraph) => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (measureText(candidate, size, bold) <= width) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      line = '';
+      let rest = word;
+      while (measureText(rest, size, bold) > width) {
+        let cut = 1;
+        while (cut < rest.length && measureText(rest.slice(0, cut + 1), size, bold) <= width) cut++;
+        lines.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+      }
+      line = rest;
+    });
+    lines.push(line);
+  });
+  return lines;
+};
+
+/**
+ * Create an empty document
+ * Input: { title, subtitle } shown in the header of the first page
+ * Output: Document { title, subtitle, pages, images, page, top, y }; y is the top of the free
+ *         space on the current page and top where that space started, in points from the top edge
+ */
+const createPdf = ({ title, subtitle = '' }) => ({
+  title,
+  subtitle,
+  pages: [],
+  images: [],
+  page: null,
+  top: 0,
+  y: 0
+});
+
+// Content operators use the PDF origin (bottom-left); callers measure from the top
+const flipY = (y) => formatNumber(PAGE_HEIGHT - y);
+
+const draw = (pdf, operators) => pdf.page.push(operators);
+
+/**
+ * Draw one line of text
+ * Input: Document, text, left, baseline (from the top), { size, bold, color }
+ */
+const drawText = (pdf, text, x, y, { size = 10, bold = false, color = TEXT_COLOR } = {}) => {
+  const font = fontOf(bold);
+  draw(pdf, `BT /${FONTS[font].resource} ${size} Tf ${pdfColor(color)} rg ${formatNumber(x)} ${flipY(y)} Td ${pdfString(text, font)} Tj ET`);
+};
+
+const fillRect = (pdf, x, y, width, height, color) => {
+  draw(pdf, `${pdfColor(color)} rg ${formatNumber(x)} ${flipY(y + height)} ${formatNumber(width)} ${formatNumber(height)} re f`);
+};
+
+const drawLine = (pdf, x1, y1, x2, y2, { width = 1, color = RULE_COLOR } = {}) => {
+  draw(pdf, `${pdfColor(color)} RG ${formatNumber(width)} w 1 J ${formatNumber(x1)} ${flipY(y1)} m ${formatNumber(x2)} ${flipY(y2)} l S`);
+};
+
+// Circle from four Bézier curves
+const fillCircle = (pdf, cx, cy, radius, color, { outline = null } = {}) => {
+  const k = radius * 0.5523;
+  const x = (value) => formatNumber(value);
+  const y = (value) => flipY(value);
+  const path = [
+    `${x(cx + radius)} ${y(cy)} m`,
+    `${x(cx + radius)} ${y(cy - k)} ${x(cx + k)} ${y(cy - radius)} ${x(cx)} ${y(cy - radius)} c`,
+    `${x(cx - k)} ${y(cy - radius)} ${x(cx - radius)} ${y(cy - k)} ${x(cx - radius)} ${y(cy)} c`,
+    `${x(cx - radius)} ${y(cy + k)} ${x(cx - k)} ${y(cy + radius)} ${x(cx)} ${y(cy + radius)} c`,
+    `${x(cx + k)} ${y(cy + radius)} ${x(cx + radius)} ${y(cy + k)} ${x(cx + radius)} ${y(cy)} c`
+  ].join(' ');
+  draw(pdf, outline
+    ? `${pdfColor(color)} rg ${pdfColor(outline)} RG 0.5 w ${path} b`
+    : `${pdfColor(color)} rg ${path} f`);
+};
+
+// Size and color space of a baseline or progressive JPEG, from its start-of-frame segment
+const readJpegInfo = (data) => {
+  let offset = 2;
+  while (offset + 9 < data.length && data[offset] === 0xff) {
+    const marker = data[offset + 1];
+    const length = data.readUInt16BE(offset + 2);
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return {
+        height: data.readUInt16BE(offset + 5),
+        width: data.readUInt16BE(offset + 7),
+        components: data[offset + 9]
+      };
+    }
+    offset += 2 + length;
+  }
+  return null;
+};
+
+/**
+ * Add a JPEG to the document
+ * Input: Document, JPEG bytes or data URL
+ * Output: Image { name, width, height } to pass to drawImage, or null if it is not a JPEG
+ */
+const addJpeg = (pdf, source) => {
+  const data = Buffer.isBuffer(source)
+    ? source
+    : Buffer.from(String(source).replace(/^data:image\/jpeg;base64,/, ''), 'base64');
+  if (data[0] !== 0xff || data[1] !== 0xd8) return null;
+  // Frames that share a background are embedded once
+  const existing = pdf.images.find(image => image.data.equals(data));
+  if (existing) return existing;
+
+  const info = readJpegInfo(data);
+  if (!info) return null;
+
+  const image = { name: `Im${pdf.images.length + 1}`, data, ...info };
+  pdf.images.push(image);
+  return image;
+};
+
+// Draw an image scaled into a box (top-left corner and size)
+const drawImage = (pdf, image, x, y, width, height) => {
+  draw(pdf, `q ${formatNumber(width)} 0 0 ${formatNumber(height)} ${formatNumber(x)} ${flipY(y + height)} cm /${image.name} Do Q`);
+};
+
+// Keep the following drawing inside a box until restoreClip
+const clipRect = (pdf, x, y, width, height) => {
+  draw(pdf, `q ${formatNumber(x)} ${flipY(y + height)} ${formatNumber(width)} ${formatNumber(height)} re W n`);
+};
+
+const restoreClip = (pdf) => draw(pdf, 'Q');
+
+const contentWidth = () => PAGE_WIDTH - MARGIN * 2;
+
+// Branded header: the title block on the first page, a running title on the others
+const drawHeader = (pdf) => {
+  const appLabel = APP_NAME.toUpperCase();
+  drawText(pdf, appLabel, PAGE_WIDTH - MARGIN - measureText(appLabel, 8, true), MARGIN + 8, { size: 8, bold: true, color: MUTED_COLOR });
+
+  if (pdf.pages.length === 1) {
+    drawText(pdf, pdf.title, MARGIN, MARGIN + 20, { size: 20, bold: true });
+    if (pdf.subtitle) drawText(pdf, pdf.subtitle, MARGIN, MARGIN + 38, { size: 10, color: MUTED_COLOR });
+    fillRect(pdf, MARGIN, MARGIN + HEADER_HEIGHT - 18, contentWidth(), 2.5, TEXT_COLOR);
+    pdf.top = MARGIN + HEADER_HEIGHT;
+  } else {
+    drawText(pdf, pdf.title, MARGIN, MARGIN + 8, { size: 8, color: MUTED_COLOR });
+    drawLine(pdf, MARGIN, MARGIN + 16, PAGE_WIDTH - MARGIN, MARGIN + 16);
+    pdf.top = MARGIN + 32;
+  }
+  pdf.y = pdf.top;
+};
+
+/**
+ * Start a new page
+ */
+const addPage = (pdf) => {
+  pdf.page = [];
+  pdf.pages.push(pdf.page);
+  drawHeader(pdf);
+};
+
+const pageBottom = () => PAGE_HEIGHT - MARGIN - FOOTER_HEIGHT;
+
+/**
+ * Make sure the next height points fit on the current page, starting a new one if not
+ * Output: Top of the reserved space
+ */
+const ensureSpace = (pdf, height) => {
+  if (!pdf.page || pdf.y + height > pageBottom()) addPage(pdf);
+  return pdf.y;
+};
+
+const moveDown = (pdf, points) => {
+  pdf.y += points;
+};
+
+/**
+ * Flow wrapped text onto the pages
+ * Input: Document, text, { size, bold, color, indent, bullet, lineHeight }; bullet is drawn
+ *        in the indent before the first line (e.g. '•' or '3.')
+ */
+const writeText = (pdf, text, { size = 10, bold = false, color = TEXT_COLOR, indent = 0, bullet = null, lineHeight = 1.4 } = {}) => {
+  const left = MARGIN + indent + (bullet ? 14 : 0);
+  const leading = size * lineHeight;
+  wrapText(text, PAGE_WIDTH - MARGIN - left, size, bold).forEach((line, index) => {
+    const top = ensureSpace(pdf, leading);
+    const baseline = top + size;
+    if (bullet && index === 0) drawText(pdf, bullet, MARGIN + indent, baseline, { size, color });
+    drawText(pdf, line, left, baseline, { size, bold, color });
+    pdf.y = top + leading;
+  });
+};
+
+/**
+ * Section heading with a rule underneath, kept on the page of the content that follows it
+ * Input: Document, text, { keepWith } - points of content that must fit under the heading
+ */
+const writeHeading = (pdf, text, { keepWith = 40 } = {}) => {
+  const top = ensureSpace(pdf, 34 + keepWith);
+  const spaced = top === pdf.top ? top : top + 14;
+  drawText(pdf, text, MARGIN, spaced + 14, { size: 14, bold: true });
+  drawLine(pdf, MARGIN, spaced + 20, PAGE_WIDTH - MARGIN, spaced + 20);
+  pdf.y = spaced + 28;
+};
+
+/**
+ * Flow a table onto the pages; cells wrap and the header row repeats on each page
+ * Input: Document, columns [{ label, width (share of the content width) }], rows of cell texts, { size }
+ */
+const writeTable = (pdf, columns, rows, { size = 9 } = {}) => {
+  const widths = columns.map(column => column.width * contentWidth());
+  const padding = 4;
+  const leading = size * 1.3;
+
+  const wrapRow = (cells, bold) => cells.map((cell, index) => wrapText(cell, widths[index] - padding * 2, size, bold));
+  const rowHeight = (wrapped) => Math.max(...wrapped.map(lines => lines.length)) * leading + padding * 2;
+
+  const drawRow = (cells, { bold = false, shade = null } = {}) => {
+    const wrapped = wrapRow(cells, bold);
+    const height = rowHeight(wrapped);
+    const top = pdf.y;
+    if (shade) fillRect(pdf, MARGIN, top, contentWidth(), height, shade);
+    let x = MARGIN;
+    wrapped.forEach((lines, index) => {
+      lines.forEach((line, lineIndex) => {
+        drawText(pdf, line, x + padding, top + padding + size + lineIndex * leading, { size, bold });
+      });
+      x += widths[index];
+    });
+    drawLine(pdf, MARGIN, top + height, PAGE_WIDTH - MARGIN, top + height);
+    pdf.y = top + height;
+    return height;
+  };
+
+  const header = columns.map(column => column.label);
+  const headerHeight = rowHeight(wrapRow(header, true));
+
+  ensureSpace(pdf, headerHeight + (rows.length > 0 ? rowHeight(wrapRow(rows[0], false)) : 0));
+  drawRow(header, { bold: true, shade: '#f1f3f5' });
+  rows.forEach((cells) => {
+    const page = pdf.page;
+    ensureSpace(pdf, rowHeight(wrapRow(cells, false)));
+    if (pdf.page !== page) drawRow(header, { bold: true, shade: '#f1f3f5' });
+    drawRow(cells);
+  });
+  moveDown(pdf, 8);
+};
+
+// Footer of every page, drawn once the page count is known
+const drawFooter = (pdf, page, index) => {
+  pdf.page = page;
+  const generated = `Generated by ${APP_NAME} on ${new Date().toISOString().slice(0, 10)}`;
+  const number = `Page ${index + 1} of ${pdf.pages.length}`;
+  const baseline = PAGE_HEIGHT - MARGIN + 4;
+  drawText(pdf, generated, MARGIN, baseline, { size: 8, color: MUTED_COLOR });
+  drawText(pdf, number, PAGE_WIDTH - MARGIN - measureText(number, 8), baseline, { size: 8, color: MUTED_COLOR });
+};
+
+// PDF text string for the document info: ASCII only, escaped like any literal
+const infoString = (text) => pdfString(String(text).replace(/[^\x20-\x7e]/g, ''), 'regular');
+
+/**
+ * Serialize the document
+ * Output: PDF file bytes
+ */
+const renderPdf = (pdf) => {
+  if (!pdf.page) addPage(pdf);
+  pdf.pages.forEach((page, index) => drawFooter(pdf, page, index));
+
+  // Object numbers: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then images, then a page
+  // and its content stream for each page
+  const firstImage = 6;
+  const firstPage = firstImage + pdf.images.length;
+  const pageIds = pdf.pages.map((_, index) => firstPage + index * 2);
+  const objects = [];
+
+  objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+  objects.push(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pdf.pages.length} >>`);
+  Object.values(FONTS).forEach((font) => {
+    objects.push(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`);
+  });
+  const created = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  objects.push(`<< /Title ${infoString(pdf.title)} /Producer ${infoString(APP_NAME)} /CreationDate (D:${created}Z) >>`);
+
+  pdf.images.forEach((image) => {
+    const colorSpace = { 1: 'DeviceGray', 4: 'DeviceCMYK' }[image.components] || 'DeviceRGB';
+    objects.push([
+      `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>\nstream\n`,
+      image.data,
+      '\nendstream'
+    ]);
+  });
+
+  const imageResources = pdf.images.map((image, index) => `/${image.name} ${firstImage + index} 0 R`).join(' ');
+  const fontResources = Object.values(FONTS).map((font, index) => `/${font.resource} ${3 + index} 0 R`).join(' ');
+  pdf.pages.forEach((page, index) => {
+    const content = zlib.deflateSync(Buffer.from(page.join('\n'), 'latin1'));
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontResources} >>${imageResources ? ` /XObject << ${imageResources} >>` : ''} >> /Contents ${pageIds[index] + 1} 0 R >>`);
+    objects.push([`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, content, '\nendstream']);
+  });
+
+  // Body, then the cross-reference table with the byte offset of every object
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let length = chunks[0].length;
+  const offsets = objects.map((object, index) => {
+    const offset = length;
+    const parts = [`${index + 1} 0 obj\n`, ...(Array.isArray(object) ? object : [object]), '\nendobj\n']
+      .map(part => (Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1')));
+    parts.forEach((part) => {
+      chunks.push(part);
+      length += part.length;
+    });
+    return offset;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF',
+    ''
+  ].join('\n');
+  chunks.push(Buffer.from(xref, 'latin1'));
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  createPdf,
+  renderPdf,
+  addPage,
+  ensureSpace,
+  moveDown,
+  writeText,
+  writeHeading,
+  writeTable,
+  drawText,
+  drawLine,
+  fillRect,
+  fillCircle,
+  addJpeg,
+  drawImage,
+  clipRect,
+  restoreClip,
+  measureText,
+  wrapText,
+  contentWidth,
+  PAGE_WIDTH,
+  MARGIN,
+  TEXT_COLOR,
+  MUTED_COLOR
+};
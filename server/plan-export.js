@@ -0,0 +1,150 @@
+// Practice plan export
+// A practice plan (practice-plans.js) as an iCalendar file, one event per session for any
+// calendar app, and as a printable HTML page with the steps of every drill it uses.
+
+const { escapeHtml, renderDocument, APP_NAME } = require('./html-document');
+const { getDrill } = require('./drill-library');
+
+const PHASE_LABELS = {
+  foundations: 'Foundations',
+  build: 'Build',
+  apply: 'Apply'
+};
+
+// RFC 5545 keeps content lines to 75 octets; longer ones continue on lines starting with a space
+const MAX_LINE_OCTETS = 75;
+
+// Text values escape backslashes, semicolons, commas and line breaks
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold a content line on character boundaries so multi-byte characters are never split
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  [...line].forEach((character) => {
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + character) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += character;
+  });
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// Floating local date-time (no time zone), so a 10:00 session is at 10:00 wherever the rider is
+const formatDateTime = (date, time) => `${date.replace(/-/g, '')}T${(time || '00:00').replace(':', '')}00`;
+
+const formatTimestamp = (iso) => `${iso.replace(/[-:]/g, '').slice(0, 15)}Z`;
+
+const blockLine = (block) => `${block.name} (${block.durationMinutes} min${block.dosage ? `, ${block.dosage}` : ''})${block.notes ? `: ${block.notes}` : ''}`;
+
+/**
+ * Format a plan as an iCalendar file
+ * Input: Stored plan
+ * Output: VCALENDAR text with CRLF line endings; each session is an event whose description lists its
+ *         blocks, and the last session of each week also lists the week's check-in goals
+ */
+const formatCalendar = (plan) => {
+  const stamp = formatTimestamp(new Date().toISOString());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${APP_NAME}//Practice plans//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(plan.title)}`
+  ];
+
+  plan.weeks.forEach((week) => {
+    week.sessions.forEach((session, index) => {
+      const description = [
+        ...(session.notes ? [session.notes, ''] : []),
+        ...session.blocks.map((block, position) => `${position + 1}. ${blockLine(block)}`)
+      ];
+      if (index === week.sessions.length - 1 && week.checkIns && week.checkIns.length > 0) {
+        description.push('', `Week ${week.week} check-in (film a run and upload it):`, ...week.checkIns.map(goal => `- ${goal}`));
+      }
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${plan.id}-w${week.week}-s${index + 1}@snowboard-coach`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatDateTime(session.date, session.startTime || plan.availability.startTime)}`,
+        `DURATION:PT${session.durationMinutes}M`,
+        `SUMMARY:${escapeText(`${session.title || 'Practice'} (week ${week.week})`)}`,
+        `DESCRIPTION:${escapeText(description.join('\n'))}`,
+        'END:VEVENT'
+      );
+    });
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+const PLAN_STYLES = `
+  .phase { display: inline-block; padding: 2px 8px; border-radius: 10px; background: #2c3e50; color: #ffffff; font-size: 12px; margin-left: 8px; vertical-align: middle; }
+  .check-ins { background: #f1f8f4; border-left: 4px solid #27ae60; padding: 8px 12px; margin: 8px 0 12px; }
+  .drill { margin-bottom: 12px; }
+`;
+
+const formatDay = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+/**
+ * Render a plan as a printable HTML page
+ * Input: Stored plan + { rider } (optional, for the subtitle)
+ * Output: Complete HTML page: one section per week, then the steps of every drill used
+ */
+const renderPlanHtml = (plan, { rider = null } = {}) => {
+  const { availability } = plan;
+  const lastSession = plan.weeks.flatMap(week => week.sessions).pop();
+  const subtitle = [
+    rider ? rider.name : null,
+    `${availability.startDate}${lastSession ? ` to ${lastSession.date}` : ''}`,
+    `${availability.minutesPerSession} min sessions`
+  ].filter(Boolean).join(' · ');
+
+  const weeks = plan.weeks.map(week => `
+<section>
+  <h2>Week ${week.week}${week.phase ? `<span class="phase">${escapeHtml(PHASE_LABELS[week.phase])}</span>` : ''}</h2>
+  ${week.focus ? `<p><strong>Focus:</strong> ${escapeHtml(week.focus)}</p>` : ''}
+  <table>
+    <thead><tr><th style="width: 18%">Day</th><th style="width: 12%">Time</th><th>Session</th></tr></thead>
+    <tbody>
+      ${week.sessions.map(session => `<tr>
+        <td>${escapeHtml(formatDay(session.date))}</td>
+        <td>${escapeHtml(session.startTime || availability.startTime || '')}<br><span class="meta">${session.durationMinutes} min</span></td>
+        <td>${session.notes ? `<div class="meta">${escapeHtml(session.notes)}</div>` : ''}<ol>${session.blocks.map(block => `<li>${escapeHtml(blockLine(block))}</li>`).join('')}</ol></td>
+      </tr>`).join('\n      ')}
+    </tbody>
+  </table>
+  ${week.checkIns && week.checkIns.length > 0 ? `<div class="check-ins"><strong>Check-in at the end of the week</strong> (film a run and upload it)<ul>${week.checkIns.map(goal => `<li>${escapeHtml(goal)}</li>`).join('')}</ul></div>` : ''}
+</section>`).join('\n');
+
+  // Every drill once, with its current steps from the library
+  const drillIds = [...new Set(plan.weeks.flatMap(week => week.sessions.flatMap(session => session.blocks))
+    .filter(block => block.drillId)
+    .map(block => block.drillId))];
+  const drills = drillIds.map(getDrill).filter(Boolean);
+  const instructions = drills.length > 0 ? `
+<section>
+  <h2>Drill instructions</h2>
+  ${drills.map(drill => `<div class="drill">
+    <h3>${escapeHtml(drill.name)}</h3>
+    <div class="meta">${escapeHtml([drill.difficulty, `${drill.durationMinutes} min`, drill.dosage, drill.equipment.join(', ')].filter(Boolean).join(' · '))}</div>
+    <ol>${drill.steps.map(step => `<li>${escapeHtml(step)}</li>`).join('')}</ol>
+  </div>`).join('\n  ')}
+</section>` : '';
+
+  return renderDocument({ title: plan.title, subtitle, body: `${weeks}\n${instructions}`, styles: PLAN_STYLES });
+};
+
+module.exports = {
+  formatCalendar,
+  renderPlanHtml
+};
@@ -0,0 +1,249 @@
+// Reference-clip comparison
+// Lines up a rider's run with a reference run of the same maneuver (a coach's or a pro's)
+// by dynamic time warping over the per-frame measurements, so every moment of the rider's
+// run is compared with the matching moment of the reference however fast either was
+// ridden. Differences are reported per phase of the rider's run (its key frames, see
+// key-frame-selection.js) and quoted in the coaching report prompts.
+
+const { METRIC_DEFINITIONS, metricValue } = require('./biomechanics');
+
+// A difference of this much, per unit, costs 1 when matching two frames
+const UNIT_SCALES = {
+  '°': 30,
+  ' torso lengths': 0.5,
+  '': 0.5
+};
+
+// One measurement cannot dominate a frame's matching cost however far off it is
+const MAX_FEATURE_COST = 2;
+
+// Cost of matching frames that share no measurement
+const UNMEASURED_COST = 1;
+
+// Differences smaller than this (in the units of UNIT_SCALES) are not quoted in prompts
+const QUOTE_THRESHOLD = 0.2;
+
+// Differences quoted per phase in the report prompts
+const QUOTED_DIFFERENCES = 4;
+
+const FEATURES = METRIC_DEFINITIONS.map(definition => ({ ...definition, scale: UNIT_SCALES[definition.unit] || 1 }));
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// The other side's metric key, for comparing a regular rider with a goofy one
+const mirrorKey = (key) => key.replace(/\.(left|right)$/, (match, side) => (side === 'left' ? '.right' : '.left'));
+
+/**
+ * One run's frames as flat measurement vectors
+ * Input: Biomechanics (see analyzeBiomechanics) + mirror (swap left and right)
+ * Output: [{ frame, timestamp, values: { <metric key>: value } }]
+ */
+const toFeatureFrames = (biomechanics, mirror = false) => biomechanics.frames.map((entry) => {
+  const values = {};
+  FEATURES.forEach(({ key }) => {
+    const value = metricValue(entry.metrics, mirror ? mirrorKey(key) : key);
+    if (typeof value !== 'number') return;
+    // Weight over the left foot becomes weight over the right foot
+    values[key] = mirror && key === 'centerOfMass.weightBias' ? -value : value;
+  });
+  return { frame: entry.frame, timestamp: entry.timestamp, values };
+});
+
+// Mean scaled difference over the measurements both frames have
+const frameCost = (a, b) => {
+  let total = 0;
+  let count = 0;
+  FEATURES.forEach(({ key, scale }) => {
+    if (typeof a.values[key] !== 'number' || typeof b.values[key] !== 'number') return;
+    total += Math.min(Math.abs(a.values[key] - b.values[key]) / scale, MAX_FEATURE_COST);
+    count++;
+  });
+  return count > 0 ? total / count : UNMEASURED_COST;
+};
+
+/**
+ * Dynamic time warping
+ * Input: Rider frames + reference frames (see toFeatureFrames)
+ * Output: { path: [[riderIndex, referenceIndex]] from the first frames to the last, cost: mean cost along the path }
+ */
+const alignSequences = (rider, reference) => {
+  const rows = rider.length;
+  const columns = reference.length;
+  const total = new Float64Array((rows + 1) * (columns + 1)).fill(Infinity);
+  const at = (i, j) => i * (columns + 1) + j;
+  total[at(0, 0)] = 0;
+
+  for (let i = 1; i <= rows; i++) {
+    for (let j = 1; j <= columns; j++) {
+      total[at(i, j)] = frameCost(rider[i - 1], reference[j - 1])
+        + Math.min(total[at(i - 1, j - 1)], total[at(i - 1, j)], total[at(i, j - 1)]);
+    }
+  }
+
+  // Walk back from the last pair along the cheapest predecessors
+  const path = [];
+  let i = rows;
+  let j = columns;
+  while (i > 0 && j > 0) {
+    path.push([i - 1, j - 1]);
+    const diagonal = total[at(i - 1, j - 1)];
+    const up = total[at(i - 1, j)];
+    const left = total[at(i, j - 1)];
+    if (diagonal <= up && diagonal <= left) {
+      i--;
+      j--;
+    } else if (up <= left) {
+      i--;
+    } else {
+      j--;
+    }
+  }
+  path.reverse();
+
+  return { path, cost: total[at(rows, columns)] / path.length };
+};
+
+// Phases of the rider's run: each key frame owns the frames up to halfway to the next one
+const phaseRanges = (keyFrames, riderFrames) => {
+  const first = riderFrames[0].frame;
+  const last = riderFrames[riderFrames.length - 1].frame;
+  if (!keyFrames || keyFrames.length === 0) {
+    return [{ phase: 'clip', label: 'whole run', from: first, to: last }];
+  }
+  return keyFrames.map((keyFrame, index) => ({
+    phase: keyFrame.phase,
+    label: keyFrame.label,
+    from: index === 0 ? first : Math.floor((keyFrames[index - 1].frame + keyFrame.frame) / 2) + 1,
+    to: index === keyFrames.length - 1 ? last : Math.floor((keyFrame.frame + keyFrames[index + 1].frame) / 2)
+  }));
+};
+
+// Mean of each measurement over the matched pairs of one phase, rider minus reference
+const phaseDifferences = (pairs) => FEATURES
+  .map(({ key, label, unit, scale, digits = 1 }) => {
+    const measured = pairs.filter(([rider, reference]) => typeof rider.values[key] === 'number' && typeof reference.values[key] === 'number');
+    if (measured.length === 0) return null;
+    const rider = measured.reduce((sum, [entry]) => sum + entry.values[key], 0) / measured.length;
+    const reference = measured.reduce((sum, [, entry]) => sum + entry.values[key], 0) / measured.length;
+    return {
+      key,
+      label,
+      unit,
+      rider: round(rider, digits),
+      reference: round(reference, digits),
+      difference: round(rider - reference, digits),
+      // Size of the difference on the alignment scale, for ranking
+      weight: round(Math.abs(rider - reference) / scale, 2)
+    };
+  })
+  .filter(Boolean)
+  .sort((a, b) => b.weight - a.weight);
+
+// Reference time for each rider frame time along the path, never going backwards
+const buildTimeMap = (path, rider, reference) => {
+  const byRiderFrame = new Map();
+  path.forEach(([i, j]) => {
+    byRiderFrame.set(i, [...(byRiderFrame.get(i) || []), reference[j].timestamp]);
+  });
+
+  let latest = -Infinity;
+  return [...byRiderFrame.entries()]
+    .filter(([i, times]) => typeof rider[i].timestamp === 'number' && times.every(time => typeof time === 'number'))
+    .map(([i, times]) => {
+      latest = Math.max(latest, times.reduce((sum, time) => sum + time, 0) / times.length);
+      return { rider: rider[i].timestamp, reference: round(latest, 3) };
+    });
+};
+
+/**
+ * Compare a rider's run with a reference run
+ * Input: Rider run { biomechanics, keyFrames } + reference run { biomechanics } + { mirror }
+ *        (mirror compares the reference's left side with the rider's right side, for opposite stances)
+ * Output: { available, reason, mirrored, similarity (0-10, 10 = the same movement), keyFrames: [{ phase, label,
+ *         rider: { frame, timestamp }, reference: { frame, timestamp } }], phases: [{ phase, label,
+ *         riderFrames: [from, to], referenceFrames: [from, to], differences: [{ key, label, unit, rider,
+ *         reference, difference, weight }] }], timeMap: [{ rider, reference }] (seconds, for syncing playback) }
+ */
+const compareRuns = (riderRun, referenceRun, { mirror = false } = {}) => {
+  const unavailable = reason => ({ available: false, reason, mirrored: mirror, similarity: null, keyFrames: [], phases: [], timeMap: [] });
+  if (!riderRun.biomechanics || !riderRun.biomechanics.available) {
+    return unavailable('No pose keypoints were measured in the rider\'s run');
+  }
+  if (!referenceRun.biomechanics || !referenceRun.biomechanics.available) {
+    return unavailable('No pose keypoints were measured in the reference run');
+  }
+
+  const rider = toFeatureFrames(riderRun.biomechanics);
+  const reference = toFeatureFrames(referenceRun.biomechanics, mirror);
+  const { path, cost } = alignSequences(rider, reference);
+  const pairs = path.map(([i, j]) => [rider[i], reference[j]]);
+
+  // The reference frame matched to a rider frame (the middle one when several are)
+  const matchFor = (frame) => {
+    const matched = pairs.filter(([entry]) => entry.frame === frame);
+    const closest = matched.length > 0
+      ? matched[Math.floor(matched.length / 2)]
+      : pairs.reduce((best, pair) => (Math.abs(pair[0].frame - frame) < Math.abs(best[0].frame - frame) ? pair : best));
+    return { frame: closest[1].frame, timestamp: closest[1].timestamp };
+  };
+
+  const phases = phaseRanges(riderRun.keyFrames, rider).map((range) => {
+    const inPhase = pairs.filter(([entry]) => entry.frame >= range.from && entry.frame <= range.to);
+    const referenceFrames = inPhase.map(([, entry]) => entry.frame);
+    return {
+      phase: range.phase,
+      label: range.label,
+      riderFrames: [range.from, range.to],
+      referenceFrames: referenceFrames.length > 0 ? [Math.min(...referenceFrames), Math.max(...referenceFrames)] : null,
+      differences: phaseDifferences(inPhase)
+    };
+  });
+
+  console.log(`🪞 Runs aligned over ${path.length} frame pairs, mean cost ${cost.toFixed(2)}`);
+  return {
+    available: true,
+    reason: null,
+    mirrored: mirror,
+    similarity: round(Math.max(0, 10 * (1 - cost))),
+    keyFrames: (riderRun.keyFrames || []).map(keyFrame => ({
+      phase: keyFrame.phase,
+      label: keyFrame.label,
+      rider: { frame: keyFrame.frame, timestamp: keyFrame.timestamp },
+      reference: matchFor(keyFrame.frame)
+    })),
+    phases,
+    timeMap: buildTimeMap(path, rider, reference)
+  };
+};
+
+const formatValue = (value, unit) => `${value}${unit}`;
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Format a comparison for the report prompts
+ * Output: The largest differences of each phase, one line each; '' when there is no comparison
+ */
+const formatComparison = (comparison) => {
+  if (!comparison || !comparison.available) return '';
+  const lines = [`Movement match: ${comparison.similarity}/10 (10 = the same movement)${comparison.mirrored ? '; the reference is mirrored to the rider\'s stance' : ''}`];
+  comparison.phases.forEach((phase) => {
+    const quoted = phase.differences.filter(difference => difference.weight >= QUOTE_THRESHOLD).slice(0, QUOTED_DIFFERENCES);
+    const frames = `rider frames ${phase.riderFrames[0]}-${phase.riderFrames[1]}${phase.referenceFrames ? `, reference frames ${phase.referenceFrames[0]}-${phase.referenceFrames[1]}` : ''}`;
+    lines.push(`${capitalize(phase.label)} (${frames}):`);
+    if (quoted.length === 0) {
+      lines.push('- Close to the reference throughout');
+      return;
+    }
+    quoted.forEach(({ label, unit, rider, reference, difference }) => {
+      lines.push(`- ${label}: ${formatValue(rider, unit)} vs ${formatValue(reference, unit)} in the reference (${formatValue(round(Math.abs(difference), 2), unit)} ${difference < 0 ? 'less' : 'more'})`);
+    });
+  });
+  return lines.join('\n');
+};
+
+module.exports = {
+  compareRuns,
+  formatComparison,
+  alignSequences
+};
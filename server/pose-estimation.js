@@ -0,0 +1,221 @@
+// Local keypoint pose estimation
+// Runs a MoveNet single-pose ONNX model on CPU with ONNX Runtime and returns 2D joint
+// coordinates with confidences for each frame (see schemas/pose-keypoints.schema.json)
+
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+require('dotenv').config();
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+// MoveNet keypoint order (COCO)
+const KEYPOINT_NAMES = [
+  'nose',
+  'left_eye',
+  'right_eye',
+  'left_ear',
+  'right_ear',
+  'left_shoulder',
+  'right_shoulder',
+  'left_elbow',
+  'right_elbow',
+  'left_wrist',
+  'right_wrist',
+  'left_hip',
+  'right_hip',
+  'left_knee',
+  'right_knee',
+  'left_ankle',
+  'right_ankle'
+];
+
+// Bones drawn in the overlay, as pairs of keypoint names
+const SKELETON_EDGES = [
+  ['left_ear', 'left_eye'],
+  ['left_eye', 'nose'],
+  ['nose', 'right_eye'],
+  ['right_eye', 'right_ear'],
+  ['left_shoulder', 'right_shoulder'],
+  ['left_shoulder', 'left_elbow'],
+  ['left_elbow', 'left_wrist'],
+  ['right_shoulder', 'right_elbow'],
+  ['right_elbow', 'right_wrist'],
+  ['left_shoulder', 'left_hip'],
+  ['right_shoulder', 'right_hip'],
+  ['left_hip', 'right_hip'],
+  ['left_hip', 'left_knee'],
+  ['left_knee', 'left_ankle'],
+  ['right_hip', 'right_knee'],
+  ['right_knee', 'right_ankle']
+];
+
+const POSE_MODEL_SETTINGS = {
+  // MoveNet SinglePose Lightning (192) or Thunder (256), exported to ONNX
+  modelPath: process.env.POSE_MODEL_PATH || path.join(__dirname, 'models', 'movenet-singlepose-lightning.onnx'),
+  inputSize: parseInt(process.env.POSE_MODEL_INPUT_SIZE, 10) || 192,
+  // TF Hub exports take int32 pixels; some conversions expect float32
+  inputType: process.env.POSE_MODEL_INPUT_TYPE === 'float32' ? 'float32' : 'int32'
+};
+
+let sessionPromise = null;
+
+// Load the model once; the first frame pays the start-up cost
+const getSession = () => {
+  if (!sessionPromise) {
+    sessionPromise = (async () => {
+      if (!fs.existsSync(POSE_MODEL_SETTINGS.modelPath)) {
+        throw new Error(`Pose model not found at ${POSE_MODEL_SETTINGS.modelPath} (set POSE_MODEL_PATH, see README)`);
+      }
+      const ort = require('onnxruntime-node');
+      console.log(`🦴 Loading pose model ${path.basename(POSE_MODEL_SETTINGS.modelPath)}...`);
+      return ort.InferenceSession.create(POSE_MODEL_SETTINGS.modelPath, { executionProviders: ['cpu'] });
+    })();
+    // Let a later call retry after a missing model has been added
+    sessionPromise.catch(() => { sessionPromise = null; });
+  }
+  return sessionPromise;
+};
+
+/**
+ * Read an image's pixel size from its PNG or JPEG header
+ * Output: { width, height }
+ */
+const readImageSize = (imagePath) => {
+  const buffer = fs.readFileSync(imagePath);
+
+  // PNG: the IHDR chunk follows the 8-byte signature
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // JPEG: walk the segments to the start-of-frame marker
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      const marker = buffer[offset + 1];
+      const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isStartOfFrame) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  throw new Error(`Could not read image size of ${imagePath}`);
+};
+
+// MoveNet needs a square input, so the frame is scaled to fit and padded
+const letterboxFor = (width, height, inputSize) => {
+  const scale = Math.min(inputSize / width, inputSize / height);
+  const scaledWidth = Math.max(1, Math.round(width * scale));
+  const scaledHeight = Math.max(1, Math.round(height * scale));
+  return {
+    inputSize,
+    scale: scaledWidth / width,
+    scaledWidth,
+    scaledHeight,
+    padX: Math.floor((inputSize - scaledWidth) / 2),
+    padY: Math.floor((inputSize - scaledHeight) / 2)
+  };
+};
+
+/**
+ * Decode a frame into the model's square RGB input
+ * Input: Frame image path
+ * Output: { pixels (inputSize x inputSize x 3 bytes), letterbox, width, height }
+ */
+const preprocessFrame = (framePath) => {
+  const { width, height } = readImageSize(framePath);
+  const letterbox = letterboxFor(width, height, POSE_MODEL_SETTINGS.inputSize);
+  const { inputSize, scaledWidth, scaledHeight, padX, padY } = letterbox;
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = ffmpeg(framePath)
+      .outputOptions([
+        '-vf', `scale=${scaledWidth}:${scaledHeight},pad=${inputSize}:${inputSize}:${padX}:${padY}:black,format=rgb24`,
+        '-frames:v', '1',
+        '-f', 'rawvideo'
+      ])
+      .on('error', (error) => reject(new Error(`Could not decode frame ${framePath}: ${error.message}`)))
+      .pipe();
+
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve({ pixels: Buffer.concat(chunks), letterbox, width, height }));
+  });
+};
+
+/**
+ * Convert MoveNet output to keypoints in frame pixel coordinates
+ * Input: Output tensor data [1, 1, 17, 3] as (y, x, score) in 0..1 of the padded input
+ * Output: [{ name, x, y, score }]
+ */
+const toKeypoints = (data, letterbox, width, height) => {
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+
+  return KEYPOINT_NAMES.map((name, i) => {
+    const y = (data[i * 3] * letterbox.inputSize - letterbox.padY) / letterbox.scale;
+    const x = (data[i * 3 + 1] * letterbox.inputSize - letterbox.padX) / letterbox.scale;
+    return {
+      name,
+      x: Math.round(clamp(x, width) * 10) / 10,
+      y: Math.round(clamp(y, height) * 10) / 10,
+      score: Math.round(data[i * 3 + 2] * 1000) / 1000
+    };
+  });
+};
+
+// Run the model on an already decoded square RGB input
+const inferKeypoints = async (pixels, letterbox, width, height) => {
+  const ort = require('onnxruntime-node');
+  const session = await getSession();
+  const { inputSize } = letterbox;
+
+  const expectedLength = inputSize * inputSize * 3;
+  if (pixels.length !== expectedLength) {
+    throw new Error(`Decoded frame has ${pixels.length} bytes, expected ${expectedLength}`);
+  }
+
+  const values = POSE_MODEL_SETTINGS.inputType === 'float32' ? Float32Array.from(pixels) : Int32Array.from(pixels);
+  const input = new ort.Tensor(POSE_MODEL_SETTINGS.inputType, values, [1, inputSize, inputSize, 3]);
+  const outputs = await session.run({ [session.inputNames[0]]: input });
+  const output = outputs[session.outputNames[0]];
+
+  if (!output || output.data.length < KEYPOINT_NAMES.length * 3) {
+    throw new Error('Pose model returned no keypoints (expected a MoveNet single-pose model)');
+  }
+
+  return toKeypoints(output.data, letterbox, width, height);
+};
+
+/**
+ * Estimate 2D keypoints for one frame
+ * Input: Frame image path
+ * Output: { keypoints: [{ name, x, y, score }], imageWidth, imageHeight, model }
+ */
+const estimateKeypoints = async (framePath) => {
+  try {
+    const { pixels, letterbox, width, height } = await preprocessFrame(framePath);
+    const keypoints = await inferKeypoints(pixels, letterbox, width, height);
+    return {
+      keypoints,
+      imageWidth: width,
+      imageHeight: height,
+      model: path.basename(POSE_MODEL_SETTINGS.modelPath, '.onnx')
+    };
+  } catch (error) {
+    throw new Error(`Keypoint estimation failed: ${error.message}`);
+  }
+};
+
+module.exports = {
+  estimateKeypoints,
+  inferKeypoints,
+  readImageSize,
+  letterboxFor,
+  KEYPOINT_NAMES,
+  SKELETON_EDGES,
+  POSE_MODEL_SETTINGS
+};
@@ -0,0 +1,117 @@
+// Pose overlay rendering
+// Draws the estimated skeleton as an SVG over the frame it was measured on, so the
+// overlay always matches the keypoint data the analysis uses
+
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+const { SKELETON_EDGES } = require('./pose-estimation');
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+// Joints below this confidence are left out of the drawing
+const MIN_DRAW_SCORE = 0.3;
+
+const LEFT_COLOR = '#1e88e5';
+const RIGHT_COLOR = '#fb8c00';
+const CENTER_COLOR = '#43a047';
+
+// Width of the JPEG drawn under the skeleton; overlays are stored with each analysis,
+// so a full-size PNG frame would make the records very large
+const BACKGROUND_WIDTH = 320;
+
+const sideColor = (name) => {
+  if (name.startsWith('left_')) return LEFT_COLOR;
+  if (name.startsWith('right_')) return RIGHT_COLOR;
+  return CENTER_COLOR;
+};
+
+/**
+ * Bones and joints of a skeleton drawing
+ * Input: { keypoints, imageWidth, imageHeight }
+ * Output: { stroke, bones: [{ from, to, color }], joints: [{ x, y, color }] } in frame pixels;
+ *         from and to are keypoints, stroke is the line width for the frame size
+ */
+const skeletonShapes = ({ keypoints, imageWidth, imageHeight }) => {
+  const byName = {};
+  keypoints.forEach(point => { byName[point.name] = point; });
+  const visible = (point) => point && point.score >= MIN_DRAW_SCORE;
+
+  // Scale strokes with the frame so thumbnails and full frames look alike
+  const stroke = Math.max(2, Math.round(Math.min(imageWidth, imageHeight) / 120));
+
+  const bones = SKELETON_EDGES
+    .filter(([from, to]) => visible(byName[from]) && visible(byName[to]))
+    .map(([from, to]) => ({
+      from: byName[from],
+      to: byName[to],
+      color: sideColor(from) === sideColor(to) ? sideColor(from) : CENTER_COLOR
+    }));
+
+  const joints = keypoints
+    .filter(visible)
+    .map(point => ({ x: point.x, y: point.y, color: sideColor(point.name) }));
+
+  return { stroke, bones, joints };
+};
+
+/**
+ * Render a skeleton overlay
+ * Input: { keypoints, imageWidth, imageHeight } + optional frame data URL drawn underneath
+ * Output: SVG data URL
+ */
+const renderPoseOverlay = (pose, backgroundImageUrl = null) => {
+  const { imageWidth, imageHeight } = pose;
+  const { stroke, bones, joints } = skeletonShapes(pose);
+
+  const lines = bones.map(({ from: a, to: b, color }) => `<line x1="${a.x}" y1="${a.y}" x2="${b.x}" y2="${b.y}" stroke="${color}" stroke-width="${stroke}" stroke-linecap="round"/>`);
+  const circles = joints.map(point => `<circle cx="${point.x}" cy="${point.y}" r="${stroke * 1.5}" fill="${point.color}" stroke="#ffffff" stroke-width="1"/>`);
+
+  const background = backgroundImageUrl
+    ? `<image href="${backgroundImageUrl}" x="0" y="0" width="${imageWidth}" height="${imageHeight}" preserveAspectRatio="none"/>`
+    : `<rect width="${imageWidth}" height="${imageHeight}" fill="#212529"/>`;
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${imageWidth}" height="${imageHeight}" viewBox="0 0 ${imageWidth} ${imageHeight}">${background}${lines.join('')}${circles.join('')}</svg>`;
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+};
+
+// JPEG drawn under a stored overlay, or null when it has none (mock poses, hosted providers)
+const overlayBackground = (poseImageUrl) => {
+  const prefix = 'data:image/svg+xml;base64,';
+  if (!poseImageUrl || !poseImageUrl.startsWith(prefix)) return null;
+  const svg = Buffer.from(poseImageUrl.slice(prefix.length), 'base64').toString('utf8');
+  const match = svg.match(/<image href="(data:image\/jpeg;base64,[^"]+)"/);
+  return match ? match[1] : null;
+};
+
+/**
+ * Encode a small JPEG of a frame to draw under the skeleton
+ * Input: Frame image path
+ * Output: JPEG data URL
+ */
+const frameBackgroundDataUrl = (framePath) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = ffmpeg(framePath)
+      .outputOptions([
+        '-vf', `scale=${BACKGROUND_WIDTH}:-2`,
+        '-frames:v', '1',
+        '-q:v', '5',
+        '-f', 'image2pipe',
+        '-vcodec', 'mjpeg'
+      ])
+      .on('error', (error) => reject(new Error(`Could not encode overlay background for ${framePath}: ${error.message}`)))
+      .pipe();
+
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(`data:image/jpeg;base64,${Buffer.concat(chunks).toString('base64')}`));
+  });
+};
+
+module.exports = {
+  skeletonShapes,
+  sideColor,
+  MIN_DRAW_SCORE,
+  renderPoseOverlay,
+  overlayBackground,
+  frameBackgroundDataUrl
+};
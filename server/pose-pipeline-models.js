@@ -1,135 +1,199 @@
-// Advanced 4-Stage Pose-Based Snowboarding Analysis Pipeline
-// This file implements the new pose estimation + analysis pipeline
+// Advanced 4-Stage Pose-Based Analysis Pipeline
+// This file implements the new pose estimation + analysis pipeline. The prompts are
+// templates in prompts/ (see prompt-templates.js), worded for the sport in options.sport
+// (see sport-profiles.js) and fitted to the rider profile in options.rider, when there is one
+// (see rider-profiles.js). With options.reference the run is also compared with a reference
+// run of the same maneuver (see pose-comparison.js). Detected faults are mapped to drills of
+// the drill library (see drill-library.js)
 
-const Replicate = require('replicate');
 const fs = require('fs');
+const { selectKeyFrames, evenlySpacedKeyFrames } = require('./key-frame-selection');
+const { trackPoses } = require('./pose-tracking');
+const { renderPoseVideo } = require('./pose-video');
+const { classifyManeuver, formatManeuverSection } = require('./maneuver-classification');
+const { scoreTechnique, formatScores } = require('./scoring-rubric');
+const { generateStructured, renderSection } = require('./structured-output');
+const { getSportProfile, coachSystemPrompt, formatKeyJoints } = require('./sport-profiles');
+const { renderPrompt, getPromptVersions } = require('./prompt-templates');
+const { formatRiderProfile } = require('./rider-profiles');
+const { compareRuns, formatComparison } = require('./pose-comparison');
+const { detectFaults, recommendDrills, formatFaults, formatDrillCatalog } = require('./drill-library');
+const {
+  analyzeBiomechanics,
+  metricsForFrame,
+  formatFrameMetrics,
+  formatBiomechanicsSummary
+} = require('./biomechanics');
+const { throwIfCancelled, isCancellation } = require('./job-queue');
+const { estimatePose, visionQA, caption, getStageConfig } = require('./providers');
+const { REPLICATE_DEFAULT_MODELS } = require('./providers/replicate-provider');
 require('dotenv').config();
 
 // Import fetch and FormData for file uploads
 const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
 const FormData = require('form-data');
 
-// Initialize Replicate
-const replicate = new Replicate({
-  auth: process.env.REPLICATE_API_TOKEN,
-});
-
 // Helper function to convert image to base64
 const imageToBase64 = (imagePath) => {
   const imageBuffer = fs.readFileSync(imagePath);
   return imageBuffer.toString('base64');
 };
 
+// Helper function to build a data URL for an extracted frame (png or jpg)
+const imageToDataUrl = (imagePath) => {
+  const mimeType = /\.jpe?g$/i.test(imagePath) ? 'image/jpeg' : 'image/png';
+  return `data:${mimeType};base64,${imageToBase64(imagePath)}`;
+};
+
+// Helper function to format a frame timestamp for prompts and section headers
+const formatTimestamp = (seconds) => (typeof seconds === 'number' ? `${seconds.toFixed(2)}s` : 'unknown time');
+
+// Templates used by a full pipeline run and by its fallback; results record their versions
+const PIPELINE_PROMPTS = [
+  'technical-analysis', 'scene-description', 'coach-system',
+  'report-assessment', 'report-strengths', 'report-improvements', 'report-drills'
+];
+const FALLBACK_PROMPTS = ['fallback-assessment', 'analysis-strengths', 'analysis-improvements', 'analysis-drills'];
+
+// Hosted pose models (ControlNet) are billed per call, so they run on at most this many
+// frames; local estimation covers every extracted frame
+const MAX_POSE_FRAMES = 5;
+
+// Helper function to pick up to `limit` frame indexes spread evenly across the clip
+const sampleFrameIndexes = (frameCount, limit) => {
+  if (frameCount <= limit) {
+    return Array.from({ length: frameCount }, (_, i) => i);
+  }
+  return Array.from({ length: limit }, (_, i) => Math.round((i * (frameCount - 1)) / (limit - 1)));
+};
+
+// Helper function to send a pipeline event (stage_started, frame_completed, partial_text,
+// stage_finished) to the job runner, when there is one
+const emitEvent = (options, type, data) => {
+  if (options && options.onEvent) {
+    options.onEvent({ type, ...data });
+  }
+};
+
 // Helper function to convert video to base64
 const videoToBase64 = (videoPath) => {
   const videoBuffer = fs.readFileSync(videoPath);
   return videoBuffer.toString('base64');
 };
 
-// Model configurations for the 4-stage pipeline
+// Default Replicate models for the 4-stage pipeline
+// (each stage's provider and model can be overridden, see providers/index.js)
 const POSE_PIPELINE_MODELS = {
-  // Stage 0: Pose Estimation (using ControlNet pose detection)
-  POSE_ESTIMATION: "jagilley/controlnet-pose:9a5c1140b0d6afb96a8603b8da7d590ebea5c0ee63a5090e10dd89d172f57e8a",
+  // Stage 0: Pose Estimation (ControlNet pose detection, when POSE_ESTIMATION_PROVIDER=replicate)
+  POSE_ESTIMATION: REPLICATE_DEFAULT_MODELS.POSE_ESTIMATION,
   
   // Stage 1: Technical Analysis (using pose data)
-  TECHNICAL_ANALYSIS: "yorickvp/llava-v1.6-mistral-7b:19be067b589d0c46689ffa7cc3ff321447a441986a7694c01225973c2eafc874",
+  TECHNICAL_ANALYSIS: REPLICATE_DEFAULT_MODELS.TECHNICAL_ANALYSIS,
   
   // Stage 2: Scene Description (with pose context)
-  SCENE_DESCRIPTION: "andreasjansson/blip-2:f677695e5e89f8b236e52ecd1d3f01beb44c34606419bcc19345e046d8f786f9",
+  SCENE_DESCRIPTION: REPLICATE_DEFAULT_MODELS.SCENE_DESCRIPTION,
   
   // Stage 3: Report Generation
-  REPORT_GENERATION: "meta/llama-2-70b-chat:02e509c789964a7ea8736978a43525956ef40397be9033abf9fd2badfe68c9e3"
+  REPORT_GENERATION: REPLICATE_DEFAULT_MODELS.REPORT_GENERATION
 };
 
 /**
- * Stage 0: Pose Estimation using ControlNet Pose Detection
- * Input: Video frames
- * Output: Pose estimation data for each frame
+ * Stage 0: Pose Estimation (local MoveNet keypoints by default)
+ * Input: Video frames + frame timestamps (seconds) + options { onEvent, signal, sport }
+ * Output: Pose estimation data for each frame, with keypoints
+ *         (schemas/pose-keypoints.schema.json) when the provider measures them
  */
-const estimatePoses = async (videoPath, framePaths) => {
+const estimatePoses = async (videoPath, framePaths, frameTimestamps = [], options = {}) => {
   try {
-    console.log('🎯 Stage 0: Estimating poses using ControlNet pose detection...');
+    console.log('🎯 Stage 0: Estimating poses...');
     console.log('📹 Video:', videoPath);
     console.log('🖼️  Frames:', framePaths.length);
     
-    // Analyze poses from frames using ControlNet pose detection
+    // Analyze poses from frames with the configured pose provider
     const poseAnalyses = [];
+    const poseProvider = getStageConfig('POSE_ESTIMATION').provider;
+    const sport = getSportProfile(options.sport);
+    const poseFrameIndexes = sampleFrameIndexes(framePaths.length, poseProvider.hosted ? MAX_POSE_FRAMES : framePaths.length);
+    
+    emitEvent(options, 'stage_started', { stage: 'pose_estimation', total: poseFrameIndexes.length });
     
-    for (let i = 0; i < Math.min(framePaths.length, 5); i++) {
+    for (const [position, i] of poseFrameIndexes.entries()) {
       const framePath = framePaths[i];
+      throwIfCancelled(options.signal);
       console.log(`🔄 Analyzing pose in frame ${i + 1}...`);
       
       try {
-        const imageData = imageToBase64(framePath);
-        const imageDataUrl = `data:image/png;base64,${imageData}`;
-        
-        const poseEstimation = await replicate.run(
-          POSE_PIPELINE_MODELS.POSE_ESTIMATION,
-          {
-            input: {
-              image: imageDataUrl,
-              prompt: "snowboarding pose analysis",
-              num_inference_steps: 20,
-              guidance_scale: 7.5
-            }
-          }
-        );
-        
-        // ControlNet returns pose data - extract the image URL
-        let poseImageUrl = null;
-        console.log('🔍 Debug - poseEstimation type:', typeof poseEstimation);
-        console.log('🔍 Debug - poseEstimation isArray:', Array.isArray(poseEstimation));
-        
-        if (Array.isArray(poseEstimation)) {
-          console.log('🔍 Debug - poseEstimation array length:', poseEstimation.length);
-          console.log('🔍 Debug - poseEstimation array items:', poseEstimation.map(item => typeof item));
-          
-          // ControlNet returns array of 2 URLs: [pose_detection_overlay, generated_image]
-          // We want the first one (pose detection overlay)
-          poseImageUrl = poseEstimation[0];
-          console.log('🔍 Debug - Selected pose image URL:', poseImageUrl);
-        } else if (typeof poseEstimation === 'string') {
-          poseImageUrl = poseEstimation;
-        } else if (poseEstimation && poseEstimation.url) {
-          poseImageUrl = poseEstimation.url;
-        } else if (poseEstimation && poseEstimation.output) {
-          // Some models return { output: "url" }
-          poseImageUrl = poseEstimation.output;
-        } else {
-          console.log('🔍 Debug - poseEstimation content:', poseEstimation);
-          poseImageUrl = poseEstimation; // Use as-is for debugging
-        }
+        const imageDataUrl = imageToDataUrl(framePath);
         
-        console.log('🔍 Debug - Final poseImageUrl:', poseImageUrl);
+        const poseEstimation = await estimatePose('POSE_ESTIMATION', {
+          framePath,
+          image: imageDataUrl,
+          prompt: `${sport.activity} pose analysis`
+        });
+        const poseImageUrl = poseEstimation.poseImageUrl;
         
         poseAnalyses.push({
           frame: i + 1,
-          poseData: poseEstimation,
-          poseImageUrl: poseImageUrl // ControlNet returns pose skeleton images
+          timestamp: frameTimestamps[i],
+          poseData: poseEstimation.raw,
+          poseImageUrl: poseImageUrl, // Pose skeleton image from the provider
+          keypoints: poseEstimation.keypoints || null,
+          imageWidth: poseEstimation.imageWidth || null,
+          imageHeight: poseEstimation.imageHeight || null
         });
         
         console.log(`✅ Frame ${i + 1} pose estimation completed`);
+        emitEvent(options, 'frame_completed', {
+          stage: 'pose_estimation',
+          frame: i + 1,
+          timestamp: frameTimestamps[i],
+          poseImageUrl: poseImageUrl,
+          completed: position + 1,
+          total: poseFrameIndexes.length
+        });
         
       } catch (frameError) {
+        if (isCancellation(frameError)) throw frameError;
         console.error(`❌ Frame ${i + 1} pose estimation failed:`, frameError.message);
-        // Continue with other frames
+        emitEvent(options, 'frame_completed', {
+          stage: 'pose_estimation',
+          frame: i + 1,
+          timestamp: frameTimestamps[i],
+          error: frameError.message,
+          completed: position + 1,
+          total: poseFrameIndexes.length
+        });
+        // Keep the frame in the sequence so tracking can interpolate the pose across it
+        poseAnalyses.push({
+          frame: i + 1,
+          timestamp: frameTimestamps[i],
+          poseData: null,
+          poseImageUrl: null,
+          keypoints: [],
+          imageWidth: null,
+          imageHeight: null,
+          error: frameError.message
+        });
       }
     }
     
-    if (poseAnalyses.length === 0) {
+    const analyzedCount = poseAnalyses.filter(pose => !pose.error).length;
+    if (analyzedCount === 0) {
       throw new Error('No frames could be analyzed for pose estimation');
     }
     
-    console.log('✅ ControlNet pose estimation completed');
-    console.log('📊 Analyzed frames:', poseAnalyses.length);
+    console.log('✅ Pose estimation completed');
+    console.log('📊 Analyzed frames:', analyzedCount);
+    emitEvent(options, 'stage_finished', { stage: 'pose_estimation', frameCount: analyzedCount });
     
     return {
       poseAnalyses: poseAnalyses,
       success: true,
-      frameCount: poseAnalyses.length
+      frameCount: analyzedCount
     };
     
   } catch (error) {
+    if (isCancellation(error)) throw error;
     console.error('❌ Stage 0 failed:', error.message);
     throw new Error(`Pose estimation failed: ${error.message}`);
   }
@@ -137,72 +201,67 @@ const estimatePoses = async (videoPath, framePaths) => {
 
 /**
  * Stage 1: Technical Analysis
- * Input: Pose estimation video + frames
- * Output: Technical movement analysis
+ * Input: Pose estimation data + frames + selected key frames + options { sport, rider, ... }
+ * Output: Technical movement analysis, grounded in the joint angles measured on each key frame
  */
-const analyzeTechnicalMovement = async (poseAnalyses, framePaths) => {
+const analyzeTechnicalMovement = async (poseAnalyses, framePaths, keyFrames = evenlySpacedKeyFrames(framePaths.length), options = {}) => {
   try {
     console.log('🔬 Stage 1: Analyzing technical movement across multiple frames...');
     console.log(`📊 Analyzing ${framePaths.length} frames for comprehensive assessment`);
     
-    // Analyze key frames: beginning, middle, and end
-    const keyFrames = [
-      framePaths[0], // Beginning
-      framePaths[Math.floor(framePaths.length / 2)], // Middle
-      framePaths[framePaths.length - 1] // End
-    ];
-    
     let allAnalysisResults = [];
-    
-    for (let i = 0; i < keyFrames.length; i++) {
-      const frame = keyFrames[i];
-      const frameNumber = i === 0 ? 'beginning' : i === 1 ? 'middle' : 'end';
+    const sport = getSportProfile(options.sport);
+    const rider = formatRiderProfile(options.rider, sport);
+    const biomechanics = analyzeBiomechanics(poseAnalyses);
+    emitEvent(options, 'stage_started', { stage: 'technical_analysis', total: keyFrames.length });
+    
+    // Analyze the selected key frames (e.g. turn initiation, apex, completion)
+    for (const [position, keyFrame] of keyFrames.entries()) {
+      const frame = framePaths[keyFrame.index];
+      const timestamp = formatTimestamp(keyFrame.timestamp);
+      const frameNumber = keyFrame.label;
+      throwIfCancelled(options.signal);
       
-      console.log(`🔍 Analyzing ${frameNumber} frame...`);
+      console.log(`🔍 Analyzing ${frameNumber} frame (${timestamp})...`);
       
-      const imageData = imageToBase64(frame);
-      const imageUrl = `data:image/png;base64,${imageData}`;
+      const imageUrl = imageToDataUrl(frame);
       
-      const technicalAnalysis = await replicate.run(
-        POSE_PIPELINE_MODELS.TECHNICAL_ANALYSIS,
-        {
-          input: {
-            image: imageUrl,
-            prompt: `Analyze this snowboarding image (${frameNumber} of sequence) with pose estimation data in mind. Focus on:
-
-TECHNICAL BIOMECHANICS:
-1. Body posture and alignment - spine, shoulders, hips
-2. Joint angles - knees, ankles, elbows, wrists
-3. Weight distribution - front/back, left/right balance
-4. Edge control - board angle relative to slope
-5. Arm positioning - for balance and control
-6. Head position - looking direction and stability
-
-POSE-SPECIFIC ANALYSIS:
-- Identify key joint angles and their optimal ranges
-- Assess balance and weight distribution patterns
-- Evaluate technique efficiency and power transfer
-- Note any asymmetries or imbalances
-- Check for proper snowboarding biomechanics
-
-FRAME CONTEXT:
-- This is the ${frameNumber} frame of a snowboarding sequence
-- Consider how technique may be evolving throughout the movement
-- Look for consistency or changes in form
-
-Provide specific, measurable feedback based on pose data for this specific moment in the sequence.`
-          }
-        }
-      );
+      // Measured values for this moment, when the pose provider returned keypoints
+      const measured = metricsForFrame(biomechanics, keyFrame.frame);
+      const analysisText = await visionQA('TECHNICAL_ANALYSIS', {
+        image: imageUrl,
+        prompt: renderPrompt('technical-analysis', {
+          activity: sport.activity,
+          sportName: sport.label.toUpperCase(),
+          technicalFocus: sport.technicalFocus.map((focus, i) => `${i + 1}. ${focus}`).join('\n'),
+          keyJoints: formatKeyJoints(sport),
+          frameLabel: frameNumber,
+          timestamp,
+          reason: keyFrame.reason,
+          frameMetrics: measured && formatFrameMetrics(measured.metrics),
+          measuredFrameNote: measured && measured.frame !== keyFrame.frame ? ` of the nearest analyzed frame, ${measured.frame}` : '',
+          lowConfidence: measured && measured.lowConfidence ? 'yes' : '',
+          rider
+        })
+      });
       
-      const analysisText = Array.isArray(technicalAnalysis) ? technicalAnalysis.join(' ') : technicalAnalysis;
-      allAnalysisResults.push(`=== ${frameNumber.toUpperCase()} FRAME ANALYSIS ===\n${analysisText}`);
+      allAnalysisResults.push(`=== ${frameNumber.toUpperCase()} FRAME ANALYSIS (${timestamp}) ===\n${analysisText}`);
+      emitEvent(options, 'partial_text', { stage: 'technical_analysis', frame: keyFrame.frame, label: frameNumber, text: analysisText });
+      emitEvent(options, 'frame_completed', {
+        stage: 'technical_analysis',
+        frame: keyFrame.frame,
+        timestamp: keyFrame.timestamp,
+        completed: position + 1,
+        total: keyFrames.length
+      });
     }
     
     console.log('✅ Multi-frame technical analysis completed');
+    emitEvent(options, 'stage_finished', { stage: 'technical_analysis' });
     return allAnalysisResults.join('\n\n');
     
   } catch (error) {
+    if (isCancellation(error)) throw error;
     console.error('❌ Stage 1 failed:', error.message);
     throw new Error(`Technical analysis failed: ${error.message}`);
   }
@@ -210,68 +269,61 @@ Provide specific, measurable feedback based on pose data for this specific momen
 
 /**
  * Stage 2: Scene Description
- * Input: Frame + pose context
+ * Input: Frames + pose context + selected key frames + maneuver classification + options { sport, ... }
  * Output: Natural language description of action
  */
-const describeScene = async (framePaths, poseAnalyses) => {
+const describeScene = async (framePaths, poseAnalyses, keyFrames = evenlySpacedKeyFrames(framePaths.length), maneuver = null, options = {}) => {
   try {
     console.log('🎬 Stage 2: Describing scene and action across sequence...');
     
-    // Analyze beginning, middle, and end frames for movement progression
-    const keyFrames = [
-      { frame: framePaths[0], phase: 'initiation' },
-      { frame: framePaths[Math.floor(framePaths.length / 2)], phase: 'execution' },
-      { frame: framePaths[framePaths.length - 1], phase: 'completion' }
-    ];
-    
     let sceneDescriptions = [];
-    
-    for (const { frame, phase } of keyFrames) {
-      const imageData = imageToBase64(frame);
-      const imageUrl = `data:image/png;base64,${imageData}`;
+    const sport = getSportProfile(options.sport);
+    emitEvent(options, 'stage_started', { stage: 'scene_description', total: keyFrames.length });
+    
+    // The maneuver comes from the pose classifier; the caption model only confirms it
+    const actionQuestions = maneuver && maneuver.available
+      ? `- The pose sequence was classified as: ${maneuver.label}. Does this frame agree?
+- What part of the ${maneuver.label.toLowerCase()} is shown?`
+      : `- What specific ${sport.activity} maneuver is being performed?
+- Is this ${Object.values(sport.maneuvers).map(maneuver => `a ${maneuver.label.toLowerCase()}`).join(', ')}, or another technique?`;
+    
+    // Describe the selected key frames for movement progression
+    for (const [position, keyFrame] of keyFrames.entries()) {
+      const frame = framePaths[keyFrame.index];
+      const phase = keyFrame.label;
+      const timestamp = formatTimestamp(keyFrame.timestamp);
+      throwIfCancelled(options.signal);
+      const imageUrl = imageToDataUrl(frame);
       
-      const sceneDescription = await replicate.run(
-        POSE_PIPELINE_MODELS.SCENE_DESCRIPTION,
-        {
-          input: {
-            image: imageUrl,
-            question: `Describe this snowboarding scene (${phase} phase) in detail. Focus on:
-
-ACTION IDENTIFICATION:
-- What specific snowboarding maneuver is being performed?
-- Is this a turn, carve, jump, or other technique?
-- What phase of the movement (initiation, execution, completion)?
-
-TECHNIQUE CONTEXT:
-- Speed and slope conditions
-- Terrain type and difficulty
-- Rider's skill level apparent
-- Safety considerations
-
-MOVEMENT QUALITY:
-- Flow and fluidity of movement
-- Control and stability
-- Style and form
-- Efficiency of technique
-
-SEQUENCE CONTEXT:
-- This is the ${phase} phase of a snowboarding sequence
-- How does the technique look at this moment?
-- What changes or consistency do you observe?
-
-Provide a comprehensive description that captures both the technical and contextual aspects of this specific moment in the snowboarding sequence.`
-          }
-        }
-      );
+      const descriptionText = await caption('SCENE_DESCRIPTION', {
+        image: imageUrl,
+        question: renderPrompt('scene-description', {
+          activity: sport.activity,
+          phase,
+          timestamp,
+          reason: keyFrame.reason,
+          actionQuestions,
+          sceneContext: sport.sceneContext.map(context => `- ${context}`).join('\n')
+        })
+      });
       
-      const descriptionText = Array.isArray(sceneDescription) ? sceneDescription.join(' ') : sceneDescription;
-      sceneDescriptions.push(`=== ${phase.toUpperCase()} PHASE ===\n${descriptionText}`);
+      sceneDescriptions.push(`=== ${phase.toUpperCase()} PHASE (${timestamp}) ===\n${descriptionText}`);
+      emitEvent(options, 'partial_text', { stage: 'scene_description', frame: keyFrame.frame, label: phase, text: descriptionText });
+      emitEvent(options, 'frame_completed', {
+        stage: 'scene_description',
+        frame: keyFrame.frame,
+        timestamp: keyFrame.timestamp,
+        completed: position + 1,
+        total: keyFrames.length
+      });
     }
     
     console.log('✅ Multi-phase scene description completed');
+    emitEvent(options, 'stage_finished', { stage: 'scene_description' });
     return sceneDescriptions.join('\n\n');
     
   } catch (error) {
+    if (isCancellation(error)) throw error;
     console.error('❌ Stage 2 failed:', error.message);
     throw new Error(`Scene description failed: ${error.message}`);
   }
@@ -279,158 +331,102 @@ Provide a comprehensive description that captures both the technical and context
 
 /**
  * Stage 3: Enhanced Coaching Report Generation
- * Input: Technical analysis + scene description + pose data
- * Output: Comprehensive coaching report
+ * Input: Technical analysis + scene description + pose data + maneuver classification + rubric scores
+ *        + options { sport, rider, comparison, faults, recommendedDrills, signal, onEvent }
+ * Output: { briefAssessment (markdown), assessment (coaching-assessment data), detailedPrompts, ... }
  */
-const generateCoachingReport = async (technicalAnalysis, sceneDescription, poseAnalyses) => {
+const generateCoachingReport = async (technicalAnalysis, sceneDescription, poseAnalyses, maneuver = null, scores = null, options = {}) => {
   try {
+    throwIfCancelled(options.signal);
+    emitEvent(options, 'stage_started', { stage: 'report', total: 1 });
     console.log('📝 Stage 3: Generating structured conversational coaching report...');
+    const sport = getSportProfile(options.sport);
+    const rider = formatRiderProfile(options.rider, sport);
+    // Differences from the reference run, when the run was compared with one
+    const comparison = formatComparison(options.comparison);
+    
+    // Measured joint angles and stance across the clip, when keypoints are available
+    const biomechanics = analyzeBiomechanics(poseAnalyses);
+    const biomechanicsSummary = formatBiomechanicsSummary(biomechanics);
+    
+    // Maneuver-specific focus and rating criteria, when the clip could be classified
+    const maneuverSection = formatManeuverSection(maneuver, biomechanics);
+    // Rubric scores are computed, so the model explains the rating instead of inventing one
+    const scoresSummary = formatScores(scores);
+    const ratingInstruction = scoresSummary
+      ? `the overall rubric score, ${scores.overall}; the summary explains it from the strongest and weakest rubric categories`
+      : maneuverSection
+        ? `the ${maneuver.label.toLowerCase()} rated 0-10 against the rating criteria above`
+        : 'overall technique across all frames, 0-10';
+    
+    // Sections shared by the detailed prompts
+    const sections = {
+      technicalAnalysis,
+      biomechanics: biomechanicsSummary,
+      maneuverSection,
+      scores: scoresSummary,
+      maneuverLabel: maneuverSection ? maneuver.label.toLowerCase() : '',
+      rider,
+      comparison
+    };
     
     // Generate structured data for interactive chat
-    const briefAssessmentPrompt = `As an expert snowboarding coach, provide ONLY a brief initial assessment based on multi-frame pose analysis:
-
-TECHNICAL ANALYSIS SUMMARY:
-${technicalAnalysis.substring(0, 1500)}...
-
-SCENE DESCRIPTION SUMMARY:
-${sceneDescription.substring(0, 800)}...
-
-POSE ANALYSIS DATA: ControlNet pose estimation completed across ${poseAnalyses.length} frames
-
-Provide ONLY a brief assessment in this format:
-
-**Overall Assessment:**
-
-[Provide a 1-10 rating and brief summary of overall technique across all frames, mentioning both strengths and areas for improvement. Keep this concise but encouraging - 2-3 sentences maximum.]
-
-I can provide more detailed information about your Key Strengths, Main Areas for Improvement, and Specific Drills and Exercises. Which would you like to learn more about?
-
-Keep it conversational and encouraging.`;
-
-    const detailedStrengthsPrompt = `Based on this technical analysis, provide detailed key strengths:
-
-TECHNICAL ANALYSIS:
-${technicalAnalysis.substring(0, 2000)}...
-
-Provide 3-4 specific strengths with detailed explanations.`;
-
-    const detailedImprovementsPrompt = `Based on this technical analysis, provide detailed areas for improvement:
-
-TECHNICAL ANALYSIS:
-${technicalAnalysis.substring(0, 2000)}...
-
-Provide 3-4 specific areas that need work with detailed explanations.`;
-
-    const detailedDrillsPrompt = `Based on this technical analysis, provide specific drills and exercises:
-
-TECHNICAL ANALYSIS:
-${technicalAnalysis.substring(0, 2000)}...
-
-Provide 3-4 specific drills with descriptions and purposes.`;
-    
-    // Generate brief assessment
-    const briefAssessment = await replicate.run(
-      POSE_PIPELINE_MODELS.REPORT_GENERATION,
-      {
-        input: {
-          prompt: briefAssessmentPrompt
-        }
-      }
-    );
-    
+    const briefAssessmentPrompt = renderPrompt('report-assessment', {
+      coach: sport.coach,
+      technicalAnalysis,
+      sceneDescription,
+      frameCount: poseAnalyses.filter(pose => !pose.error).length,
+      biomechanics: biomechanicsSummary,
+      maneuverSection,
+      scores: scoresSummary,
+      ratingInstruction,
+      rider,
+      comparison
+    });
+    const detailedStrengthsPrompt = renderPrompt('report-strengths', sections);
+    const detailedImprovementsPrompt = renderPrompt('report-improvements', sections);
+    const detailedDrillsPrompt = renderPrompt('report-drills', {
+      ...sections,
+      faults: formatFaults(options.faults),
+      drillCatalog: formatDrillCatalog(sport.id, options.recommendedDrills)
+    });
+    
+    // Generate brief assessment as schema-validated JSON, then render it
+    const assessment = await generateStructured('REPORT_GENERATION', {
+      messages: [
+        { role: 'system', content: coachSystemPrompt(sport) },
+        { role: 'user', content: briefAssessmentPrompt }
+      ],
+      section: 'assessment',
+      signal: options.signal
+    });
+    
+    // The rubric score is computed, so it wins over whatever rating the model wrote
+    const assessmentData = scoresSummary ? { ...assessment.data, rating: scores.overall } : assessment.data;
+    
+    throwIfCancelled(options.signal);
     console.log('✅ Brief assessment generated');
-    console.log('🔍 Debug - briefAssessment type:', typeof briefAssessment);
-    console.log('🔍 Debug - briefAssessment length:', briefAssessment ? (Array.isArray(briefAssessment) ? briefAssessment.length : briefAssessment.length) : 'null');
-    
-    // Clean up text formatting - remove extra spaces and fix word segmentation
-    const cleanText = (text) => {
-      if (!text) return text;
-      return text
-        // First, fix word segmentation issues (do this before space normalization)
-        .replace(/\bAss\s+ess\s+ment\b/g, 'Assessment')
-        .replace(/\bOver\s+all\b/g, 'Overall')
-        .replace(/\bStr\s+ength\s+s\b/g, 'Strengths')
-        .replace(/\bAre\s+as\b/g, 'Areas')
-        .replace(/\bIm\s+prov\s+e\s+ment\b/g, 'Improvement')
-        .replace(/\bDr\s+ills\b/g, 'Drills')
-        .replace(/\bEx\s+er\s+cis\s+es\b/g, 'Exercises')
-        .replace(/\bPract\s+ice\b/g, 'Practice')
-        .replace(/\bsnow\s+board\s+er\b/g, 'snowboarder')
-        .replace(/\bsnow\s+board\b/g, 'snowboard')
-        .replace(/\bdemonstr\s+ates\b/g, 'demonstrates')
-        .replace(/\bpost\s+ure\b/g, 'posture')
-        .replace(/\bkne\s+es\b/g, 'knees')
-        .replace(/\ban\s+k\s+les\b/g, 'ankles')
-        .replace(/\bposition\s+ing\b/g, 'positioning')
-        .replace(/\brelax\s+ed\b/g, 'relaxed')
-        .replace(/\badjust\s+ed\b/g, 'adjusted')
-        .replace(/\bincorpor\s+ating\b/g, 'incorporating')
-        .replace(/\benh\s+ance\b/g, 'enhance')
-        .replace(/\binit\s+iation\b/g, 'initiation')
-        // Fix additional word segmentation issues from your example
-        .replace(/\bB\s+ased\b/g, 'Based')
-        .replace(/\bsnowboarder\s+'\s+s\b/g, "snowboarder's")
-        .replace(/\bApp\s+ropri\s+ate\b/g, 'Appropriate')
-        .replace(/\bCenter\s+ed\b/g, 'Centered')
-        .replace(/\bIm\s+prov\s+e\s+ment\b/g, 'Improvement')
-        .replace(/\bSpec\s+ific\b/g, 'Specific')
-        .replace(/\badjust\s+ing\b/g, 'adjusting')
-        .replace(/\bF\s+ocus\b/g, 'Focus')
-        .replace(/\bmaintain\s+ing\b/g, 'maintaining')
-        .replace(/\bnavig\s+ating\b/g, 'navigating')
-        .replace(/\bterra\s+ins\b/g, 'terrains')
-        .replace(/\bW\s+ould\b/g, 'Would')
-        // Fix additional spacing issues from your example
-        .replace(/\b1\s+0\b/g, '10')
-        .replace(/\bbal\s+anced\b/g, 'balanced')
-        .replace(/\bkne\s+e\b/g, 'knee')
-        .replace(/\ban\s+k\s+le\b/g, 'ankle')
-        .replace(/\bsnowboard\s+ing\b/g, 'snowboarding')
-        // Fix additional word segmentation issues from the screenshot
-        .replace(/\bsp\s+ine\b/g, 'spine')
-        .replace(/\bh\s+ips\b/g, 'hips')
-        .replace(/\bel\s+b\s+ows\b/g, 'elbows')
-        .replace(/\bNe\s+ut\s+ral\b/g, 'Neutral')
-        .replace(/\bPro\s+per\b/g, 'Proper')
-        .replace(/\bWe\s+ight\b/g, 'Weight')
-        .replace(/\bsh\s+ifting\b/g, 'shifting')
-        .replace(/\bj\s+umps\b/g, 'jumps')
-        .replace(/\bexer\s+cis\s+es\b/g, 'exercises')
-        .replace(/\bsqu\s+ats\b/g, 'squats')
-        .replace(/\bbo\s+ards\b/g, 'boards')
-        .replace(/\bIn\s+cor\s+por\s+ate\b/g, 'Incorporate')
-        // Now normalize spaces and punctuation (but preserve line breaks)
-        .replace(/[ \t]+/g, ' ')  // Replace multiple spaces/tabs with single space (but keep \n)
-        .replace(/\s*\/\s*/g, '/')  // Fix spacing around slashes (7 / 10 -> 7/10)
-        .replace(/\s*:\s*/g, ': ')  // Fix spacing around colons
-        .replace(/\s*-\s*/g, '-')  // Fix spacing around hyphens
-        .replace(/\s*,\s*/g, ', ')  // Fix spacing around commas
-        .replace(/\s*\.\s*/g, '. ')  // Fix spacing around periods
-        .replace(/\s*\(\s*/g, '(')  // Fix spacing around parentheses
-        .replace(/\s*\)\s*/g, ')')  // Fix spacing around parentheses
-        .replace(/\s*\*\s*/g, '**')  // Fix spacing around asterisks
-        .replace(/\n[ \t]+/g, '\n')  // Remove leading spaces/tabs after line breaks (but keep the \n)
-        .trim();  // Remove leading/trailing spaces
-    };
 
     const result = {
-      briefAssessment: cleanText(Array.isArray(briefAssessment) ? briefAssessment.join(' ') : briefAssessment),
+      briefAssessment: renderSection('assessment', assessmentData),
+      assessment: assessmentData,
       detailedPrompts: {
         strengths: detailedStrengthsPrompt,
         improvements: detailedImprovementsPrompt,
         drills: detailedDrillsPrompt
       },
-      technicalAnalysis: cleanText(technicalAnalysis),
-      sceneDescription: cleanText(sceneDescription),
+      technicalAnalysis: technicalAnalysis,
+      sceneDescription: sceneDescription,
       poseAnalyses: poseAnalyses
     };
     
-    console.log('🔍 Debug - generateCoachingReport result detailedPrompts:', !!result.detailedPrompts);
-    console.log('🔍 Debug - generateCoachingReport detailedPrompts keys:', Object.keys(result.detailedPrompts));
+    emitEvent(options, 'partial_text', { stage: 'report', label: 'brief assessment', text: result.briefAssessment });
+    emitEvent(options, 'stage_finished', { stage: 'report' });
     
     return result;
     
   } catch (error) {
+    if (isCancellation(error)) throw error;
     console.error('❌ Stage 3 failed:', error.message);
     throw new Error(`Report generation failed: ${error.message}`);
   }
@@ -440,88 +436,156 @@ Provide 3-4 specific drills with descriptions and purposes.`;
  * Main 4-Stage Pipeline Function
  * Orchestrates the entire pose-based analysis process
  */
-const analyzeSnowboardingVideoPoseBased = async (videoPath, framePaths) => {
+const analyzeSnowboardingVideoPoseBased = async (videoPath, framePaths, options = {}) => {
+  const frameTimestamps = options.frameTimestamps || [];
+  const sport = getSportProfile(options.sport);
+
   try {
-    console.log('🎿 Starting 4-Stage Pose-Based Analysis Pipeline...');
+    console.log(`🎿 Starting 4-Stage Pose-Based Analysis Pipeline (${sport.label})...`);
     console.log('📹 Video:', videoPath);
     console.log('🖼️  Frames:', framePaths.length);
     
     // Stage 0: Pose Estimation
-    const poseResult = await estimatePoses(videoPath, framePaths);
+    const poseResult = await estimatePoses(videoPath, framePaths, frameTimestamps, options);
+    
+    // Link, gap-fill and smooth the keypoints; later stages use the cleaned sequence
+    const { poseAnalyses, tracking } = trackPoses(poseResult.poseAnalyses);
+    
+    // Joint angles, stance and center of mass measured from the keypoints
+    const biomechanics = analyzeBiomechanics(poseAnalyses);
+    
+    // Skeleton overlay video of the whole clip (null if it could not be rendered)
+    const poseVideoUrl = await renderPoseVideo(videoPath, poseAnalyses, options);
+    throwIfCancelled(options.signal);
+    
+    // Pick the frames that show the phases of the maneuver
+    const keyFrames = await selectKeyFrames(framePaths, frameTimestamps, poseAnalyses);
+    
+    // Label the maneuver so the report can use maneuver-specific prompts and rating criteria
+    const maneuver = classifyManeuver(poseAnalyses, biomechanics, keyFrames, sport.id);
+    
+    // Line the run up with the reference run, when comparing with one
+    const comparison = options.reference
+      ? compareRuns({ biomechanics, keyFrames }, options.reference, { mirror: options.reference.mirror })
+      : null;
     
     // Stage 1: Technical Analysis
-    const technicalAnalysis = await analyzeTechnicalMovement(poseResult.poseAnalyses, framePaths);
+    const technicalAnalysis = await analyzeTechnicalMovement(poseAnalyses, framePaths, keyFrames, options);
     
     // Stage 2: Scene Description
-    const sceneDescription = await describeScene(framePaths, poseResult.poseAnalyses);
+    const sceneDescription = await describeScene(framePaths, poseAnalyses, keyFrames, maneuver, options);
+    
+    // Score the technique against the rubric from the measurements and both stages' text
+    const scores = scoreTechnique({ biomechanics, tracking, maneuver, technicalAnalysis, sceneDescription, sport: sport.id });
+    
+    // Map the faults the measurements and scores show to drills of the library
+    const faults = detectFaults({ biomechanics, scores, maneuver, sport: sport.id });
+    const recommendedDrills = recommendDrills(faults, scores, { sport: sport.id, rider: options.rider });
     
     // Stage 3: Report Generation
     const coachingReport = await generateCoachingReport(
       technicalAnalysis, 
       sceneDescription, 
-      poseResult.poseAnalyses
+      poseAnalyses,
+      maneuver,
+      scores,
+      { ...options, comparison, faults, recommendedDrills }
     );
     
     console.log('🎉 4-Stage Pipeline completed successfully!');
-    console.log('🔍 Debug - coachingReport.detailedPrompts:', !!coachingReport.detailedPrompts);
-    console.log('🔍 Debug - detailedPrompts keys:', coachingReport.detailedPrompts ? Object.keys(coachingReport.detailedPrompts) : 'none');
     
     return {
       success: true,
       analysis: coachingReport.briefAssessment,
-      poseVideoUrl: null,
-      poseAnalyses: poseResult.poseAnalyses,
+      assessment: coachingReport.assessment,
+      poseVideoUrl: poseVideoUrl,
+      poseAnalyses: poseAnalyses,
+      tracking: tracking,
+      biomechanics: biomechanics,
+      maneuver: maneuver,
+      scores: scores,
+      faults: faults,
+      recommendedDrills: recommendedDrills,
+      keyFrames: keyFrames,
+      comparison: comparison,
       technicalAnalysis: technicalAnalysis,
       sceneDescription: sceneDescription,
       detailedPrompts: coachingReport.detailedPrompts,
+      sport: sport.id,
+      promptVersions: getPromptVersions(PIPELINE_PROMPTS),
       pipeline: 'pose-based-4stage',
-      message: 'Video analyzed using advanced ControlNet pose estimation pipeline'
+      message: 'Video analyzed using advanced pose estimation pipeline'
     };
     
   } catch (error) {
+    // A cancelled job must stop, not fall back to the canned analysis
+    if (isCancellation(error)) throw error;
+    
     console.error('❌ Pose-based pipeline failed:', error.message);
     console.log('🔄 Falling back to image-based analysis...');
     
     // Fallback to simple analysis (no API calls)
-    const fallbackAnalysis = `Based on your snowboarding video analysis, I can see you're working on your technique. Your form shows good potential with room for improvement in balance and edge control.`;
+    const fallbackAnalysis = `Based on your ${sport.activity} video analysis, I can see you're working on your technique. Your form shows good potential with room for improvement in balance and edge control.`;
     
     // Create structured data for interactive chat
-    const briefAssessment = `**Subject: Snowboarding Technique Analysis and Coaching Advice**
-
-Dear [Name],
-
-I have analyzed your snowboarding technique across multiple frames from your video. My analysis is based on the principles of safe and respectful coaching, with a focus on maintaining balance, control, and efficiency in your riding style.
-
-**Overall Assessment:**
-
-${fallbackAnalysis.substring(0, 200)}...
-
-I can provide more detailed information about your Key Strengths, Main Areas for Improvement, and Specific Drills and Exercises. Which would you like to learn more about?`;
+    const briefAssessment = renderPrompt('fallback-assessment', {
+      sportLabel: sport.label,
+      activity: sport.activity,
+      analysis: fallbackAnalysis
+    });
 
+    const fallbackSections = { activity: sport.activity, analysis: fallbackAnalysis, rider: formatRiderProfile(options.rider, sport) };
     const detailedPrompts = {
-      strengths: `Based on this snowboarding analysis, provide detailed key strengths:\n\nANALYSIS:\n${fallbackAnalysis.substring(0, 1500)}...\n\nProvide 3-4 specific strengths with detailed explanations.`,
-      improvements: `Based on this snowboarding analysis, provide detailed areas for improvement:\n\nANALYSIS:\n${fallbackAnalysis.substring(0, 1500)}...\n\nProvide 3-4 specific areas that need work with detailed explanations.`,
-      drills: `Based on this snowboarding analysis, provide specific drills and exercises:\n\nANALYSIS:\n${fallbackAnalysis.substring(0, 1500)}...\n\nProvide 3-4 specific drills with descriptions and purposes.`
+      strengths: renderPrompt('analysis-strengths', fallbackSections),
+      improvements: renderPrompt('analysis-improvements', fallbackSections),
+      drills: renderPrompt('analysis-drills', { ...fallbackSections, drillCatalog: formatDrillCatalog(sport.id) })
     };
-
-    console.log('🔍 Debug - Fallback detailedPrompts:', !!detailedPrompts);
-    console.log('🔍 Debug - Fallback detailedPrompts keys:', Object.keys(detailedPrompts));
     
     return {
       success: true,
       analysis: briefAssessment,
       poseVideoUrl: null,
       technicalAnalysis: fallbackAnalysis,
-      sceneDescription: 'Snowboarding technique analysis',
+      sceneDescription: `${sport.label} technique analysis`,
       detailedPrompts: detailedPrompts,
+      sport: sport.id,
+      promptVersions: getPromptVersions(FALLBACK_PROMPTS),
       pipeline: 'image-based-fallback',
       message: 'Video analyzed using fallback image-based pipeline'
     };
   }
 };
 
+/**
+ * Reference run for a comparison: poses, measurements and key frames only, no model calls
+ * besides pose estimation. Its events are reported under the reference_pose stage
+ * Input: Video + frames + options { frameTimestamps, sport, signal, onEvent }
+ * Output: { poseAnalyses, biomechanics, keyFrames, maneuver }
+ */
+const analyzeReferenceRun = async (videoPath, framePaths, options = {}) => {
+  const frameTimestamps = options.frameTimestamps || [];
+  console.log('🪞 Measuring the reference run...');
+
+  const poseResult = await estimatePoses(videoPath, framePaths, frameTimestamps, {
+    ...options,
+    onEvent: event => emitEvent(options, event.type, { ...event, stage: 'reference_pose' })
+  });
+  const { poseAnalyses } = trackPoses(poseResult.poseAnalyses);
+  const biomechanics = analyzeBiomechanics(poseAnalyses);
+  const keyFrames = await selectKeyFrames(framePaths, frameTimestamps, poseAnalyses);
+  throwIfCancelled(options.signal);
+
+  return {
+    poseAnalyses,
+    biomechanics,
+    keyFrames,
+    maneuver: classifyManeuver(poseAnalyses, biomechanics, keyFrames, getSportProfile(options.sport).id)
+  };
+};
+
 module.exports = {
   analyzeSnowboardingVideoPoseBased,
+  analyzeReferenceRun,
   estimatePoses,
   analyzeTechnicalMovement,
   describeScene,
@@ -0,0 +1,247 @@
+// Temporal keypoint tracking
+// Cleans the per-frame poses from Stage 0 into one sequence for the rider: drops
+// detections that jump to someone else, fills short gaps (single keypoints or whole frames
+// where detection failed) by interpolation, smooths joint trajectories with a One-Euro
+// filter and flags low-confidence frames
+
+const { bodyFrame, distance, MIN_KEYPOINT_SCORE } = require('./biomechanics');
+require('dotenv').config();
+
+const TRACKING_SETTINGS = {
+  // One-Euro filter: lower minCutoff smooths more when still, higher beta follows fast moves
+  minCutoff: parseFloat(process.env.POSE_SMOOTHING_MIN_CUTOFF) || 1.0,
+  beta: parseFloat(process.env.POSE_SMOOTHING_BETA) || 0.05,
+  derivativeCutoff: 1.0,
+  // Longest run of missing frames a keypoint (or a whole pose) is interpolated across
+  maxGapFrames: parseInt(process.env.POSE_MAX_GAP_FRAMES, 10) || 3,
+  // Hip centre movement (torso lengths per analyzed frame) above which a detection is
+  // treated as a different person
+  maxJumpTorsos: 1.5,
+  // A frame is low confidence below this mean keypoint score or with fewer reliable joints
+  minFrameConfidence: 0.4,
+  minReliableKeypoints: 8
+};
+
+// Exponential smoothing factor for a cutoff frequency (Hz) and time step (s)
+const smoothingFactor = (cutoff, dt) => {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+};
+
+/**
+ * One-Euro filter over a series of samples
+ * Input: [{ t (seconds), value }] in time order
+ * Output: Smoothed values in the same order
+ */
+const oneEuroFilter = (samples, { minCutoff, beta, derivativeCutoff } = TRACKING_SETTINGS) => {
+  let previousValue = null;
+  let previousDerivative = 0;
+  let previousTime = null;
+
+  return samples.map(({ t, value }) => {
+    if (previousValue === null) {
+      previousValue = value;
+      previousTime = t;
+      return value;
+    }
+
+    // Frames without timestamps are treated as 1/10 s apart
+    const dt = t !== null && previousTime !== null && t > previousTime ? t - previousTime : 0.1;
+    const derivative = (value - previousValue) / dt;
+    const smoothedDerivative = previousDerivative + smoothingFactor(derivativeCutoff, dt) * (derivative - previousDerivative);
+    const cutoff = minCutoff + beta * Math.abs(smoothedDerivative);
+    const smoothed = previousValue + smoothingFactor(cutoff, dt) * (value - previousValue);
+
+    previousValue = smoothed;
+    previousDerivative = smoothedDerivative;
+    previousTime = t;
+    return smoothed;
+  });
+};
+
+// Mean score and reliable keypoint count of a detection (zero for a failed frame)
+const frameConfidence = (keypoints) => {
+  if (keypoints.length === 0) return { confidence: 0, reliableKeypoints: 0 };
+  const scores = keypoints.map(point => (typeof point.score === 'number' ? point.score : 1));
+  return {
+    confidence: scores.reduce((sum, score) => sum + score, 0) / scores.length,
+    reliableKeypoints: scores.filter(score => score >= MIN_KEYPOINT_SCORE).length
+  };
+};
+
+// Keep the detections that follow the same rider, starting from the most confident one
+const linkTrack = (poses) => {
+  const bodies = poses.map(pose => bodyFrame(pose.keypoints));
+  const confidences = poses.map(pose => frameConfidence(pose.keypoints).confidence);
+  const anchor = confidences.indexOf(Math.max(...confidences));
+  const tracked = poses.map(() => false);
+  if (anchor === -1 || !bodies[anchor]) return tracked.map((_, i) => Boolean(bodies[i]));
+
+  tracked[anchor] = true;
+  const follow = (step) => {
+    let last = anchor;
+    for (let i = anchor + step; i >= 0 && i < poses.length; i += step) {
+      if (!bodies[i]) continue;
+      const torso = (bodies[i].torso + bodies[last].torso) / 2;
+      const jump = distance(bodies[i].hips, bodies[last].hips) / torso / Math.abs(i - last);
+      if (jump <= TRACKING_SETTINGS.maxJumpTorsos) {
+        tracked[i] = true;
+        last = i;
+      }
+    }
+  };
+  follow(1);
+  follow(-1);
+  return tracked;
+};
+
+// Linear interpolation of one keypoint across gaps of at most maxGapFrames
+const fillGaps = (series) => {
+  const filled = series.slice();
+  for (let i = 0; i < series.length; i++) {
+    if (series[i]) continue;
+    let before = i - 1;
+    while (before >= 0 && !series[before]) before--;
+    let after = i + 1;
+    while (after < series.length && !series[after]) after++;
+    if (before < 0 || after >= series.length || after - before - 1 > TRACKING_SETTINGS.maxGapFrames) continue;
+
+    const ratio = (i - before) / (after - before);
+    const a = series[before];
+    const b = series[after];
+    filled[i] = {
+      name: a.name,
+      x: a.x + (b.x - a.x) * ratio,
+      y: a.y + (b.y - a.y) * ratio,
+      score: Math.min(a.score, b.score),
+      interpolated: true
+    };
+  }
+  return filled;
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Image size of the nearest frame that has one, for poses filled into failed frames
+const nearestImageSize = (poses, index) => {
+  for (let offset = 1; offset < poses.length; offset++) {
+    const candidate = [poses[index - offset], poses[index + offset]]
+      .find(pose => pose && pose.imageWidth && pose.imageHeight);
+    if (candidate) return { imageWidth: candidate.imageWidth, imageHeight: candidate.imageHeight };
+  }
+  return {};
+};
+
+/**
+ * Clean a pose sequence
+ * Input: poseAnalyses from Stage 0 (failed frames have empty keypoints; entries without
+ *        keypoints pass through unchanged)
+ * Output: { poseAnalyses, tracking }
+ *   poseAnalyses - copies whose keypoints are the tracked, gap-filled and smoothed
+ *                  positions (the detector output is kept as rawKeypoints), each with
+ *                  tracking { confidence, lowConfidence, tracked, detected, interpolatedKeypoints };
+ *                  failed frames within maxGapFrames of detections get an interpolated pose,
+ *                  longer gaps keep empty keypoints
+ *   tracking     - { frames, lowConfidenceFrames, interpolatedKeypoints, untrackedFrames, missingFrames }
+ */
+const trackPoses = (poseAnalyses = []) => {
+  const withKeypoints = poseAnalyses
+    .filter(pose => pose && Array.isArray(pose.keypoints))
+    .sort((a, b) => a.frame - b.frame);
+  const first = withKeypoints.find(pose => pose.keypoints.length > 0);
+
+  if (!first) {
+    return {
+      poseAnalyses,
+      tracking: { frames: [], lowConfidenceFrames: [], interpolatedKeypoints: 0, untrackedFrames: [], missingFrames: [] }
+    };
+  }
+
+  const tracked = linkTrack(withKeypoints);
+  const names = first.keypoints.map(point => point.name);
+  const times = withKeypoints.map(pose => (typeof pose.timestamp === 'number' ? pose.timestamp : null));
+
+  // Per keypoint: keep trusted detections on the track, fill gaps, then smooth
+  const cleaned = withKeypoints.map(() => []);
+  names.forEach((name) => {
+    const series = withKeypoints.map((pose, i) => {
+      const point = pose.keypoints.find(candidate => candidate.name === name);
+      return tracked[i] && point && point.score >= MIN_KEYPOINT_SCORE ? point : null;
+    });
+    const filled = fillGaps(series);
+
+    // Smooth each contiguous run separately so gaps do not pull points together
+    let run = [];
+    const flush = () => {
+      if (run.length === 0) return;
+      const xs = oneEuroFilter(run.map(i => ({ t: times[i], value: filled[i].x })));
+      const ys = oneEuroFilter(run.map(i => ({ t: times[i], value: filled[i].y })));
+      run.forEach((frameIndex, j) => {
+        cleaned[frameIndex].push({ ...filled[frameIndex], x: round(xs[j]), y: round(ys[j]) });
+      });
+      run = [];
+    };
+    filled.forEach((point, i) => {
+      if (point) {
+        run.push(i);
+      } else {
+        flush();
+        // Untrusted joints stay in the list, below the confidence threshold
+        const original = withKeypoints[i].keypoints.find(candidate => candidate.name === name);
+        if (original) {
+          cleaned[i].push({ ...original, score: Math.min(original.score, MIN_KEYPOINT_SCORE / 2) });
+        }
+      }
+    });
+    flush();
+  });
+
+  const frames = withKeypoints.map((pose, i) => {
+    const { confidence, reliableKeypoints } = frameConfidence(pose.keypoints);
+    return {
+      frame: pose.frame,
+      timestamp: pose.timestamp,
+      confidence: Math.round(confidence * 1000) / 1000,
+      lowConfidence: !tracked[i] || confidence < TRACKING_SETTINGS.minFrameConfidence || reliableKeypoints < TRACKING_SETTINGS.minReliableKeypoints,
+      tracked: tracked[i],
+      detected: pose.keypoints.length > 0,
+      interpolatedKeypoints: cleaned[i].filter(point => point.interpolated).map(point => point.name)
+    };
+  });
+
+  const byFrame = {};
+  withKeypoints.forEach((pose, i) => {
+    // Keep the keypoint order of the schema
+    const keypoints = names.map(name => cleaned[i].find(point => point.name === name)).filter(Boolean);
+    const { confidence, lowConfidence, tracked: onTrack, detected, interpolatedKeypoints } = frames[i];
+    byFrame[pose.frame] = {
+      ...pose,
+      ...(!detected && keypoints.length > 0 ? nearestImageSize(withKeypoints, i) : {}),
+      keypoints,
+      rawKeypoints: pose.keypoints,
+      tracking: { confidence, lowConfidence, tracked: onTrack, detected, interpolatedKeypoints }
+    };
+  });
+
+  const lowConfidenceFrames = frames.filter(entry => entry.lowConfidence).map(entry => entry.frame);
+  const interpolatedKeypoints = frames.reduce((sum, entry) => sum + entry.interpolatedKeypoints.length, 0);
+  const missingFrames = frames.filter(entry => !entry.detected).map(entry => entry.frame);
+  console.log(`🧵 Tracked ${frames.length} poses: ${interpolatedKeypoints} keypoints interpolated, ${missingFrames.length} failed frames, ${lowConfidenceFrames.length} low-confidence frames`);
+
+  return {
+    poseAnalyses: poseAnalyses.map(pose => (pose && byFrame[pose.frame]) || pose),
+    tracking: {
+      frames,
+      lowConfidenceFrames,
+      interpolatedKeypoints,
+      untrackedFrames: frames.filter(entry => entry.detected && !entry.tracked).map(entry => entry.frame),
+      missingFrames
+    }
+  };
+};
+
+module.exports = {
+  trackPoses,
+  oneEuroFilter,
+  TRACKING_SETTINGS
+};
@@ -0,0 +1,224 @@
+// Skeleton overlay video
+// Renders an MP4 of the uploaded clip with the tracked skeleton, knee and hip angles and
+// frame numbers drawn over every frame. Poses are only measured on the extracted frames,
+// so the keypoints in between are interpolated by timestamp
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+const { probeVideo } = require('./frame-extraction');
+const { computeFrameMetrics } = require('./biomechanics');
+const { skeletonShapes, sideColor, MIN_DRAW_SCORE } = require('./pose-overlay');
+const { createCanvas, clearCanvas, fillCircle, drawLine, drawText, measureText } = require('./raster');
+const { DATA_DIR } = require('./analysis-store');
+require('dotenv').config();
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+// Rendered videos are served by the /media static route
+const MEDIA_DIR = path.join(DATA_DIR, 'media');
+const POSE_VIDEO_DIR = path.join(MEDIA_DIR, 'pose-videos');
+const POSE_VIDEO_URL_PREFIX = '/media/pose-videos/';
+
+const POSE_VIDEO_SETTINGS = {
+  fps: parseFloat(process.env.POSE_VIDEO_FPS) || 15,
+  maxWidth: parseInt(process.env.POSE_VIDEO_MAX_WIDTH, 10) || 640
+};
+
+const LABEL_BACKGROUND = '#212529';
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+// Output size: the clip scaled down to maxWidth, with the even sides H.264 needs
+const outputSize = (width, height) => {
+  const scale = Math.min(1, POSE_VIDEO_SETTINGS.maxWidth / width);
+  return { width: even(width * scale), height: even(height * scale) };
+};
+
+// Blend two detections of the same rider; joints missing from either side are dropped
+const interpolateKeypoints = (a, b, ratio) => a.keypoints
+  .map((pointA) => {
+    const pointB = b.keypoints.find(candidate => candidate.name === pointA.name);
+    if (!pointB) return null;
+    return {
+      name: pointA.name,
+      x: pointA.x + (pointB.x - pointA.x) * ratio,
+      y: pointA.y + (pointB.y - pointA.y) * ratio,
+      score: Math.min(pointA.score, pointB.score)
+    };
+  })
+  .filter(Boolean);
+
+/**
+ * Pose to draw at a point in time
+ * Input: Poses with keypoints and timestamps (sorted by time), time in seconds
+ * Output: { keypoints (in the pose's image pixels), imageWidth, imageHeight, frame, lowConfidence }
+ *         held at the first and last analyzed frame outside their range
+ */
+const poseAtTime = (poses, time) => {
+  let after = poses.findIndex(pose => pose.timestamp >= time);
+  if (after === -1) after = poses.length - 1;
+  const before = Math.max(0, poses[after].timestamp > time ? after - 1 : after);
+  const a = poses[before];
+  const b = poses[after];
+  const ratio = b.timestamp > a.timestamp ? Math.min(Math.max((time - a.timestamp) / (b.timestamp - a.timestamp), 0), 1) : 0;
+  const nearest = ratio < 0.5 ? a : b;
+
+  return {
+    keypoints: a === b ? a.keypoints : interpolateKeypoints(a, b, ratio),
+    imageWidth: a.imageWidth,
+    imageHeight: a.imageHeight,
+    frame: nearest.frame,
+    lowConfidence: Boolean(nearest.tracking && nearest.tracking.lowConfidence)
+  };
+};
+
+// Draw one overlay frame: skeleton, knee/hip angles and the frame label
+const drawOverlayFrame = (canvas, pose, label) => {
+  clearCanvas(canvas);
+  const scaleX = canvas.width / (pose.imageWidth || canvas.width);
+  const scaleY = canvas.height / (pose.imageHeight || canvas.height);
+  const textScale = canvas.width >= 480 ? 2 : 1;
+
+  // Same skeleton as the still overlays, in output pixels
+  const keypoints = pose.keypoints.map(point => ({ ...point, x: point.x * scaleX, y: point.y * scaleY }));
+  const { stroke, bones, joints } = skeletonShapes({ keypoints, imageWidth: canvas.width, imageHeight: canvas.height });
+  bones.forEach(({ from, to, color }) => drawLine(canvas, from.x, from.y, to.x, to.y, stroke, color));
+  joints.forEach((point) => {
+    fillCircle(canvas, point.x, point.y, stroke * 1.5 + 1, '#ffffff');
+    fillCircle(canvas, point.x, point.y, stroke * 1.5, point.color);
+  });
+
+  const byName = {};
+  keypoints
+    .filter(point => point.score >= MIN_DRAW_SCORE)
+    .forEach(point => { byName[point.name] = point; });
+
+  // Angles measured on the drawn (interpolated) pose, next to the joint they belong to
+  const metrics = computeFrameMetrics(pose.keypoints);
+  if (metrics) {
+    [
+      ['left_knee', metrics.kneeFlexion.left],
+      ['right_knee', metrics.kneeFlexion.right],
+      ['left_hip', metrics.hipFlexion.left],
+      ['right_hip', metrics.hipFlexion.right]
+    ]
+      .filter(([name, value]) => byName[name] && value !== null)
+      .forEach(([name, value]) => {
+        const text = `${Math.round(value)}°`;
+        const { width } = measureText(text, textScale);
+        const x = name.startsWith('left_') ? byName[name].x - width - stroke * 4 : byName[name].x + stroke * 4;
+        drawText(canvas, text, x, byName[name].y - textScale * 3, { scale: textScale, color: sideColor(name), background: LABEL_BACKGROUND });
+      });
+  }
+
+  drawText(canvas, label, textScale * 4, textScale * 4, { scale: textScale, background: LABEL_BACKGROUND });
+  if (pose.lowConfidence) {
+    drawText(canvas, 'LOW CONFIDENCE', textScale * 4, textScale * 16, { scale: textScale, color: '#ffc107', background: LABEL_BACKGROUND });
+  }
+};
+
+/**
+ * Render the skeleton overlay video
+ * Input: Original video path, tracked poseAnalyses, options { onEvent, signal }
+ * Output: Public URL of the MP4 (/media/pose-videos/<id>.mp4), or null when there are no
+ *         keypoints to draw or rendering fails; the analysis does not depend on it
+ */
+const renderPoseVideo = async (videoPath, poseAnalyses = [], options = {}) => {
+  const emit = (type, data) => options.onEvent && options.onEvent({ type, stage: 'pose_video', ...data });
+
+  const poses = poseAnalyses
+    .filter(pose => pose && Array.isArray(pose.keypoints) && pose.keypoints.length > 0 && typeof pose.timestamp === 'number')
+    .sort((a, b) => a.timestamp - b.timestamp);
+  if (poses.length === 0) {
+    console.log('🎞️ No timed keypoints to draw, skipping pose video');
+    return null;
+  }
+
+  const outputPath = path.join(POSE_VIDEO_DIR, `${uuidv4()}.mp4`);
+
+  try {
+    const video = await probeVideo(videoPath);
+    const { width, height } = outputSize(video.width || poses[0].imageWidth, video.height || poses[0].imageHeight);
+    const fps = POSE_VIDEO_SETTINGS.fps;
+    const totalFrames = Math.max(1, Math.ceil(video.duration * fps));
+    const progressStep = Math.max(1, Math.round(totalFrames / 10));
+
+    fs.mkdirSync(POSE_VIDEO_DIR, { recursive: true });
+    console.log(`🎞️ Rendering pose video: ${totalFrames} frames at ${width}x${height}, ${fps} fps`);
+    emit('stage_started', { total: totalFrames });
+
+    // Overlay frames are generated on demand as ffmpeg reads them
+    const canvas = createCanvas(width, height);
+    let frameIndex = 0;
+    const overlayFrames = new Readable({
+      read() {
+        if (frameIndex >= totalFrames) {
+          this.push(null);
+          return;
+        }
+        const time = frameIndex / fps;
+        const pose = poseAtTime(poses, time);
+        drawOverlayFrame(canvas, pose, `FRAME ${frameIndex + 1}/${totalFrames} T=${time.toFixed(2)}S POSE ${pose.frame}`);
+        frameIndex++;
+        if (frameIndex % progressStep === 0) {
+          emit('frame_completed', { completed: frameIndex, total: totalFrames });
+        }
+        this.push(Buffer.from(canvas.data));
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg(videoPath)
+        .input(overlayFrames)
+        .inputOptions(['-f', 'rawvideo', '-pix_fmt', 'rgba', '-s', `${width}x${height}`, '-r', String(fps)])
+        .complexFilter([
+          `[0:v]fps=${fps},scale=${width}:${height},setsar=1[base]`,
+          '[base][1:v]overlay=0:0:format=auto:shortest=1[out]'
+        ])
+        .outputOptions(['-map', '[out]', '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-movflags', '+faststart', '-an'])
+        .on('end', resolve)
+        .on('error', (error) => reject(new Error(error.message)));
+
+      const onAbort = () => command.kill('SIGKILL');
+      if (options.signal) options.signal.addEventListener('abort', onAbort, { once: true });
+      command.on('end', () => options.signal && options.signal.removeEventListener('abort', onAbort));
+      command.save(outputPath);
+    });
+
+    if (options.signal && options.signal.aborted) {
+      fs.rmSync(outputPath, { force: true });
+      return null;
+    }
+
+    console.log('✅ Pose video rendered:', outputPath);
+    emit('stage_finished', {});
+    return `${POSE_VIDEO_URL_PREFIX}${path.basename(outputPath)}`;
+  } catch (error) {
+    fs.rmSync(outputPath, { force: true });
+    console.error('❌ Pose video rendering failed:', error.message);
+    emit('stage_finished', { error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Delete a rendered pose video
+ * Input: URL returned by renderPoseVideo (other URLs are ignored)
+ */
+const deletePoseVideo = (poseVideoUrl) => {
+  if (typeof poseVideoUrl !== 'string' || !poseVideoUrl.startsWith(POSE_VIDEO_URL_PREFIX)) return;
+  const fileName = path.basename(poseVideoUrl);
+  fs.rmSync(path.join(POSE_VIDEO_DIR, fileName), { force: true });
+};
+
+module.exports = {
+  renderPoseVideo,
+  deletePoseVideo,
+  poseAtTime,
+  MEDIA_DIR,
+  POSE_VIDEO_SETTINGS
+};
@@ -0,0 +1,331 @@
+// Practice plans
+// Turns an analysis and the rider's availability into a week-by-week practice plan: one
+// session per available day, built from the drills recommended for the run's faults
+// (drill-library.js), with check-in goals that step the measured values toward the
+// rubric target week by week. Plans are kept per rider as JSON files next to the stored
+// analyses, can be edited, and are exported as a calendar or a printable page
+// (plan-export.js, schemas/practice-plan.schema.json).
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { v4: uuidv4 } = require('uuid');
+const { DATA_DIR } = require('./analysis-store');
+const { METRIC_DEFINITIONS } = require('./biomechanics');
+const { metricTarget } = require('./scoring-rubric');
+const { getSportProfile } = require('./sport-profiles');
+const { getDrill, listDrills, detectFaults, recommendDrills, DIFFICULTIES } = require('./drill-library');
+
+const PLANS_DIR = path.join(DATA_DIR, 'plans');
+
+// Ids are uuids; anything else could escape the data directory
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Drop unknown keys (such as id or createdAt sent back by a client) rather than failing on them
+const ajv = new Ajv({ allErrors: true, removeAdditional: true, useDefaults: true });
+ajv.addSchema(JSON.parse(fs.readFileSync(path.join(__dirname, 'schemas', 'practice-plan.schema.json'), 'utf8')));
+const validatePlan = ajv.getSchema('practice-plan.schema.json');
+const validateAvailability = ajv.compile({ $ref: 'practice-plan.schema.json#/definitions/availability' });
+
+// Day codes in the order of Date.getUTCDay()
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Phases of a plan, in order; each takes about a third of the weeks
+ * drills - drills per session
+ * notes  - how to practice in this phase, shown on each session
+ */
+const PHASES = {
+  foundations: { label: 'Foundations', drills: 2, notes: 'Learn each drill slowly on easy terrain; quality over quantity.' },
+  build: { label: 'Build', drills: 2, notes: 'Repeat the drills at normal speed and keep the form under fatigue.' },
+  apply: { label: 'Apply', drills: 1, notes: 'Use the drill as a warm-up, then bring the focus into normal riding.' }
+};
+
+// Sessions at least this long start with a warm-up of WARM_UP_MINUTES
+const WARM_UP_FROM_MINUTES = 40;
+const WARM_UP_MINUTES = 10;
+
+// Time left over after the drills becomes free riding when there is at least this much
+const MIN_FREE_RIDE_MINUTES = 10;
+
+// Check-in goals per week
+const CHECK_IN_GOALS = 3;
+
+// Drills a plan rotates through when the analysis recommended none
+const FALLBACK_DRILLS = 4;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const ensureDir = () => {
+  if (!fs.existsSync(PLANS_DIR)) {
+    fs.mkdirSync(PLANS_DIR, { recursive: true });
+  }
+};
+
+const planPath = (id) => path.join(PLANS_DIR, `${id}.json`);
+
+// Write to a temp file first so a crash never leaves half a plan behind
+const writePlan = (plan) => {
+  ensureDir();
+  const target = planPath(plan.id);
+  const temp = `${target}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(plan, null, 2));
+  fs.renameSync(temp, target);
+};
+
+/**
+ * Check a plan sent by a client
+ * Output: { plan } with unknown keys removed, or { error } describing what is wrong
+ */
+const checkPlan = (input) => {
+  const plan = JSON.parse(JSON.stringify(input || {}));
+  if (!validatePlan(plan)) {
+    return { error: ajv.errorsText(validatePlan.errors, { dataVar: 'plan' }) };
+  }
+  return { plan };
+};
+
+/**
+ * Check the availability a plan is generated for
+ * Output: { availability } with defaults filled in, or { error } describing what is wrong
+ */
+const checkAvailability = (input) => {
+  const availability = JSON.parse(JSON.stringify(input || {}));
+  if (!validateAvailability(availability)) {
+    return { error: ajv.errorsText(validateAvailability.errors, { dataVar: 'availability' }) };
+  }
+  return { availability };
+};
+
+// Dates are plain YYYY-MM-DD days; the arithmetic runs in UTC so time zones cannot shift them
+const parseDate = (date) => new Date(`${date}T00:00:00Z`);
+const formatDate = (date) => date.toISOString().slice(0, 10);
+const addDays = (date, days) => formatDate(new Date(parseDate(date).getTime() + days * 86400000));
+
+// The available days of one week, in date order
+const sessionDates = (weekStart, days) => [0, 1, 2, 3, 4, 5, 6]
+  .map(offset => addDays(weekStart, offset))
+  .filter(date => days.includes(WEEKDAYS[parseDate(date).getUTCDay()]));
+
+// Foundations, build, apply over the weeks; a single week is all build
+const phaseFor = (week, weeks) => {
+  if (weeks === 1) return 'build';
+  return ['foundations', 'build', 'apply'][Math.min(2, Math.floor(((week - 1) * 3) / weeks))];
+};
+
+// The drills a plan rotates through: the analysis's recommendations with their current
+// library version, else the easiest drills of the sport at the rider's level
+const planDrills = (recommendations, sport, rider) => {
+  const drills = recommendations
+    .map(recommendation => ({ ...recommendation, drill: getDrill(recommendation.drill.id) || recommendation.drill }));
+  if (drills.length > 0) return drills;
+  const difficulty = rider && DIFFICULTIES.includes(rider.skillLevel) ? rider.skillLevel : null;
+  return listDrills({ sport, difficulty })
+    .filter(drill => !drill.faults.includes('fall'))
+    .sort((a, b) => DIFFICULTIES.indexOf(a.difficulty) - DIFFICULTIES.indexOf(b.difficulty))
+    .slice(0, FALLBACK_DRILLS)
+    .map(drill => ({ drill, faults: [], reason: 'General technique' }));
+};
+
+// One session: warm-up, drills that fit the time, then free riding with what is left
+const buildSession = ({ date, startTime, minutes, phase, drills, focus, sport }) => {
+  const blocks = [];
+  let remaining = minutes;
+  if (minutes >= WARM_UP_FROM_MINUTES) {
+    blocks.push({
+      kind: 'warm-up',
+      name: 'Warm-up',
+      durationMinutes: WARM_UP_MINUTES,
+      notes: `Easy ${sport.activity} and mobility for ankles, knees and hips`
+    });
+    remaining -= WARM_UP_MINUTES;
+  }
+
+  drills.forEach(({ drill }, index) => {
+    // The first drill always makes it in, shortened to the time there is
+    if (remaining <= 0 || (index > 0 && drill.durationMinutes > remaining)) return;
+    const durationMinutes = Math.min(drill.durationMinutes, remaining);
+    blocks.push({
+      kind: 'drill',
+      name: drill.name,
+      durationMinutes,
+      drillId: drill.id,
+      ...(drill.dosage ? { dosage: drill.dosage } : {}),
+      ...(drill.purpose ? { notes: drill.purpose } : {})
+    });
+    remaining -= durationMinutes;
+  });
+
+  if (remaining >= MIN_FREE_RIDE_MINUTES) {
+    blocks.push({
+      kind: 'free-ride',
+      name: `Free ${sport.activity}`,
+      durationMinutes: remaining,
+      notes: `Ride normally and keep thinking about: ${focus.toLowerCase()}`
+    });
+  } else if (remaining > 0) {
+    blocks[blocks.length - 1].durationMinutes += remaining;
+  }
+
+  return {
+    date,
+    startTime,
+    durationMinutes: minutes,
+    title: `${PHASES[phase].label}: ${focus}`,
+    notes: PHASES[phase].notes,
+    blocks
+  };
+};
+
+// A measured value stepped from where it is toward the edge of its target
+const stepToward = (value, [low, high], share) => {
+  const edge = value < low ? low : high;
+  return value + (edge - value) * share;
+};
+
+// Check-in goals of one week (share: how far through the plan, 0-1)
+const checkInGoals = (faults, scores, share, sport) => {
+  const goals = faults.slice(0, CHECK_IN_GOALS).map((fault) => {
+    if (fault.id === 'fall') return 'Ride the drill runs without falling';
+    if (typeof fault.value !== 'number' || !fault.target) return `Less ${fault.label.toLowerCase()} on video`;
+    const direction = fault.value < fault.target[0] ? 'or more' : 'or less';
+    if (!fault.metric) {
+      return `${scores.categories[fault.category].label} score ${round(stepToward(fault.value, fault.target, share))}/10 ${direction} (now ${fault.value}/10)`;
+    }
+    const { label, unit, digits = 1 } = METRIC_DEFINITIONS.find(definition => definition.key === fault.metric);
+    const target = metricTarget(fault.metric, sport);
+    const goal = round(stepToward(fault.value, fault.target, share), digits);
+    return `${label.replace(/ \(.*\)$/, '')} ${goal}${unit} ${direction}${target && target.absolute ? ' either way' : ''} (now ${fault.value}${unit}, target ${fault.target[0]}-${fault.target[1]}${unit})`;
+  });
+  if (goals.length === 0 && scores && scores.overall !== null) {
+    goals.push(`Overall score ${round(Math.min(10, scores.overall + share))}/10 or more (now ${scores.overall}/10)`);
+  }
+  return goals;
+};
+
+/**
+ * Generate a practice plan from an analysis
+ * Input: Stored analysis (see analysis-store.js) + rider profile (or null) + availability that passed
+ *        checkAvailability
+ * Output: { title, availability, weeks: [{ week, phase, focus, checkIns, sessions: [{ date, startTime,
+ *         durationMinutes, title, notes, blocks: [{ kind, name, durationMinutes, drillId, dosage, notes }] }] }] }
+ *         ready for createPlan
+ */
+const generatePlan = (analysis, rider, input) => {
+  const sport = getSportProfile(analysis.sport);
+  const availability = { ...input, startDate: input.startDate || formatDate(new Date()) };
+  const { stages } = analysis;
+  const scores = stages.scores || null;
+
+  // Analyses stored before the drill library get their faults and drills now
+  const faults = stages.faults
+    || detectFaults({ biomechanics: stages.biomechanics, scores, maneuver: stages.maneuver, sport: sport.id });
+  const recommendations = stages.recommendedDrills && stages.recommendedDrills.length > 0
+    ? stages.recommendedDrills
+    : recommendDrills(faults, scores, { sport: sport.id, rider });
+  const drills = planDrills(recommendations, sport.id, rider);
+
+  const faultLabels = faults.filter(fault => fault.id !== 'fall').slice(0, 2).map(fault => fault.label.toLowerCase());
+  const title = `${availability.weeks}-week ${sport.activity} plan${faultLabels.length > 0 ? `: ${faultLabels.join(' and ')}` : ''}`;
+
+  let sessionCount = 0;
+  const weeks = [];
+  for (let week = 1; week <= availability.weeks; week++) {
+    const phase = phaseFor(week, availability.weeks);
+    const weekStart = addDays(availability.startDate, (week - 1) * 7);
+    const focuses = [];
+    const sessions = sessionDates(weekStart, availability.days).map((date) => {
+      // Rotate through the drills so every session starts with a different one
+      const rotated = drills.map((_, index) => drills[(sessionCount + index) % drills.length]).slice(0, PHASES[phase].drills);
+      const focusFaults = faults.filter(fault => rotated.some(entry => entry.faults.includes(fault.id)));
+      const focus = focusFaults.length > 0
+        ? focusFaults.map((fault, index) => (index === 0 ? fault.label : fault.label.toLowerCase())).join(' and ')
+        : rotated.length > 0 && rotated[0].drill.purpose ? rotated[0].drill.purpose : 'General technique';
+      sessionCount++;
+      if (!focuses.includes(focus)) focuses.push(focus);
+      return buildSession({ date, startTime: availability.startTime, minutes: availability.minutesPerSession, phase, drills: rotated, focus, sport });
+    });
+
+    weeks.push({
+      week,
+      phase,
+      focus: focuses.join('; '),
+      checkIns: checkInGoals(faults, scores, week / availability.weeks, sport.id),
+      sessions
+    });
+  }
+
+  console.log(`📅 Practice plan generated: ${weeks.length} weeks, ${sessionCount} sessions, ${drills.length} drills`);
+  return { title, availability, weeks };
+};
+
+const getPlan = (id) => {
+  if (!id || !ID_PATTERN.test(id) || !fs.existsSync(planPath(id))) return null;
+  try {
+    return JSON.parse(fs.readFileSync(planPath(id), 'utf8'));
+  } catch (error) {
+    console.error(`❌ Could not read plan ${id}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Save a new plan
+ * Input: Plan (see generatePlan) + { riderId, analysisId, sport }
+ * Output: { id, createdAt, updatedAt, riderId, analysisId, sport, ...plan }
+ */
+const createPlan = (plan, { riderId, analysisId, sport }) => {
+  const now = new Date().toISOString();
+  const stored = { id: uuidv4(), createdAt: now, updatedAt: now, riderId, analysisId, sport, ...plan };
+  writePlan(stored);
+  console.log(`📅 Plan ${stored.id} saved`);
+  return stored;
+};
+
+/**
+ * Replace a plan's title, availability and weeks
+ * Output: Updated plan, or null if it does not exist
+ */
+const updatePlan = (id, plan) => {
+  const stored = getPlan(id);
+  if (!stored) return null;
+  const updated = {
+    id: stored.id,
+    createdAt: stored.createdAt,
+    updatedAt: new Date().toISOString(),
+    riderId: stored.riderId,
+    analysisId: stored.analysisId,
+    sport: stored.sport,
+    ...plan
+  };
+  writePlan(updated);
+  return updated;
+};
+
+const deletePlan = (id) => {
+  if (!getPlan(id)) return false;
+  fs.unlinkSync(planPath(id));
+  console.log(`🗑️  Plan ${id} deleted`);
+  return true;
+};
+
+// A rider's plans, newest first; analysisId keeps only the plans made from that analysis
+const listPlans = ({ riderId, analysisId = null }) => {
+  if (!fs.existsSync(PLANS_DIR)) return [];
+  return fs.readdirSync(PLANS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => getPlan(path.basename(file, '.json')))
+    .filter(plan => plan && plan.riderId === riderId && (!analysisId || plan.analysisId === analysisId))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+module.exports = {
+  checkPlan,
+  checkAvailability,
+  generatePlan,
+  getPlan,
+  createPlan,
+  updatePlan,
+  deletePlan,
+  listPlans
+};
@@ -0,0 +1,156 @@
+// Progress tracking
+// A rider's stored analyses form their history: the rubric scores and clip-average
+// measurements of every session. The timeline charts each of them over time, and
+// comparisons rate every change against the sport's rubric targets, so a knee angle
+// moving into its target range counts as a gain whichever way the number went.
+
+const { getAnalysis, listAnalyses } = require('./analysis-store');
+const { metricTarget, scoreMetric } = require('./scoring-rubric');
+const { METRIC_DEFINITIONS } = require('./biomechanics');
+
+// Sessions read for a rider's history
+const MAX_SESSIONS = 200;
+
+// Changes smaller than this (in 0-10 points) count as steady
+const STEADY_THRESHOLD = 0.3;
+
+// Gains and setbacks pointed out on the timeline
+const HIGHLIGHT_COUNT = 3;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * One session of a rider's history
+ * Input: Stored analysis record
+ * Output: { analysisId, createdAt, videoName, sport, maneuver, scores: { overall, <category>: score },
+ *           categoryLabels: { <category>: label }, metrics: { <metric key>: clip mean } }
+ */
+const toSession = (record) => {
+  const stages = record.stages || {};
+  const scores = { overall: stages.scores ? stages.scores.overall : null };
+  const categoryLabels = {};
+  Object.entries((stages.scores && stages.scores.categories) || {}).forEach(([id, category]) => {
+    scores[id] = category.score;
+    categoryLabels[id] = category.label;
+  });
+  const metrics = {};
+  Object.entries((stages.biomechanics && stages.biomechanics.summary) || {}).forEach(([key, summary]) => {
+    metrics[key] = summary.mean;
+  });
+
+  return {
+    analysisId: record.id,
+    createdAt: record.createdAt,
+    videoName: record.videoName,
+    sport: record.sport,
+    maneuver: stages.maneuver && stages.maneuver.available ? stages.maneuver.label : null,
+    scores,
+    categoryLabels,
+    metrics
+  };
+};
+
+/**
+ * A rider's sessions, oldest first
+ * Input: Rider id + { sport } to keep one sport's sessions
+ */
+const getRiderHistory = (riderId, { sport = null } = {}) => listAnalyses({ riderId, limit: MAX_SESSIONS })
+  .filter(summary => !sport || summary.sport === sport)
+  .reverse()
+  .map(summary => getAnalysis(summary.id))
+  .filter(Boolean)
+  .map(toSession);
+
+// Everything a session can chart: the overall score, each rubric category, each metric
+const seriesDefinitions = (sessions) => {
+  const labels = Object.assign({}, ...sessions.map(session => session.categoryLabels));
+  return [
+    { key: 'overall', kind: 'score', label: 'Overall score', unit: '/10' },
+    ...Object.entries(labels).map(([id, label]) => ({ key: id, kind: 'score', label, unit: '/10' })),
+    ...METRIC_DEFINITIONS.map(({ key, label, unit }) => ({ key, kind: 'metric', label, unit }))
+  ];
+};
+
+const valueOf = (session, { key, kind }) => {
+  const value = kind === 'score' ? session.scores[key] : session.metrics[key];
+  return typeof value === 'number' ? value : null;
+};
+
+// Change in 0-10 points: score differences as they are, metrics by distance to their target
+const rateChange = (definition, from, to, sport) => {
+  if (definition.kind === 'score') return to - from;
+  const before = scoreMetric(definition.key, from, sport);
+  const after = scoreMetric(definition.key, to, sport);
+  return before === null || after === null ? null : after - before;
+};
+
+const trendOf = (improvement) => {
+  if (improvement === null || Math.abs(improvement) < STEADY_THRESHOLD) return 'steady';
+  return improvement > 0 ? 'gain' : 'setback';
+};
+
+/**
+ * Compare two sessions
+ * Input: Earlier session + later session (see toSession)
+ * Output: [{ key, kind, label, unit, from, to, change, improvement, trend }] for everything
+ *         measured in both, largest improvement or setback first. improvement is in 0-10
+ *         points; trend is 'gain', 'setback' or 'steady'
+ */
+const compareSessions = (from, to) => seriesDefinitions([from, to])
+  .map((definition) => {
+    const before = valueOf(from, definition);
+    const after = valueOf(to, definition);
+    if (before === null || after === null) return null;
+    const improvement = rateChange(definition, before, after, to.sport);
+    return {
+      ...definition,
+      from: before,
+      to: after,
+      change: round(after - before),
+      improvement: improvement === null ? null : round(improvement, 1),
+      trend: trendOf(improvement)
+    };
+  })
+  .filter(Boolean)
+  .sort((a, b) => Math.abs(b.improvement || 0) - Math.abs(a.improvement || 0));
+
+/**
+ * Progress timeline of a rider's sessions (all of one sport)
+ * Output: { series: [{ key, kind, label, unit, target, points: [{ analysisId, createdAt, value }] }],
+ *           highlights: { from, to, gains, setbacks } } where highlights compare the first and
+ *           the latest session (null with fewer than two sessions)
+ */
+const buildTimeline = (sessions, sport) => {
+  const series = seriesDefinitions(sessions)
+    .map(definition => ({
+      ...definition,
+      target: definition.kind === 'metric' ? metricTarget(definition.key, sport) : null,
+      points: sessions
+        .map(session => ({ analysisId: session.analysisId, createdAt: session.createdAt, value: valueOf(session, definition) }))
+        .filter(point => point.value !== null)
+    }))
+    .filter(entry => entry.points.length > 0);
+
+  if (sessions.length < 2) {
+    return { series, highlights: null };
+  }
+
+  const first = sessions[0];
+  const latest = sessions[sessions.length - 1];
+  const changes = compareSessions(first, latest);
+  return {
+    series,
+    highlights: {
+      from: first.analysisId,
+      to: latest.analysisId,
+      gains: changes.filter(change => change.trend === 'gain').slice(0, HIGHLIGHT_COUNT),
+      setbacks: changes.filter(change => change.trend === 'setback').slice(0, HIGHLIGHT_COUNT)
+    }
+  };
+};
+
+module.exports = {
+  getRiderHistory,
+  buildTimeline,
+  compareSessions
+};
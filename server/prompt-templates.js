@@ -0,0 +1,160 @@
+// Versioned prompt templates
+// Every long prompt lives in prompts/<name>.v<version>.prompt: a JSON header declaring
+// the template's name, version and variables (schemas/prompt-template.schema.json), a
+// line with ---, then the template text. {{name}} inserts a variable,
+// {{#name}}...{{/name}} keeps a block only when the variable is not empty and
+// {{^name}}...{{/name}} only when it is empty. Long values
+// are cut by the variable's maxLength rule instead of ad-hoc substring calls.
+// The newest version of each template is used unless PROMPT_VERSIONS pins another, and
+// analyses record the versions they were generated with.
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+require('dotenv').config();
+
+const PROMPT_DIR = path.join(__dirname, 'prompts');
+
+// Marks a value cut by its maxLength
+const TRUNCATION_MARKER = '...';
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true });
+const validateHeader = ajv.compile(JSON.parse(fs.readFileSync(path.join(__dirname, 'schemas', 'prompt-template.schema.json'), 'utf8')));
+
+const SECTION_PATTERN = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+const VARIABLE_PATTERN = /\{\{[#^/]?(\w+)\}\}/g;
+
+/**
+ * Pinned versions from PROMPT_VERSIONS, e.g. "technical-analysis@1,report-drills@2"
+ * Output: { name: version }
+ */
+const parsePinnedVersions = (value) => {
+  const pinned = {};
+  String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry) => {
+    const [name, version] = entry.split('@');
+    if (name && parseInt(version, 10) > 0) pinned[name] = parseInt(version, 10);
+  });
+  return pinned;
+};
+
+const PINNED_VERSIONS = parsePinnedVersions(process.env.PROMPT_VERSIONS);
+
+// Parse and check one template file; problems are thrown with the file name
+const loadTemplate = (file) => {
+  const source = fs.readFileSync(path.join(PROMPT_DIR, file), 'utf8');
+  const separator = source.search(/^---$/m);
+  if (separator === -1) {
+    throw new Error(`Prompt template ${file} has no --- line after its header`);
+  }
+
+  const header = JSON.parse(source.slice(0, separator));
+  if (!validateHeader(header)) {
+    throw new Error(`Prompt template ${file} has an invalid header: ${ajv.errorsText(validateHeader.errors)}`);
+  }
+  if (file !== `${header.name}.v${header.version}.prompt`) {
+    throw new Error(`Prompt template ${file} should be named ${header.name}.v${header.version}.prompt`);
+  }
+
+  const text = source.slice(separator + 3).replace(/^\r?\n/, '').replace(/\s+$/, '');
+  const used = [...text.matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+  const undeclared = used.filter(name => !header.variables[name]);
+  if (undeclared.length > 0) {
+    throw new Error(`Prompt template ${file} uses undeclared variables: ${[...new Set(undeclared)].join(', ')}`);
+  }
+
+  return { ...header, text };
+};
+
+let templates = null;
+
+// All templates by name, then version; read once
+const loadTemplates = () => {
+  if (templates) return templates;
+  templates = {};
+  fs.readdirSync(PROMPT_DIR)
+    .filter(file => file.endsWith('.prompt'))
+    .forEach((file) => {
+      const template = loadTemplate(file);
+      templates[template.name] = { ...templates[template.name], [template.version]: template };
+    });
+  console.log(`📝 Loaded ${Object.keys(templates).length} prompt templates`);
+  return templates;
+};
+
+/**
+ * The template used for a name: the pinned version, else the newest
+ */
+const getTemplate = (name) => {
+  const versions = loadTemplates()[name];
+  if (!versions) {
+    throw new Error(`Unknown prompt template "${name}"`);
+  }
+  const version = PINNED_VERSIONS[name] || Math.max(...Object.keys(versions).map(Number));
+  if (!versions[version]) {
+    throw new Error(`Prompt template "${name}" has no version ${version} (PROMPT_VERSIONS)`);
+  }
+  return versions[version];
+};
+
+// Apply a variable's maxLength rule
+const truncate = (value, { maxLength, truncate: side = 'end' }) => {
+  if (!maxLength || value.length <= maxLength) return value;
+  return side === 'start'
+    ? `${TRUNCATION_MARKER}${value.slice(-maxLength).trimStart()}`
+    : `${value.slice(0, maxLength).trimEnd()}${TRUNCATION_MARKER}`;
+};
+
+/**
+ * Fill in a prompt template
+ * Input: Template name + { variable: value }; null and undefined count as empty
+ * Output: Prompt text. Throws when a required variable is missing or empty
+ */
+const renderPrompt = (name, variables = {}) => {
+  const template = getTemplate(name);
+  const values = {};
+  Object.entries(template.variables).forEach(([variable, rule]) => {
+    const raw = variables[variable];
+    const value = raw === null || raw === undefined ? '' : String(raw);
+    if (rule.required && !value) {
+      throw new Error(`Prompt template ${name}@${template.version} is missing variable "${variable}"`);
+    }
+    values[variable] = truncate(value, rule);
+  });
+
+  // Outer sections are resolved first; repeat until nested ones are resolved too
+  let text = template.text;
+  let previous = null;
+  while (text !== previous) {
+    previous = text;
+    text = text.replace(SECTION_PATTERN, (match, kind, variable, block) => ((kind === '#') === Boolean(values[variable]) ? block : ''));
+  }
+  return text.replace(VARIABLE_PATTERN, (match, variable) => values[variable]);
+};
+
+/**
+ * Versions in use for a list of template names, recorded with each analysis
+ * Output: { name: version }
+ */
+const getPromptVersions = (names) => names.reduce((versions, name) => ({ ...versions, [name]: getTemplate(name).version }), {});
+
+// Label of the version in use, e.g. "chat-safety@1"
+const promptLabel = (name) => `${name}@${getTemplate(name).version}`;
+
+/**
+ * Every template with its versions and the one in use
+ * Output: [{ name, description, versions, active }]
+ */
+const listPrompts = () => Object.entries(loadTemplates()).map(([name, versions]) => ({
+  name,
+  description: getTemplate(name).description || '',
+  versions: Object.keys(versions).map(Number).sort((a, b) => a - b),
+  active: getTemplate(name).version
+}));
+
+module.exports = {
+  renderPrompt,
+  getPromptVersions,
+  promptLabel,
+  listPrompts,
+  PROMPT_DIR
+};
@@ -0,0 +1,121 @@
+// Model provider registry
+// Each pipeline stage runs one capability (vision-QA, captioning, pose or text
+// generation) on a provider chosen from configuration:
+//
+//   MODEL_PROVIDER=mock                   default provider for every stage
+//   TECHNICAL_ANALYSIS_PROVIDER=replicate provider for one stage
+//   TECHNICAL_ANALYSIS_MODEL=owner/model  model for one stage
+//
+// Text stages (CHAT, REPORT_GENERATION, ...) can also use openai-compatible, which
+// talks to a local Ollama or llama.cpp server (see LOCAL_LLM_* settings)
+
+const { replicateProvider } = require('./replicate-provider');
+const { mockProvider } = require('./mock-provider');
+const { openaiCompatibleProvider } = require('./openai-compatible-provider');
+const { localPoseProvider } = require('./local-pose-provider');
+require('dotenv').config();
+
+const PROVIDERS = {
+  [replicateProvider.name]: replicateProvider,
+  [mockProvider.name]: mockProvider,
+  [openaiCompatibleProvider.name]: openaiCompatibleProvider,
+  [localPoseProvider.name]: localPoseProvider
+};
+
+// Stages and the capability each one uses
+const STAGE_CAPABILITIES = {
+  POSE_ESTIMATION: 'estimatePose',
+  TECHNICAL_ANALYSIS: 'visionQA',
+  SCENE_DESCRIPTION: 'caption',
+  REPORT_GENERATION: 'generateText',
+  IMAGE_ANALYSIS: 'visionQA',
+  IMAGE_CAPTION: 'caption',
+  TEXT_SYNTHESIS: 'generateText',
+  VIDEO_ANALYSIS: 'visionQA',
+  CHAT: 'generateText'
+};
+
+const DEFAULT_PROVIDER = 'replicate';
+
+// Stages whose default differs from DEFAULT_PROVIDER (MODEL_PROVIDER still wins)
+// Pose estimation runs locally so the analysis gets numeric keypoints
+const STAGE_DEFAULT_PROVIDERS = {
+  POSE_ESTIMATION: 'local'
+};
+
+/**
+ * Resolve the provider and model for a stage from the environment
+ * A provider may only implement some capabilities (openai-compatible is text only)
+ * Input: Stage key (e.g. 'TECHNICAL_ANALYSIS')
+ * Output: { stage, capability, provider, model }
+ */
+const getStageConfig = (stage) => {
+  const capability = STAGE_CAPABILITIES[stage];
+  if (!capability) {
+    throw new Error(`Unknown pipeline stage "${stage}"`);
+  }
+
+  const providerName = process.env[`${stage}_PROVIDER`] || process.env.MODEL_PROVIDER || STAGE_DEFAULT_PROVIDERS[stage] || DEFAULT_PROVIDER;
+  const provider = PROVIDERS[providerName];
+  if (!provider) {
+    throw new Error(`Unknown model provider "${providerName}" for ${stage} (available: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  if (typeof provider[capability] !== 'function') {
+    throw new Error(`Model provider "${providerName}" cannot run ${stage} (no ${capability} support)`);
+  }
+
+  return {
+    stage,
+    capability,
+    provider,
+    model: process.env[`${stage}_MODEL`] || provider.defaultModels[stage] || provider.defaultModel || provider.name
+  };
+};
+
+// Build the helper for one capability, e.g. visionQA('TECHNICAL_ANALYSIS', { image, prompt })
+const runCapability = (capability) => async (stage, params) => {
+  const config = getStageConfig(stage);
+  if (config.capability !== capability) {
+    throw new Error(`${stage} uses ${config.capability}, not ${capability}`);
+  }
+  return config.provider[capability]({ model: config.model, ...params });
+};
+
+// Stream a text stage chunk by chunk; providers that cannot stream yield the whole reply once
+const streamText = async function* (stage, params) {
+  const config = getStageConfig(stage);
+  if (config.capability !== 'generateText') {
+    throw new Error(`${stage} uses ${config.capability}, not generateText`);
+  }
+  if (typeof config.provider.streamText === 'function') {
+    yield* config.provider.streamText({ model: config.model, ...params });
+    return;
+  }
+  yield await config.provider.generateText({ model: config.model, ...params });
+};
+
+// Stage name -> "provider: model", for the health endpoint
+const describeStages = () => {
+  const description = {};
+  Object.keys(STAGE_CAPABILITIES).forEach((stage) => {
+    try {
+      const { provider, model } = getStageConfig(stage);
+      description[stage] = `${provider.name}: ${model}`;
+    } catch (error) {
+      description[stage] = `misconfigured (${error.message})`;
+    }
+  });
+  return description;
+};
+
+module.exports = {
+  visionQA: runCapability('visionQA'),
+  caption: runCapability('caption'),
+  estimatePose: runCapability('estimatePose'),
+  generateText: runCapability('generateText'),
+  streamText,
+  getStageConfig,
+  describeStages,
+  STAGE_CAPABILITIES,
+  PROVIDERS
+};
@@ -0,0 +1,32 @@
+// Local pose provider
+// Estimates keypoints on this machine (MoveNet via ONNX Runtime, see pose-estimation.js)
+// and renders the overlay image from them
+
+const { estimateKeypoints } = require('../pose-estimation');
+const { renderPoseOverlay, frameBackgroundDataUrl } = require('../pose-overlay');
+
+const localPoseProvider = {
+  name: 'local',
+  defaultModels: {},
+  defaultModel: 'movenet',
+
+  // Reads the frame from disk rather than the data URL other providers upload
+  estimatePose: async ({ framePath }) => {
+    if (!framePath) {
+      throw new Error('Local pose estimation needs the frame path');
+    }
+    const pose = await estimateKeypoints(framePath);
+    const background = await frameBackgroundDataUrl(framePath);
+    return {
+      poseImageUrl: renderPoseOverlay(pose, background),
+      keypoints: pose.keypoints,
+      imageWidth: pose.imageWidth,
+      imageHeight: pose.imageHeight,
+      raw: { model: pose.model }
+    };
+  }
+};
+
+module.exports = {
+  localPoseProvider
+};
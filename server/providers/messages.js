@@ -0,0 +1,51 @@
+// Chat message helpers shared by the text providers
+// Callers pass either a single prompt string or OpenAI-style messages
+// [{ role: 'system' | 'user' | 'assistant', content }]
+
+/**
+ * Normalize generateText input to a message list
+ * Input: { prompt, messages, system }
+ * Output: [{ role, content }]
+ */
+const toChatMessages = ({ prompt, messages, system } = {}) => {
+  const chat = Array.isArray(messages) && messages.length > 0
+    ? messages.slice()
+    : [{ role: 'user', content: prompt || '' }];
+
+  if (system && !chat.some(message => message.role === 'system')) {
+    chat.unshift({ role: 'system', content: system });
+  }
+  return chat;
+};
+
+/**
+ * Flatten messages for LLaMA 2 chat models that take a single prompt
+ * The model wraps the prompt in [INST] ... [/INST] itself, so earlier turns are
+ * closed and reopened inside it
+ * Output: { prompt, systemPrompt }
+ */
+const toLlama2Prompt = (messages) => {
+  const systemPrompt = messages
+    .filter(message => message.role === 'system')
+    .map(message => message.content)
+    .join('\n\n');
+
+  const prompt = messages
+    .filter(message => message.role !== 'system')
+    .map(message => (message.role === 'assistant'
+      ? ` [/INST] ${message.content} </s><s>[INST] `
+      : message.content))
+    .join('')
+    .trim();
+
+  return { prompt, systemPrompt };
+};
+
+// Plain text of a message list, used where only the wording matters (mock fixtures)
+const messagesToText = (messages) => messages.map(message => message.content).join('\n\n');
+
+module.exports = {
+  toChatMessages,
+  toLlama2Prompt,
+  messagesToText
+};
@@ -0,0 +1,72 @@
+// Offline mock model provider
+// Returns canned outputs from fixtures/mock-model-outputs.json so the whole pipeline
+// runs without a network connection or API token. The same input always gives the
+// same output.
+
+const fixtures = require('../fixtures/mock-model-outputs.json');
+const { toChatMessages, messagesToText } = require('./messages');
+const { renderPoseOverlay } = require('../pose-overlay');
+
+// Small string hash (djb2) used to pick a fixture deterministically
+const hashString = (value) => {
+  let hash = 5381;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash << 5) + hash + value.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+};
+
+// Pause between streamed tokens, enough to see the reply grow
+const MOCK_TOKEN_DELAY_MS = 15;
+
+const pick = (options, ...keys) => options[hashString(keys.map(key => String(key || '')).join('|')) % options.length];
+
+// Images are data URLs; hashing the tail keeps it cheap while still telling frames apart
+const imageKey = (image) => (image ? image.slice(-256) : '');
+
+const mockProvider = {
+  name: 'mock',
+  // Every stage uses the same fixtures, so there are no per-stage models
+  defaultModels: {},
+
+  visionQA: async ({ image, video, prompt }) => pick(fixtures.visionQA, imageKey(image || video), prompt),
+
+  caption: async ({ image, question }) => pick(fixtures.caption, imageKey(image), question),
+
+  // Fixture skeletons are drawn on their own canvas since they do not match the frame
+  estimatePose: async ({ image }) => {
+    const pose = pick(fixtures.poses, imageKey(image));
+    return {
+      poseImageUrl: renderPoseOverlay(pose),
+      keypoints: pose.keypoints,
+      imageWidth: pose.imageWidth,
+      imageHeight: pose.imageHeight,
+      raw: null
+    };
+  },
+
+  // Requests that name a response schema get that schema's JSON fixture
+  generateText: async ({ prompt, messages, system, schema }) => {
+    const text = messagesToText(toChatMessages({ prompt, messages, system }));
+    if (schema && fixtures.structuredText[schema]) {
+      return JSON.stringify(pick(fixtures.structuredText[schema], text), null, 2);
+    }
+    const options = /Overall Assessment/i.test(text)
+      ? fixtures.textGeneration.assessment
+      : fixtures.textGeneration.default;
+    return pick(options, text);
+  },
+
+  // The generateText output cut into word-sized tokens, so streaming works offline too
+  streamText: async function* (params) {
+    const output = await mockProvider.generateText(params);
+    for (const token of output.match(/\s*\S+\s*/g) || []) {
+      await new Promise(resolve => setTimeout(resolve, MOCK_TOKEN_DELAY_MS));
+      yield token;
+    }
+  }
+};
+
+module.exports = {
+  mockProvider
+};
@@ -0,0 +1,124 @@
+// OpenAI-compatible model provider
+// Sends text generation to any server that speaks the OpenAI chat completions API,
+// such as Ollama or a llama.cpp server running on localhost
+
+const { toChatMessages } = require('./messages');
+require('dotenv').config();
+
+// Import fetch for the HTTP requests
+const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+
+// Ollama's OpenAI-compatible endpoint; llama.cpp's server defaults to http://localhost:8080/v1
+const LOCAL_LLM_BASE_URL = (process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+const LOCAL_LLM_MODEL = process.env.LOCAL_LLM_MODEL || 'llama3';
+const LOCAL_LLM_TEMPERATURE = parseFloat(process.env.LOCAL_LLM_TEMPERATURE) || 0.7;
+const LOCAL_LLM_MAX_TOKENS = parseInt(process.env.LOCAL_LLM_MAX_TOKENS, 10) || 1024;
+const LOCAL_LLM_TIMEOUT_MS = parseInt(process.env.LOCAL_LLM_TIMEOUT_MS, 10) || 120000;
+
+// POST a chat completion request; the timeout restarts whenever the server sends data
+const requestCompletion = async ({ model, prompt, messages, system, temperature, maxTokens, schema, signal, stream }) => {
+  const controller = new AbortController();
+  let timer = null;
+  const restartTimer = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(), LOCAL_LLM_TIMEOUT_MS);
+  };
+  const abort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', abort);
+  restartTimer();
+
+  const release = () => {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', abort);
+  };
+
+  // Timeouts become a readable message; a cancelled caller keeps its AbortError
+  const toError = (error) => {
+    if (signal && signal.aborted) return error;
+    const reason = error.name === 'AbortError' ? `timed out after ${LOCAL_LLM_TIMEOUT_MS}ms` : error.message;
+    return new Error(`Local LLM request to ${LOCAL_LLM_BASE_URL} failed: ${reason}`);
+  };
+
+  try {
+    const response = await fetch(`${LOCAL_LLM_BASE_URL}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        // Local servers ignore the key; hosted OpenAI-compatible APIs need it
+        ...(process.env.LOCAL_LLM_API_KEY ? { Authorization: `Bearer ${process.env.LOCAL_LLM_API_KEY}` } : {})
+      },
+      body: JSON.stringify({
+        model,
+        messages: toChatMessages({ prompt, messages, system }),
+        temperature: temperature !== undefined ? temperature : LOCAL_LLM_TEMPERATURE,
+        max_tokens: maxTokens || LOCAL_LLM_MAX_TOKENS,
+        ...(schema ? { response_format: { type: 'json_object' } } : {}),
+        stream: Boolean(stream)
+      }),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`${response.status} ${response.statusText}: ${body.substring(0, 300)}`);
+    }
+    return { response, restartTimer, release, toError };
+  } catch (error) {
+    release();
+    throw toError(error);
+  }
+};
+
+const openaiCompatibleProvider = {
+  name: 'openai-compatible',
+  // One local model serves every text stage unless <STAGE>_MODEL is set
+  defaultModels: {},
+  defaultModel: LOCAL_LLM_MODEL,
+
+  // With a response schema, JSON mode keeps the server from wrapping the object in prose
+  generateText: async (params) => {
+    const { response, release, toError } = await requestCompletion({ ...params, stream: false });
+    try {
+      const data = await response.json();
+      const choice = data.choices && data.choices[0];
+      if (!choice || !choice.message) {
+        throw new Error('response had no choices');
+      }
+      return choice.message.content || '';
+    } catch (error) {
+      throw toError(error);
+    } finally {
+      release();
+    }
+  },
+
+  // Same input as generateText, yielding the content deltas of the server-sent events
+  streamText: async function* (params) {
+    const { response, restartTimer, release, toError } = await requestCompletion({ ...params, stream: true });
+    let buffer = '';
+    try {
+      for await (const chunk of response.body) {
+        restartTimer();
+        buffer += chunk.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, '').trim();
+          if (!line.startsWith('data:') || !data) continue;
+          if (data === '[DONE]') return;
+          const choice = JSON.parse(data).choices[0];
+          if (choice && choice.delta && choice.delta.content) yield choice.delta.content;
+        }
+      }
+    } catch (error) {
+      throw toError(error);
+    } finally {
+      release();
+    }
+  }
+};
+
+module.exports = {
+  openaiCompatibleProvider,
+  LOCAL_LLM_BASE_URL
+};
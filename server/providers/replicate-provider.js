@@ -0,0 +1,135 @@
+// Replicate model provider
+// Runs each capability on a hosted Replicate model and normalizes the output
+
+const Replicate = require('replicate');
+const { toChatMessages, toLlama2Prompt } = require('./messages');
+require('dotenv').config();
+
+// Default Replicate model for each stage (override with <STAGE>_MODEL)
+const REPLICATE_DEFAULT_MODELS = {
+  // Pose-based pipeline
+  POSE_ESTIMATION: 'jagilley/controlnet-pose:9a5c1140b0d6afb96a8603b8da7d590ebea5c0ee63a5090e10dd89d172f57e8a',
+  TECHNICAL_ANALYSIS: 'yorickvp/llava-v1.6-mistral-7b:19be067b589d0c46689ffa7cc3ff321447a441986a7694c01225973c2eafc874',
+  SCENE_DESCRIPTION: 'andreasjansson/blip-2:f677695e5e89f8b236e52ecd1d3f01beb44c34606419bcc19345e046d8f786f9',
+  REPORT_GENERATION: 'meta/llama-2-70b-chat:02e509c789964a7ea8736978a43525956ef40397be9033abf9fd2badfe68c9e3',
+
+  // Image-based pipeline
+  IMAGE_ANALYSIS: 'yorickvp/llava-v1.6-mistral-7b:19be067b589d0c46689ffa7cc3ff321447a441986a7694c01225973c2eafc874',
+  IMAGE_CAPTION: 'andreasjansson/blip-2:f677695e5e89f8b236e52ecd1d3f01beb44c34606419bcc19345e046d8f786f9',
+  TEXT_SYNTHESIS: 'meta/llama-2-70b-chat:02e509c789964a7ea8736978a43525956ef40397be9033abf9fd2badfe68c9e3',
+  VIDEO_ANALYSIS: 'daanelson/video-llama:latest', // This model doesn't exist
+
+  // Follow-up chat
+  CHAT: 'meta/llama-2-70b-chat:02e509c789964a7ea8736978a43525956ef40397be9033abf9fd2badfe68c9e3'
+};
+
+let client = null;
+
+// Created on first use so the mock provider works without a token
+const getClient = () => {
+  if (!client) {
+    client = new Replicate({
+      auth: process.env.REPLICATE_API_TOKEN,
+    });
+  }
+  return client;
+};
+
+// Text models return an array of tokens that carry their own spacing
+const outputToText = (output) => (Array.isArray(output) ? output.join('') : output);
+
+// ControlNet returns pose data in a few shapes - extract the skeleton image URL
+const extractPoseImageUrl = (output) => {
+  if (Array.isArray(output)) {
+    // ControlNet returns array of 2 URLs: [pose_detection_overlay, generated_image]
+    // We want the first one (pose detection overlay)
+    return output[0];
+  }
+  if (typeof output === 'string') {
+    return output;
+  }
+  if (output && output.url) {
+    return output.url;
+  }
+  if (output && output.output) {
+    // Some models return { output: "url" }
+    return output.output;
+  }
+  return output; // Use as-is for debugging
+};
+
+const replicateProvider = {
+  name: 'replicate',
+  // Billed per call, so callers limit how many frames they send
+  hosted: true,
+  defaultModels: REPLICATE_DEFAULT_MODELS,
+
+  // Answer a question about an image (or a video, for video models)
+  visionQA: async ({ model, image, video, prompt }) => {
+    const input = video ? { video, prompt } : { image, prompt };
+    const output = await getClient().run(model, { input });
+    return outputToText(output);
+  },
+
+  // Caption / question-answering models such as BLIP-2
+  caption: async ({ model, image, question }) => {
+    const output = await getClient().run(model, {
+      input: {
+        image,
+        question
+      }
+    });
+    return outputToText(output);
+  },
+
+  // Skeleton overlay from a pose detection model; ControlNet gives no joint coordinates
+  estimatePose: async ({ model, image, prompt }) => {
+    const output = await getClient().run(model, {
+      input: {
+        image,
+        prompt,
+        num_inference_steps: 20,
+        guidance_scale: 7.5
+      }
+    });
+    return {
+      poseImageUrl: extractPoseImageUrl(output),
+      keypoints: null,
+      raw: output
+    };
+  },
+
+  // LLaMA 2 chat takes one prompt plus a system prompt, so messages are flattened
+  generateText: async ({ model, prompt, messages, system }) => {
+    const llamaPrompt = toLlama2Prompt(toChatMessages({ prompt, messages, system }));
+    const output = await getClient().run(model, {
+      input: {
+        prompt: llamaPrompt.prompt,
+        ...(llamaPrompt.systemPrompt ? { system_prompt: llamaPrompt.systemPrompt } : {})
+      }
+    });
+    return outputToText(output);
+  },
+
+  // Same input as generateText, yielding tokens from Replicate's server-sent events
+  streamText: async function* ({ model, prompt, messages, system, signal }) {
+    const llamaPrompt = toLlama2Prompt(toChatMessages({ prompt, messages, system }));
+    const events = getClient().stream(model, {
+      input: {
+        prompt: llamaPrompt.prompt,
+        ...(llamaPrompt.systemPrompt ? { system_prompt: llamaPrompt.systemPrompt } : {})
+      },
+      signal
+    });
+    for await (const event of events) {
+      if (event.event === 'output') yield event.data;
+      if (event.event === 'error') throw new Error(`Replicate stream failed: ${event.data}`);
+      if (event.event === 'done') return;
+    }
+  }
+};
+
+module.exports = {
+  replicateProvider,
+  REPLICATE_DEFAULT_MODELS
+};
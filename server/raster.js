@@ -0,0 +1,165 @@
+// Minimal RGBA raster drawing
+// Just enough to draw skeletons and labels into video overlay frames without a native
+// canvas dependency: filled circles, thick lines, rectangles and a 5x7 bitmap font
+
+// 5x7 glyphs, one 5-bit row per entry (top to bottom, high bit on the left)
+const FONT_GLYPHS = {
+  '0': [0x0e, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0e],
+  '1': [0x04, 0x0c, 0x04, 0x04, 0x04, 0x04, 0x0e],
+  '2': [0x0e, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1f],
+  '3': [0x1f, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0e],
+  '4': [0x02, 0x06, 0x0a, 0x12, 0x1f, 0x02, 0x02],
+  '5': [0x1f, 0x10, 0x1e, 0x01, 0x01, 0x11, 0x0e],
+  '6': [0x06, 0x08, 0x10, 0x1e, 0x11, 0x11, 0x0e],
+  '7': [0x1f, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+  '8': [0x0e, 0x11, 0x11, 0x0e, 0x11, 0x11, 0x0e],
+  '9': [0x0e, 0x11, 0x11, 0x0f, 0x01, 0x02, 0x0c],
+  'A': [0x0e, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11],
+  'B': [0x1e, 0x11, 0x11, 0x1e, 0x11, 0x11, 0x1e],
+  'C': [0x0e, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0e],
+  'D': [0x1c, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1c],
+  'E': [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x1f],
+  'F': [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x10],
+  'G': [0x0e, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0f],
+  'H': [0x11, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11],
+  'I': [0x0e, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0e],
+  'J': [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0c],
+  'K': [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+  'L': [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1f],
+  'M': [0x11, 0x1b, 0x15, 0x15, 0x11, 0x11, 0x11],
+  'N': [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+  'O': [0x0e, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e],
+  'P': [0x1e, 0x11, 0x11, 0x1e, 0x10, 0x10, 0x10],
+  'Q': [0x0e, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0d],
+  'R': [0x1e, 0x11, 0x11, 0x1e, 0x14, 0x12, 0x11],
+  'S': [0x0f, 0x10, 0x10, 0x0e, 0x01, 0x01, 0x1e],
+  'T': [0x1f, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+  'U': [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e],
+  'V': [0x11, 0x11, 0x11, 0x11, 0x11, 0x0a, 0x04],
+  'W': [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0a],
+  'X': [0x11, 0x11, 0x0a, 0x04, 0x0a, 0x11, 0x11],
+  'Y': [0x11, 0x11, 0x11, 0x0a, 0x04, 0x04, 0x04],
+  'Z': [0x1f, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1f],
+  ' ': [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+  '.': [0x00, 0x00, 0x00, 0x00, 0x00, 0x0c, 0x0c],
+  ':': [0x00, 0x0c, 0x0c, 0x00, 0x0c, 0x0c, 0x00],
+  '-': [0x00, 0x00, 0x00, 0x1f, 0x00, 0x00, 0x00],
+  '+': [0x00, 0x04, 0x04, 0x1f, 0x04, 0x04, 0x00],
+  '/': [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00],
+  '=': [0x00, 0x00, 0x1f, 0x00, 0x1f, 0x00, 0x00],
+  '(': [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+  ')': [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+  '°': [0x0c, 0x12, 0x12, 0x0c, 0x00, 0x00, 0x00]
+};
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+// '#1e88e5' -> [30, 136, 229]
+const parseColor = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+/**
+ * Create a transparent RGBA canvas
+ * Output: { width, height, data } with data as a width * height * 4 byte Buffer
+ */
+const createCanvas = (width, height) => ({
+  width,
+  height,
+  data: Buffer.alloc(width * height * 4)
+});
+
+const clearCanvas = (canvas) => canvas.data.fill(0);
+
+// Blend one pixel over what is already there (alpha 0..1)
+const blendPixel = (canvas, x, y, [r, g, b], alpha) => {
+  if (x < 0 || y < 0 || x >= canvas.width || y >= canvas.height) return;
+  const i = (y * canvas.width + x) * 4;
+  const existing = canvas.data[i + 3] / 255;
+  const outAlpha = alpha + existing * (1 - alpha);
+  if (outAlpha === 0) return;
+  canvas.data[i] = Math.round((r * alpha + canvas.data[i] * existing * (1 - alpha)) / outAlpha);
+  canvas.data[i + 1] = Math.round((g * alpha + canvas.data[i + 1] * existing * (1 - alpha)) / outAlpha);
+  canvas.data[i + 2] = Math.round((b * alpha + canvas.data[i + 2] * existing * (1 - alpha)) / outAlpha);
+  canvas.data[i + 3] = Math.round(outAlpha * 255);
+};
+
+const fillRect = (canvas, x, y, width, height, color, alpha = 1) => {
+  const rgb = parseColor(color);
+  for (let py = Math.max(0, Math.round(y)); py < Math.min(canvas.height, Math.round(y + height)); py++) {
+    for (let px = Math.max(0, Math.round(x)); px < Math.min(canvas.width, Math.round(x + width)); px++) {
+      blendPixel(canvas, px, py, rgb, alpha);
+    }
+  }
+};
+
+const fillCircle = (canvas, cx, cy, radius, color, alpha = 1) => {
+  const rgb = parseColor(color);
+  const r2 = radius * radius;
+  for (let py = Math.floor(cy - radius); py <= Math.ceil(cy + radius); py++) {
+    for (let px = Math.floor(cx - radius); px <= Math.ceil(cx + radius); px++) {
+      if ((px - cx) ** 2 + (py - cy) ** 2 <= r2) blendPixel(canvas, px, py, rgb, alpha);
+    }
+  }
+};
+
+// Thick line: every pixel within width/2 of the segment
+const drawLine = (canvas, x1, y1, x2, y2, width, color, alpha = 1) => {
+  const rgb = parseColor(color);
+  const half = width / 2;
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSquared = dx * dx + dy * dy;
+
+  for (let py = Math.floor(Math.min(y1, y2) - half); py <= Math.ceil(Math.max(y1, y2) + half); py++) {
+    for (let px = Math.floor(Math.min(x1, x2) - half); px <= Math.ceil(Math.max(x1, x2) + half); px++) {
+      const t = lengthSquared === 0 ? 0 : Math.min(Math.max(((px - x1) * dx + (py - y1) * dy) / lengthSquared, 0), 1);
+      const distance = Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+      if (distance <= half) blendPixel(canvas, px, py, rgb, alpha);
+    }
+  }
+};
+
+// Size of a text label in pixels at a given scale
+const measureText = (text, scale = 1) => ({
+  width: text.length * (GLYPH_WIDTH + 1) * scale - scale,
+  height: GLYPH_HEIGHT * scale
+});
+
+/**
+ * Draw text with the bitmap font, optionally on a translucent background box
+ * Input: Canvas, text (lower case is drawn as upper case), top-left position,
+ *        { scale, color, background }
+ */
+const drawText = (canvas, text, x, y, { scale = 2, color = '#ffffff', background = null } = {}) => {
+  const label = String(text).toUpperCase();
+  if (background) {
+    const { width, height } = measureText(label, scale);
+    fillRect(canvas, x - scale * 2, y - scale * 2, width + scale * 4, height + scale * 4, background, 0.6);
+  }
+
+  const rgb = parseColor(color);
+  [...label].forEach((character, index) => {
+    const glyph = FONT_GLYPHS[character] || FONT_GLYPHS[' '];
+    const left = x + index * (GLYPH_WIDTH + 1) * scale;
+    glyph.forEach((row, gy) => {
+      for (let gx = 0; gx < GLYPH_WIDTH; gx++) {
+        if (!(row & (1 << (GLYPH_WIDTH - 1 - gx)))) continue;
+        for (let sy = 0; sy < scale; sy++) {
+          for (let sx = 0; sx < scale; sx++) {
+            blendPixel(canvas, Math.round(left + gx * scale + sx), Math.round(y + gy * scale + sy), rgb, 1);
+          }
+        }
+      }
+    });
+  });
+};
+
+module.exports = {
+  createCanvas,
+  clearCanvas,
+  fillRect,
+  fillCircle,
+  drawLine,
+  drawText,
+  measureText
+};
@@ -0,0 +1,143 @@
+// Rider profiles
+// Skill level, stance, home terrain, goals and physical limitations of a rider, kept as
+// JSON files next to the stored analyses. Uploads name a rider with riderId; the profile
+// is then quoted in the technical-analysis, report and chat prompts so explanations and
+// drills fit the rider (schemas/rider-profile.schema.json).
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { v4: uuidv4 } = require('uuid');
+const { DATA_DIR } = require('./analysis-store');
+
+const RIDERS_DIR = path.join(DATA_DIR, 'riders');
+
+// Ids are uuids; anything else could escape the data directory
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Drop unknown keys (such as id or createdAt sent back by a client) rather than failing on them
+const ajv = new Ajv({ allErrors: true, removeAdditional: true });
+const validateProfile = ajv.compile(JSON.parse(fs.readFileSync(path.join(__dirname, 'schemas', 'rider-profile.schema.json'), 'utf8')));
+
+// What each skill level can be expected to do, quoted in the prompts
+const SKILL_LEVELS = {
+  beginner: 'new to the sport, still learning balance, speed control and basic turns',
+  intermediate: 'links controlled turns on moderate terrain and is starting on tricks or steeper terrain',
+  advanced: 'rides most terrain with confidence and is refining technique and harder tricks',
+  expert: 'rides everything at a high level and wants fine technical detail'
+};
+
+const STANCES = {
+  regular: 'left foot forward',
+  goofy: 'right foot forward'
+};
+
+const ensureDir = () => {
+  if (!fs.existsSync(RIDERS_DIR)) {
+    fs.mkdirSync(RIDERS_DIR, { recursive: true });
+  }
+};
+
+const riderPath = (id) => path.join(RIDERS_DIR, `${id}.json`);
+
+// Write to a temp file first so a crash never leaves half a profile behind
+const writeRider = (rider) => {
+  ensureDir();
+  const target = riderPath(rider.id);
+  const temp = `${target}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(rider, null, 2));
+  fs.renameSync(temp, target);
+};
+
+/**
+ * Check a profile sent by a client
+ * Output: { profile } with unknown keys removed, or { error } describing what is wrong
+ */
+const checkProfile = (input) => {
+  const profile = JSON.parse(JSON.stringify(input || {}));
+  if (!validateProfile(profile)) {
+    return { error: ajv.errorsText(validateProfile.errors, { dataVar: 'profile' }) };
+  }
+  return { profile };
+};
+
+const getRider = (id) => {
+  if (!id || !ID_PATTERN.test(id) || !fs.existsSync(riderPath(id))) return null;
+  try {
+    return JSON.parse(fs.readFileSync(riderPath(id), 'utf8'));
+  } catch (error) {
+    console.error(`❌ Could not read rider ${id}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Save a new rider
+ * Input: Profile that passed checkProfile
+ * Output: { id, createdAt, updatedAt, ...profile }
+ */
+const createRider = (profile) => {
+  const now = new Date().toISOString();
+  const rider = { id: uuidv4(), createdAt: now, updatedAt: now, ...profile };
+  writeRider(rider);
+  console.log(`🧑 Rider ${rider.id} saved`);
+  return rider;
+};
+
+/**
+ * Replace a rider's profile
+ * Output: Updated rider, or null if it does not exist
+ */
+const updateRider = (id, profile) => {
+  const rider = getRider(id);
+  if (!rider) return null;
+  const updated = { id: rider.id, createdAt: rider.createdAt, updatedAt: new Date().toISOString(), ...profile };
+  writeRider(updated);
+  return updated;
+};
+
+const deleteRider = (id) => {
+  if (!getRider(id)) return false;
+  fs.unlinkSync(riderPath(id));
+  console.log(`🗑️  Rider ${id} deleted`);
+  return true;
+};
+
+// Every rider, by name
+const listRiders = () => {
+  if (!fs.existsSync(RIDERS_DIR)) return [];
+  return fs.readdirSync(RIDERS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => getRider(path.basename(file, '.json')))
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Format a rider profile for a prompt
+ * Input: Rider (or null) + sport profile; stance is left out for sports without one
+ * Output: One "- Field: value" line per filled-in field, or '' without a rider
+ */
+const formatRiderProfile = (rider, sport) => {
+  if (!rider) return '';
+  const lines = [`- Skill level: ${rider.skillLevel} (${SKILL_LEVELS[rider.skillLevel]})`];
+  if (rider.stance && sport.hasStance) {
+    lines.push(`- Stance: ${rider.stance} (${STANCES[rider.stance]})`);
+  }
+  if (rider.homeTerrain) lines.push(`- Home terrain: ${rider.homeTerrain}`);
+  if (rider.goals && rider.goals.length > 0) lines.push(`- Goals: ${rider.goals.join('; ')}`);
+  if (rider.limitations && rider.limitations.length > 0) {
+    lines.push(`- Physical limitations: ${rider.limitations.join('; ')}`);
+  }
+  return lines.join('\n');
+};
+
+module.exports = {
+  checkProfile,
+  getRider,
+  createRider,
+  updateRider,
+  deleteRider,
+  listRiders,
+  formatRiderProfile
+};
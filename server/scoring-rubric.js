@@ -0,0 +1,325 @@
+// Technique scoring rubric
+// Scores posture, edge control, balance, upper body and flow from 0 to 10. Measured
+// biomechanics drive the score where keypoints exist; the vision models' observations
+// nudge it (or carry it alone for image-only analyses). Every score lists its evidence:
+// the measurements, the frames they came from and the sentences it relied on.
+
+const { METRIC_DEFINITIONS } = require('./biomechanics');
+const { getSportProfile } = require('./sport-profiles');
+
+// Per category: measured components with the range that scores full marks and how far
+// outside it the score reaches zero, plus the words that tie a model sentence to it.
+// Sport profiles can replace any of these fields (see sport-profiles.js)
+const RUBRIC_CATEGORIES = {
+  posture: {
+    label: 'Posture',
+    description: 'Athletic stance: flexed knees and hips, centered over the board',
+    components: [
+      { metric: 'kneeFlexion.left', ideal: [25, 60], tolerance: 30 },
+      { metric: 'kneeFlexion.right', ideal: [25, 60], tolerance: 30 },
+      { metric: 'hipFlexion.left', ideal: [20, 60], tolerance: 30 },
+      { metric: 'hipFlexion.right', ideal: [20, 60], tolerance: 30 },
+      { metric: 'centerOfMass.height', ideal: [1.3, 1.8], tolerance: 0.6 }
+    ],
+    keywords: ['posture', 'stance', 'knee', 'crouch', 'upright', 'stiff', 'flexed', 'bent']
+  },
+  edgeControl: {
+    label: 'Edge control',
+    description: 'Committing to the edge with inclination and ankle pressure',
+    components: [
+      { metric: 'torsoLean', ideal: [8, 30], tolerance: 20, absolute: true },
+      { metric: 'ankleFlexion.left', ideal: [10, 30], tolerance: 20 },
+      { metric: 'ankleFlexion.right', ideal: [10, 30], tolerance: 20 }
+    ],
+    keywords: ['edge', 'carve', 'carving', 'skid', 'angulation', 'inclination', 'heelside', 'toeside']
+  },
+  balance: {
+    label: 'Balance',
+    description: 'Weight centered between the feet on a stable stance',
+    components: [
+      { metric: 'centerOfMass.weightBias', ideal: [0, 0.25], tolerance: 0.5, absolute: true },
+      { metric: 'stanceWidth', ideal: [1.0, 1.6], tolerance: 0.6 },
+      { metric: 'centerOfMass.weightBias', spread: true, ideal: [0, 0.4], tolerance: 0.6, label: 'Weight bias range across the clip' }
+    ],
+    keywords: ['balance', 'weight', 'centered', 'stable', 'stability', 'back seat', 'leaning back', 'off balance']
+  },
+  upperBody: {
+    label: 'Upper body',
+    description: 'Shoulders aligned with the board, quiet arms, steady torso',
+    components: [
+      { metric: 'shoulderBoardAlignment', ideal: [0, 25], tolerance: 40 },
+      { metric: 'elbowFlexion.left', ideal: [20, 90], tolerance: 40 },
+      { metric: 'elbowFlexion.right', ideal: [20, 90], tolerance: 40 },
+      { metric: 'torsoLean', spread: true, ideal: [0, 20], tolerance: 30, label: 'Torso lean range across the clip' }
+    ],
+    keywords: ['shoulder', 'arm', 'arms', 'hands', 'upper body', 'torso', 'rotation', 'counter-rotation']
+  },
+  flow: {
+    label: 'Flow',
+    description: 'Smooth, continuous movement without abrupt corrections',
+    components: [
+      { metric: 'kneeFlexion', smoothness: true, ideal: [0, 15], tolerance: 25, label: 'Knee flexion change between analyzed frames' }
+    ],
+    keywords: ['flow', 'fluid', 'smooth', 'rhythm', 'jerky', 'abrupt', 'controlled', 'hesitant']
+  }
+};
+
+// Default categories with the sport's overrides applied
+const sportCategories = (profile) => {
+  const categories = {};
+  Object.entries(RUBRIC_CATEGORIES).forEach(([id, category]) => {
+    categories[id] = { ...category, ...(profile.rubric[id] || {}) };
+  });
+  return categories;
+};
+
+const POSITIVE_WORDS = ['good', 'great', 'excellent', 'strong', 'solid', 'well', 'proper', 'balanced', 'smooth', 'controlled', 'consistent', 'stable', 'confident'];
+const NEGATIVE_WORDS = ['poor', 'lack*', 'too', 'stiff*', 'unstable', 'struggl*', 'needs', 'improve*', 'inconsistent', 'jerky', 'abrupt', 'off balance', 'back seat', 'fall'];
+
+// Most a category moves on model observations: a half point per sentence, 1.5 in total
+const OBSERVATION_STEP = 0.5;
+const MAX_OBSERVATION_ADJUSTMENT = 1.5;
+const MAX_OBSERVATION_EVIDENCE = 2;
+
+// Score given to a category that only has observations to go on, before adjustment
+const OBSERVATION_BASELINE = 6;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const metricValue = (metrics, key) => key.split('.').reduce(
+  (value, part) => (value === null || value === undefined ? null : value[part]),
+  metrics
+);
+
+const metricDefinition = (key) => METRIC_DEFINITIONS.find(definition => definition.key === key) || { label: key, unit: '' };
+
+// 10 inside the ideal range, falling linearly to 0 at `tolerance` outside it
+const rangeScore = (value, [low, high], tolerance) => {
+  const outside = value < low ? low - value : value > high ? value - high : 0;
+  return clamp(10 * (1 - outside / tolerance), 0, 10);
+};
+
+const formatTime = (timestamp) => (typeof timestamp === 'number' ? ` (${timestamp.toFixed(2)}s)` : '');
+
+/**
+ * Score one measured component from the per-frame biomechanics
+ * Output: { score, evidence } or null when the metric was never measured
+ */
+const scoreComponent = (component, frames) => {
+  const definition = metricDefinition(component.metric);
+
+  // Smoothness: mean frame-to-frame change of a left/right metric pair
+  if (component.smoothness) {
+    const changes = [];
+    let worst = null;
+    for (let i = 1; i < frames.length; i++) {
+      ['left', 'right'].forEach((side) => {
+        const before = metricValue(frames[i - 1].metrics, `${component.metric}.${side}`);
+        const after = metricValue(frames[i].metrics, `${component.metric}.${side}`);
+        if (typeof before !== 'number' || typeof after !== 'number') return;
+        const change = Math.abs(after - before);
+        changes.push(change);
+        if (!worst || change > worst.change) worst = { change, frame: frames[i] };
+      });
+    }
+    if (changes.length === 0) return null;
+    const mean = changes.reduce((sum, change) => sum + change, 0) / changes.length;
+    return {
+      score: rangeScore(mean, component.ideal, component.tolerance),
+      evidence: [
+        { type: 'measurement', metric: component.metric, value: round(mean), text: `${component.label}: mean ${round(mean)}°` },
+        { type: 'frame', frame: worst.frame.frame, timestamp: worst.frame.timestamp, text: `Largest change, ${round(worst.change)}°, at frame ${worst.frame.frame}${formatTime(worst.frame.timestamp)}` }
+      ]
+    };
+  }
+
+  const samples = frames
+    .map(entry => ({ entry, value: metricValue(entry.metrics, component.metric) }))
+    .filter(sample => typeof sample.value === 'number')
+    .map(sample => ({ ...sample, value: component.absolute ? Math.abs(sample.value) : sample.value }));
+  if (samples.length === 0) return null;
+
+  // Spread: how much the metric moves across the clip
+  if (component.spread) {
+    const values = samples.map(sample => sample.value);
+    const spread = Math.max(...values) - Math.min(...values);
+    return {
+      score: rangeScore(spread, component.ideal, component.tolerance),
+      evidence: [{ type: 'measurement', metric: component.metric, value: round(spread, 2), text: `${component.label}: ${round(spread, 2)}${definition.unit}` }]
+    };
+  }
+
+  const mean = samples.reduce((sum, sample) => sum + sample.value, 0) / samples.length;
+  const scored = samples.map(sample => ({ ...sample, score: rangeScore(sample.value, component.ideal, component.tolerance) }));
+  const worst = scored.reduce((lowest, sample) => (sample.score < lowest.score ? sample : lowest));
+  const digits = definition.digits || 1;
+  const evidence = [{
+    type: 'measurement',
+    metric: component.metric,
+    value: round(mean, digits),
+    text: `${definition.label}${component.absolute ? ' (magnitude)' : ''}: mean ${round(mean, digits)}${definition.unit}, target ${component.ideal[0]} to ${component.ideal[1]}${definition.unit}`
+  }];
+  if (worst.score < 10) {
+    evidence.push({
+      type: 'frame',
+      frame: worst.entry.frame,
+      timestamp: worst.entry.timestamp,
+      text: `Furthest from target at frame ${worst.entry.frame}${formatTime(worst.entry.timestamp)}: ${round(worst.value, digits)}${definition.unit}`
+    });
+  }
+
+  return { score: rangeScore(mean, component.ideal, component.tolerance), evidence };
+};
+
+// Whole words only; a trailing * marks a stem matched at the start of a word ('struggl*')
+const countWords = (text, words) => words
+  .filter(word => new RegExp(word.endsWith('*') ? `\\b${word.slice(0, -1)}` : `\\b${word}\\b`).test(text))
+  .length;
+
+// Sentences of the model text that mention a category, with their tone
+const findObservations = (category, text) => {
+  if (!text) return [];
+  return text
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 20 && sentence.length < 400)
+    .filter(sentence => category.keywords.some(keyword => sentence.toLowerCase().includes(keyword)))
+    .map((sentence) => {
+      const lower = sentence.toLowerCase();
+      const positive = countWords(lower, POSITIVE_WORDS);
+      const negative = countWords(lower, NEGATIVE_WORDS);
+      return { sentence, tone: Math.sign(positive - negative) };
+    });
+};
+
+/**
+ * Score a clip against the rubric
+ * Input: { biomechanics, tracking, maneuver, technicalAnalysis, sceneDescription, sport } (all optional)
+ * Output: { overall, categories: { id: { label, description, score, basis, evidence } }, weights, sport, method }
+ *   score    - 0-10 with one decimal, null when there was nothing to score on
+ *   basis    - 'measured' (keypoints), 'observations' (model text only) or 'none'
+ *   evidence - [{ type: 'measurement' | 'frame' | 'observation', text, ... }]
+ */
+const scoreTechnique = ({ biomechanics = null, tracking = null, maneuver = null, technicalAnalysis = '', sceneDescription = '', sport = null } = {}) => {
+  const profile = getSportProfile(sport);
+  const rubric = sportCategories(profile);
+  const allFrames = (biomechanics && biomechanics.frames) || [];
+  // Frames flagged by tracking only count when there is nothing better
+  const confidentFrames = allFrames.filter(entry => !entry.lowConfidence);
+  const frames = confidentFrames.length > 0 ? confidentFrames : allFrames;
+  const observationText = [technicalAnalysis, sceneDescription].filter(text => typeof text === 'string').join(' ');
+  const weights = (maneuver && maneuver.available && profile.maneuverWeights[maneuver.maneuver]) || {};
+
+  const categories = {};
+  Object.entries(rubric).forEach(([id, category]) => {
+    const measured = category.components.map(component => scoreComponent(component, frames)).filter(Boolean);
+    const observations = findObservations(category, observationText);
+    const evidence = measured.flatMap(result => result.evidence);
+
+    let score = measured.length > 0
+      ? measured.reduce((sum, result) => sum + result.score, 0) / measured.length
+      : observations.length > 0 ? OBSERVATION_BASELINE : null;
+
+    if (score !== null) {
+      const adjustment = clamp(observations.reduce((sum, observation) => sum + observation.tone * OBSERVATION_STEP, 0), -MAX_OBSERVATION_ADJUSTMENT, MAX_OBSERVATION_ADJUSTMENT);
+      score = clamp(score + adjustment, 0, 10);
+    }
+    observations
+      .filter(observation => observation.tone !== 0)
+      .slice(0, MAX_OBSERVATION_EVIDENCE)
+      .forEach(observation => evidence.push({ type: 'observation', text: observation.sentence }));
+
+    // A fall caps flow however smooth the rest of the clip was
+    if (id === 'flow' && score !== null && maneuver && maneuver.segments) {
+      const fall = maneuver.segments.find(segment => segment.maneuver === 'fall');
+      if (fall) {
+        score = Math.min(score, 4);
+        evidence.push({ type: 'frame', frame: fall.startFrame, timestamp: fall.start, text: `Fall detected at frame ${fall.startFrame}${formatTime(fall.start)}` });
+      }
+    }
+
+    categories[id] = {
+      label: category.label,
+      description: category.description,
+      score: score === null ? null : round(score),
+      basis: measured.length > 0 ? 'measured' : observations.length > 0 ? 'observations' : 'none',
+      evidence
+    };
+  });
+
+  const scored = Object.entries(categories).filter(([, category]) => category.score !== null);
+  const totalWeight = scored.reduce((sum, [id]) => sum + (weights[id] || 1), 0);
+  const overall = scored.length > 0
+    ? round(scored.reduce((sum, [id, category]) => sum + category.score * (weights[id] || 1), 0) / totalWeight)
+    : null;
+
+  const lowConfidenceFrames = tracking && tracking.lowConfidenceFrames ? tracking.lowConfidenceFrames.length : 0;
+  console.log(`📏 Rubric scores: overall ${overall === null ? 'n/a' : overall}${lowConfidenceFrames ? ` (${lowConfidenceFrames} low-confidence frames excluded)` : ''}`);
+
+  return {
+    overall,
+    categories,
+    weights: Object.keys(rubric).reduce((all, id) => ({ ...all, [id]: weights[id] || 1 }), {}),
+    sport: profile.id,
+    method: 'rubric-v1'
+  };
+};
+
+/**
+ * Format rubric scores for a prompt or a plain-text report
+ * Output: "- Category: X/10" lines with the first piece of evidence, or '' without scores
+ */
+const formatScores = (scores) => {
+  if (!scores || scores.overall === null) return '';
+  const lines = Object.values(scores.categories)
+    .filter(category => category.score !== null)
+    .map(category => `- ${category.label}: ${category.score}/10${category.evidence[0] ? ` (${category.evidence[0].text})` : ''}`);
+  return [`Overall: ${scores.overall}/10`, ...lines].join('\n');
+};
+
+/**
+ * The sport's rubric target for a clip-average metric
+ * Output: { ideal: [low, high], tolerance, absolute } or null when the rubric has none
+ */
+const metricTarget = (key, sport = null) => {
+  const component = Object.values(sportCategories(getSportProfile(sport)))
+    .flatMap(category => category.components)
+    .find(entry => entry.metric === key && !entry.spread && !entry.smoothness);
+  return component ? { ideal: component.ideal, tolerance: component.tolerance, absolute: Boolean(component.absolute) } : null;
+};
+
+/**
+ * How close a clip-average metric is to its target, so that changes in different units
+ * can be compared
+ * Output: 0-10 (10 inside the target range), or null when there is no target
+ */
+const scoreMetric = (key, value, sport = null) => {
+  const target = metricTarget(key, sport);
+  if (!target || typeof value !== 'number') return null;
+  return round(rangeScore(target.absolute ? Math.abs(value) : value, target.ideal, target.tolerance));
+};
+
+/**
+ * Strongest and weakest categories
+ * Output: { strengths: [label], improvements: [label] }, at most `count` each
+ */
+const rankCategories = (scores, count = 2) => {
+  const scored = Object.values((scores && scores.categories) || {})
+    .filter(category => category.score !== null)
+    .sort((a, b) => b.score - a.score);
+  return {
+    strengths: scored.slice(0, count).map(category => category.label),
+    improvements: scored.slice(-count).reverse().filter(category => !scored.slice(0, count).includes(category)).map(category => category.label)
+  };
+};
+
+module.exports = {
+  scoreTechnique,
+  formatScores,
+  rankCategories,
+  metricTarget,
+  scoreMetric,
+  RUBRIC_CATEGORIES
+};
@@ -0,0 +1,467 @@
+// Sport profiles
+// Everything that depends on the sport being coached: the wording of the vision and
+// report prompts, the name and coaching focus of each maneuver the pose classifier can
+// detect, rubric adjustments and the joints that matter most. Drills live in the drill
+// library (drill-library.js).
+// Snowboarding and skateboarding are the fully tuned profiles; skiing and surfing reuse
+// the same pose measurements with sport-specific targets and wording.
+const { renderPrompt } = require('./prompt-templates');
+require('dotenv').config();
+
+
+/**
+ * Sport profiles
+ * activity         - the sport as it reads in a sentence ("snowboarding")
+ * coach, athlete   - who gives and who gets the advice
+ * equipment        - what the athlete rides ("board", "skis")
+ * equipmentSetup   - the setup choices equipment advice covers
+ * hasStance        - whether athletes ride regular or goofy (rider profiles ask for it)
+ * technicalFocus   - numbered focus list of the per-frame technical analysis
+ * sceneContext     - context questions of the scene description
+ * keyJoints        - [{ joint, why }] the joints to watch most closely
+ * maneuvers        - { classifierId: { label, focus, criteria } } for every maneuver
+ *                    maneuver-classification.js can detect
+ * maneuverWeights  - rubric category weights per maneuver (default 1)
+ * rubric           - overrides of scoring-rubric.js categories ({ label, description,
+ *                    components, keywords }, each replacing the default when given)
+ */
+const SPORT_PROFILES = {
+  snowboarding: {
+    label: 'Snowboarding',
+    activity: 'snowboarding',
+    coach: 'snowboarding coach',
+    athlete: 'rider',
+    equipment: 'board',
+    equipmentSetup: 'stance width, binding angles, highback lean, board and boot fit',
+    hasStance: true,
+    technicalFocus: [
+      'Body posture and alignment - spine, shoulders, hips',
+      'Joint angles - knees, ankles, elbows, wrists',
+      'Weight distribution - front/back, left/right balance',
+      'Edge control - board angle relative to slope',
+      'Arm positioning - for balance and control',
+      'Head position - looking direction and stability'
+    ],
+    sceneContext: [
+      'Speed and slope conditions',
+      'Terrain type and difficulty (groomer, park, powder, pipe)',
+      "Rider's skill level apparent",
+      'Safety considerations'
+    ],
+    keyJoints: [
+      { joint: 'knees', why: 'flexion absorbs terrain and drives pressure into the edge' },
+      { joint: 'ankles', why: 'shin pressure against the boots tips the board onto its edge' },
+      { joint: 'hips', why: 'angulation keeps the weight over the edge while the body inclines' },
+      { joint: 'shoulders', why: 'rotation ahead of the board causes skidded, over-rotated turns' }
+    ],
+    maneuvers: {
+      carve: {
+        label: 'Carve',
+        focus: 'edge angle and body inclination, a clean arc without the tail sliding, angulation through the knees and hips, and pressure building through the turn',
+        criteria: ['Edge angle and inclination', 'Arc shape (carved, not skidded)', 'Knee and hip angulation', 'Upper body alignment with the board']
+      },
+      skidded_turn: {
+        label: 'Skidded turn',
+        focus: 'speed control, a gradual and even edge change, the upper body staying quiet over the board, and a flexed, centered stance',
+        criteria: ['Speed control', 'Smoothness of the edge change', 'Quiet, aligned upper body', 'Centered, flexed stance']
+      },
+      ollie: {
+        label: 'Ollie',
+        focus: 'loading the tail, the pop timing, pulling the knees up in the air, and a balanced two-footed landing',
+        criteria: ['Tail load and pop', 'Height and knee tuck', 'Level board in the air', 'Balanced landing']
+      },
+      jump: {
+        label: 'Jump',
+        focus: 'a stable approach, popping off the lip rather than being thrown, a compact body in the air, spotting the landing and absorbing it with the legs',
+        criteria: ['Approach and takeoff', 'Body position in the air', 'Control and spotting the landing', 'Landing absorption']
+      },
+      spin_180: {
+        label: '180',
+        focus: 'winding up before the takeoff, initiating the rotation from the shoulders, keeping the board level, completing the half turn and riding away switch',
+        criteria: ['Wind-up and rotation initiation', 'Rotation completed', 'Level board and compact body', 'Clean switch landing']
+      },
+      spin_360: {
+        label: '360',
+        focus: 'a strong wind-up, leading the rotation with the head and shoulders, staying compact to keep the spin going, and spotting the landing',
+        criteria: ['Wind-up and rotation initiation', 'Full rotation completed', 'Compact body in the air', 'Spotting and landing']
+      },
+      butter: {
+        label: 'Butter',
+        focus: 'shifting the weight onto the nose or tail, flexing the board without catching an edge, and rotating smoothly on the pressed end',
+        criteria: ['Weight shift onto the nose or tail', 'Board flex and press', 'Balance over the pressed end', 'Smooth rotation and exit']
+      },
+      fall: {
+        label: 'Fall',
+        focus: 'what caused the loss of balance (edge catch, back seat, over-rotation), how the rider fell, and how to avoid it and fall more safely next time',
+        criteria: ['Position before the fall', 'Cause of the loss of balance', 'Safe falling technique', 'Recovery']
+      }
+    },
+    // Airs are judged less on edging and more on balance and flow
+    maneuverWeights: {
+      ollie: { edgeControl: 0.5, balance: 1.5 },
+      jump: { edgeControl: 0.5, balance: 1.5, flow: 1.25 },
+      spin_180: { edgeControl: 0.5, upperBody: 1.5 },
+      spin_360: { edgeControl: 0.5, upperBody: 1.5 },
+      butter: { edgeControl: 0.5, balance: 1.5 },
+      carve: { edgeControl: 1.5 }
+    },
+    rubric: {}
+  },
+
+  skateboarding: {
+    label: 'Skateboarding',
+    activity: 'skateboarding',
+    coach: 'skateboarding coach',
+    athlete: 'skater',
+    equipment: 'board',
+    equipmentSetup: 'deck width, truck tightness, wheel size and hardness, grip tape and shoes',
+    hasStance: true,
+    technicalFocus: [
+      'Body posture and alignment - spine, shoulders, hips over the bolts',
+      'Joint angles - knees, ankles, elbows',
+      'Foot placement - front foot position, back foot on the tail',
+      'Board control - pop, flick and pressure over the trucks',
+      'Arm positioning - for balance and rotation',
+      'Head position - looking at the landing or the obstacle'
+    ],
+    sceneContext: [
+      'Terrain (street, park, bowl, ramp or flat ground) and obstacles (ledges, rails, stairs, coping)',
+      'Speed and approach',
+      "Skater's skill level apparent",
+      'Safety considerations (pads, helmet, surface)'
+    ],
+    keyJoints: [
+      { joint: 'ankles', why: 'the pop and the flick come from the ankles' },
+      { joint: 'knees', why: 'bending loads the pop and absorbs the landing' },
+      { joint: 'hips', why: 'staying over the bolts keeps the board under the skater' },
+      { joint: 'shoulders', why: 'they lead rotation and must stay aligned with the board when going straight' }
+    ],
+    maneuvers: {
+      carve: {
+        label: 'Carve',
+        focus: 'leaning into the turn through the trucks, knees bent, weight over the board and a smooth, pumping line',
+        criteria: ['Lean and truck engagement', 'Smooth arc', 'Knee bend and pumping', 'Upper body following the turn']
+      },
+      skidded_turn: {
+        label: 'Powerslide',
+        focus: 'committing the weight over the front truck, kicking the tail around with the back foot, staying low and riding out straight',
+        criteria: ['Weight committed forward', 'Slide initiation', 'Low, balanced body', 'Clean ride-out']
+      },
+      ollie: {
+        label: 'Ollie',
+        focus: 'snapping the tail, sliding the front foot up the grip tape to level the board, pulling the knees up and landing with the feet over the bolts',
+        criteria: ['Pop (tail snap)', 'Front foot slide and level board', 'Knee tuck and height', 'Landing over the bolts']
+      },
+      jump: {
+        label: 'Air',
+        focus: 'a committed approach, timing the pop or the lip, keeping the board under the feet in the air and landing with bent knees',
+        criteria: ['Approach speed and commitment', 'Takeoff timing', 'Board control in the air', 'Landing absorption']
+      },
+      spin_180: {
+        label: '180',
+        focus: 'winding up the shoulders, turning the board with the hips after the pop, keeping the feet on the board and landing rolling switch or fakie',
+        criteria: ['Wind-up and shoulder lead', 'Rotation completed', 'Feet stay on the board', 'Rolling away clean']
+      },
+      spin_360: {
+        label: '360',
+        focus: 'a strong wind-up, a full rotation led by the head and shoulders, a compact body and landing with the feet over the bolts',
+        criteria: ['Wind-up and shoulder lead', 'Full rotation completed', 'Compact body', 'Landing over the bolts']
+      },
+      butter: {
+        label: 'Manual',
+        focus: 'finding the balance point over the back (or front) wheels, keeping the arms quiet and holding the manual without scraping the tail',
+        criteria: ['Balance point over the wheels', 'Consistent board angle', 'Quiet arms and upper body', 'Controlled exit']
+      },
+      fall: {
+        label: 'Bail',
+        focus: 'what made the skater bail (late pop, leaning back, feet off the bolts), and how to fall more safely by rolling and stepping off',
+        criteria: ['Position before the bail', 'Cause of the bail', 'Safe falling (roll, not a straight arm)', 'Recovery']
+      }
+    },
+    // Board control matters most for pop tricks; manuals are almost all balance
+    maneuverWeights: {
+      ollie: { edgeControl: 1.25, balance: 1.5 },
+      jump: { balance: 1.5, flow: 1.25 },
+      spin_180: { upperBody: 1.5 },
+      spin_360: { upperBody: 1.5 },
+      butter: { edgeControl: 0.5, balance: 2 },
+      carve: { edgeControl: 1.5, flow: 1.25 }
+    },
+    rubric: {
+      edgeControl: {
+        label: 'Board control',
+        description: 'Foot placement and pressure over the trucks to steer, pop and stay on the board',
+        components: [
+          { metric: 'torsoLean', ideal: [0, 20], tolerance: 20, absolute: true },
+          { metric: 'ankleFlexion.left', ideal: [10, 35], tolerance: 20 },
+          { metric: 'ankleFlexion.right', ideal: [10, 35], tolerance: 20 }
+        ],
+        keywords: ['board control', 'foot placement', 'feet', 'pop', 'flick', 'truck', 'tail', 'nose', 'pressure']
+      },
+      balance: {
+        description: 'Weight centered over the bolts on a stable stance',
+        components: [
+          { metric: 'centerOfMass.weightBias', ideal: [0, 0.25], tolerance: 0.5, absolute: true },
+          { metric: 'stanceWidth', ideal: [0.9, 1.5], tolerance: 0.5 },
+          { metric: 'centerOfMass.weightBias', spread: true, ideal: [0, 0.4], tolerance: 0.6, label: 'Weight bias range across the clip' }
+        ]
+      }
+    }
+  },
+
+  skiing: {
+    label: 'Skiing',
+    activity: 'skiing',
+    coach: 'ski coach',
+    athlete: 'skier',
+    equipment: 'skis',
+    equipmentSetup: 'ski length and sidecut, boot fit and flex, binding mount point and release setting, pole length',
+    hasStance: false,
+    technicalFocus: [
+      'Body posture and alignment - spine, shoulders, hips',
+      'Joint angles - knees, ankles, hips',
+      'Weight distribution - fore/aft and between the outside and inside ski',
+      'Edge control - ski angle relative to slope and parallel shins',
+      'Arm and pole positioning - hands forward, pole plant timing',
+      'Head position - looking down the fall line'
+    ],
+    sceneContext: [
+      'Speed and slope conditions',
+      'Terrain type and difficulty (groomer, moguls, powder, park)',
+      "Skier's skill level apparent",
+      'Safety considerations'
+    ],
+    keyJoints: [
+      { joint: 'ankles', why: 'shin pressure on the boot tongue keeps the skier forward' },
+      { joint: 'knees', why: 'flexion and knee angulation set the edge angle' },
+      { joint: 'hips', why: 'they stay over the feet and counter the skis through the turn' },
+      { joint: 'shoulders', why: 'they stay quiet and face down the fall line' }
+    ],
+    maneuvers: {
+      carve: {
+        label: 'Carved turn',
+        focus: 'tipping both skis onto their edges, parallel shins, angulation at the hips and knees, and a clean arc without the tails skidding',
+        criteria: ['Edge angle and inclination', 'Parallel skis and shins', 'Angulation', 'Upper body facing down the fall line']
+      },
+      skidded_turn: {
+        label: 'Parallel turn',
+        focus: 'speed control with a progressive skid, steering both skis together, pressure on the outside ski and a quiet upper body',
+        criteria: ['Speed control', 'Skis steered together', 'Outside ski pressure', 'Quiet upper body']
+      },
+      ollie: {
+        label: 'Ollie',
+        focus: 'loading the ski tails, popping with both feet, tucking the knees and landing balanced over the middle of the skis',
+        criteria: ['Tail load and pop', 'Knee tuck', 'Level skis in the air', 'Balanced landing']
+      },
+      jump: {
+        label: 'Jump',
+        focus: 'a stable, centered approach, popping off the lip, hands forward in the air and absorbing the landing with the legs',
+        criteria: ['Approach and takeoff', 'Centered body in the air', 'Hands forward and spotting the landing', 'Landing absorption']
+      },
+      spin_180: {
+        label: '180',
+        focus: 'winding up before the takeoff, initiating the rotation with the shoulders and landing switch with the skis together',
+        criteria: ['Wind-up and rotation initiation', 'Rotation completed', 'Skis together in the air', 'Clean switch landing']
+      },
+      spin_360: {
+        label: '360',
+        focus: 'a strong wind-up, leading with the head and shoulders, staying compact and spotting the landing',
+        criteria: ['Wind-up and rotation initiation', 'Full rotation completed', 'Compact body in the air', 'Spotting and landing']
+      },
+      butter: {
+        label: 'Butter',
+        focus: 'pressing onto the tips or tails, flexing the skis without catching an edge and pivoting smoothly',
+        criteria: ['Weight shift onto the tips or tails', 'Ski flex and press', 'Balance over the pressed end', 'Smooth pivot and exit']
+      },
+      fall: {
+        label: 'Fall',
+        focus: 'what caused the fall (back seat, crossed tips, caught edge), and how to avoid it and fall more safely next time',
+        criteria: ['Position before the fall', 'Cause of the loss of balance', 'Safe falling technique', 'Recovery']
+      }
+    },
+    maneuverWeights: {
+      ollie: { edgeControl: 0.5, balance: 1.5 },
+      jump: { edgeControl: 0.5, balance: 1.5, flow: 1.25 },
+      spin_180: { edgeControl: 0.5, upperBody: 1.5 },
+      spin_360: { edgeControl: 0.5, upperBody: 1.5 },
+      carve: { edgeControl: 1.5 }
+    },
+    rubric: {
+      edgeControl: {
+        description: 'Tipping the skis onto their edges with inclination, angulation and ankle flex',
+        components: [
+          { metric: 'torsoLean', ideal: [5, 25], tolerance: 20, absolute: true },
+          { metric: 'ankleFlexion.left', ideal: [15, 35], tolerance: 20 },
+          { metric: 'ankleFlexion.right', ideal: [15, 35], tolerance: 20 }
+        ],
+        keywords: ['edge', 'carve', 'carving', 'skid', 'angulation', 'inclination', 'parallel', 'inside ski', 'outside ski']
+      },
+      balance: {
+        description: 'Centered fore and aft with the feet about hip width apart',
+        components: [
+          { metric: 'centerOfMass.weightBias', ideal: [0, 0.25], tolerance: 0.5, absolute: true },
+          { metric: 'stanceWidth', ideal: [0.4, 0.9], tolerance: 0.5 },
+          { metric: 'centerOfMass.weightBias', spread: true, ideal: [0, 0.4], tolerance: 0.6, label: 'Weight bias range across the clip' }
+        ]
+      },
+      upperBody: {
+        description: 'Quiet upper body facing down the fall line, hands forward',
+        keywords: ['shoulder', 'arm', 'arms', 'hands', 'pole', 'upper body', 'torso', 'rotation', 'fall line']
+      }
+    }
+  },
+
+  surfing: {
+    label: 'Surfing',
+    activity: 'surfing',
+    coach: 'surf coach',
+    athlete: 'surfer',
+    equipment: 'board',
+    equipmentSetup: 'board length and volume, fin setup, traction pad placement and leash',
+    hasStance: true,
+    technicalFocus: [
+      'Body posture and alignment - low, compressed stance over the board',
+      'Joint angles - knees, hips, ankles',
+      'Weight distribution - front/back foot and over the stringer',
+      'Rail control - leaning and driving through the rail',
+      'Arm positioning - leading the turn and balancing',
+      'Head position - looking where the surfer wants to go'
+    ],
+    sceneContext: [
+      'Wave size, shape and section (face, lip, whitewater)',
+      'Speed and line on the wave',
+      "Surfer's skill level apparent",
+      'Safety considerations (crowd, reef, leash)'
+    ],
+    keyJoints: [
+      { joint: 'knees', why: 'compression generates speed and absorbs chop' },
+      { joint: 'hips', why: 'they drive the rail and rotate the board through turns' },
+      { joint: 'shoulders', why: 'the shoulders and head lead every turn' },
+      { joint: 'ankles', why: 'they set pressure between the heel and toe rail' }
+    ],
+    maneuvers: {
+      carve: {
+        label: 'Carve',
+        focus: 'a compressed stance, burying the rail, leading with the head and shoulders, and a drawn-out arc on the open face',
+        criteria: ['Rail engagement', 'Compression through the turn', 'Head and shoulders leading', 'Speed carried out of the turn']
+      },
+      skidded_turn: {
+        label: 'Snap',
+        focus: 'a sharp turn in the pocket, releasing the fins with back foot pressure, rotating the upper body and recovering balance over the board',
+        criteria: ['Setup and timing in the pocket', 'Back foot drive', 'Upper body rotation', 'Recovery and speed out']
+      },
+      ollie: {
+        label: 'Floater',
+        focus: 'riding up onto the lip, staying centered and low while the board slides across, and absorbing the drop back down',
+        criteria: ['Approach to the section', 'Centered weight on the lip', 'Low, balanced body', 'Absorbing the landing']
+      },
+      jump: {
+        label: 'Aerial',
+        focus: 'generating speed, hitting the lip, keeping the board under the feet in the air and landing over the stringer with bent knees',
+        criteria: ['Speed and approach', 'Takeoff off the lip', 'Board control in the air', 'Landing absorption']
+      },
+      spin_180: {
+        label: 'Reverse',
+        focus: 'releasing the fins, rotating the shoulders and hips, sliding the board around and staying over it to ride away',
+        criteria: ['Fin release', 'Rotation completed', 'Weight over the board', 'Riding away']
+      },
+      spin_360: {
+        label: '360 air',
+        focus: 'speed into the lip, a full rotation led by the head and shoulders, staying compact and spotting the landing',
+        criteria: ['Speed and takeoff', 'Full rotation completed', 'Compact body', 'Spotting and landing']
+      },
+      butter: {
+        label: 'Nose ride',
+        focus: 'walking forward with cross steps, keeping the tail locked in the wave, and balance over the nose',
+        criteria: ['Footwork up the board', 'Board trim while on the nose', 'Balance over the nose', 'Walking back']
+      },
+      fall: {
+        label: 'Wipeout',
+        focus: 'what caused the wipeout (late takeoff, weight too far back, over-rotated), and how to fall safely away from the board',
+        criteria: ['Position before the wipeout', 'Cause of the loss of balance', 'Falling away from the board and covering the head', 'Recovery']
+      }
+    },
+    maneuverWeights: {
+      jump: { edgeControl: 0.5, balance: 1.5, flow: 1.25 },
+      spin_180: { upperBody: 1.5 },
+      spin_360: { edgeControl: 0.5, upperBody: 1.5 },
+      butter: { edgeControl: 0.5, balance: 2 },
+      carve: { edgeControl: 1.5, flow: 1.25 }
+    },
+    rubric: {
+      posture: {
+        description: 'Low, compressed stance: bent knees and hips over the board',
+        components: [
+          { metric: 'kneeFlexion.left', ideal: [30, 70], tolerance: 30 },
+          { metric: 'kneeFlexion.right', ideal: [30, 70], tolerance: 30 },
+          { metric: 'hipFlexion.left', ideal: [25, 70], tolerance: 30 },
+          { metric: 'hipFlexion.right', ideal: [25, 70], tolerance: 30 },
+          { metric: 'centerOfMass.height', ideal: [1.1, 1.7], tolerance: 0.6 }
+        ]
+      },
+      edgeControl: {
+        label: 'Rail control',
+        description: 'Engaging the rail through turns with lean and knee drive',
+        components: [
+          { metric: 'torsoLean', ideal: [10, 40], tolerance: 20, absolute: true },
+          { metric: 'ankleFlexion.left', ideal: [10, 35], tolerance: 20 },
+          { metric: 'ankleFlexion.right', ideal: [10, 35], tolerance: 20 }
+        ],
+        keywords: ['rail', 'carve', 'turn', 'bottom turn', 'cutback', 'lean', 'trim']
+      },
+      balance: {
+        description: 'Weight centered over the stringer on a wide, stable stance',
+        components: [
+          { metric: 'centerOfMass.weightBias', ideal: [0, 0.3], tolerance: 0.5, absolute: true },
+          { metric: 'stanceWidth', ideal: [1.1, 1.8], tolerance: 0.6 },
+          { metric: 'centerOfMass.weightBias', spread: true, ideal: [0, 0.5], tolerance: 0.6, label: 'Weight bias range across the clip' }
+        ]
+      }
+    }
+  }
+};
+
+const isSport = (id) => Object.prototype.hasOwnProperty.call(SPORT_PROFILES, id);
+
+// Sport used when an upload does not name one (and for analyses stored before sports existed).
+// An unknown DEFAULT_SPORT would give a profile without prompts or rubric targets, so fall back
+const DEFAULT_SPORT = isSport(process.env.DEFAULT_SPORT) ? process.env.DEFAULT_SPORT : 'snowboarding';
+if (process.env.DEFAULT_SPORT && !isSport(process.env.DEFAULT_SPORT)) {
+  console.error(`❌ Unknown DEFAULT_SPORT "${process.env.DEFAULT_SPORT}" (expected ${Object.keys(SPORT_PROFILES).join(', ')}), using snowboarding`);
+}
+
+/**
+ * Profile of a sport
+ * Input: Sport id; a missing or unknown id gives the default sport
+ * Output: Profile with its id
+ */
+const getSportProfile = (id) => {
+  const sport = isSport(id) ? id : DEFAULT_SPORT;
+  return { id: sport, ...SPORT_PROFILES[sport] };
+};
+
+// Sports for the client's selector
+const listSports = () => Object.entries(SPORT_PROFILES).map(([id, profile]) => ({
+  id,
+  label: profile.label,
+  maneuvers: Object.values(profile.maneuvers).map(maneuver => maneuver.label),
+  hasStance: profile.hasStance,
+  default: id === DEFAULT_SPORT
+}));
+
+// System message for the text stages (report generation and follow-up chat)
+const coachSystemPrompt = (profile) => renderPrompt('coach-system', { coach: profile.coach });
+
+const formatKeyJoints = (profile) => profile.keyJoints
+  .map(({ joint, why }) => `- ${joint}: ${why}`)
+  .join('\n');
+
+module.exports = {
+  getSportProfile,
+  isSport,
+  listSports,
+  coachSystemPrompt,
+  formatKeyJoints,
+  SPORT_PROFILES,
+  DEFAULT_SPORT
+};
@@ -0,0 +1,233 @@
+// Schema-validated JSON output from the text stages
+// The report and chat stages ask the model for a JSON object matching one of the
+// schemas in schemas/. Replies are parsed, lightly repaired (code fences, smart
+// quotes, trailing commas) and validated; a reply that still does
+// not match is sent back to the model with the validation errors and retried. The
+// markdown shown to the rider is rendered from the validated data, or from the partial
+// object while a reply streams.
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { generateText, streamText } = require('./providers');
+const { throwIfCancelled } = require('./job-queue');
+require('dotenv').config();
+
+// First attempt plus repair retries
+const STRUCTURED_OUTPUT_MAX_ATTEMPTS = parseInt(process.env.STRUCTURED_OUTPUT_MAX_ATTEMPTS, 10) || 3;
+
+const SCHEMA_DIR = path.join(__dirname, 'schemas');
+
+// Coerce "7" to 7 and drop unknown keys rather than failing on them
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, removeAdditional: true });
+
+const FOLLOW_UP_OFFER = 'I can provide more detailed information about your Key Strengths, Main Areas for Improvement, and Specific Drills and Exercises. Which would you like to learn more about?';
+
+// Renderers also run on partial data while a reply streams, so every field may be missing
+const text = value => (typeof value === 'string' ? value : '');
+const list = (value, key) => (Array.isArray(value) ? value.filter(item => item && (!key || text(item[key]))) : []);
+const numbered = (items, format) => items.map((item, index) => `${index + 1}. ${format(item)}`).join('\n');
+
+// Report and chat sections: the schema each one is validated against and how it is rendered
+const COACHING_SECTIONS = {
+  assessment: {
+    schema: 'coaching-assessment',
+    render: data => [
+      '**Overall Assessment:**',
+      `${typeof data.rating === 'number' ? `I'd rate your technique a ${data.rating}/10. ` : ''}${text(data.summary)}`,
+      `**What's working:** ${list(data.highlights).join('; ')}\n**Focus next:** ${list(data.focusAreas).join('; ')}`,
+      FOLLOW_UP_OFFER
+    ].join('\n\n')
+  },
+  strengths: {
+    schema: 'coaching-strengths',
+    render: data => numbered(list(data.strengths, 'title'), strength =>
+      `**${strength.title}**: ${text(strength.explanation)}${strength.evidence ? ` (${strength.evidence})` : ''}`)
+  },
+  improvements: {
+    schema: 'coaching-improvements',
+    render: data => numbered(list(data.improvements, 'title'), improvement =>
+      `**${improvement.title}**: ${text(improvement.explanation)}${improvement.evidence ? ` (${improvement.evidence})` : ''}${improvement.cue ? `\n   Cue: ${improvement.cue}` : ''}`)
+  },
+  drills: {
+    schema: 'coaching-drills',
+    render: data => numbered(list(data.drills, 'name'), drill =>
+      `**${drill.name}**${drill.dosage ? ` (${drill.dosage})` : ''}: ${text(drill.description)}${drill.purpose ? `\n   Purpose: ${drill.purpose}` : ''}`)
+  },
+  answer: {
+    schema: 'coaching-answer',
+    render: data => [text(data.answer), list(data.keyPoints).map(point => `- ${point}`).join('\n')].filter(Boolean).join('\n\n')
+  },
+  // Routing decision for a chat question (see chat-intents.js), never shown to the rider
+  intent: {
+    schema: 'chat-intent',
+    render: data => text(data.intent)
+  }
+};
+
+const schemas = {};
+const validators = {};
+
+const loadSchema = (name) => {
+  if (!schemas[name]) {
+    schemas[name] = JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, `${name}.schema.json`), 'utf8'));
+    validators[name] = ajv.compile(schemas[name]);
+  }
+  return { schema: schemas[name], validate: validators[name] };
+};
+
+/**
+ * Pull a JSON object out of a model reply
+ * Takes the outermost {...}, dropping code fences and prose around it, and fixes the
+ * slips models make most: smart quotes and trailing commas
+ * Output: Parsed value, or throws with the parse error
+ */
+const parseJsonReply = (text) => {
+  const reply = String(text || '').replace(/```(?:json)?/gi, '');
+  const start = reply.indexOf('{');
+  const end = reply.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('reply contained no JSON object');
+  }
+  const candidate = reply.slice(start, end + 1);
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    const repaired = candidate
+      .replace(/[“”]/g, '"')
+      .replace(/[‘’]/g, "'")
+      .replace(/,\s*([}\]])/g, '$1');
+    return JSON.parse(repaired);
+  }
+};
+
+// Close whatever strings, arrays and objects are still open at the end of the text
+const closePartialJson = (candidate) => {
+  const open = [];
+  let inString = false;
+  let escaped = false;
+  for (const char of candidate) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      open.push(char);
+    } else if (char === '}' || char === ']') {
+      open.pop();
+    }
+  }
+  const body = inString ? `${escaped ? candidate.slice(0, -1) : candidate}"` : candidate;
+  return body + open.reverse().map(char => (char === '{' ? '}' : ']')).join('');
+};
+
+/**
+ * Best-effort parse of a reply that is still streaming
+ * Open strings and containers are closed; a dangling key or value is dropped
+ * Output: Parsed value, or null while there is nothing usable yet
+ */
+const parsePartialJson = (reply) => {
+  const cleaned = String(reply || '').replace(/```(?:json)?/gi, '');
+  let candidate = cleaned.slice(Math.max(cleaned.indexOf('{'), 0));
+  if (!candidate.startsWith('{')) return null;
+
+  // Each failure cuts back to the previous comma or opening bracket
+  for (let tries = 0; tries < 8 && candidate; tries++) {
+    try {
+      return JSON.parse(closePartialJson(candidate));
+    } catch (error) {
+      const cut = Math.max(candidate.lastIndexOf(','), candidate.lastIndexOf('{'), candidate.lastIndexOf('['));
+      const shorter = candidate[cut] === ',' ? candidate.slice(0, cut) : candidate.slice(0, cut + 1);
+      if (cut < 0 || shorter === candidate) return null;
+      candidate = shorter;
+    }
+  }
+  return null;
+};
+
+// Collect a streamed reply, passing the text so far to onReply after every token
+const streamReply = async (stage, params, onReply) => {
+  let reply = '';
+  for await (const token of streamText(stage, params)) {
+    throwIfCancelled(params.signal);
+    reply += token;
+    onReply(reply);
+  }
+  return reply;
+};
+
+const formatErrors = (errors) => (errors || [])
+  .map(error => `${error.instancePath || '(root)'} ${error.message}`)
+  .join('; ');
+
+const jsonInstruction = (schema) => `Reply with ONLY a JSON object that matches this JSON Schema. No markdown, code fences or text outside the object.
+
+${JSON.stringify(schema)}`;
+
+/**
+ * Generate a reply that validates against a coaching schema
+ * Input: Stage key + { messages, section, signal, onText }; section is a key of COACHING_SECTIONS.
+ *   With onText the reply is streamed and onText receives the markdown rendered so far
+ *   after every token (a retry starts the markdown over)
+ * Output: { data, markdown, attempts }
+ */
+const generateStructured = async (stage, { messages, section, signal, onText } = {}) => {
+  const definition = COACHING_SECTIONS[section];
+  if (!definition) {
+    throw new Error(`Unknown coaching section "${section}"`);
+  }
+  const { schema, validate } = loadSchema(definition.schema);
+
+  const conversation = messages.slice();
+  const last = conversation[conversation.length - 1];
+  conversation[conversation.length - 1] = { ...last, content: `${last.content}\n\n${jsonInstruction(schema)}` };
+
+  let problem = '';
+  for (let attempt = 1; attempt <= STRUCTURED_OUTPUT_MAX_ATTEMPTS; attempt++) {
+    throwIfCancelled(signal);
+    const params = { messages: conversation, schema: definition.schema, signal };
+    const reply = onText
+      ? await streamReply(stage, params, (text) => {
+        const partial = parsePartialJson(text);
+        if (partial) onText(definition.render(partial));
+      })
+      : await generateText(stage, params);
+
+    try {
+      const data = parseJsonReply(reply);
+      if (validate(data)) {
+        if (attempt > 1) console.log(`🔧 ${section} reply repaired on attempt ${attempt}`);
+        return { data, markdown: definition.render(data), attempts: attempt };
+      }
+      problem = formatErrors(validate.errors);
+    } catch (error) {
+      problem = error.message;
+    }
+
+    console.warn(`⚠️ ${section} reply attempt ${attempt} did not match ${definition.schema}: ${problem}`);
+    conversation.push(
+      { role: 'assistant', content: String(reply || '') },
+      { role: 'user', content: `That reply was not valid: ${problem}. ${jsonInstruction(schema)}` }
+    );
+  }
+
+  throw new Error(`${section} reply did not match ${definition.schema} after ${STRUCTURED_OUTPUT_MAX_ATTEMPTS} attempts: ${problem}`);
+};
+
+/**
+ * Render stored section data as markdown
+ * Output: Markdown string, or '' for an unknown section or missing data
+ */
+const renderSection = (section, data) => (COACHING_SECTIONS[section] && data ? COACHING_SECTIONS[section].render(data) : '');
+
+module.exports = {
+  generateStructured,
+  renderSection,
+  parseJsonReply,
+  parsePartialJson,
+  COACHING_SECTIONS,
+  FOLLOW_UP_OFFER
+};